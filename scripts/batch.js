@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Run many seeded islands in parallel and print aggregated metrics
+// Usage: node scripts/batch.js [--worlds N] [--seed S] [--steps N] [--workers N] [--scenario FILE] [--json]
+
+import { readFileSync } from 'fs';
+import { BatchRunner } from '../src/sim/batch.js';
+import { loadScenario } from '../src/sim/scenario.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? Number(args[i + 1]) : fallback;
+};
+
+const worlds = option('worlds', 8);
+const scenarioIndex = args.indexOf('--scenario');
+const scenario = scenarioIndex >= 0 ? loadScenario(readFileSync(args[scenarioIndex + 1], 'utf8')) : undefined;
+const runner = new BatchRunner({
+    count: worlds,
+    baseSeed: option('seed', 1),
+    workers: option('workers', undefined),
+    envOptions: { maxSteps: option('steps', 12000) }
+});
+
+const started = Date.now();
+try {
+    await runner.reset({ scenario });
+    const { worlds: summaries, aggregate } = await runner.run();
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify({ worlds: summaries, aggregate }, null, 2));
+    } else {
+        summaries.forEach(s => {
+            console.log(`seed ${s.seed}: ${s.alive}/${s.population} alive after ${s.time.toFixed(0)}s, ` +
+                `${s.spearsCrafted} spears, ${s.fishCaught} fish`);
+        });
+        console.log(`\n${aggregate.worlds} worlds in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+        console.log(`  mean survival time:  ${aggregate.meanSurvivalTime.toFixed(1)}s`);
+        console.log(`  mean agent survival: ${aggregate.meanAgentSurvival.toFixed(1)}s`);
+        console.log(`  extinct worlds:      ${aggregate.extinctWorlds}`);
+        console.log(`  deaths:              ${aggregate.totalDeaths}`, aggregate.deaths);
+        console.log(`  spears crafted:      ${aggregate.spearsCrafted}`);
+    }
+} finally {
+    await runner.close();
+}
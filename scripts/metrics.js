@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Run one seeded island headless and write its metrics time series
+// Usage: node scripts/metrics.js [--seed S] [--steps N] [--interval SECONDS] [--scenario FILE] [--out FILE]
+// The format follows the file extension (.csv or .jsonl); without --out, CSV goes to stdout.
+
+import { readFileSync, writeFileSync } from 'fs';
+import { World } from '../src/sim/world.js';
+import { loadScenario, scenarioConfig } from '../src/sim/scenario.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : fallback;
+};
+
+const out = option('out', null);
+const format = out?.endsWith('.jsonl') ? 'jsonl' : 'csv';
+const scenarioFile = option('scenario', null);
+const scenario = scenarioFile ? loadScenario(readFileSync(scenarioFile, 'utf8')) : null;
+const steps = Number(option('steps', scenario?.maxSteps ?? 12000));
+
+const world = new World({
+    seed: Number(option('seed', scenario?.seed ?? 42)),
+    config: scenario ? scenarioConfig(scenario) : {}
+});
+const metrics = world.startMetrics({ interval: Number(option('interval', 5)) });
+
+for (let i = 0; i < steps && world.getAliveAgents().length > 0; i++) {
+    world.step();
+}
+
+const content = metrics.export(format);
+if (out) {
+    writeFileSync(out, content);
+    console.log(`Wrote ${metrics.rows.length} samples (${world.stepCount} steps) to ${out}`);
+} else {
+    process.stdout.write(content);
+}
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// Replay a recorded run headless and report the first diverging step
+// Usage: node scripts/replay.js <recording.json> [--steps N]
+
+import { readFileSync } from 'fs';
+import { replayRecording } from '../src/sim/replay.js';
+
+const args = process.argv.slice(2);
+const file = args.find(a => !a.startsWith('--'));
+const stepsIndex = args.indexOf('--steps');
+const steps = stepsIndex >= 0 ? parseInt(args[stepsIndex + 1]) : undefined;
+
+if (!file) {
+    console.error('Usage: node scripts/replay.js <recording.json> [--steps N]');
+    process.exit(2);
+}
+
+const recording = JSON.parse(readFileSync(file, 'utf8'));
+const start = recording.startStep;
+console.log(`Replaying seed ${recording.seed} from step ${start} (${recording.hashes.length} steps, ${recording.inputs.length} inputs)`);
+
+const result = replayRecording(recording, { steps });
+
+if (result.diverged) {
+    const { step, expected, actual } = result.divergence;
+    console.error(`DIVERGED at step ${step}: expected ${expected}, got ${actual}`);
+    process.exit(1);
+}
+
+const world = result.world;
+console.log(`OK: ${result.steps} steps match (step ${world.stepCount}, ${world.getAliveAgents().length}/${world.tribeMembers.length} alive)`);
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+// Start the local simulation bridge for external (e.g. Python) RL clients
+// Usage: node scripts/serve.js [--port 8765] [--host 127.0.0.1]
+
+import { SimulationBridge, BRIDGE_DEFAULTS } from '../src/server/bridge.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : fallback;
+};
+
+const bridge = new SimulationBridge({
+    host: option('host', BRIDGE_DEFAULTS.host),
+    port: Number(option('port', BRIDGE_DEFAULTS.port)),
+    log: message => console.log(`[bridge] ${message}`)
+});
+
+await bridge.listen();
+
+const shutdown = async () => {
+    await bridge.close();
+    process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -29,8 +29,10 @@ export const CONFIG = {
     
     // Simulation
     simulationSpeed: 50, // 1x to 50x (default: 50x for testing)
-    timeOfDay: 0.23, // 0 = sunrise, 0.5 = midday, 1 = sunset (DEFAULT: 0.23 = morning)
-    autoPlayTime: false,
+    timeOfDay: 0.3, // Start time: 0 = midnight, 0.5 = midday (DEFAULT: 0.3 = morning)
+    autoPlayTime: false, // Renderer lighting follows the sim clock (off holds it; the clock always runs)
+    dayLength: 120, // Simulated seconds per full day
+    moonCycleDays: 8, // Days from one new moon to the next
     visualQuality: 'high', // 'high' or 'low'
     showDebug: true,
     
@@ -48,6 +50,13 @@ export const CONFIG = {
     // Deterministic seed
     seed: 12345,
     
+    // Scenario setup (see src/sim/scenario.js)
+    startingAges: null, // null = 18-33, { min, max }, or a list cycled over agents
+    startingTools: {}, // toolId -> count given to every agent at start
+    startingHutStorage: {}, // resourceId -> count in the hut at start
+    systems: { threats: true, reproduction: true }, // Optional systems on/off
+    tables: null, // { needs, resources, tools, fishing } overrides of the system tables
+    
     // Sanity check thresholds
     floatingThreshold: 0.5, // Max distance asset can be above terrain
     sinkingThreshold: 1.0, // Max distance asset can be below terrain
@@ -64,3 +73,53 @@ export function resetSeed(seed = CONFIG.seed) {
     _seed = seed;
 }
 
+// ============================================
+// RANDOM STREAMS
+// ============================================
+// Each subsystem draws from its own seeded stream, so extra draws in one
+// system never shift the sequence another system sees.
+
+export const RNG_STREAMS = ['world', 'needs', 'ai', 'fishing', 'resources', 'threats'];
+
+/**
+ * Seeded PRNG stream (mulberry32)
+ * Returns a () => [0, 1) function with getState()/setState() for snapshots
+ */
+export function createRandomStream(seed) {
+    let state = seed >>> 0;
+
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.getState = () => state;
+    random.setState = (s) => { state = s >>> 0; };
+
+    return random;
+}
+
+/**
+ * One independent stream per subsystem, all derived from a single seed
+ */
+export function createRandomStreams(seed, names = RNG_STREAMS) {
+    const streams = {};
+    names.forEach(name => {
+        streams[name] = createRandomStream(deriveSeed(seed, name));
+    });
+    return streams;
+}
+
+// FNV-1a hash of "seed:name"
+function deriveSeed(seed, name) {
+    const key = `${seed}:${name}`;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
@@ -1,64 +1,43 @@
 // ============================================
 // ISLAND SIMULATION - Main Entry Point
 // ============================================
+// Browser renderer for the headless World (src/sim/world.js).
+// The world owns all simulation state; this file only builds meshes
+// for its entities and keeps them in sync every frame.
 
 import * as THREE from 'three';
 import { Sky } from 'three/addons/objects/Sky.js';
 import { Water } from 'three/addons/objects/Water.js';
 import GUI from 'lil-gui';
 
-import { CONFIG, VERSION, BUILD_NUMBER, seededRandom, resetSeed } from './config.js';
-import { getTerrainHeight, getRandomIslandPosition, snapToTerrain } from './utils/terrain.js';
-import { 
-    logTest, updateStats, runSanityChecks, checkGrounded, 
-    checkAgentState, runSpeedTest, clearTestLog 
+import { CONFIG, VERSION, BUILD_NUMBER } from './config.js';
+import { getTerrainHeight } from './utils/terrain.js';
+import {
+    logTest, updateStats, runSanityChecks,
+    checkAgentState, clearTestLog
 } from './utils/sanityChecks.js';
 
-// Survival systems
-import { 
-    RESOURCES,
-    TOOLS,
-    createInventory,
-    addToInventory,
-    removeFromInventory,
+import { IslandEnvironment } from './sim/environment.js';
+import { hutAsInventory } from './sim/behavior.js';
+import { DAY_PERIODS } from './sim/clock.js';
+import { observeAgent, observeWorld, agentVector } from './sim/observation.js';
+import { formatViolation } from './sim/invariants.js';
+import {
     getInventoryCount,
-    hasInventoryRoom,
     canCraft,
-    consumeCraftingResources,
-    addTool,
-    equipTool,
-    useTool,
     getToolCount
 } from './systems/resources.js';
-import { 
-    createAgentNeeds,
-    updateNeeds,
-    consumeFood as applyFoodToNeeds
-} from './systems/needs.js';
-import {
-    createAgentSkills,
-    getGatheringSpeed,
-    getGatheringYield,
-    awardXP
-} from './systems/skills.js';
-import {
-    TribeCoordinator,
-    improvedPlanTask,
-    improvedIdleBehavior
-} from './systems/ai.js';
 import {
-    AnimationSystem,
-    ANIM_STATES
+    AnimationSystem
 } from './systems/animations.js';
 import {
     CarryingSystem
 } from './systems/carrying.js';
-import {
-    FishingSystem,
-    FISHING_TASKS,
-    FISHING_CONFIG
-} from './systems/fishing.js';
+import { FishingSystem } from './systems/fishing.js';
+import { getBodyScale } from './systems/needs.js';
 import { createRandomFish } from './utils/fishModel.js';
+import { createSharkModel, createLootModel } from './utils/sharkModel.js';
+import { createSquidModel, animateSquid } from './utils/squidModel.js';
 
 // ============================================
 // GLOBAL STATE
@@ -66,14 +45,16 @@ import { createRandomFish } from './utils/fishModel.js';
 let scene, camera, renderer, clock;
 let water, sky, sun, ambientLight, hemiLight, fillLight;
 let island;
-let hut; // central storage / shelter
-let allTrees = [];
+let env;   // gym-style wrapper used by the API
+let world; // headless simulation being rendered (env.world)
+let hutMesh;
+let allTrees = [];             // { entity, mesh } - shape expected by runSanityChecks
 let allRocks = [];
 let allBushes = [];
-let tribeMembers = [];
-let fishList = [];
-let tribeCoordinator; // AI coordination system
-let fishingSystem; // Fishing mechanics system
+let agentViews = new Map();    // agent id -> view (mesh + limbs)
+let fishViews = new Map();     // fish id -> mesh
+let threatViews = new Map();   // threat id -> mesh
+let lootViews = new Map();     // loot pile id -> mesh
 
 // Camera state
 let cameraYaw = 0, cameraPitch = 0;
@@ -83,13 +64,14 @@ let controls = { forward: false, backward: false, left: false, right: false, up:
 
 // Simulation state
 let simulationAccumulator = 0;
+let externalStepping = false;  // The API's step()/reset() drive the world; frames only render
 let totalSimSteps = 0;
-let totalDeaths = 0;
 let lastFPSUpdate = 0;
 let frameCount = 0;
 let currentFPS = 60;
 let stepsPerSecond = 0;
 let stepCountThisSecond = 0;
+const WATER_TEMPERATURE = 26;   // °C in the HUD, before any squid cools it
 
 // ============================================
 // INITIALIZATION
@@ -97,36 +79,51 @@ let stepCountThisSecond = 0;
 async function init() {
     updateLoadingProgress(10);
     logTest(`Initializing scene... (v${VERSION} #${BUILD_NUMBER})`, 'info');
-    
+
     // Update version display in UI
     const versionDisplayEl = document.getElementById('version-display');
     if (versionDisplayEl) {
         versionDisplayEl.textContent = `v${VERSION} #${BUILD_NUMBER}`;
     }
-    
+
     // Update page title with version and build number
     if (typeof document !== 'undefined') {
         document.title = `🏝️ Island Simulation v${VERSION} (#${BUILD_NUMBER})`;
     }
-    
-    // Reset random seed for determinism
-    resetSeed(CONFIG.seed);
-    
+
+    // Simulation (seeded, deterministic)
+    env = new IslandEnvironment({ seed: CONFIG.seed, log: logTest });
+    world = env.world;
+    world.on('level_up', e => logTest(`Agent ${e.agentId} reached ${e.skillId} level ${e.level}`, 'info'));
+    world.startMetrics();
+    world.startInvariantChecks();
+
+    // ?scenario=<bundled name or URL> (see scenarios/)
+    const scenarioParam = new URLSearchParams(window.location.search).get('scenario');
+    if (scenarioParam) {
+        try {
+            env.reset({ scenario: await fetchScenario(scenarioParam) });
+            logTest(`Loaded scenario "${env.scenario.name ?? scenarioParam}"`, 'success');
+        } catch (err) {
+            logTest(`Scenario load failed, using defaults: ${err.message}`, 'error');
+        }
+    }
+
     // Scene
     scene = new THREE.Scene();
     scene.fog = new THREE.FogExp2(0xf0d8c8, 0.0015); // Warm sunrise fog
-    
+
     // Clock
     clock = new THREE.Clock();
-    
+
     // Camera - start with orbit view
     camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 5000);
     camera.position.set(200, 100, 200);
-    
+
     updateLoadingProgress(20);
-    
+
     // Renderer
-    renderer = new THREE.WebGLRenderer({ 
+    renderer = new THREE.WebGLRenderer({
         antialias: CONFIG.visualQuality === 'high',
         powerPreference: 'high-performance'
     });
@@ -137,68 +134,50 @@ async function init() {
     renderer.shadowMap.enabled = CONFIG.visualQuality === 'high';
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     document.getElementById('canvas-container').appendChild(renderer.domElement);
-    
+
     updateLoadingProgress(30);
-    
+
     // Build scene
     createLighting();
     updateLoadingProgress(40);
-    
+
     createSky();
     createWater();
     updateLoadingProgress(50);
-    
+
     createIsland();
     updateLoadingProgress(60);
-    
-    createPalmTrees();
-    createJungleTrees();
-    updateLoadingProgress(70);
-    
-    createRocks();
-    createBushes();
-    updateLoadingProgress(80);
-    
-    createHut();
-    
-    createFish();
-    createTribeMembers();
-
-    // Initialize AI coordination system
-    tribeCoordinator = new TribeCoordinator();
-
-    // Initialize fishing system
-    fishingSystem = new FishingSystem();
 
+    // World entities
+    buildWorldViews();
     updateLoadingProgress(90);
 
     // Setup controls and GUI
     setupControls();
     setupGUI();
-    
+
     // Events
     window.addEventListener('resize', onResize);
-    
+
     updateLoadingProgress(95);
-    
-    // Initial time of day - MORNING
-    CONFIG.timeOfDay = 0.23;
+
+    // Initial time of day (the world starts at CONFIG.timeOfDay - morning)
     updateTimeOfDay();
-    
+
     // Run initial sanity checks
     logTest('Running initial sanity checks...', 'info');
     setTimeout(() => {
-        runSanityChecks(scene, tribeMembers, allTrees);
+        runSanityChecks(scene, getAgentCheckViews(), allTrees);
     }, 500);
-    
+
     updateLoadingProgress(100);
-    
+
     // Hide loading screen
     setTimeout(() => {
         document.getElementById('loading').classList.add('hidden');
         logTest('Simulation started at sunrise', 'success');
     }, 600);
-    
+
     // Start animation loop
     animate();
 }
@@ -208,6 +187,7 @@ function updateLoadingProgress(percent) {
     if (el) el.style.width = `${percent}%`;
 }
 
+
 // ============================================
 // LIGHTING
 // ============================================
@@ -242,11 +222,18 @@ function createLighting() {
 }
 
 function updateTimeOfDay() {
-    const t = CONFIG.timeOfDay; // 0 = sunrise, 0.5 = midday, 1 = sunset
+    const clock = world.clock;
+    const night = clock.isNight;
+
+    // Sun progress through daylight (start of dawn to end of dusk):
+    // 0 = sunrise, 0.5 = midday, 1 = sunset
+    const sunrise = DAY_PERIODS.dawn[0];
+    const sunset = DAY_PERIODS.dusk[1];
+    const t = Math.min(1, Math.max(0, (clock.timeOfDay - sunrise) / (sunset - sunrise)));
     
-    // Sun orbit
+    // Sun orbit (at night the light stands in for the moon, high overhead)
     const sunAngle = (t - 0.25) * Math.PI * 2;
-    const sunElevation = Math.sin(t * Math.PI) * 0.85 + 0.15;
+    const sunElevation = night ? 0.6 : Math.sin(t * Math.PI) * 0.85 + 0.15;
     const sunDist = 200;
     
     sun.position.set(
@@ -258,7 +245,17 @@ function updateTimeOfDay() {
     // Color & intensity based on time
     let sunColor, sunIntensity, ambientColor, ambientIntensity, exposure, fogColor;
     
-    if (t < 0.15 || t > 0.85) {
+    if (night) {
+        // Moonlight - brighter towards full moon
+        const moon = clock.moonIllumination;
+        sunColor = 0x8899cc;
+        sunIntensity = 0.1 + moon * 0.3;
+        ambientColor = 0x334466;
+        ambientIntensity = 0.12 + moon * 0.13;
+        exposure = 0.35;
+        fogColor = 0x0c1424;
+        scene.fog.density = 0.002;
+    } else if (t < 0.15 || t > 0.85) {
         // Sunrise/Sunset - warm orange/pink
         sunColor = 0xff7733;
         sunIntensity = 1.2;
@@ -296,7 +293,8 @@ function updateTimeOfDay() {
     
     // Update sky
     if (sky) {
-        const phi = THREE.MathUtils.degToRad(90 - sunElevation * 70);
+        const skyElevation = night ? -0.1 : sunElevation; // Sun below the horizon at night
+        const phi = THREE.MathUtils.degToRad(90 - skyElevation * 70);
         const theta = sunAngle;
         const sunPos = new THREE.Vector3().setFromSphericalCoords(1, phi, theta);
         sky.material.uniforms['sunPosition'].value.copy(sunPos);
@@ -399,15 +397,15 @@ function createIsland() {
             color = new THREE.Color(0xc9a875);
         } else if (height < 2.5) {
             // Dry beach
-            const v = seededRandom() * 0.04;
+            const v = Math.random() * 0.04;
             color = new THREE.Color(0.92 + v, 0.84 + v, 0.62 + v);
         } else if (height < 4) {
             // Grass transition
-            const v = seededRandom() * 0.06;
+            const v = Math.random() * 0.06;
             color = new THREE.Color(0.45 + v, 0.65 + v, 0.28);
         } else {
             // Dense vegetation
-            const v = seededRandom() * 0.08;
+            const v = Math.random() * 0.08;
             color = new THREE.Color(0.18 + v, 0.5 + v, 0.12);
         }
         
@@ -430,12 +428,62 @@ function createIsland() {
     scene.add(island);
 }
 
+
+// ============================================
+// WORLD VIEWS
+// ============================================
+// Meshes mirror world entities by id. Cosmetic variation uses
+// Math.random so rendering never consumes the simulation's seed.
+
+function buildWorldViews() {
+    createHutMesh();
+    createTreeMeshes();
+    createRockMeshes();
+    createBushMeshes();
+    syncFishViews();
+    syncThreatViews(0);
+    syncLootViews();
+    syncAgentViews();
+}
+
+function clearWorldViews() {
+    if (hutMesh) scene.remove(hutMesh);
+    allTrees.forEach(t => scene.remove(t.mesh));
+    allRocks.forEach(r => scene.remove(r));
+    allBushes.forEach(b => scene.remove(b));
+    agentViews.forEach(v => scene.remove(v.mesh));
+    fishViews.forEach(f => scene.remove(f));
+    threatViews.forEach(t => scene.remove(t));
+    lootViews.forEach(l => scene.remove(l));
+
+    hutMesh = null;
+    allTrees = [];
+    allRocks = [];
+    allBushes = [];
+    agentViews = new Map();
+    fishViews = new Map();
+    threatViews = new Map();
+    lootViews = new Map();
+}
+
+/**
+ * Per-frame sync of all dynamic entities
+ */
+function syncWorldViews(delta) {
+    allTrees.forEach(syncCoconuts);
+    syncFishViews();
+    syncThreatViews(delta);
+    syncLootViews();
+    syncAgentViews();
+    agentViews.forEach(view => updateAgentView(view, delta));
+}
+
 // ============================================
 // HUT / CENTRAL STORAGE
 // ============================================
-function createHut() {
+function createHutMesh() {
     const hutGroup = new THREE.Group();
-    const y = getTerrainHeight(0, 0);
+    const y = world.hut.position.y;
 
     // Floor
     const floorGeo = new THREE.CylinderGeometry(2.4, 2.6, 0.3, 12);
@@ -481,67 +529,51 @@ function createHut() {
         hutGroup.add(crate);
     }
 
-    hutGroup.position.set(0, 0, 0);
+    hutGroup.position.set(world.hut.position.x, 0, world.hut.position.z);
     hutGroup.userData.isHut = true;
-    hutGroup.userData.radius = 4;
+    hutGroup.userData.radius = world.hut.radius;
 
     scene.add(hutGroup);
-
-    hut = {
-        mesh: hutGroup,
-        position: new THREE.Vector3(0, y, 0),
-        // Shared stockpile - all resources start at 0
-        storage: {
-            coconut: 0,
-            wood: 0,
-            stone: 0,
-            vine: 0,
-            fish: 0,
-            fishing_spear: 0  // Tools stored here - starts at 0, increases when crafted
-        }
-    };
+    hutMesh = hutGroup;
 }
 
 // ============================================
-// PALM TREES
+// TREES
 // ============================================
-function createPalmTrees() {
-    const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.9 });
+function createTreeMeshes() {
+    const palmTrunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.9 });
     const leafMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22, roughness: 0.7 });
-    
-    // Scale resources with agent count
-    const palmTreeCount = Math.floor(CONFIG.palmTreesPerAgent * CONFIG.tribeMembers);
-    for (let i = 0; i < palmTreeCount; i++) {
-        const pos = getRandomIslandPosition(CONFIG.islandRadius * 0.5, CONFIG.islandRadius * 0.85, 2);
-        const palm = createPalmTree(trunkMaterial, leafMaterial);
-        
-        palm.position.set(pos.x, pos.y - 0.5, pos.z); // Sink slightly into ground
-        palm.rotation.y = seededRandom() * Math.PI * 2;
-        palm.userData.isTree = true;
-        palm.userData.treeType = 'palm';
-        palm.userData.id = `palm_${i}`;
-        palm.userData.coconuts = 1 + Math.floor(seededRandom() * 3);
-        
-        scene.add(palm);
-        allTrees.push({ mesh: palm, age: 1 });
-        
-        // Add coconuts
-        addCoconutsToTree(palm);
-    }
-    
-    logTest(`Created ${palmTreeCount} palm trees (${CONFIG.palmTreesPerAgent} per agent)`, 'info');
+    const jungleTrunkMaterial = new THREE.MeshStandardMaterial({ color: 0x4a3520, roughness: 0.9 });
+    const canopyColors = [0x1a6b1a, 0x228b22, 0x2d7b2d, 0x1e8b1e];
+
+    world.trees.forEach(tree => {
+        const mesh = tree.type === 'palm'
+            ? createPalmTree(palmTrunkMaterial, leafMaterial)
+            : createJungleTree(jungleTrunkMaterial, canopyColors);
+
+        mesh.position.set(tree.position.x, tree.position.y, tree.position.z);
+        mesh.rotation.y = tree.rotation;
+        mesh.userData.isTree = true;
+        mesh.userData.treeType = tree.type;
+        mesh.userData.id = tree.id;
+
+        scene.add(mesh);
+        const view = { entity: tree, mesh };
+        allTrees.push(view);
+        syncCoconuts(view);
+    });
 }
 
 function createPalmTree(trunkMaterial, leafMaterial) {
     const tree = new THREE.Group();
-    
-    const trunkHeight = 5 + seededRandom() * 4;
+
+    const trunkHeight = 5 + Math.random() * 4;
     const trunkGeometry = new THREE.CylinderGeometry(0.12, 0.22, trunkHeight, 8);
     const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
     trunk.position.y = trunkHeight / 2;
     trunk.castShadow = true;
     tree.add(trunk);
-    
+
     // Leaf crown
     const crownGeometry = new THREE.SphereGeometry(2, 10, 8);
     const crown = new THREE.Mesh(crownGeometry, leafMaterial);
@@ -549,7 +581,7 @@ function createPalmTree(trunkMaterial, leafMaterial) {
     crown.scale.y = 0.5;
     crown.castShadow = true;
     tree.add(crown);
-    
+
     // Extra leaf clusters
     for (let i = 0; i < 5; i++) {
         const angle = (i / 5) * Math.PI * 2;
@@ -565,129 +597,108 @@ function createPalmTree(trunkMaterial, leafMaterial) {
         leafCluster.scale.y = 0.4;
         tree.add(leafCluster);
     }
-    
+
     return tree;
 }
 
-function addCoconutsToTree(tree) {
-    const coconutMaterial = new THREE.MeshStandardMaterial({ color: 0x4a3520, roughness: 0.9 });
-    const coconutGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-    
-    const count = tree.userData.coconuts || 0;
-    for (let i = 0; i < count; i++) {
+const coconutMaterial = new THREE.MeshStandardMaterial({ color: 0x4a3520, roughness: 0.9 });
+const coconutGeometry = new THREE.SphereGeometry(0.2, 8, 8);
+
+/**
+ * Match the coconut meshes on a tree to its simulated coconut count
+ */
+function syncCoconuts(treeView) {
+    const { entity, mesh } = treeView;
+    if (entity.type !== 'palm') return;
+
+    const coconuts = mesh.children.filter(c => c.userData.isCoconut);
+    for (let i = coconuts.length; i < entity.coconuts; i++) {
         const coconut = new THREE.Mesh(coconutGeometry, coconutMaterial);
-        const angle = (i / Math.max(count, 1)) * Math.PI * 2;
+        const angle = Math.random() * Math.PI * 2;
         coconut.position.set(
             Math.cos(angle) * 0.6,
-            4.5 + seededRandom() * 2,
+            4.5 + Math.random() * 2,
             Math.sin(angle) * 0.6
         );
         coconut.userData.isCoconut = true;
         coconut.castShadow = true;
-        tree.add(coconut);
+        mesh.add(coconut);
     }
-}
-
-// ============================================
-// JUNGLE TREES
-// ============================================
-function createJungleTrees() {
-    const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x4a3520, roughness: 0.9 });
-    const canopyColors = [0x1a6b1a, 0x228b22, 0x2d7b2d, 0x1e8b1e];
-    
-    const jungleTreeCount = Math.floor(CONFIG.jungleTreesPerAgent * CONFIG.tribeMembers);
-    for (let i = 0; i < jungleTreeCount; i++) {
-        const pos = getRandomIslandPosition(5, CONFIG.islandRadius * 0.7, 3);
-        const jungle = createJungleTree(trunkMaterial, canopyColors);
-        
-        jungle.position.set(pos.x, pos.y - 0.6, pos.z);
-        jungle.rotation.y = seededRandom() * Math.PI * 2;
-        jungle.userData.isTree = true;
-        jungle.userData.treeType = 'jungle';
-        jungle.userData.id = `jungle_${i}`;
-        
-        scene.add(jungle);
-        allTrees.push({ mesh: jungle, age: 1 });
+    for (let i = coconuts.length - 1; i >= entity.coconuts; i--) {
+        mesh.remove(coconuts[i]);
     }
-    
-    logTest(`Created ${jungleTreeCount} jungle trees (${CONFIG.jungleTreesPerAgent} per agent)`, 'info');
 }
 
 function createJungleTree(trunkMaterial, canopyColors) {
     const tree = new THREE.Group();
-    
-    const trunkHeight = 6 + seededRandom() * 6;
+
+    const trunkHeight = 6 + Math.random() * 6;
     const trunkGeometry = new THREE.CylinderGeometry(0.2, 0.35, trunkHeight, 6);
     const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
     trunk.position.y = trunkHeight / 2;
     trunk.castShadow = true;
     tree.add(trunk);
-    
+
     // Canopy clusters
-    const clusters = 2 + Math.floor(seededRandom() * 2);
+    const clusters = 2 + Math.floor(Math.random() * 2);
     for (let i = 0; i < clusters; i++) {
-        const size = 2.5 + seededRandom() * 2;
+        const size = 2.5 + Math.random() * 2;
         const canopyGeometry = new THREE.SphereGeometry(size, 8, 6);
         const canopyMaterial = new THREE.MeshStandardMaterial({
-            color: canopyColors[Math.floor(seededRandom() * canopyColors.length)],
+            color: canopyColors[Math.floor(Math.random() * canopyColors.length)],
             roughness: 0.8
         });
         const canopy = new THREE.Mesh(canopyGeometry, canopyMaterial);
         canopy.position.set(
-            (seededRandom() - 0.5) * 2,
+            (Math.random() - 0.5) * 2,
             trunkHeight + size * 0.3 + i * 1.5,
-            (seededRandom() - 0.5) * 2
+            (Math.random() - 0.5) * 2
         );
         canopy.scale.y = 0.6;
         canopy.castShadow = true;
         tree.add(canopy);
     }
-    
+
     return tree;
 }
 
 // ============================================
 // ROCKS
 // ============================================
-function createRocks() {
-    const rockCount = Math.floor(CONFIG.rocksPerAgent * CONFIG.tribeMembers);
-    for (let i = 0; i < rockCount; i++) {
-        const pos = getRandomIslandPosition(CONFIG.islandRadius * 0.6, CONFIG.islandRadius * 0.9, 1.5);
+function createRockMeshes() {
+    world.rocks.forEach(entity => {
         const rock = createRock();
-        
-        const scale = 0.4 + seededRandom() * 0.6;
-        rock.position.set(pos.x, pos.y - scale * 0.35, pos.z);
-        rock.scale.setScalar(scale);
-        rock.rotation.y = seededRandom() * Math.PI;
+
+        rock.position.set(entity.position.x, entity.position.y, entity.position.z);
+        rock.scale.setScalar(entity.scale);
+        rock.rotation.y = entity.rotation;
         rock.userData.isRock = true;
-        
+        rock.userData.id = entity.id;
+
         scene.add(rock);
         allRocks.push(rock);
-    }
-    
-    logTest(`Created ${rockCount} rocks (${CONFIG.rocksPerAgent} per agent)`, 'info');
+    });
 }
 
 function createRock() {
     const geometry = new THREE.DodecahedronGeometry(1, 0);
     const positions = geometry.attributes.position.array;
-    
+
     for (let i = 0; i < positions.length; i += 3) {
-        positions[i] += (seededRandom() - 0.5) * 0.3;
-        positions[i + 1] += (seededRandom() - 0.5) * 0.2;
-        positions[i + 2] += (seededRandom() - 0.5) * 0.3;
+        positions[i] += (Math.random() - 0.5) * 0.3;
+        positions[i + 1] += (Math.random() - 0.5) * 0.2;
+        positions[i + 2] += (Math.random() - 0.5) * 0.3;
     }
     geometry.computeVertexNormals();
-    
-    const gray = 0.5 + seededRandom() * 0.2;
+
+    const gray = 0.5 + Math.random() * 0.2;
     const material = new THREE.MeshStandardMaterial({
         color: new THREE.Color(gray, gray * 0.95, gray * 0.9),
         roughness: 0.85,
         flatShading: true
     });
-    
+
     const rock = new THREE.Mesh(geometry, material);
-    rock.scale.y = 0.5 + seededRandom() * 0.3;
     rock.castShadow = true;
     rock.receiveShadow = true;
     return rock;
@@ -696,121 +707,199 @@ function createRock() {
 // ============================================
 // BUSHES
 // ============================================
-function createBushes() {
+function createBushMeshes() {
     const bushMaterial = new THREE.MeshStandardMaterial({ color: 0x3d6a3d, roughness: 0.9 });
     const bushGeometry = new THREE.SphereGeometry(0.6, 8, 6);
-    
-    const bushCount = Math.floor(CONFIG.bushesPerAgent * CONFIG.tribeMembers);
-    for (let i = 0; i < bushCount; i++) {
-        const pos = getRandomIslandPosition(15, CONFIG.islandRadius * 0.7, 4);
-        
+
+    world.bushes.forEach(entity => {
         const bush = new THREE.Mesh(bushGeometry, bushMaterial);
-        bush.position.set(pos.x, pos.y + 0.3, pos.z);
-        bush.scale.setScalar(0.6 + seededRandom() * 0.5);
+        bush.position.set(entity.position.x, entity.position.y, entity.position.z);
+        bush.scale.setScalar(entity.scale);
         bush.scale.y *= 0.7;
         bush.castShadow = true;
         bush.userData.isBush = true;
-        
+
         scene.add(bush);
         allBushes.push(bush);
-    }
-    
-    logTest(`Created ${bushCount} bushes (${CONFIG.bushesPerAgent} per agent)`, 'info');
+    });
 }
 
 // ============================================
 // FISH
 // ============================================
-function createFish() {
-    const fishCount = Math.floor(CONFIG.fishPerAgent * CONFIG.tribeMembers);
-    for (let i = 0; i < fishCount; i++) {
-        const angle = seededRandom() * Math.PI * 2;
-        const dist = CONFIG.islandRadius * (0.9 + seededRandom() * 0.7); // Closer to island
-        
-        // Use proper fish model from fishModel.js (returns a THREE.Group)
-        const fishMesh = createRandomFish();
-        fishMesh.position.set(
-            Math.cos(angle) * dist,
-            -0.5 - seededRandom() * 1.5, // Closer to surface: -0.5 to -2 (was -1 to -5)
-            Math.sin(angle) * dist
-        );
-        fishMesh.rotation.y = angle + Math.PI;
-        
-        // Make sure fish is visible
-        fishMesh.visible = true;
-        fishMesh.castShadow = true;
-        fishMesh.receiveShadow = true;
-        
-        scene.add(fishMesh);
-        fishList.push({
-            mesh: fishMesh,
-            angle: angle,
-            dist: dist,
-            speed: 0.2 + seededRandom() * 0.3,
-            yBase: fishMesh.position.y
-        });
+function syncFishViews() {
+    const alive = new Set();
+
+    world.fishList.forEach(fish => {
+        alive.add(fish.id);
+
+        let fishMesh = fishViews.get(fish.id);
+        if (!fishMesh) {
+            // Use proper fish model from fishModel.js (returns a THREE.Group)
+            fishMesh = createRandomFish();
+            fishMesh.castShadow = true;
+            fishMesh.receiveShadow = true;
+            scene.add(fishMesh);
+            fishViews.set(fish.id, fishMesh);
+        }
+
+        fishMesh.position.set(fish.position.x, fish.position.y, fish.position.z);
+        fishMesh.rotation.y = fish.heading;
+    });
+
+    // Caught or despawned fish
+    fishViews.forEach((fishMesh, id) => {
+        if (!alive.has(id)) {
+            scene.remove(fishMesh);
+            fishViews.delete(id);
+        }
+    });
+}
+
+// ============================================
+// THREATS AND LOOT
+// ============================================
+function syncThreatViews(delta) {
+    const alive = new Set();
+
+    world.threats.forEach(threat => {
+        alive.add(threat.id);
+
+        let threatMesh = threatViews.get(threat.id);
+        if (!threatMesh) {
+            threatMesh = threat.type === 'GIANT_SQUID' ? createSquidModel() : createSharkModel();
+            threatMesh.castShadow = true;
+            threatMesh.position.set(threat.position.x, threat.position.y, threat.position.z);
+            scene.add(threatMesh);
+            threatViews.set(threat.id, threatMesh);
+        }
+
+        // Face the way it moved since the last frame, with a swimming sway
+        const dx = threat.position.x - threatMesh.position.x;
+        const dz = threat.position.z - threatMesh.position.z;
+        if (dx * dx + dz * dz > 1e-6) threatMesh.userData.heading = Math.atan2(dx, dz);
+        threatMesh.userData.swim = (threatMesh.userData.swim || 0) + delta * (threat.state === 'attacking' || threat.inCombat ? 12 : 5);
+
+        threatMesh.position.set(threat.position.x, threat.position.y, threat.position.z);
+        threatMesh.rotation.y = (threatMesh.userData.heading || 0) + Math.sin(threatMesh.userData.swim) * 0.15;
+
+        if (threat.type === 'GIANT_SQUID') syncSquidView(threatMesh, threat);
+    });
+
+    // Killed or gone
+    threatViews.forEach((threatMesh, id) => {
+        if (!alive.has(id)) {
+            scene.remove(threatMesh);
+            threatViews.delete(id);
+        }
+    });
+}
+
+// Hidden in the deep behind a flickering glow until it surfaces,
+// then facing the shore with its tentacles writhing
+function syncSquidView(squidMesh, threat) {
+    const { body, glow, glowLight, glowDisc } = squidMesh.userData;
+    const warning = threat.state === 'warning';
+    body.visible = !warning;
+    glow.visible = warning;
+
+    if (warning) {
+        const flicker = 0.75 + Math.sin(squidMesh.userData.swim * 3) * 0.25;
+        glow.position.y = world.config.waterLevel - 0.3 - threat.position.y;
+        glowLight.intensity = threat.warning.glow * flicker * 40;
+        glowDisc.material.opacity = threat.warning.glow * flicker * 0.45;
+    } else {
+        squidMesh.rotation.y = Math.atan2(-threat.position.x, -threat.position.z);
+        animateSquid(squidMesh, squidMesh.userData.swim, threat.inCombat ? 1.5 : 1);
     }
-    
-    logTest(`Created ${fishCount} fish (${CONFIG.fishPerAgent} per agent)`, 'info');
+}
+
+function syncLootViews() {
+    const present = new Set();
+
+    world.loot.forEach((pile, index) => {
+        present.add(pile.id);
+        if (lootViews.has(pile.id)) return;
+
+        // Spread piles dropped at the same spot into a small ring
+        const mesh = createLootModel(pile.itemId);
+        const angle = index * 2.4;
+        const x = pile.position.x + Math.cos(angle) * 0.6;
+        const z = pile.position.z + Math.sin(angle) * 0.6;
+        mesh.position.set(x, getTerrainHeight(x, z) + 0.15, z);
+        scene.add(mesh);
+        lootViews.set(pile.id, mesh);
+    });
+
+    lootViews.forEach((mesh, id) => {
+        if (!present.has(id)) {
+            scene.remove(mesh);
+            lootViews.delete(id);
+        }
+    });
 }
 
 // ============================================
 // TRIBE MEMBERS (AGENTS)
 // ============================================
-function createTribeMembers() {
-    // Clear existing
-    tribeMembers.forEach(m => scene.remove(m.mesh));
-    tribeMembers = [];
-    
-    for (let i = 0; i < CONFIG.tribeMembers; i++) {
-        const member = createTribeMember(i);
-        const pos = getRandomIslandPosition(10, CONFIG.islandRadius * 0.6, 3);
-        
-        member.mesh.position.set(pos.x, pos.y, pos.z);
-        member.mesh.rotation.y = seededRandom() * Math.PI * 2;
-        member.targetAngle = member.mesh.rotation.y;
-        
-        scene.add(member.mesh);
-        tribeMembers.push(member);
-    }
-    
-    logTest(`Created ${CONFIG.tribeMembers} agents`, 'info');
+function syncAgentViews() {
+    const current = new Set();
+
+    world.tribeMembers.forEach(agent => {
+        current.add(agent.id);
+
+        const view = agentViews.get(agent.id);
+        if (view && view.agent === agent) return;
+
+        // New agent, or the tribe was recreated under the same id
+        if (view) scene.remove(view.mesh);
+        const newView = createAgentView(agent);
+        scene.add(newView.mesh);
+        agentViews.set(agent.id, newView);
+    });
+
+    agentViews.forEach((view, id) => {
+        if (!current.has(id)) {
+            scene.remove(view.mesh);
+            agentViews.delete(id);
+        }
+    });
 }
 
-function createTribeMember(index) {
+function createAgentView(agent) {
     const group = new THREE.Group();
-    
+
     // Skin tones
     const skinTones = [0xc68642, 0x8d5524, 0xa67c52, 0x7d4e2a, 0xb57d52];
-    const skinColor = skinTones[Math.floor(seededRandom() * skinTones.length)];
+    const skinColor = skinTones[agent.appearance.skinTone % skinTones.length];
     const skinMaterial = new THREE.MeshStandardMaterial({ color: skinColor, roughness: 0.6 });
-    
+
     // Body
     const bodyGeometry = new THREE.CapsuleGeometry(0.35, 1, 8, 12);
     const body = new THREE.Mesh(bodyGeometry, skinMaterial);
     body.position.y = 1.3;
     body.castShadow = true;
     group.add(body);
-    
+
     // Head
     const headGeometry = new THREE.SphereGeometry(0.3, 12, 12);
     const head = new THREE.Mesh(headGeometry, skinMaterial);
     head.position.y = 2.2;
     head.castShadow = true;
     group.add(head);
-    
+
     // Hair
     const hairMaterial = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.9 });
     const hairGeometry = new THREE.SphereGeometry(0.32, 12, 12);
     const hair = new THREE.Mesh(hairGeometry, hairMaterial);
     hair.position.y = 2.35;
-    hair.scale.y = 0.5 + seededRandom() * 0.3;
+    hair.scale.y = agent.appearance.hairScale;
     group.add(hair);
-    
+
     // Grass skirt
     const skirtMaterial = new THREE.MeshStandardMaterial({ color: 0x355e3b, side: THREE.DoubleSide });
     for (let i = 0; i < 16; i++) {
-        const strandGeometry = new THREE.PlaneGeometry(0.08, 0.4 + seededRandom() * 0.15);
+        const strandGeometry = new THREE.PlaneGeometry(0.08, 0.4 + Math.random() * 0.15);
         const strand = new THREE.Mesh(strandGeometry, skirtMaterial);
         const angle = (i / 16) * Math.PI * 2;
         strand.position.set(Math.cos(angle) * 0.3, 0.7, Math.sin(angle) * 0.3);
@@ -818,19 +907,19 @@ function createTribeMember(index) {
         strand.rotation.x = 0.25;
         group.add(strand);
     }
-    
+
     // Legs
     const legGeometry = new THREE.CapsuleGeometry(0.1, 0.5, 4, 8);
     const leftLeg = new THREE.Mesh(legGeometry, skinMaterial);
     leftLeg.position.set(-0.15, 0.4, 0);
     leftLeg.castShadow = true;
     group.add(leftLeg);
-    
+
     const rightLeg = new THREE.Mesh(legGeometry, skinMaterial);
     rightLeg.position.set(0.15, 0.4, 0);
     rightLeg.castShadow = true;
     group.add(rightLeg);
-    
+
     // Arms
     const armGeometry = new THREE.CapsuleGeometry(0.07, 0.4, 4, 8);
     const leftArm = new THREE.Mesh(armGeometry, skinMaterial);
@@ -838,1278 +927,174 @@ function createTribeMember(index) {
     leftArm.rotation.z = 0.25;
     leftArm.castShadow = true;
     group.add(leftArm);
-    
+
     const rightArm = new THREE.Mesh(armGeometry, skinMaterial);
     rightArm.position.set(0.45, 1.45, 0);
     rightArm.rotation.z = -0.25;
     rightArm.castShadow = true;
     group.add(rightArm);
-    
+
     // Eyes
     const eyeGeometry = new THREE.SphereGeometry(0.04, 8, 8);
     const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff });
     const pupilGeometry = new THREE.SphereGeometry(0.02, 8, 8);
     const pupilMaterial = new THREE.MeshStandardMaterial({ color: 0x2a1810 });
-    
+
     const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
     leftEye.position.set(-0.1, 2.25, 0.25);
     leftEye.scale.z = 0.5;
     group.add(leftEye);
-    
+
     const leftPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
     leftPupil.position.set(-0.1, 2.25, 0.28);
     group.add(leftPupil);
-    
+
     const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
     rightEye.position.set(0.1, 2.25, 0.25);
     rightEye.scale.z = 0.5;
     group.add(rightEye);
-    
+
     const rightPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
     rightPupil.position.set(0.1, 2.25, 0.28);
     group.add(rightPupil);
-    
+
+    // View shape is what AnimationSystem / CarryingSystem expect
     return {
+        agent,
+        id: agent.id,
         mesh: group,
-        id: `agent_${index}`,
-        // Animation & movement
-        targetAngle: 0,
-        walkPhase: seededRandom() * Math.PI * 2,
+        torso: body,
+        head,
         leftLeg,
         rightLeg,
         leftArm,
         rightArm,
-        carryMesh: null,
-        // Systems
-        needs: createAgentNeeds(18 + seededRandom() * 15),
-        skills: createAgentSkills(),
-        inventory: createInventory(10),
-        // State machine
-        alive: true,
-        state: 'idle',          // idle, walking, gathering, hauling, resting, eating, crafting, fishing
-        task: null,             // { type, target, resourceId, amountPlanned, ... }
-        restTime: 0,
-        actionTimer: 0
+        walkPhase: agent.walkPhase,
+        inventory: agent.inventory,
+        carryMeshes: [],
+        spearMesh: null
     };
 }
 
-// ============================================
-// AGENT UPDATE LOGIC (REWRITTEN)
-// ============================================
-
-function updateTribeMembers(delta) {
-    tribeMembers.forEach(member => {
-        if (!member.alive) return;
-
-        const mesh = member.mesh;
-
-        // === NEEDS UPDATE ===
-        const ctx = {
-            isMoving: member.state === 'walking' || member.state === 'hauling' || member.state === 'fishing',
-            isResting: member.state === 'resting' || member.state === 'crafting',
-            inShelter: hut ? mesh.position.distanceTo(hut.position) < hut.mesh.userData.radius : false,
-            inWater: mesh.position.y < CONFIG.waterLevel + 0.2,
-            inDeepWater: mesh.position.y < CONFIG.waterLevel - 2,
-            nearbyAgentCount: tribeMembers.filter(
-                other => other !== member && other.alive &&
-                    other.mesh.position.distanceTo(mesh.position) < 10
-            ).length,
-            nearSickAgent: tribeMembers.some(
-                other => other !== member && other.alive &&
-                    other.needs?.isSick &&
-                    other.mesh.position.distanceTo(mesh.position) < 6
-            )
-        };
-
-        const needsResult = updateNeeds(member.needs, delta, ctx);
-        if (!needsResult.alive) {
-            member.alive = false;
-            mesh.visible = false;
-            totalDeaths++;
-            logTest(`Agent ${member.id} died: ${needsResult.deathCause}`, 'warning');
-            return;
-        }
-
-        // Forced rest event
-        if (needsResult.events.some(e => e.type === 'forced_rest')) {
-            member.state = 'resting';
-            member.task = null;
-            member.restTime = 3 + seededRandom() * 3;
-        }
-
-        // === HIGH-LEVEL DECISION (IMPROVED AI) ===
-        // Update tribe coordinator with latest information
-        tribeCoordinator.analyzeTribe(tribeMembers, hut);
-
-        // Create helper object for AI system
-        const aiHelpers = {
-            angleTo,
-            hasFood,
-            canCraftSpear,
-            findNearestPalmWithCoconuts,
-            findNearestJungleTree,
-            findNearestRock,
-            findNearestFish,
-            hasSpear
-        };
-
-        // Use improved AI planning
-        improvedPlanTask(member, tribeMembers, hut, tribeCoordinator, aiHelpers);
-
-        // === EXECUTION ===
-        executeAgentState(member, delta);
-
-        // Sanity check
-        checkAgentState(member);
-    });
-}
-
-function planOrMaintainTask(member) {
-    if (!member.alive) return;
+/**
+ * Copy simulated state onto the mesh and animate it
+ */
+function updateAgentView(view, delta) {
+    const agent = view.agent;
 
-    const hunger = member.needs.hunger;
-    const energy = member.needs.energy;
+    view.mesh.visible = agent.alive;
+    if (!agent.alive) return;
 
-    // If we're in the middle of an atomic action, don't replan
-    if (member.state === 'gathering' || member.state === 'crafting' || member.state === 'eating' || member.state === 'fishing') {
-        return;
-    }
-
-    // Eat from inventory if very hungry
-    const coconutsInInv = getInventoryCount(member.inventory, 'coconut');
-    if (hunger < 0.3 && coconutsInInv > 0) {
-        member.state = 'eating';
-        member.task = { type: 'eat_from_inventory', resourceId: 'coconut' };
-        return;
-    }
-
-    // Eat from hut if closer than nearest tree and stockpile has food
-    const hutHasCoconuts = hut && hut.storage.coconut > 0;
-    const nearestPalm = findNearestPalmWithCoconuts(member);
-    const distToHut = hut ? member.mesh.position.distanceTo(hut.position) : Infinity;
-    const distToPalm = nearestPalm
-        ? member.mesh.position.distanceTo(nearestPalm.position)
-        : Infinity;
-
-    if (hunger < 0.4 && hutHasCoconuts && distToHut <= distToPalm) {
-        member.state = 'walking';
-        member.task = { type: 'go_hut_for_food' };
-        member.targetAngle = angleTo(member.mesh.position, hut.position);
-        return;
-    }
-
-    // Low energy -> rest at/near hut
-    if (energy < 0.25) {
-        member.state = 'resting';
-        member.task = { type: 'recover_energy' };
-        member.restTime = 4 + seededRandom() * 4;
-        return;
-    }
-
-    // If carrying resources and hut exists -> haul to hut
-    const carryingAnything = member.inventory.slots.size > 0;
-    if (carryingAnything && hut) {
-        member.state = 'hauling';
-        member.task = { type: 'haul_to_hut' };
-        member.targetAngle = angleTo(member.mesh.position, hut.position);
-        CarryingSystem.updateCarryVisual(member);
-        return;
-    }
-
-    // Craft fishing spear if hut has mats and tribe has almost no spears
-    const totalSpears = getTotalSpearsInTribeAndHut();
-    if (hut && totalSpears < Math.max(2, Math.floor(tribeMembers.length / 3))) {
-        if (canCraft(hutAsInventory(), 'fishing_spear')) {
-            // Check if agent is at hut
-            const distToHut = member.mesh.position.distanceTo(hut.position);
-            if (distToHut > 3) {
-                // Not at hut - walk there first
-                member.state = 'walking';
-                member.task = { type: 'walk_to_hut_to_craft', recipeId: 'fishing_spear' };
-                member.targetAngle = angleTo(member.mesh.position, hut.position);
-                return;
-            } else {
-                // At hut - craft immediately
-                member.state = 'crafting';
-                member.task = { type: 'craft_spear', recipeId: 'fishing_spear' };
-                member.actionTimer = 5.0;
-                return;
-            }
-        }
-    }
+    view.mesh.position.set(agent.position.x, agent.position.y, agent.position.z);
+    view.mesh.rotation.y = agent.heading;
+    view.mesh.scale.setScalar(getBodyScale(agent.needs.age));   // Children grow into adults
+    view.walkPhase = agent.walkPhase;
+    view.inventory = agent.inventory;
 
-    // If food stockpile is low -> prioritize coconuts
-    const desiredCoconutStock = tribeMembers.length * 4;
-    const hutCoconutStock = hut ? hut.storage.coconut : 0;
-    if (hutCoconutStock < desiredCoconutStock) {
-        if (nearestPalm) {
-            member.state = 'walking';
-            member.task = { type: 'gather_coconuts', targetTree: nearestPalm };
-            member.targetAngle = angleTo(member.mesh.position, nearestPalm.position);
-            return;
-        }
-    }
+    animateAgent(view, delta);
 
-    // Otherwise, gather building materials near hut (wood/stone)
-    const gatherTarget = findNearestWoodOrStone(member);
-    if (gatherTarget) {
-        member.state = 'walking';
-        member.task = gatherTarget;
-        member.targetAngle = angleTo(member.mesh.position, gatherTarget.target.position);
-        return;
+    // Carried resources and spear
+    CarryingSystem.updateCarryVisual(view);
+    if (getToolCount(agent.inventory, 'fishing_spear') > 0) {
+        CarryingSystem.attachSpear(view);
+    } else {
+        CarryingSystem.removeSpear(view);
     }
-
-    // Fallback: gentle idle near hut
-    member.state = 'idle';
-    member.task = null;
 }
 
-function executeAgentState(member, delta) {
-    const mesh = member.mesh;
+function animateAgent(view, delta) {
+    const agent = view.agent;
 
-    switch (member.state) {
+    switch (agent.state) {
         case 'resting':
-            member.restTime -= delta;
-            if (member.restTime <= 0) {
-                member.state = 'idle';
-                member.task = null;
-            }
-            // Use improved resting animation
-            member.walkPhase += delta * 2;
-            member.terrainY = getTerrainHeight(member.mesh.position.x, member.mesh.position.z);
-            AnimationSystem.animateResting(member, delta, member.walkPhase);
+            AnimationSystem.animateResting(view, delta, agent.walkPhase);
             break;
 
         case 'eating':
-            // Eating animation over time
-            if (!member.actionTimer || member.actionTimer === 0) {
-                member.actionTimer = 2.0; // 2 seconds to eat
-            }
+            AnimationSystem.animateEating(view, delta, agent.walkPhase);
+            break;
 
-            member.walkPhase += delta * 5;
-            AnimationSystem.animateEating(member, delta, member.walkPhase);
-
-            member.actionTimer -= delta * CONFIG.simulationSpeed;
-            if (member.actionTimer <= 0) {
-                handleEating(member);
-                member.state = 'idle';
-                member.task = null;
-                // Only clear if inventory is empty after eating
-                if (!member.inventory || member.inventory.slots.size === 0) {
-                    CarryingSystem.clearCarryVisual(member);
-                } else {
-                    // Still carrying items - keep visuals
-                    CarryingSystem.updateCarryVisual(member);
-                }
+        case 'hauling':
+            // Determine what is being carried
+            if (agent.inventory.slots.has('stone')) {
+                AnimationSystem.animateCarryingStone(view, delta);
+            } else if (agent.inventory.slots.has('wood')) {
+                AnimationSystem.animateCarryingWood(view, delta);
+            } else if (agent.inventory.slots.has('coconut')) {
+                const count = getInventoryCount(agent.inventory, 'coconut');
+                AnimationSystem.animateCarryingCoconuts(view, delta, count);
+            } else {
+                AnimationSystem.animateWalking(view, delta, world.config.walkSpeed);
             }
             break;
 
         case 'walking':
-        case 'hauling':
-            // Visuals persist automatically - only update if inventory changed
-            updateWalking(member, delta);
+        case 'fleeing':
+        case 'rallying':
+            AnimationSystem.animateWalking(view, delta, world.config.walkSpeed);
             break;
 
-        case 'fishing':
-            updateFishing(member, delta);
+        case 'fighting':
+            // Spear thrusts at the threat
+            AnimationSystem.animateFishing(view, delta, agent.walkPhase, FishingSystem.hasSpear(agent.inventory));
+            break;
+
+        case 'gathering': {
+            const resourceId = agent.task?.resourceId;
+            if (resourceId === 'coconut' || resourceId === 'coconuts') {
+                AnimationSystem.animateCoconutGathering(view, delta, agent.walkPhase);
+            } else if (resourceId === 'stone') {
+                AnimationSystem.animateStoneGathering(view, delta, agent.walkPhase);
+            } else {
+                // Wood and vines share the chopping animation
+                AnimationSystem.animateWoodGathering(view, delta, agent.walkPhase);
+            }
             break;
+        }
 
-        case 'gathering':
-            updateGathering(member, delta, tribeCoordinator);
+        case 'fishing':
+            AnimationSystem.animateFishing(
+                view, delta, agent.fishingPhase || 0,
+                FishingSystem.hasSpear(agent.inventory)
+            );
             break;
 
         case 'crafting':
-            updateCrafting(member, delta);
+            AnimationSystem.animateCrafting(view, delta, agent.walkPhase);
             break;
 
         default:
-            // Use improved idle animation (NO random wandering)
-            member.walkPhase += delta * 2;
-            member.terrainY = getTerrainHeight(member.mesh.position.x, member.mesh.position.z);
-            AnimationSystem.animateIdle(member, delta, member.walkPhase);
+            AnimationSystem.animateIdle(view, delta, agent.walkPhase);
     }
 }
 
-function idleBob(member, delta) {
-    const mesh = member.mesh;
-    member.walkPhase = (member.walkPhase || 0) + delta * 2;
-    // ALWAYS snap to terrain to prevent glitching through map
-    const terrainY = getTerrainHeight(mesh.position.x, mesh.position.z);
-    const bob = Math.sin(member.walkPhase) * 0.015;
-    mesh.position.y = terrainY + bob;
-    // Ensure we never sink below terrain
-    if (mesh.position.y < terrainY) {
-        mesh.position.y = terrainY + bob;
-    }
-
-    member.leftLeg.rotation.x *= 0.9;
-    member.rightLeg.rotation.x *= 0.9;
-    member.leftArm.rotation.x *= 0.9;
-    member.rightArm.rotation.x *= 0.9;
+/**
+ * Agent views in the shape runSanityChecks expects
+ */
+function getAgentCheckViews() {
+    return Array.from(agentViews.values()).map(view => ({
+        id: view.id,
+        alive: view.agent.alive,
+        needs: view.agent.needs,
+        position: view.agent.position,
+        mesh: view.mesh
+    }));
 }
 
-function updateWalking(member, delta) {
-    const mesh = member.mesh;
-    // Scale speed with simulation speed
-    const speed = CONFIG.walkSpeed * CONFIG.simulationSpeed * delta;
-
-    member.walkPhase += delta * CONFIG.walkSpeed * 5;
-
-    // Use improved carrying animations if hauling
-    if (member.state === 'hauling') {
-        // Determine what is being carried
-        const carryingCoconuts = member.inventory.slots.has('coconut');
-        const carryingWood = member.inventory.slots.has('wood');
-        const carryingStone = member.inventory.slots.has('stone');
-
-        if (carryingStone) {
-            AnimationSystem.animateCarryingStone(member, delta);
-        } else if (carryingWood) {
-            AnimationSystem.animateCarryingWood(member, delta);
-        } else if (carryingCoconuts) {
-            const count = getInventoryCount(member.inventory, 'coconut');
-            AnimationSystem.animateCarryingCoconuts(member, delta, count);
-        }
-    } else {
-        // Normal walking animation
-        AnimationSystem.animateWalking(member, delta, CONFIG.walkSpeed);
-    }
-
-    const targetPos = resolveTaskTargetPosition(member);
-    if (!targetPos) {
-        member.state = 'idle';
-        member.task = null;
-        // Only clear visuals if no inventory - might still be carrying
-        if (!member.inventory || member.inventory.slots.size === 0) {
-            CarryingSystem.clearCarryVisual(member);
-        } else {
-            // Still carrying - keep visuals
-            CarryingSystem.updateCarryVisual(member);
-        }
-        return;
-    }
-
-    const dx = targetPos.x - mesh.position.x;
-    const dz = targetPos.z - mesh.position.z;
-    const dist = Math.sqrt(dx * dx + dz * dz);
-
-    if (dist < 1.5) {
-        // Reached destination
-        onDestinationReached(member);
-    } else {
-        member.targetAngle = Math.atan2(dx, dz);
-
-        const angleDiff = normalizeAngle(member.targetAngle - mesh.rotation.y);
-        mesh.rotation.y += angleDiff * delta * 4;
-
-        mesh.position.x += Math.sin(mesh.rotation.y) * speed;
-        mesh.position.z += Math.cos(mesh.rotation.y) * speed;
-
-        // ALWAYS snap to terrain to prevent glitching through map
-        const terrainY = getTerrainHeight(mesh.position.x, mesh.position.z);
-        const baseHeight = terrainY;
-        const bounce = Math.abs(Math.sin(member.walkPhase)) * 0.04;
-        mesh.position.y = baseHeight + bounce;
-
-        // CRITICAL: Prevent agents from entering ocean (deadly!)
-        const distFromCenter = Math.sqrt(mesh.position.x ** 2 + mesh.position.z ** 2);
-        const minSafeHeight = CONFIG.waterLevel + 0.5; // Must stay above water
-        if (mesh.position.y < minSafeHeight || distFromCenter > CONFIG.islandRadius * 0.88) {
-            // Too close to water or too far out - move back to safety
-            member.targetAngle = Math.atan2(-mesh.position.x, -mesh.position.z);
-            // Force position back on land with proper terrain snapping
-            const safeDist = CONFIG.islandRadius * 0.85;
-            mesh.position.x = Math.cos(member.targetAngle) * safeDist;
-            mesh.position.z = Math.sin(member.targetAngle) * safeDist;
-            const safeTerrainY = getTerrainHeight(mesh.position.x, mesh.position.z);
-            mesh.position.y = Math.max(safeTerrainY + bounce, minSafeHeight);
-        } else {
-            // Ensure we never sink below terrain
-            if (mesh.position.y < terrainY) {
-                mesh.position.y = terrainY + bounce;
-            }
-        }
-    }
-}
-
-function updateGathering(member, delta, coordinator = null) {
-    const mesh = member.mesh;
-    const task = member.task;
-    if (!task || !task.target) {
-        member.state = 'idle';
-        member.task = null;
-        return;
-    }
-
-    // Face the resource we're gathering
-    const targetPos = task.target.position || task.target;
-    member.targetAngle = angleTo(member.mesh.position, targetPos);
-    const angleDiff = normalizeAngle(member.targetAngle - mesh.rotation.y);
-    mesh.rotation.y += angleDiff * delta * 6; // Smoothly face resource
-
-    // STOP MOVING - agent should stand still while gathering
-    // Don't walk into the resource, stop at gathering distance
-    const distToResource = mesh.position.distanceTo(targetPos);
-    if (distToResource > 2.5) {
-        // Still too far, keep walking
-        const speed = CONFIG.walkSpeed * CONFIG.simulationSpeed * delta;
-        member.targetAngle = angleTo(member.mesh.position, targetPos);
-        const angleDiff2 = normalizeAngle(member.targetAngle - mesh.rotation.y);
-        mesh.rotation.y += angleDiff2 * delta * 4;
-        mesh.position.x += Math.sin(mesh.rotation.y) * speed;
-        mesh.position.z += Math.cos(mesh.rotation.y) * speed;
-        // ALWAYS snap to terrain to prevent glitching through map
-        const terrainY = getTerrainHeight(mesh.position.x, mesh.position.z);
-        const bounce = Math.abs(Math.sin((member.walkPhase || 0) * 5)) * 0.04;
-        mesh.position.y = terrainY + bounce;
-        // Ensure we never sink below terrain
-        if (mesh.position.y < terrainY) {
-            mesh.position.y = terrainY + bounce;
-        }
-        return; // Still walking to resource
-    }
-
-    // Now at gathering distance - play animations
-    // Use improved animations based on resource type
-    member.walkPhase = (member.walkPhase || 0) + delta * 10;
-    
-    // Keep agent properly positioned on terrain while gathering
-    const terrainY = getTerrainHeight(mesh.position.x, mesh.position.z);
-    mesh.position.y = terrainY;
-    
-    // Play appropriate gathering animation
-    if (task.resourceId === 'coconut' || task.resourceId === 'coconuts') {
-        AnimationSystem.animateCoconutGathering(member, delta, member.walkPhase);
-    } else if (task.resourceId === 'wood') {
-        AnimationSystem.animateWoodGathering(member, delta, member.walkPhase);
-    } else if (task.resourceId === 'stone') {
-        AnimationSystem.animateStoneGathering(member, delta, member.walkPhase);
-    } else if (task.resourceId === 'vine') {
-        // Use similar animation to wood gathering for vines
-        AnimationSystem.animateWoodGathering(member, delta, member.walkPhase);
-    }
-
-    const baseResource = RESOURCES[task.resourceId?.toUpperCase()] || RESOURCES[task.resourceId];
-    const baseTime = baseResource?.gatherTime || 1.0;
-    const effectiveTime = getGatheringSpeed(member.skills, baseTime);
-
-    if (member.actionTimer <= 0) {
-        member.actionTimer = effectiveTime;
-    }
-
-    // Scale action timer with simulation speed
-    member.actionTimer -= delta * CONFIG.simulationSpeed;
-    if (member.actionTimer > 0) return;
-
-    // Apply yield
-    const baseYield = task.resourceId === 'coconut' ? 3 : 2;
-    const amount = Math.max(1, getGatheringYield(member.skills, baseYield));
-
-    if (!hasInventoryRoom(member.inventory, task.resourceId)) {
-        // Inventory full -> haul
-        member.state = 'hauling';
-        member.task = { type: 'haul_to_hut' };
-        CarryingSystem.updateCarryVisual(member);
-        return;
-    }
-
-    addToInventory(member.inventory, task.resourceId, amount);
-
-    // DON'T remove resources from world - they stay visible until agent picks them up
-    // The visual will appear on agent's head via updateCarryVisual
-    // Only update the count for coconuts on trees
-    if (task.type === 'gather_coconuts' && task.targetTree && task.targetTree.userData.coconuts > 0) {
-        const taken = Math.min(amount, task.targetTree.userData.coconuts);
-        task.targetTree.userData.coconuts -= taken;
-        // Keep coconut meshes visible - they'll appear on agent's head instead
-    }
-
-    awardXP(member.skills, task.resourceId === 'coconut' ? 'gather_coconut' :
-        (task.resourceId === 'wood' ? 'gather_wood' : 'gather_stone'), []);
-
-    // Update carrying visual - resources now appear on agent's head
-    CarryingSystem.updateCarryVisual(member);
-
-    // Release resource and task claims after gathering
-    if (tribeCoordinator && task.target) {
-        tribeCoordinator.releaseResource(task.target, member.id);
-        const taskKey = tribeCoordinator.getTaskKey(task);
-        if (taskKey) {
-            tribeCoordinator.releaseTask(taskKey, member.id);
-        }
-    }
-
-    // After gather, immediately haul to hut
-    member.state = 'hauling';
-    member.task = { type: 'haul_to_hut' };
-    member.actionTimer = 0;
-}
-
-function updateFishing(member, delta) {
-    const task = member.task;
-    if (!task || task.type !== 'go_fishing' || !task.target) {
-        member.state = 'idle';
-        member.task = null;
-        return;
-    }
-
-    // CRITICAL: Never allow agents to go into ocean - fishing is from SHORE ONLY
-    const agentY = member.mesh.position.y;
-    if (agentY < CONFIG.waterLevel + 0.3) {
-            // Agent is in water - emergency escape!
-        member.state = 'walking';
-        member.task = { type: 'escape_water' };
-        fishingSystem.releaseFish(task.target, member.id);
-        if (tribeCoordinator) {
-            const taskKey = tribeCoordinator.getTaskKey(task);
-            if (taskKey) {
-                tribeCoordinator.releaseTask(taskKey, member.id);
-            }
-        }
-        return;
-    }
-
-    // Spearfishing animation
-    member.fishingPhase = (member.fishingPhase || 0) + delta * 3;
-    const hasSpear = FishingSystem.hasSpear(member.inventory);
-    AnimationSystem.animateFishing(member, delta, member.fishingPhase, hasSpear);
-
-    // Check if fish moved out of range
-    const fishPos = task.target.mesh.position;
-    const inRange = FishingSystem.isInStrikingRange(member.mesh.position, fishPos);
-
-    if (!inRange) {
-        // Fish escaped, replan
-        member.state = 'idle';
-        member.task = null;
-        fishingSystem.releaseFish(task.target, member.id);
-        if (tribeCoordinator) {
-            const taskKey = tribeCoordinator.getTaskKey(task);
-            if (taskKey) {
-                tribeCoordinator.releaseTask(taskKey, member.id);
-            }
-        }
-        return;
-    }
-
-    // Face the fish
-    member.targetAngle = angleTo(member.mesh.position, fishPos);
-    const angleDiff = member.targetAngle - member.mesh.rotation.y;
-    member.mesh.rotation.y += angleDiff * delta * 5;
-
-    // Fishing takes time - attempt every 3-5 seconds
-    const fishingTime = 4.0;
-    if (member.actionTimer <= 0) {
-        member.actionTimer = fishingTime;
-    }
-
-    member.actionTimer -= delta * CONFIG.simulationSpeed;
-    if (member.actionTimer > 0) return;
-
-    // Attempt to catch fish
-    const success = FishingSystem.attemptCatch(member, task.target, fishingSystem);
-
-    if (success) {
-        // Caught fish! Spear is consumed (one-use only)
-        const spearConsumed = useTool(member.inventory, 'fishing_spear');
-        if (!spearConsumed) {
-            // No spear left (shouldn't happen, but safety check)
-            member.state = 'idle';
-            member.task = null;
-            fishingSystem.releaseFish(task.target, member.id);
-            if (tribeCoordinator) {
-                const taskKey = tribeCoordinator.getTaskKey(task);
-                if (taskKey) {
-                    tribeCoordinator.releaseTask(taskKey, member.id);
-                }
-            }
-            CarryingSystem.removeSpear(member); // Remove visual
-            return;
-        }
-        
-        // Remove spear visual if no spears left
-        if (!FishingSystem.hasSpear(member.inventory)) {
-            CarryingSystem.removeSpear(member);
-        }
-
-        // Add fish to inventory
-        FishingSystem.addFishToInventory(member.inventory);
-        // DON'T remove fish from world - it appears on agent's head instead
-        // FishingSystem.removeFish(task.target, fishList, scene);
-        fishingSystem.releaseFish(task.target, member.id);
-
-        // Release task claim
-        if (tribeCoordinator) {
-            const taskKey = tribeCoordinator.getTaskKey(task);
-            if (taskKey) {
-                tribeCoordinator.releaseTask(taskKey, member.id);
-            }
-        }
-
-        // Update carrying visual - fish appears on agent's head
-        CarryingSystem.updateCarryVisual(member);
-
-        // Award XP (fishing skill improves success rate)
-        awardXP(member.skills, 'fishing', []);
-
-        // Consume energy
-        member.needs.energy = Math.max(0, member.needs.energy - 0.15);
-
-        // Update carry visual
-        CarryingSystem.updateCarryVisual(member);
-
-        // Return to shore and haul to hut
-        member.state = 'hauling';
-        member.task = { type: 'haul_to_hut' };
-        member.actionTimer = 0;
-
-        logTest(`Agent ${member.id} caught a fish! (spear consumed)`, 'success');
-    } else {
-        // Missed - try again (spear not consumed on miss)
-        member.actionTimer = fishingTime;
-    }
-}
-
-function updateCrafting(member, delta) {
-    const task = member.task;
-    if (!task || task.type !== 'craft_spear' || !hut) {
-        member.state = 'idle';
-        member.task = null;
-        return;
-    }
-
-    // Ensure agent is at hut before crafting
-    const distToHut = member.mesh.position.distanceTo(hut.position);
-    if (distToHut > 3) {
-        // Not at hut - walk there first
-        member.state = 'walking';
-        member.task = { type: 'walk_to_hut_to_craft', recipeId: task.recipeId };
-        member.targetAngle = angleTo(member.mesh.position, hut.position);
-        return;
-    }
-
-    // Scale action timer with simulation speed
-    member.actionTimer -= delta * CONFIG.simulationSpeed;
-
-    // Use improved crafting animation
-    member.walkPhase += delta * 4;
-    AnimationSystem.animateCrafting(member, delta, member.walkPhase);
-
-    if (member.actionTimer > 0) return;
-
-    if (!canCraft(hutAsInventory(), task.recipeId)) {
-        member.state = 'idle';
-        member.task = null;
-        return;
-    }
-
-    consumeCraftingResources(hutAsInventory(), task.recipeId);
-    
-    // Check if agent already has max spears (2 max)
-    const toolData = member.inventory.tools.get('fishing_spear');
-    const currentSpearCount = toolData?.count || (toolData ? 1 : 0);
-    const maxSpears = 2;
-    
-    if (currentSpearCount < maxSpears) {
-        // Agent can carry more spears - give them one
-        if (!addTool(member.inventory, 'fishing_spear')) {
-            // Failed to add (shouldn't happen if check passed)
-        } else {
-            equipTool(member.inventory, 'fishing_spear');
-            CarryingSystem.attachSpear(member);
-        }
-    }
-    
-    // Always store in hut (even if agent already has 2)
-    hut.storage.fishing_spear = (hut.storage.fishing_spear || 0) + 1;
-
-    awardXP(member.skills, 'craft_tool', []);
-
-    member.state = 'idle';
-    member.task = null;
-}
-
-function resolveTaskTargetPosition(member) {
-    const task = member.task;
-    if (!task) return null;
-
-    // Tasks that go to hut
-    if (task.type === 'haul_to_hut' || task.type === 'go_hut_for_food' ||
-        task.type === 'patrol_to_hut' || task.type === 'go_hut_for_helping' ||
-        task.type === 'get_spear_from_hut') {
-        return hut ? hut.position : null;
-    }
-
-    // Gathering tasks
-    if ((task.type === 'gather_coconuts' || task.type === 'gather_wood' || task.type === 'gather_stone') && task.target) {
-        return task.target.position;
-    }
-
-    // Fishing task - go to shore position to throw spear from land (NEVER enter water)
-    if (task.type === 'go_fishing' && task.target) {
-        const fishPos = task.target.mesh.position;
-        const waterLevel = CONFIG.waterLevel;
-        const spot = FishingSystem.calculateFishingSpot(member.mesh.position, fishPos, waterLevel, CONFIG.islandRadius);
-        // Use terrain height to ensure agent stays on land (SAFETY: always above water)
-        const terrainY = getTerrainHeight(spot.x, spot.z);
-        return new THREE.Vector3(spot.x, Math.max(terrainY, waterLevel + 0.5), spot.z);
-    }
-    
-    // Emergency escape from water - go to nearest safe land
-    if (task.type === 'escape_water') {
-        const currentPos = member.mesh.position;
-        const safeDist = CONFIG.islandRadius * 0.85; // Well on land
-        const angle = Math.atan2(currentPos.z, currentPos.x);
-        const safeX = Math.cos(angle) * safeDist;
-        const safeZ = Math.sin(angle) * safeDist;
-        const safeY = getTerrainHeight(safeX, safeZ);
-        return new THREE.Vector3(safeX, safeY, safeZ);
-    }
-
-    // Helping another agent
-    if (task.type === 'help_agent' && task.targetAgent) {
-        const targetMember = tribeMembers.find(m => m.id === task.targetAgent);
-        if (targetMember && targetMember.alive) {
-            return targetMember.mesh.position;
-        }
-    }
-
-    // Fishing
-    if (task.type === 'go_fishing_spot') {
-        const angle = Math.atan2(member.mesh.position.x, member.mesh.position.z);
-        const dist = CONFIG.islandRadius * 1.1;
-        return new THREE.Vector3(
-            Math.sin(angle) * dist,
-            CONFIG.waterLevel,
-            Math.cos(angle) * dist
-        );
-    }
-
-    return null;
-}
-
-function onDestinationReached(member) {
-    const task = member.task;
-    if (!task) {
-        member.state = 'idle';
-        return;
-    }
-
-    if (task.type === 'haul_to_hut' && hut) {
-        // Deposit all carried stackable resources
-        member.inventory.slots.forEach((slot, resourceId) => {
-            const amount = slot.count;
-            removeFromInventory(member.inventory, resourceId, amount);
-
-            if (hut.storage[resourceId] == null) {
-                hut.storage[resourceId] = 0;
-            }
-            hut.storage[resourceId] += amount;
-        });
-
-        CarryingSystem.clearCarryVisual(member);
-        member.state = 'idle';
-        member.task = null;
-        return;
-    }
-
-    if (task.type === 'go_hut_for_food' && hut && hut.storage.coconut > 0) {
-        // Take up to 2 coconuts to eat and maybe carry one
-        const take = Math.min(2, hut.storage.coconut);
-        hut.storage.coconut -= take;
-        addToInventory(member.inventory, 'coconut', take);
-        CarryingSystem.updateCarryVisual(member); // Show carrying immediately
-        member.state = 'eating';
-        member.task = { type: 'eat_from_inventory', resourceId: 'coconut' };
-        return;
-    }
-
-    if (task.type === 'gather_coconuts' || task.type === 'gather_wood' || task.type === 'gather_stone' || task.type === 'gather_vine') {
-        // Check if close enough to start gathering (stop at 2.5 units away)
-        const targetPos = task.target?.position || task.target;
-        const distToResource = member.mesh.position.distanceTo(targetPos);
-        
-        if (distToResource > 2.5) {
-            // Still walking to resource - don't start gathering yet
-            return; // Keep walking
-        }
-        
-        // Close enough - start gathering (resource claim already made, keep it)
-        member.state = 'gathering';
-        member.actionTimer = 0;
-        return;
-    }
-
-    if (task.type === 'go_fishing' && task.target) {
-        // Check if fish is still nearby and in striking range
-        if (FishingSystem.isInStrikingRange(member.mesh.position, task.target.mesh.position)) {
-            member.state = 'fishing';
-            member.actionTimer = 0;
-            member.fishingPhase = 0; // For animation
-            return;
-        } else {
-            // Fish moved away, replan - release claim
-            if (tribeCoordinator && task.target) {
-                tribeCoordinator.releaseResource(task.target, member.id);
-                const taskKey = tribeCoordinator.getTaskKey(task);
-                if (taskKey) {
-                    tribeCoordinator.releaseTask(taskKey, member.id);
-                }
-            }
-            if (fishingSystem && task.target) {
-                fishingSystem.releaseFish(task.target, member.id);
-            }
-            member.state = 'idle';
-            member.task = null;
-            return;
-        }
-    }
-
-    if (task.type === 'go_fishing_spot') {
-        member.state = 'fishing';
-        member.actionTimer = 3 + seededRandom() * 3;
-        return;
-    }
-
-    // Patrol to hut - just arrive and go idle (ready for new tasks)
-    if (task.type === 'patrol_to_hut') {
-        member.state = 'idle';
-        member.task = null;
-        return;
-    }
-
-    // Go to hut to get food for helping
-    if (task.type === 'go_hut_for_helping' && hut && hut.storage.coconut > tribeMembers.length) {
-        // Take a coconut to give to someone in need
-        const take = Math.min(2, hut.storage.coconut - tribeMembers.length);
-        if (take > 0) {
-            hut.storage.coconut -= take;
-            addToInventory(member.inventory, 'coconut', take);
-            CarryingSystem.updateCarryVisual(member);
-        }
-        member.state = 'idle';
-        member.task = null;
-        return;
-    }
-
-    // Walk to hut to craft
-    if (task.type === 'walk_to_hut_to_craft' && hut) {
-        // Now at hut - start crafting
-        if (canCraft(hutAsInventory(), task.recipeId)) {
-            member.state = 'crafting';
-            member.task = { type: 'craft_spear', recipeId: task.recipeId };
-            member.actionTimer = 5.0;
-            return;
-        } else {
-            // Resources gone - abort
-            member.state = 'idle';
-            member.task = null;
-            return;
-        }
-    }
-
-    // Get spear from hut
-    if (task.type === 'get_spear_from_hut' && hut) {
-        if (hut.storage.fishing_spear > 0) {
-            const toolData = member.inventory.tools.get('fishing_spear');
-            const currentCount = toolData?.count || (toolData ? 1 : 0);
-            if (currentCount < 2) {
-                if (addTool(member.inventory, 'fishing_spear')) {
-                    hut.storage.fishing_spear--;
-                    equipTool(member.inventory, 'fishing_spear');
-                    CarryingSystem.attachSpear(member);
-                }
-            }
-        }
-        member.state = 'idle';
-        member.task = null;
-        return;
-    }
-    
-    // Handle escape_water task completion
-    if (task.type === 'escape_water') {
-        member.state = 'idle';
-        member.task = null;
-        return;
-    }
-    
-    // Help agent - give them food, fish, or spear
-    if (task.type === 'help_agent') {
-        const targetMember = tribeMembers.find(m => m.id === task.targetAgent);
-        if (targetMember && targetMember.alive) {
-            let helped = false;
-            
-            // Give fish if available
-            if (getInventoryCount(member.inventory, 'fish') > 0 && targetMember.needs.hunger < 0.5) {
-                removeFromInventory(member.inventory, 'fish', 1);
-                addToInventory(targetMember.inventory, 'fish', 1);
-                logTest(`Agent ${member.id} gave fish to ${targetMember.id}`, 'success');
-                helped = true;
-            }
-            // Give coconut/food if available
-            else if (hasFood(member.inventory) && targetMember.needs.hunger < 0.5) {
-                removeFromInventory(member.inventory, 'coconut', 1);
-                addToInventory(targetMember.inventory, 'coconut', 1);
-                logTest(`Agent ${member.id} gave food to ${targetMember.id}`, 'success');
-                helped = true;
-            }
-            // Give spear if target needs it for fishing (and we have extras)
-            else if (task.giveSpear && member.inventory.tools.has('fishing_spear')) {
-                const toolData = member.inventory.tools.get('fishing_spear');
-                const spearCount = toolData?.count || 1;
-                if (spearCount > 1 || !FishingSystem.hasSpear(targetMember.inventory)) {
-                    // Remove one spear from us
-                    if (toolData.count && toolData.count > 1) {
-                        toolData.count--;
-                    } else {
-                        member.inventory.tools.delete('fishing_spear');
-                        if (member.inventory.equippedTool === 'fishing_spear') {
-                            member.inventory.equippedTool = null;
-                            CarryingSystem.removeSpear(member);
-                        }
-                    }
-                    // Give to target
-                    addTool(targetMember.inventory, 'fishing_spear');
-                    equipTool(targetMember.inventory, 'fishing_spear');
-                    CarryingSystem.attachSpear(targetMember);
-                    logTest(`Agent ${member.id} gave spear to ${targetMember.id}`, 'success');
-                    helped = true;
-                }
-            }
-            
-            if (helped) {
-                CarryingSystem.updateCarryVisual(member);
-                CarryingSystem.updateCarryVisual(targetMember);
-            }
-        }
-        CarryingSystem.clearCarryVisual(member);
-        member.state = 'idle';
-        member.task = null;
-        return;
-    }
-
-    member.state = 'idle';
-    member.task = null;
-}
-
-function handleEating(member) {
-    const task = member.task;
-    const resourceId = task?.resourceId || 'coconut';
-    const removed = removeFromInventory(member.inventory, resourceId, 1);
-    if (!removed) return;
-
-    const nutrition = RESOURCES[resourceId.toUpperCase()]?.nutrition || CONFIG.coconutNutrition;
-    const itemData = Array.isArray(removed) ? removed[0] : null;
-    const isRaw = false;
-    const isSpoiled = false;
-
-    applyFoodToNeeds(member.needs, {
-        nutrition,
-        isRaw,
-        isSpoiled
-    });
-
-    // If still hungry and has more, eat one more, else keep one to haul
-    const remaining = getInventoryCount(member.inventory, resourceId);
-    if (member.needs.hunger < 0.6 && remaining > 0) {
-        applyFoodToNeeds(member.needs, { nutrition, isRaw, isSpoiled });
-        removeFromInventory(member.inventory, resourceId, 1);
-    }
-
-    if (getInventoryCount(member.inventory, resourceId) > 0 && hut) {
-        // Carry leftovers back to hut
-        member.state = 'hauling';
-        member.task = { type: 'haul_to_hut' };
-        CarryingSystem.updateCarryVisual(member);
-    }
-}
-
-// Helpers
-
-function angleTo(from, to) {
-    const dx = to.x - from.x;
-    const dz = to.z - from.z;
-    return Math.atan2(dx, dz);
-}
-
-function normalizeAngle(a) {
-    while (a > Math.PI) a -= Math.PI * 2;
-    while (a < -Math.PI) a += Math.PI * 2;
-    return a;
-}
-
-function findNearestPalmWithCoconuts(member, coordinator = null) {
-    let nearest = null;
-    let nearestDist = Infinity;
-    const minDistanceBetweenWorkers = 5; // Prevent multiple agents working within 5 units
-
-    allTrees.forEach(treeData => {
-        if (treeData.mesh.userData.treeType === 'palm' && treeData.mesh.userData.coconuts > 0) {
-            // Skip if already claimed by another agent
-            if (coordinator && coordinator.isResourceClaimed(treeData.mesh, member.id)) {
-                return;
-            }
-
-            // Skip if any nearby resource is claimed (prevent crowding)
-            if (coordinator) {
-                let tooClose = false;
-                for (const [claimedId, agentId] of coordinator.claimedResources.entries()) {
-                    if (agentId === member.id) continue; // Skip own claims
-                    
-                    // Find the claimed resource
-                    let claimedResource = null;
-                    allTrees.forEach(t => {
-                        if (t.mesh.uuid === claimedId || t.mesh.id === claimedId) {
-                            claimedResource = t.mesh;
-                        }
-                    });
-                    
-                    if (claimedResource) {
-                        const distToClaimed = treeData.mesh.position.distanceTo(claimedResource.position);
-                        if (distToClaimed < minDistanceBetweenWorkers) {
-                            tooClose = true;
-                            break;
-                        }
-                    }
-                }
-                if (tooClose) return;
-            }
-
-            const dist = treeData.mesh.position.distanceTo(member.mesh.position);
-            if (dist < nearestDist) {
-                nearestDist = dist;
-                nearest = treeData.mesh;
-            }
-        }
-    });
-
-    return nearest;
-}
-
-function findNearestWoodOrStone(member) {
-    let best = null;
-    let bestDist = Infinity;
-
-    allTrees.forEach(treeData => {
-        const dist = treeData.mesh.position.distanceTo(member.mesh.position);
-        if (dist < bestDist) {
-            bestDist = dist;
-            best = { type: 'gather_wood', resourceId: 'wood', target: treeData.mesh };
-        }
-    });
-
-    allRocks.forEach(rock => {
-        const dist = rock.position.distanceTo(member.mesh.position);
-        if (dist < bestDist) {
-            bestDist = dist;
-            best = { type: 'gather_stone', resourceId: 'stone', target: rock };
-        }
-    });
-
-    return best;
-}
-
-function ensureCarryVisual(member) {
-    if (member.carryMesh) return;
-
-    const carryGeo = new THREE.SphereGeometry(0.18, 8, 8);
-    const carryMat = new THREE.MeshStandardMaterial({ color: 0x4a3520, roughness: 0.9 });
-    const carry = new THREE.Mesh(carryGeo, carryMat);
-    carry.castShadow = true;
-
-    carry.position.set(member.rightArm.position.x, member.rightArm.position.y - 0.1, member.rightArm.position.z + 0.15);
-    member.mesh.add(carry);
-    member.carryMesh = carry;
-}
-
-function clearCarryVisual(member) {
-    if (member.carryMesh) {
-        member.mesh.remove(member.carryMesh);
-        member.carryMesh.geometry.dispose();
-        member.carryMesh.material.dispose();
-        member.carryMesh = null;
-    }
-}
-
-function hutAsInventory() {
-    // Minimal adapter so we can reuse crafting helpers on hut storage
-    return {
-        slots: new Map(Object.entries(hut.storage).map(([id, count]) => [id, { count, items: [] }])),
-        maxSlots: 16
-    };
-}
-
-// Additional helper functions for improved AI
-function findNearestJungleTree(member, coordinator = null) {
-    const minDistanceBetweenWorkers = 5; // Prevent multiple agents working within 5 units
-    let nearest = null;
-    let nearestDist = Infinity;
-
-    allTrees.forEach(treeData => {
-        // Skip if already claimed by another agent
-        if (coordinator && coordinator.isResourceClaimed(treeData.mesh, member.id)) {
-            return;
-        }
-
-        const dist = treeData.mesh.position.distanceTo(member.mesh.position);
-        if (dist < nearestDist) {
-            nearestDist = dist;
-            nearest = treeData.mesh;
-        }
-    });
-
-    return nearest;
-}
-
-function findNearestRock(member, coordinator) {
-    let nearest = null;
-    let nearestDist = Infinity;
-    const minDistanceBetweenWorkers = 5; // Prevent multiple agents working within 5 units
-
-    allRocks.forEach(rock => {
-        // Skip if already claimed by another agent
-        if (coordinator && coordinator.isResourceClaimed(rock, member.id)) {
-            return;
-        }
-
-        // Skip if any nearby resource is claimed (prevent crowding)
-        if (coordinator) {
-            let tooClose = false;
-            for (const [claimedId, agentId] of coordinator.claimedResources.entries()) {
-                if (agentId === member.id) continue; // Skip own claims
-                
-                // Find the claimed resource
-                let claimedResource = null;
-                allTrees.forEach(t => {
-                    if (t.mesh.uuid === claimedId || t.mesh.id === claimedId) {
-                        claimedResource = t.mesh;
-                    }
-                });
-                allRocks.forEach(r => {
-                    if (r.uuid === claimedId || r.id === claimedId) {
-                        claimedResource = r;
-                    }
-                });
-                
-                if (claimedResource) {
-                    const distToClaimed = rock.position.distanceTo(claimedResource.position);
-                    if (distToClaimed < minDistanceBetweenWorkers) {
-                        tooClose = true;
-                        break;
-                    }
-                }
-            }
-            if (tooClose) return;
-        }
-
-        const dist = rock.position.distanceTo(member.mesh.position);
-        if (dist < nearestDist) {
-            nearestDist = dist;
-            nearest = rock;
-        }
-    });
-
-    return nearest;
-}
-
-function findNearestFish(member) {
-    // Use FishingSystem to find fish, checking claims
-    return FishingSystem.findNearestFish(member, fishList, fishingSystem);
-}
-
-function hasSpear(member) {
-    return FishingSystem.hasSpear(member.inventory);
-}
-
-function hasFood(inventory) {
-    return getInventoryCount(inventory, 'coconut') > 0 ||
-           getInventoryCount(inventory, 'fish') > 0;
-}
-
-function canCraftSpear(hut) {
-    if (!hut) return false;
-    return canCraft(hutAsInventory(), 'fishing_spear');
-}
-
-function getTotalSpearsInTribeAndHut() {
-    let total = hut ? (hut.storage.fishing_spear || 0) : 0;
-    tribeMembers.forEach(m => {
-        if (m.alive && m.inventory) {
-            total += getToolCount(m.inventory, 'fishing_spear');
-        }
-    });
-    return total;
-}
-
-// ============================================
-// FISH UPDATE
-// ============================================
-function updateFish(delta) {
-    // Update fish fleeing behavior
-    fishList.forEach(fish => {
-        // Check for nearby agents and flee
-        FishingSystem.updateFishFleeing(fish, tribeMembers, delta, FISHING_CONFIG.FLEE_DISTANCE);
-
-        // Normal swimming behavior
-        fish.angle += delta * fish.speed * 0.3;
-        fish.mesh.position.x = Math.cos(fish.angle) * fish.dist;
-        fish.mesh.position.z = Math.sin(fish.angle) * fish.dist;
-        fish.mesh.position.y = fish.yBase + Math.sin(clock.elapsedTime * 2 + fish.angle) * 0.25;
-        fish.mesh.rotation.y = fish.angle + Math.PI / 2;
-    });
-
-    // Spawn new fish occasionally to maintain population
-    if (seededRandom() < 0.01 * delta) { // Small chance per frame
-        FishingSystem.spawnFish(
-            scene,
-            fishList,
-            CONFIG.islandRadius,
-            CONFIG.waterLevel,
-            createRandomFish,
-            fishCount
-        );
-    }
-
-    // Clean up fishing system claims
-    fishingSystem.cleanupClaims(tribeMembers);
-}
-
-// ============================================
-// COCONUT REGENERATION
-// ============================================
-function regenerateCoconuts(delta) {
-    allTrees.forEach(treeData => {
-        if (treeData.mesh.userData.treeType === 'palm' && treeData.mesh.userData.coconuts < 3) {
-            if (seededRandom() < 0.002 * delta) {
-                treeData.mesh.userData.coconuts++;
-                
-                // Add visual coconut
-                const coconutMaterial = new THREE.MeshStandardMaterial({ color: 0x4a3520, roughness: 0.9 });
-                const coconutGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-                const coconut = new THREE.Mesh(coconutGeometry, coconutMaterial);
-                const angle = seededRandom() * Math.PI * 2;
-                coconut.position.set(Math.cos(angle) * 0.6, 4.5 + seededRandom() * 2, Math.sin(angle) * 0.6);
-                coconut.userData.isCoconut = true;
-                treeData.mesh.add(coconut);
-            }
-        }
-    });
-}
-
-// ============================================
-// CAMERA CONTROLS
-// ============================================
-function setupControls() {
-    document.addEventListener('keydown', (e) => {
-        switch (e.code) {
-            case 'KeyW': controls.forward = true; break;
-            case 'KeyS': controls.backward = true; break;
-            case 'KeyA': controls.left = true; break;
-            case 'KeyD': controls.right = true; break;
-            case 'KeyQ': controls.down = true; break;
-            case 'KeyE': controls.up = true; break;
-            case 'ShiftLeft':
-            case 'ShiftRight': controls.shift = true; break;
+// ============================================
+// CAMERA CONTROLS
+// ============================================
+function setupControls() {
+    document.addEventListener('keydown', (e) => {
+        switch (e.code) {
+            case 'KeyW': controls.forward = true; break;
+            case 'KeyS': controls.backward = true; break;
+            case 'KeyA': controls.left = true; break;
+            case 'KeyD': controls.right = true; break;
+            case 'KeyQ': controls.down = true; break;
+            case 'KeyE': controls.up = true; break;
+            case 'ShiftLeft':
+            case 'ShiftRight': controls.shift = true; break;
         }
     });
     
@@ -2190,24 +1175,29 @@ function updateCamera(delta) {
     }
 }
 
+
 // ============================================
 // GUI
 // ============================================
 function setupGUI() {
     const gui = new GUI({ container: document.getElementById('gui-container') });
     gui.title('🏝️ Island Controls');
-    
-    // Simulation
+
+    // Simulation (bound to the world's own config)
     const simFolder = gui.addFolder('Simulation');
-    simFolder.add(CONFIG, 'tribeMembers', 1, 25, 1).name('Agents').onChange(createTribeMembers);
-    simFolder.add(CONFIG, 'walkSpeed', 0.5, 5, 0.1).name('Walk Speed');
-    simFolder.add(CONFIG, 'simulationSpeed', 1, 50, 1).name('Speed (1x-50x)');
-    
+    simFolder.add(world.config, 'tribeMembers', 1, 25, 1).name('Agents').onChange(() => {
+        world.rebuildTribe();
+        syncAgentViews();
+    });
+    simFolder.add(world.config, 'walkSpeed', 0.5, 5, 0.1).name('Walk Speed');
+    simFolder.add(world.config, 'simulationSpeed', 1, 50, 1).name('Speed (1x-50x)');
+
     // Time of Day
     const timeFolder = gui.addFolder('Time of Day');
-    timeFolder.add(CONFIG, 'timeOfDay', 0, 1, 0.01).name('Time').onChange(updateTimeOfDay).listen();
-    timeFolder.add(CONFIG, 'autoPlayTime').name('Auto-play');
-    
+    timeFolder.add(world, 'timeOfDay', 0, 1, 0.01).name('Time').onChange(updateTimeOfDay).listen();
+    timeFolder.add(world.config, 'autoPlayTime').name('Auto-play');
+    timeFolder.add(world.config, 'dayLength', 20, 600, 10).name('Day Length (s)');
+
     // Camera
     const camFolder = gui.addFolder('Camera');
     camFolder.add(CONFIG, 'cameraSpeed', 10, 150, 5).name('Speed');
@@ -2217,7 +1207,7 @@ function setupGUI() {
             cameraPitch = 0;
         }
     });
-    
+
     // Quality
     const qualityFolder = gui.addFolder('Quality');
     qualityFolder.add(CONFIG, 'visualQuality', ['high', 'low']).name('Visual').onChange((v) => {
@@ -2226,15 +1216,20 @@ function setupGUI() {
         sun.shadow.mapSize.width = v === 'high' ? 2048 : 1024;
         sun.shadow.mapSize.height = v === 'high' ? 2048 : 1024;
     });
-    
+
     // Debug
     const debugFolder = gui.addFolder('Debug');
     debugFolder.add(CONFIG, 'showDebug').name('Show Stats').onChange((v) => {
         document.getElementById('debug-overlay').style.display = v ? 'block' : 'none';
     });
-    debugFolder.add({ runChecks: () => runSanityChecks(scene, tribeMembers, allTrees) }, 'runChecks').name('Run Sanity Checks');
+    debugFolder.add({ runChecks: () => runSanityChecks(scene, getAgentCheckViews(), allTrees) }, 'runChecks').name('Run Sanity Checks');
+    debugFolder.add({ invariants: runInvariantChecks }, 'invariants').name('Check Invariants');
     debugFolder.add({ clearLog: clearTestLog }, 'clearLog').name('Clear Log');
-    
+    debugFolder.add({ save: downloadSnapshot }, 'save').name('Save Snapshot');
+    debugFolder.add({ load: pickSnapshotFile }, 'load').name('Load Snapshot');
+    debugFolder.add({ csv: () => downloadMetrics('csv') }, 'csv').name('Download Metrics (CSV)');
+    debugFolder.add({ jsonl: () => downloadMetrics('jsonl') }, 'jsonl').name('Download Metrics (JSONL)');
+
     simFolder.open();
     timeFolder.open();
 }
@@ -2244,9 +1239,9 @@ function setupGUI() {
 // ============================================
 function animate() {
     requestAnimationFrame(animate);
-    
+
     const frameDelta = Math.min(clock.getDelta(), 0.1);
-    
+
     // FPS tracking
     frameCount++;
     const now = performance.now();
@@ -2257,34 +1252,36 @@ function animate() {
         stepCountThisSecond = 0;
         lastFPSUpdate = now;
     }
-    
-    // Fixed timestep simulation
-    simulationAccumulator += frameDelta * CONFIG.simulationSpeed;
-    
+
+    // Fixed timestep simulation (paused while the API drives the world)
+    if (!externalStepping) simulationAccumulator += frameDelta * world.config.simulationSpeed;
+
     let steps = 0;
-    while (simulationAccumulator >= CONFIG.fixedTimestep && steps < CONFIG.maxStepsPerFrame) {
-        stepSimulation(CONFIG.fixedTimestep);
-        simulationAccumulator -= CONFIG.fixedTimestep;
+    while (simulationAccumulator >= world.config.fixedTimestep && steps < world.config.maxStepsPerFrame) {
+        stepSimulation(world.config.fixedTimestep);
+        simulationAccumulator -= world.config.fixedTimestep;
         steps++;
         totalSimSteps++;
         stepCountThisSecond++;
     }
-    
+
     // Update visuals
     updateVisuals(frameDelta);
-    
+
     // Update stats
+    const tribeMembers = world.tribeMembers;
+    const hut = world.hut;
     const aliveAgents = tribeMembers.filter(m => m.alive).length;
-    const coconutsAvailable = allTrees.reduce((sum, t) => sum + (t.mesh.userData.coconuts || 0), 0);
-    
+    const coconutsAvailable = world.trees.reduce((sum, t) => sum + (t.coconuts || 0), 0);
+
     // Build stash display with tools included
-    const hutCoconuts = hut ? (hut.storage.coconut || 0) : 0;
-    const hutWood = hut ? (hut.storage.wood || 0) : 0;
-    const hutStone = hut ? (hut.storage.stone || 0) : 0;
-    const hutVines = hut ? (hut.storage.vine || 0) : 0;
-    const hutFish = hut ? (hut.storage.fish || 0) : 0;
-    const hutSpears = hut ? (hut.storage.fishing_spear || 0) : 0;
-    
+    const hutCoconuts = hut.storage.coconut || 0;
+    const hutWood = hut.storage.wood || 0;
+    const hutStone = hut.storage.stone || 0;
+    const hutVines = hut.storage.vine || 0;
+    const hutFish = hut.storage.fish || 0;
+    const hutSpears = hut.storage.fishing_spear || 0;
+
     // Calculate total spears across all agents
     let totalAgentSpears = 0;
     tribeMembers.forEach(m => {
@@ -2293,36 +1290,36 @@ function animate() {
         }
     });
     const totalSpears = hutSpears + totalAgentSpears;
-    
+
+    // The giant squid's warning cools the water
+    const waterCooling = Math.max(0, ...world.threats.map(t => t.warning?.temperatureDrop ?? 0));
+
     const stashDisplay = `🥥${hutCoconuts} 🪵${hutWood} 🪨${hutStone} 🌿${hutVines} 🐟${hutFish} 🗡️${hutSpears}`;
-    
-    // Add spear stats for Resources section
-    const totalSpearsDisplay = totalSpears;
-    
+
     // Calculate crafting status
-    const craftingAgents = tribeMembers.filter(m => 
+    const craftingAgents = tribeMembers.filter(m =>
         m.alive && m.task && (m.task.type === 'craft_spear' || m.task.type === 'walk_to_hut_to_craft')
     );
     let craftingStatus = 'None';
     if (craftingAgents.length > 0) {
-        const craftingSpears = craftingAgents.filter(m => 
+        const craftingSpears = craftingAgents.filter(m =>
             (m.task.recipeId === 'fishing_spear' || m.task.type === 'craft_spear')
         ).length;
         craftingStatus = `${craftingSpears} crafting 🗡️`;
-    } else if (hut && canCraft(hutAsInventory(), 'fishing_spear')) {
+    } else if (canCraft(hutAsInventory(hut), 'fishing_spear', world.tables.tools)) {
         // Can craft but no one is - show requirements
-        const recipe = TOOLS.FISHING_SPEAR.recipe;
+        const recipe = world.tables.tools.FISHING_SPEAR.recipe;
         craftingStatus = `Can craft: 🪵${hutWood}/${recipe.wood} 🌿${hutVines || 0}/${recipe.vine}`;
-    } else if (hut) {
+    } else {
         // Can't craft - show what's missing
-        const recipe = TOOLS.FISHING_SPEAR.recipe;
+        const recipe = world.tables.tools.FISHING_SPEAR.recipe;
         const needWood = Math.max(0, recipe.wood - (hutWood || 0));
         const needVine = Math.max(0, recipe.vine - (hutVines || 0));
         if (needWood > 0 || needVine > 0) {
             craftingStatus = `Need: 🪵${needWood} 🌿${needVine}`;
         }
     }
-    
+
     // Calculate task distribution
     const taskCounts = {};
     tribeMembers.filter(m => m.alive && m.task).forEach(m => {
@@ -2336,27 +1333,47 @@ function animate() {
         })
         .slice(0, 3)
         .join(' ');
-    
+
     updateStats({
         fps: currentFPS,
         stepsPerSecond: stepsPerSecond,
         agentsAlive: aliveAgents,
-        deaths: totalDeaths,
+        deaths: world.totalDeaths,
         coconutsAvailable,
         stashDisplay,
         craftingStatus,
         taskStatus: taskStatus || 'Idle',
-        totalSpears: totalSpearsDisplay,
-        hutSpears: hutSpears
+        totalSpears,
+        hutSpears: hutSpears,
+        timeOfDay: world.timeOfDay,
+        day: world.clock.day,
+        dayPeriod: world.clock.period,
+        waterTemperature: WATER_TEMPERATURE - waterCooling,
+        waterCooling: waterCooling > 0
     });
-    
+
     // Render
     renderer.render(scene, camera);
 }
 
+/**
+ * Check invariants now and log the result
+ */
+function runInvariantChecks() {
+    const violations = world.checkInvariants();
+    violations.forEach(v => logTest(formatViolation(v), 'error'));
+    logTest(`Invariants: ${violations.length} violation(s) at step ${world.stepCount}`,
+        violations.length ? 'error' : 'success');
+    return violations;
+}
+
 function stepSimulation(delta) {
-    updateTribeMembers(delta);
-    regenerateCoconuts(delta);
+    world.step(delta);
+
+    // Sanity check
+    world.tribeMembers.forEach(member => {
+        if (member.alive) checkAgentState(member);
+    });
 }
 
 function updateVisuals(delta) {
@@ -2364,17 +1381,15 @@ function updateVisuals(delta) {
     if (water) {
         water.material.uniforms['time'].value += delta * 0.4;
     }
-    
+
     // Camera
     updateCamera(delta);
-    
-    // Fish
-    updateFish(delta);
-    
-    // Time of day auto-play
-    if (CONFIG.autoPlayTime) {
-        CONFIG.timeOfDay += delta * 0.015;
-        if (CONFIG.timeOfDay > 1) CONFIG.timeOfDay = 0;
+
+    // Mirror world state into meshes
+    syncWorldViews(delta);
+
+    // Lighting follows the sim clock only while auto-play is on
+    if (world.config.autoPlayTime) {
         updateTimeOfDay();
     }
 }
@@ -2388,51 +1403,172 @@ function onResize() {
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
+
+// ============================================
+// SCENARIOS
+// ============================================
+const BUNDLED_SCENARIOS = import.meta.glob('../scenarios/*.json', { eager: true, import: 'default' });
+
+/**
+ * Scenario JSON by bundled name (scenarios/<name>.json) or URL
+ */
+async function fetchScenario(nameOrUrl) {
+    const bundled = BUNDLED_SCENARIOS[`../scenarios/${nameOrUrl}.json`];
+    if (bundled) return bundled;
+
+    const response = await fetch(nameOrUrl);
+    if (!response.ok) throw new Error(`${nameOrUrl}: HTTP ${response.status}`);
+    return await response.text();
+}
+
+// ============================================
+// SNAPSHOTS
+// ============================================
+function loadSnapshot(snapshot) {
+    world.loadSnapshot(snapshot);
+    clearWorldViews();
+    buildWorldViews();
+    updateTimeOfDay();
+    logTest(`Loaded snapshot at step ${world.stepCount}`, 'success');
+}
+
+function downloadSnapshot() {
+    downloadFile(`island-seed${world.seed}-step${world.stepCount}.json`, JSON.stringify(world.saveSnapshot()), 'application/json');
+}
+
+function downloadMetrics(format = 'csv') {
+    if (!world.metrics) return;
+    const type = format === 'csv' ? 'text/csv' : 'application/x-ndjson';
+    downloadFile(`island-seed${world.seed}-metrics.${format}`, world.metrics.export(format), type);
+}
+
+function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function pickSnapshotFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.onchange = async () => {
+        const file = input.files[0];
+        if (!file) return;
+        try {
+            loadSnapshot(await file.text());
+        } catch (err) {
+            logTest(`Snapshot load failed: ${err.message}`, 'error');
+        }
+    };
+    input.click();
+}
+
 // ============================================
 // ML-READY API
 // ============================================
+// Thin wrapper over the World; headless code should use World directly.
+// Once a caller steps or resets through the API, the frame loop stops
+// stepping so every step the caller sees is one it asked for.
+
+function takeExternalControl() {
+    if (externalStepping) return;
+    externalStepping = true;
+    simulationAccumulator = 0;
+    logTest('Simulation paused: IslandSimulationAPI is stepping (resume() hands it back)', 'info');
+}
+
 window.IslandSimulationAPI = {
-    getState: () => tribeMembers.map(a => ({
-        id: a.id,
-        position: { x: a.mesh.position.x, y: a.mesh.position.y, z: a.mesh.position.z },
-        hunger: a.hunger,
-        energy: a.energy,
-        alive: a.alive,
-        state: a.state,
-        inventory: { ...a.inventory }
-    })),
-    
+    // Versioned observations (see src/sim/observation.js)
+    getState: () => world.tribeMembers.map(a => observeAgent(world, a)),
+
     getEnvironmentState: () => ({
-        trees: allTrees.map(t => ({
-            position: { x: t.mesh.position.x, y: t.mesh.position.y, z: t.mesh.position.z },
-            type: t.mesh.userData.treeType,
-            coconuts: t.mesh.userData.coconuts || 0
-        })),
-        timeOfDay: CONFIG.timeOfDay,
-        simulationSpeed: CONFIG.simulationSpeed
+        ...observeWorld(world),
+        timeOfDay: world.timeOfDay,
+        simulationSpeed: world.config.simulationSpeed
     }),
-    
-    setSimulationSpeed: (speed) => { CONFIG.simulationSpeed = Math.max(1, Math.min(50, speed)); },
-    setTimeOfDay: (t) => { CONFIG.timeOfDay = Math.max(0, Math.min(1, t)); updateTimeOfDay(); },
-    
-    step: (n = 1) => { for (let i = 0; i < n; i++) stepSimulation(CONFIG.fixedTimestep); },
-    
-    reset: () => {
-        resetSeed(CONFIG.seed);
-        totalDeaths = 0;
-        createTribeMembers();
-        allTrees.forEach(t => {
-            if (t.mesh.userData.treeType === 'palm') {
-                t.mesh.userData.coconuts = 1 + Math.floor(seededRandom() * 3);
-            }
-        });
+
+    getStateVector: (agentId) => {
+        const agent = world.getAgent(agentId);
+        return agent ? agentVector(world, agent) : null;
     },
-    
-    runSanityChecks: () => runSanityChecks(scene, tribeMembers, allTrees)
+    getObservationSpace: () => env.observationSpace,
+
+    setSimulationSpeed: (speed) => { world.config.simulationSpeed = Math.max(1, Math.min(50, speed)); },
+    setTimeOfDay: (t) => { world.timeOfDay = Math.max(0, Math.min(1, t)); updateTimeOfDay(); },
+
+    // Day, period, lunar calendar and moon phase
+    getClock: () => world.clock.describe(),
+
+    // Subscribe to typed simulation events ('*' for all); returns unsubscribe
+    onEvent: (type, handler) => world.on(type, handler),
+
+    /**
+     * Gym-style step: actions keyed by agent id
+     * Returns { observations, rewards, dones, info }
+     * (a number still advances that many plain fixed steps)
+     */
+    step: (actions = {}) => {
+        takeExternalControl();
+        if (typeof actions === 'number') {
+            for (let i = 0; i < actions; i++) stepSimulation(world.config.fixedTimestep);
+            return;
+        }
+        return env.step(actions);
+    },
+
+    /**
+     * Start a new episode, returns the initial observations
+     * scenario: object or JSON (see src/sim/scenario.js); the seed
+     * defaults to the scenario's, then the current one
+     */
+    reset: ({ seed, scenario } = {}) => {
+        takeExternalControl();
+        const observations = env.reset({ seed, scenario });
+        clearWorldViews();
+        buildWorldViews();
+        updateTimeOfDay();
+        return observations;
+    },
+
+    // Hand stepping back to the frame loop (step() and reset() take it over)
+    resume: () => {
+        externalStepping = false;
+        logTest('Simulation resumed', 'info');
+    },
+
+    // External control: 'external' agents only act on step() actions
+    setController: (agentId, controller) => world.setController(agentId, controller),
+    getActionSpace: () => env.actionSpace,
+
+    // Snapshots (see src/sim/snapshot.js)
+    saveSnapshot: () => world.saveSnapshot(),
+    loadSnapshot: (snapshot) => loadSnapshot(snapshot),
+    downloadSnapshot: () => downloadSnapshot(),
+
+    // Replay recording (see src/sim/replay.js) - verify with `npm run replay <file>`
+    startRecording: (meta) => { world.startRecording(meta); },
+    stopRecording: () => world.stopRecording(),
+
+    // Time-series metrics (see src/sim/metrics.js), sampled since page load
+    getMetrics: () => world.metrics?.rows ?? [],
+    downloadMetrics: (format = 'csv') => downloadMetrics(format),
+
+    runSanityChecks: () => runSanityChecks(scene, getAgentCheckViews(), allTrees),
+
+    // Invariant checks (see src/sim/invariants.js), every 10 steps since page load
+    checkInvariants: () => runInvariantChecks(),
+    getInvariantViolations: () => world.invariants?.violations ?? [],
+
+    // Direct access to the headless simulation
+    getWorld: () => world,
+    getEnvironment: () => env
 };
 
 // ============================================
 // START
 // ============================================
 init();
-
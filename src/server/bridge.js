@@ -0,0 +1,249 @@
+// ============================================
+// BRIDGE - Local WebSocket/HTTP server for external RL clients
+// ============================================
+// Wraps headless IslandEnvironments so non-JS trainers (e.g. a Python gym
+// wrapper) can drive them. Every request names a command and a session:
+//
+//   { id, cmd: 'reset',   session?, seed?, scenario?, options? }
+//   { id, cmd: 'step',    session, actions }
+//   { id, cmd: 'observe', session }
+//   { id, cmd: 'spaces',  session }
+//   { id, cmd: 'close',   session }
+//   { id, cmd: 'sessions' }
+//
+// and gets { id, ok: true, result } or { id, ok: false, error } back.
+// Sessions are keyed by the given session name, or by the seed if none
+// is given. WebSocket text frames are JSON, binary frames are msgpack;
+// replies use the same encoding as the request. Plain HTTP works too:
+// POST /<cmd> with a JSON object body. Sessions created over HTTP have no
+// connection to die with: they close after idleTimeout without requests,
+// or with 'close'. Binds to localhost only by default.
+
+import { createServer } from 'http';
+import { WebSocketServer } from 'ws';
+import { encode, decode } from '@msgpack/msgpack';
+import { IslandEnvironment } from '../sim/environment.js';
+
+export const BRIDGE_DEFAULTS = {
+    host: '127.0.0.1',
+    port: 8765,
+    maxSessions: 64,
+    idleTimeout: 10 * 60 * 1000  // ms before an unused HTTP session is dropped
+};
+
+export class SimulationBridge {
+    /**
+     * @param {object} [options] - See BRIDGE_DEFAULTS
+     * @param {function} [options.log] - (message) => void
+     */
+    constructor(options = {}) {
+        this.options = { ...BRIDGE_DEFAULTS, ...options };
+        this.log = options.log || (() => {});
+        this.sessions = new Map(); // session id -> { env, owner, lastUsed }
+        this.server = null;
+        this.wss = null;
+        this.sweeper = null;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<{host: string, port: number}>}
+     */
+    listen() {
+        this.server = createServer((req, res) => this.handleHttp(req, res));
+        this.wss = new WebSocketServer({ server: this.server });
+        this.wss.on('connection', socket => this.handleSocket(socket));
+        this.sweeper = setInterval(() => this.dropIdleSessions(), Math.min(this.options.idleTimeout, 60 * 1000));
+        this.sweeper.unref();
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                const { address, port } = this.server.address();
+                this.log(`Bridge listening on ws://${address}:${port}`);
+                resolve({ host: address, port });
+            });
+        });
+    }
+
+    /**
+     * Stop listening and drop every session
+     */
+    close() {
+        clearInterval(this.sweeper);
+        this.sessions.clear();
+        this.wss?.clients.forEach(client => client.terminate());
+        return new Promise(resolve => {
+            this.wss?.close();
+            if (this.server) this.server.close(() => resolve());
+            else resolve();
+        });
+    }
+
+    // ============================================
+    // TRANSPORTS
+    // ============================================
+
+    handleSocket(socket) {
+        const owner = Symbol('connection');
+
+        socket.on('message', (data, isBinary) => {
+            let request;
+            try {
+                request = isBinary ? decode(data) : JSON.parse(data.toString());
+            } catch (err) {
+                socket.send(JSON.stringify({ id: null, ok: false, error: `Bad request: ${err.message}` }));
+                return;
+            }
+
+            const reply = this.dispatch(request, owner);
+            socket.send(isBinary ? encode(reply) : JSON.stringify(reply), { binary: isBinary });
+        });
+
+        // Sessions die with the connection that created them
+        socket.on('close', () => {
+            for (const [id, session] of this.sessions) {
+                if (session.owner === owner) this.sessions.delete(id);
+            }
+        });
+    }
+
+    handleHttp(req, res) {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method === 'GET' && req.url === '/health') {
+            send(200, { ok: true, sessions: this.sessions.size });
+            return;
+        }
+        if (req.method !== 'POST') {
+            send(405, { ok: false, error: 'Use POST /<command> or a WebSocket' });
+            return;
+        }
+
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            let request;
+            try {
+                request = body ? JSON.parse(body) : {};
+            } catch (err) {
+                send(400, { ok: false, error: `Bad request: ${err.message}` });
+                return;
+            }
+            if (request === null || typeof request !== 'object' || Array.isArray(request)) {
+                send(400, { ok: false, error: 'Bad request: body must be a JSON object' });
+                return;
+            }
+            request.cmd = req.url.replace(/^\//, '').split('?')[0];
+            const reply = this.dispatch(request, null);
+            send(reply.ok ? 200 : 400, reply);
+        });
+    }
+
+    // ============================================
+    // COMMANDS
+    // ============================================
+
+    dispatch(request, owner) {
+        const id = request?.id ?? null;
+        try {
+            const command = COMMANDS[request?.cmd];
+            if (!command) throw new Error(`Unknown command: ${request?.cmd}`);
+            return { id, ok: true, result: command(this, request, owner) };
+        } catch (err) {
+            return { id, ok: false, error: err.message };
+        }
+    }
+
+    getSession(request) {
+        const id = sessionId(request);
+        const session = this.sessions.get(id);
+        if (!session) throw new Error(`Unknown session: ${id} (call reset first)`);
+        session.lastUsed = Date.now();
+        return session;
+    }
+
+    /**
+     * Drop HTTP sessions unused for idleTimeout (socket sessions close with their socket)
+     * @returns {string[]} dropped session ids
+     */
+    dropIdleSessions(now = Date.now()) {
+        const dropped = [];
+        for (const [id, session] of this.sessions) {
+            if (session.owner === null && now - session.lastUsed >= this.options.idleTimeout) {
+                this.sessions.delete(id);
+                dropped.push(id);
+                this.log(`Session ${id} closed (idle)`);
+            }
+        }
+        return dropped;
+    }
+}
+
+const COMMANDS = {
+    /**
+     * Create the session on first use, then start a new episode
+     * options: IslandEnvironment options (config, maxSteps, stepsPerAction,
+     * externalAgents, observationMode) - only read when the session is created
+     */
+    reset(bridge, request, owner) {
+        const id = sessionId(request);
+        let session = bridge.sessions.get(id);
+
+        if (!session) {
+            if (bridge.sessions.size >= bridge.options.maxSessions) {
+                throw new Error(`Too many sessions (max ${bridge.options.maxSessions})`);
+            }
+            session = {
+                env: new IslandEnvironment({ ...(request.options || {}), seed: request.seed }),
+                owner,
+                lastUsed: Date.now()
+            };
+            bridge.sessions.set(id, session);
+            bridge.log(`Session ${id} created`);
+        }
+
+        session.lastUsed = Date.now();
+        const observations = session.env.reset({ seed: request.seed, scenario: request.scenario });
+        return { session: id, observations };
+    },
+
+    step(bridge, request) {
+        return bridge.getSession(request).env.step(request.actions || {});
+    },
+
+    observe(bridge, request) {
+        const env = bridge.getSession(request).env;
+        return { observations: env.observe(), world: env.observeWorld(), actionMasks: env.actionMasks() };
+    },
+
+    spaces(bridge, request) {
+        const env = bridge.getSession(request).env;
+        return { actionSpace: env.actionSpace, observationSpace: env.observationSpace };
+    },
+
+    close(bridge, request) {
+        const id = sessionId(request);
+        const existed = bridge.sessions.delete(id);
+        if (existed) bridge.log(`Session ${id} closed`);
+        return { session: id, closed: existed };
+    },
+
+    sessions(bridge) {
+        return Array.from(bridge.sessions.entries()).map(([id, { env }]) => ({
+            session: id,
+            seed: env.world.seed,
+            step: env.episodeStep,
+            done: env.done
+        }));
+    }
+};
+
+function sessionId(request) {
+    if (request.session !== undefined && request.session !== null) return String(request.session);
+    if (request.seed !== undefined && request.seed !== null) return String(request.seed);
+    throw new Error('Request needs a session or a seed');
+}
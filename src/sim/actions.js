@@ -0,0 +1,230 @@
+// ============================================
+// ACTIONS - External policy control
+// ============================================
+// Discrete action space built from the task types improvedPlanTask
+// already uses. Agents whose controller is 'external' skip the built-in
+// planner; each action they receive is turned into the same task the
+// planner would have assigned, and runs until it finishes or is replaced.
+// checkAction() runs the planner's own preconditions, so policies get a
+// per-agent mask of valid actions and rejected actions carry a reason code.
+
+import { hasFood, carriedFood, abandonTask } from './behavior.js';
+
+export const CONTROLLERS = {
+    BUILTIN: 'builtin',
+    EXTERNAL: 'external'
+};
+
+/**
+ * Action ids in index order - index i is action i of the discrete space
+ */
+export const ACTIONS = [
+    'noop',                 // Keep doing the current task
+    'gather_coconuts',
+    'gather_wood',
+    'gather_stone',
+    'go_fishing',
+    'haul_to_hut',
+    'craft_spear',
+    'go_hut_for_food',
+    'recover_energy',
+    'eat_from_inventory',
+    'collect_loot'
+];
+
+export const ACTION_COUNT = ACTIONS.length;
+
+// Atomic states finish before a new action is accepted (same rule as the planner)
+const BUSY_STATES = new Set(['gathering', 'crafting', 'eating', 'fishing', 'fleeing', 'fighting', 'rallying']);
+
+/**
+ * Why an action was masked or rejected
+ */
+export const ACTION_REJECTIONS = {
+    UNKNOWN_ACTION: 'unknown_action',
+    UNKNOWN_AGENT: 'unknown_agent',
+    NOT_EXTERNAL: 'not_external',       // Agent is on the built-in AI
+    DEAD: 'dead',
+    CANNOT_ACT: 'cannot_act',           // Life stage can't act (babies)
+    BUSY: 'busy',                       // Mid gathering/crafting/eating/fishing, or fleeing/fighting a threat
+    NO_TARGET: 'no_target',             // Nothing (unclaimed) to gather, fish or collect
+    TASK_CLAIMED: 'task_claimed',       // Another agent has that target
+    NO_SPEAR: 'no_spear',
+    NOTHING_TO_HAUL: 'nothing_to_haul',
+    MISSING_MATERIALS: 'missing_materials',
+    HUT_EMPTY: 'hut_empty',
+    NO_FOOD: 'no_food'
+};
+
+const R = ACTION_REJECTIONS;
+
+/**
+ * Normalize an action given as an index or a name
+ * @returns {string|null} action name, or null if unknown
+ */
+export function resolveAction(action) {
+    if (typeof action === 'number') return ACTIONS[action] ?? null;
+    return ACTIONS.includes(action) ? action : null;
+}
+
+/**
+ * Check an action against the agent's current state
+ * Same preconditions improvedPlanTask uses; claims nothing
+ * @returns {string|null} null if valid, otherwise an ACTION_REJECTIONS code
+ */
+export function checkAction(world, member, action) {
+    const name = resolveAction(action);
+    if (!name) return R.UNKNOWN_ACTION;
+    if (!member.alive) return R.DEAD;
+    if (name === 'noop') return null;
+    if (!member.needs.lifeStage.canAct) return R.CANNOT_ACT;
+    if (BUSY_STATES.has(member.state)) return R.BUSY;
+
+    const hut = world.hut;
+    const helpers = world.aiHelpers;
+
+    switch (name) {
+        case 'gather_coconuts':
+            return checkTarget(world, member, 'gather_coconuts', helpers.findNearestPalmWithCoconuts(member, world.coordinator));
+        case 'gather_wood':
+            return checkTarget(world, member, 'gather_wood', helpers.findNearestJungleTree(member, world.coordinator));
+        case 'gather_stone':
+            return checkTarget(world, member, 'gather_stone', helpers.findNearestRock(member, world.coordinator));
+        case 'go_fishing':
+            if (!helpers.hasSpear(member)) return R.NO_SPEAR;
+            return checkTarget(world, member, 'go_fishing', helpers.findNearestFish(member));
+        case 'haul_to_hut':
+            return member.inventory.slots.size === 0 ? R.NOTHING_TO_HAUL : null;
+        case 'craft_spear':
+            return helpers.canCraftSpear(hut) ? null : R.MISSING_MATERIALS;
+        case 'go_hut_for_food':
+            return hut.storage.coconut > 0 ? null : R.HUT_EMPTY;
+        case 'recover_energy':
+            return null;
+        case 'eat_from_inventory':
+            return hasFood(member.inventory) ? null : R.NO_FOOD;
+        case 'collect_loot':
+            return checkTarget(world, member, 'collect_loot', helpers.findNearestLoot(member, world.coordinator));
+    }
+
+    return R.UNKNOWN_ACTION;
+}
+
+function checkTarget(world, member, type, target) {
+    if (!target) return R.NO_TARGET;
+    const taskKey = world.coordinator.getTaskKey({ type, target });
+    return world.coordinator.isTaskClaimed(taskKey, member.id) ? R.TASK_CLAIMED : null;
+}
+
+/**
+ * Boolean mask over ACTIONS (true = valid right now)
+ * @returns {boolean[]}
+ */
+export function actionMask(world, member) {
+    return ACTIONS.map(name => checkAction(world, member, name) === null);
+}
+
+/**
+ * Turn an action into a task on the agent
+ * @returns {string|null} null if applied, otherwise an ACTION_REJECTIONS code
+ */
+export function applyAction(world, member, action) {
+    const reason = checkAction(world, member, action);
+    if (reason) return reason;
+
+    const name = resolveAction(action);
+    if (name === 'noop') return null;
+
+    const hut = world.hut;
+    const coordinator = world.coordinator;
+    const helpers = world.aiHelpers;
+
+    // Release the claims of the task being replaced before taking new ones
+    abandonTask(world, member);
+
+    switch (name) {
+        case 'gather_coconuts':
+            startGathering(world, member, 'gather_coconuts', 'coconut', helpers.findNearestPalmWithCoconuts);
+            break;
+
+        case 'gather_wood':
+            startGathering(world, member, 'gather_wood', 'wood', helpers.findNearestJungleTree);
+            break;
+
+        case 'gather_stone':
+            startGathering(world, member, 'gather_stone', 'stone', helpers.findNearestRock);
+            break;
+
+        case 'go_fishing': {
+            const fish = helpers.findNearestFish(member);
+            coordinator.claimTask(coordinator.getTaskKey({ type: 'go_fishing', target: fish }), member.id);
+            helpers.claimFish(fish, member);
+
+            member.state = 'walking';
+            member.task = { type: 'go_fishing', target: fish, priority: 'external' };
+            member.targetAngle = helpers.angleTo(member.position, fish.position);
+            break;
+        }
+
+        case 'haul_to_hut':
+            member.state = 'hauling';
+            member.task = { type: 'haul_to_hut', priority: 'external' };
+            member.targetAngle = helpers.angleTo(member.position, hut.position);
+            break;
+
+        case 'craft_spear':
+            if (member.position.distanceTo(hut.position) > 3) {
+                member.state = 'walking';
+                member.task = { type: 'walk_to_hut_to_craft', recipeId: 'fishing_spear', priority: 'external' };
+                member.targetAngle = helpers.angleTo(member.position, hut.position);
+            } else {
+                member.state = 'crafting';
+                member.task = { type: 'craft_spear', recipeId: 'fishing_spear', priority: 'external' };
+                member.actionTimer = 5.0;
+            }
+            break;
+
+        case 'go_hut_for_food':
+            member.state = 'walking';
+            member.task = { type: 'go_hut_for_food', priority: 'external' };
+            member.targetAngle = helpers.angleTo(member.position, hut.position);
+            break;
+
+        case 'recover_energy':
+            member.state = 'resting';
+            member.task = { type: 'recover_energy', priority: 'external' };
+            member.restTime = 4 + world.rng.ai() * 4;
+            break;
+
+        case 'eat_from_inventory':
+            member.state = 'eating';
+            member.task = { type: 'eat_from_inventory', resourceId: carriedFood(member.inventory), priority: 'external' };
+            break;
+
+        case 'collect_loot': {
+            const pile = helpers.findNearestLoot(member, coordinator);
+            coordinator.claimTask(coordinator.getTaskKey({ type: 'collect_loot', target: pile }), member.id);
+            coordinator.claimResource(pile, member.id);
+
+            member.state = 'walking';
+            member.task = { type: 'collect_loot', target: pile, priority: 'external' };
+            member.targetAngle = helpers.angleTo(member.position, pile.position);
+            break;
+        }
+    }
+
+    return null;
+}
+
+// checkAction() already found an unclaimed target
+function startGathering(world, member, type, resourceId, findFunc) {
+    const coordinator = world.coordinator;
+    const target = findFunc(member, coordinator);
+
+    coordinator.claimTask(coordinator.getTaskKey({ type, target }), member.id);
+    coordinator.claimResource(target, member.id);
+
+    member.state = 'walking';
+    member.task = { type, target, resourceId, priority: 'external' };
+    member.targetAngle = world.aiHelpers.angleTo(member.position, target.position);
+}
@@ -0,0 +1,211 @@
+// ============================================
+// BATCH - Many independent islands in parallel (Node only)
+// ============================================
+// Spreads N IslandEnvironments over a pool of worker_threads. Each world
+// keeps its own seed and config; reset/step are batched across all of
+// them and results come back in world order. run() steps every world on
+// the built-in AI inside its worker and returns aggregated metrics.
+
+import { Worker } from 'worker_threads';
+import { availableParallelism } from 'os';
+import { DEATH_CAUSES } from '../systems/needs.js';
+
+export class BatchRunner {
+    /**
+     * @param {object} options
+     * @param {object[]} [options.worlds] - Per-world { seed, config? } (overrides seeds/count)
+     * @param {number[]} [options.seeds] - One world per seed
+     * @param {number} [options.count] - Worlds seeded baseSeed, baseSeed + 1, ...
+     * @param {number} [options.baseSeed]
+     * @param {object} [options.config] - CONFIG overrides shared by every world
+     * @param {object} [options.envOptions] - IslandEnvironment options (maxSteps, observationMode, ...)
+     * @param {number} [options.workers] - Thread pool size (defaults to the core count)
+     */
+    constructor(options = {}) {
+        const worlds = options.worlds
+            || (options.seeds || Array.from({ length: options.count ?? 1 }, (_, i) => (options.baseSeed ?? 1) + i))
+                .map(seed => ({ seed }));
+
+        this.worlds = worlds.map((w, index) => ({
+            index,
+            seed: w.seed,
+            config: { ...(options.config || {}), ...(w.config || {}) },
+            envOptions: options.envOptions || {}
+        }));
+
+        const poolSize = Math.max(1, Math.min(options.workers ?? availableParallelism(), this.worlds.length));
+        this.workers = [];
+        for (let i = 0; i < poolSize; i++) {
+            this.workers.push(new BatchWorker(this.worlds.filter(w => w.index % poolSize === i)));
+        }
+    }
+
+    get size() {
+        return this.worlds.length;
+    }
+
+    /**
+     * Reset every world
+     * @param {object} [options] - { scenario } shared by all worlds; seeds stay per world
+     * @returns {Promise<object[]>} observations per world
+     */
+    reset(options = {}) {
+        return this.broadcast('reset', options);
+    }
+
+    /**
+     * One env step in every world
+     * @param {object[]} [actions] - actions[i] is the action map for world i
+     * @returns {Promise<object[]>} { observations, rewards, dones, info } per world,
+     *   or null for worlds whose episode already ended
+     */
+    step(actions = []) {
+        return this.broadcast('step', { actions });
+    }
+
+    /**
+     * Step every world on the built-in AI until its episode ends
+     * @param {object} [options]
+     * @param {number} [options.steps] - Stop each world after this many env steps
+     * @returns {Promise<object>} see metrics()
+     */
+    async run(options = {}) {
+        await this.broadcast('run', options);
+        return this.metrics();
+    }
+
+    /**
+     * Per-world summaries plus their aggregate
+     * @returns {Promise<{ worlds: object[], aggregate: object }>}
+     */
+    async metrics() {
+        const worlds = await this.broadcast('metrics');
+        return { worlds, aggregate: aggregateMetrics(worlds) };
+    }
+
+    async close() {
+        await Promise.all(this.workers.map(w => w.terminate()));
+    }
+
+    // Send to every worker and put the replies back in world order
+    async broadcast(type, payload = {}) {
+        await Promise.all(this.workers.map(w => w.ready));
+        const replies = await Promise.all(this.workers.map(w => w.call(type, payload)));
+        const results = new Array(this.worlds.length);
+        replies.forEach(reply => {
+            for (const [index, result] of Object.entries(reply)) {
+                results[index] = result;
+            }
+        });
+        return results;
+    }
+}
+
+// One worker thread and its pending requests
+class BatchWorker {
+    constructor(worlds) {
+        this.worker = new Worker(new URL('./batchWorker.js', import.meta.url));
+        this.pending = new Map();
+        this.nextId = 0;
+        this.failure = null;    // Set once the worker has failed; later calls reject with it
+
+        this.worker.on('message', ({ id, result, error }) => {
+            const request = this.pending.get(id);
+            if (!request) return;
+            this.pending.delete(id);
+            if (error) request.reject(new Error(error));
+            else request.resolve(result);
+        });
+        this.worker.on('error', err => this.failAll(err));
+        this.worker.on('exit', code => {
+            if (code !== 0) this.failAll(new Error(`Batch worker exited with code ${code}`));
+        });
+
+        // A failed init surfaces through broadcast(), never as an unhandled rejection
+        this.ready = this.call('init', { worlds });
+        this.ready.catch(() => {});
+    }
+
+    call(type, payload) {
+        if (this.failure) return Promise.reject(this.failure);
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, payload });
+        });
+    }
+
+    failAll(err) {
+        this.failure = this.failure || err;
+        this.pending.forEach(request => request.reject(err));
+        this.pending.clear();
+    }
+
+    terminate() {
+        return this.worker.terminate();
+    }
+}
+
+// ============================================
+// METRICS
+// ============================================
+
+/**
+ * Survival, deaths and production for one world
+ */
+export function summarizeWorld(world) {
+    const agents = world.tribeMembers;
+    const deaths = {};
+    Object.values(DEATH_CAUSES).forEach(cause => { deaths[cause] = 0; });
+    agents.forEach(agent => {
+        if (!agent.alive && agent.deathCause) {
+            deaths[agent.deathCause] = (deaths[agent.deathCause] || 0) + 1;
+        }
+    });
+
+    const alive = agents.filter(a => a.alive).length;
+    const lifetimes = agents.map(a => a.alive ? world.time : (a.deathTime ?? world.time));
+    const lastDeath = Math.max(0, ...lifetimes);
+
+    return {
+        seed: world.seed,
+        steps: world.stepCount,
+        time: world.time,
+        population: agents.length,
+        alive,
+        survivalTime: alive > 0 ? world.time : lastDeath,   // Until the last agent died
+        meanAgentSurvival: lifetimes.length ? lifetimes.reduce((a, b) => a + b, 0) / lifetimes.length : 0,
+        deaths,
+        spearsCrafted: world.stats.spearsCrafted,
+        fishCaught: world.stats.fishCaught,
+        hutStorage: { ...world.hut.storage }
+    };
+}
+
+/**
+ * Combine summarizeWorld() results
+ */
+export function aggregateMetrics(summaries) {
+    const n = summaries.length;
+    const mean = key => n ? summaries.reduce((sum, s) => sum + s[key], 0) / n : 0;
+
+    const deaths = {};
+    summaries.forEach(s => {
+        for (const [cause, count] of Object.entries(s.deaths)) {
+            deaths[cause] = (deaths[cause] || 0) + count;
+        }
+    });
+
+    return {
+        worlds: n,
+        extinctWorlds: summaries.filter(s => s.alive === 0).length,
+        meanSurvivalTime: mean('survivalTime'),
+        meanAgentSurvival: mean('meanAgentSurvival'),
+        meanAlive: mean('alive'),
+        totalDeaths: Object.values(deaths).reduce((a, b) => a + b, 0),
+        deaths,
+        spearsCrafted: summaries.reduce((sum, s) => sum + s.spearsCrafted, 0),
+        meanSpearsCrafted: mean('spearsCrafted'),
+        fishCaught: summaries.reduce((sum, s) => sum + s.fishCaught, 0)
+    };
+}
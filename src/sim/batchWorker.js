@@ -0,0 +1,56 @@
+// ============================================
+// BATCH WORKER - Hosts a share of a BatchRunner's worlds
+// ============================================
+// Requests arrive as { id, type, payload }; every reply is
+// { id, result } with result keyed by world index, or { id, error }.
+
+import { parentPort } from 'worker_threads';
+import { IslandEnvironment } from './environment.js';
+import { summarizeWorld } from './batch.js';
+
+const envs = new Map(); // world index -> IslandEnvironment
+
+const handlers = {
+    init({ worlds }) {
+        worlds.forEach(({ index, seed, config, envOptions }) => {
+            envs.set(index, new IslandEnvironment({ ...envOptions, seed, config }));
+        });
+        return {};
+    },
+
+    reset({ scenario }) {
+        // Keep each world's own seed over the scenario's
+        return forEachEnv(env => env.reset({ seed: env.world.seed, scenario }));
+    },
+
+    step({ actions }) {
+        return forEachEnv((env, index) => env.done ? null : env.step(actions[index] || {}));
+    },
+
+    run({ steps = Infinity }) {
+        return forEachEnv(env => {
+            for (let i = 0; i < steps && !env.done; i++) env.step();
+            return env.episodeStep;
+        });
+    },
+
+    metrics() {
+        return forEachEnv(env => summarizeWorld(env.world));
+    }
+};
+
+function forEachEnv(fn) {
+    const results = {};
+    envs.forEach((env, index) => { results[index] = fn(env, index); });
+    return results;
+}
+
+parentPort.on('message', ({ id, type, payload }) => {
+    try {
+        const handler = handlers[type];
+        if (!handler) throw new Error(`Unknown batch request: ${type}`);
+        parentPort.postMessage({ id, result: handler(payload) });
+    } catch (err) {
+        parentPort.postMessage({ id, error: err.message });
+    }
+});
@@ -0,0 +1,950 @@
+// ============================================
+// AGENT BEHAVIOR - State machine execution
+// ============================================
+// Executes the task chosen by the planner for one agent.
+// Pure simulation logic: no meshes, no DOM. The renderer
+// mirrors agent state (animations, carried items) separately.
+
+import { getTerrainHeight } from '../utils/terrain.js';
+import { Vec3 } from '../utils/vector.js';
+import {
+    addToInventory,
+    removeFromInventory,
+    getInventoryCount,
+    hasInventoryRoom,
+    canCraft,
+    consumeCraftingResources,
+    addTool,
+    equipTool,
+    useTool,
+    getToolCount,
+    isFoodRaw,
+    isFoodSpoiled
+} from '../systems/resources.js';
+import { consumeFood as applyFoodToNeeds } from '../systems/needs.js';
+import { getGatheringSpeed, getGatheringYield, awardXP, XP_REWARDS } from '../systems/skills.js';
+import { FishingSystem } from '../systems/fishing.js';
+import { SOCIAL_ACTIONS } from '../systems/social.js';
+import { socialAction } from './relationships.js';
+import { findMate, meetMate } from './reproduction.js';
+
+// Fighters close to within this of a threat - inside the reach encounters.js strikes from
+const STRIKE_DISTANCE = 6;
+
+/**
+ * Execute the current state of an agent for one step
+ */
+export function executeAgentState(world, member, delta) {
+    switch (member.state) {
+        case 'resting':
+            member.restTime -= delta;
+            if (member.restTime <= 0) {
+                member.state = 'idle';
+                member.task = null;
+            }
+            member.walkPhase += delta * 2;
+            member.terrainY = getTerrainHeight(member.position.x, member.position.z);
+            break;
+
+        case 'eating':
+            if (!member.actionTimer || member.actionTimer === 0) {
+                member.actionTimer = 2.0; // 2 seconds to eat
+            }
+
+            member.walkPhase += delta * 5;
+
+            member.actionTimer -= delta;
+            if (member.actionTimer <= 0) {
+                member.state = 'idle';
+                handleEating(world, member);
+                if (member.state === 'idle') {
+                    member.task = null;
+                }
+            }
+            break;
+
+        case 'walking':
+        case 'hauling':
+        case 'fleeing':
+        case 'rallying':
+            updateWalking(world, member, delta);
+            break;
+
+        case 'fighting':
+            updateFighting(world, member, delta);
+            break;
+
+        case 'fishing':
+            updateFishing(world, member, delta);
+            break;
+
+        case 'gathering':
+            updateGathering(world, member, delta);
+            break;
+
+        case 'crafting':
+            updateCrafting(world, member, delta);
+            break;
+
+        default:
+            // Idle (NO random wandering)
+            member.walkPhase += delta * 2;
+            member.terrainY = getTerrainHeight(member.position.x, member.position.z);
+    }
+}
+
+function updateWalking(world, member, delta) {
+    const config = world.config;
+    const pos = member.position;
+    const speed = config.walkSpeed * delta;
+
+    member.walkPhase += delta * config.walkSpeed * 5;
+
+    const targetPos = resolveTaskTargetPosition(world, member);
+    if (!targetPos) {
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    const dx = targetPos.x - pos.x;
+    const dz = targetPos.z - pos.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+
+    if (dist < 1.5) {
+        // Reached destination
+        onDestinationReached(world, member);
+    } else {
+        member.targetAngle = Math.atan2(dx, dz);
+
+        const angleDiff = normalizeAngle(member.targetAngle - member.heading);
+        member.heading += angleDiff * delta * 4;
+
+        pos.x += Math.sin(member.heading) * speed;
+        pos.z += Math.cos(member.heading) * speed;
+
+        // ALWAYS snap to terrain to prevent glitching through map
+        const terrainY = getTerrainHeight(pos.x, pos.z);
+        const bounce = Math.abs(Math.sin(member.walkPhase)) * 0.04;
+        pos.y = terrainY + bounce;
+
+        // CRITICAL: Prevent agents from entering ocean (deadly!)
+        const distFromCenter = Math.sqrt(pos.x ** 2 + pos.z ** 2);
+        const minSafeHeight = config.waterLevel + 0.5; // Must stay above water
+        if (pos.y < minSafeHeight || distFromCenter > config.islandRadius * 0.88) {
+            // Too close to water or too far out - move back to safety
+            member.targetAngle = Math.atan2(-pos.x, -pos.z);
+            const safeDist = config.islandRadius * 0.85;
+            pos.x = Math.cos(member.targetAngle) * safeDist;
+            pos.z = Math.sin(member.targetAngle) * safeDist;
+            const safeTerrainY = getTerrainHeight(pos.x, pos.z);
+            pos.y = Math.max(safeTerrainY + bounce, minSafeHeight);
+        }
+    }
+}
+
+function updateGathering(world, member, delta) {
+    const config = world.config;
+    const pos = member.position;
+    const task = member.task;
+    if (!task || !task.target) {
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    // Face the resource we're gathering
+    const targetPos = task.target.position || task.target;
+    member.targetAngle = angleTo(pos, targetPos);
+    const angleDiff = normalizeAngle(member.targetAngle - member.heading);
+    member.heading += angleDiff * delta * 6;
+
+    // Stop at gathering distance, don't walk into the resource
+    const distToResource = pos.distanceTo(targetPos);
+    if (distToResource > 2.5) {
+        const speed = config.walkSpeed * delta;
+        member.heading += normalizeAngle(angleTo(pos, targetPos) - member.heading) * delta * 4;
+        pos.x += Math.sin(member.heading) * speed;
+        pos.z += Math.cos(member.heading) * speed;
+        const terrainY = getTerrainHeight(pos.x, pos.z);
+        const bounce = Math.abs(Math.sin((member.walkPhase || 0) * 5)) * 0.04;
+        pos.y = terrainY + bounce;
+        return; // Still walking to resource
+    }
+
+    member.walkPhase = (member.walkPhase || 0) + delta * 10;
+    pos.y = getTerrainHeight(pos.x, pos.z);
+
+    const resources = world.tables.resources;
+    const baseResource = resources[task.resourceId?.toUpperCase()] || resources[task.resourceId];
+    const baseTime = baseResource?.gatherTime || 1.0;
+    const effectiveTime = getGatheringSpeed(member.skills, baseTime);
+
+    if (member.actionTimer <= 0) {
+        member.actionTimer = effectiveTime;
+    }
+
+    member.actionTimer -= delta;
+    if (member.actionTimer > 0) return;
+
+    // Apply yield
+    const baseYield = task.resourceId === 'coconut' ? 3 : 2;
+    const amount = Math.max(1, getGatheringYield(member.skills, baseYield));
+
+    if (!hasInventoryRoom(member.inventory, task.resourceId, world.tables.resources)) {
+        // Inventory full -> haul
+        member.state = 'hauling';
+        member.task = { type: 'haul_to_hut' };
+        return;
+    }
+
+    addToInventory(member.inventory, task.resourceId, amount, { spawnTime: world.time }, world.tables.resources);
+
+    // Take coconuts off the tree we gathered from
+    const tree = task.targetTree || task.target;
+    if (task.type === 'gather_coconuts' && tree.coconuts > 0) {
+        const taken = Math.min(amount, tree.coconuts);
+        tree.coconuts -= taken;
+    }
+
+    world.emit('resource_gathered', {
+        agentId: member.id,
+        resourceId: task.resourceId,
+        amount,
+        sourceId: tree?.id ?? null
+    });
+
+    grantXP(world, member, task.resourceId === 'coconut' ? 'gather_coconut' :
+        (task.resourceId === 'wood' ? 'gather_wood' : 'gather_stone'));
+
+    // Release resource and task claims after gathering
+    const coordinator = world.coordinator;
+    if (coordinator && task.target) {
+        coordinator.releaseResource(task.target, member.id);
+        const taskKey = coordinator.getTaskKey(task);
+        if (taskKey) {
+            coordinator.releaseTask(taskKey, member.id);
+        }
+    }
+
+    // After gather, immediately haul to hut
+    member.state = 'hauling';
+    member.task = { type: 'haul_to_hut' };
+    member.actionTimer = 0;
+}
+
+// Close in on the threat and strike until encounters.js ends the fight
+// (a rallied party waits here for a boss still giving its warnings)
+function updateFighting(world, member, delta) {
+    const threat = world.getThreat(member.task?.threatId);
+    if (!threat || !(threat.inCombat || threat.state === 'warning')) {
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    const pos = member.position;
+    member.targetAngle = angleTo(pos, threat.position);
+    member.heading += normalizeAngle(member.targetAngle - member.heading) * delta * 6;
+    member.walkPhase += delta * 8;
+
+    // Step towards it while out of spear reach, never into the water
+    const dist = Math.hypot(threat.position.x - pos.x, threat.position.z - pos.z);
+    if (threat.inCombat && dist > STRIKE_DISTANCE) {
+        const step = world.config.walkSpeed * delta;
+        const x = pos.x + (threat.position.x - pos.x) / dist * step;
+        const z = pos.z + (threat.position.z - pos.z) / dist * step;
+        if (getTerrainHeight(x, z) >= world.config.waterLevel + 0.5) {
+            pos.x = x;
+            pos.z = z;
+        }
+    }
+    member.terrainY = getTerrainHeight(pos.x, pos.z);
+    pos.y = member.terrainY;
+}
+
+function releaseFishingClaims(world, member, task) {
+    world.fishingSystem.releaseFish(task.target, member.id);
+    if (world.coordinator) {
+        const taskKey = world.coordinator.getTaskKey(task);
+        if (taskKey) {
+            world.coordinator.releaseTask(taskKey, member.id);
+        }
+    }
+}
+
+function updateFishing(world, member, delta) {
+    const config = world.config;
+    const task = member.task;
+    if (!task || task.type !== 'go_fishing' || !task.target) {
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    // CRITICAL: Never allow agents to go into ocean - fishing is from SHORE ONLY
+    if (member.position.y < config.waterLevel + 0.3) {
+        member.state = 'walking';
+        member.task = { type: 'escape_water' };
+        releaseFishingClaims(world, member, task);
+        return;
+    }
+
+    member.fishingPhase = (member.fishingPhase || 0) + delta * 3;
+
+    // Check if fish moved out of range
+    const fishPos = task.target.position;
+    if (!FishingSystem.isInStrikingRange(member.position, fishPos)) {
+        // Fish escaped, replan
+        member.state = 'idle';
+        member.task = null;
+        releaseFishingClaims(world, member, task);
+        return;
+    }
+
+    // Face the fish
+    member.targetAngle = angleTo(member.position, fishPos);
+    member.heading += (member.targetAngle - member.heading) * delta * 5;
+
+    // Fishing takes time
+    const fishingTime = 4.0;
+    if (member.actionTimer <= 0) {
+        member.actionTimer = fishingTime;
+    }
+
+    member.actionTimer -= delta;
+    if (member.actionTimer > 0) return;
+
+    // Attempt to catch fish
+    const success = FishingSystem.attemptCatch(member, task.target, world.fishingSystem, world.rng.fishing);
+
+    if (!success) {
+        // Missed - try again (spear not consumed on miss)
+        member.actionTimer = fishingTime;
+        return;
+    }
+
+    // Caught fish! Spear is consumed (one-use only)
+    if (!useTool(member.inventory, 'fishing_spear')) {
+        // No spear left (shouldn't happen, but safety check)
+        member.state = 'idle';
+        member.task = null;
+        releaseFishingClaims(world, member, task);
+        return;
+    }
+
+    addToInventory(member.inventory, 'fish', 1, { spawnTime: world.time }, world.tables.resources);
+    releaseFishingClaims(world, member, task);
+    world.stats.fishCaught++;
+    member.stats.fishCaught++;
+    world.emit('fish_caught', { agentId: member.id, fishId: task.target.id });
+
+    grantXP(world, member, 'fishing');
+
+    // Consume energy
+    member.needs.energy = Math.max(0, member.needs.energy - 0.15);
+
+    // Return to shore and haul to hut
+    member.state = 'hauling';
+    member.task = { type: 'haul_to_hut' };
+    member.actionTimer = 0;
+
+    world.log(`Agent ${member.id} caught a fish! (spear consumed)`, 'success');
+}
+
+function updateCrafting(world, member, delta) {
+    const hut = world.hut;
+    const task = member.task;
+    if (!task || task.type !== 'craft_spear' || !hut) {
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    // Ensure agent is at hut before crafting
+    if (member.position.distanceTo(hut.position) > 3) {
+        member.state = 'walking';
+        member.task = { type: 'walk_to_hut_to_craft', recipeId: task.recipeId };
+        member.targetAngle = angleTo(member.position, hut.position);
+        return;
+    }
+
+    member.actionTimer -= delta;
+    member.walkPhase += delta * 4;
+
+    if (member.actionTimer > 0) return;
+
+    const hutInventory = hutAsInventory(hut);
+    if (!canCraft(hutInventory, task.recipeId, world.tables.tools)) {
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    consumeCraftingResources(hutInventory, task.recipeId, world.tables.tools);
+    syncHutFromInventory(hut, hutInventory);
+
+    // Agents carry at most 2 spears
+    const currentSpearCount = getToolCount(member.inventory, 'fishing_spear');
+    const maxSpears = 2;
+
+    if (currentSpearCount < maxSpears && addTool(member.inventory, 'fishing_spear', null, world.tables.tools)) {
+        equipTool(member.inventory, 'fishing_spear');
+    }
+
+    // Always store in hut (even if agent already has 2)
+    hut.storage.fishing_spear = (hut.storage.fishing_spear || 0) + 1;
+    world.stats.spearsCrafted++;
+    member.stats.spearsCrafted++;
+    world.emit('item_crafted', { agentId: member.id, itemId: 'fishing_spear' });
+
+    grantXP(world, member, 'craft_tool');
+
+    member.state = 'idle';
+    member.task = null;
+}
+
+/**
+ * Resolve the world position an agent's current task walks towards
+ */
+export function resolveTaskTargetPosition(world, member) {
+    const config = world.config;
+    const hut = world.hut;
+    const task = member.task;
+    if (!task) return null;
+
+    // Tasks that go to hut
+    if (task.type === 'haul_to_hut' || task.type === 'go_hut_for_food' ||
+        task.type === 'patrol_to_hut' || task.type === 'go_hut_for_helping' ||
+        task.type === 'get_spear_from_hut' || task.type === 'walk_to_hut_to_craft') {
+        return hut ? hut.position : null;
+    }
+
+    // Gathering tasks
+    if ((task.type === 'gather_coconuts' || task.type === 'gather_wood' || task.type === 'gather_stone') && task.target) {
+        return task.target.position;
+    }
+
+    // Loot pile, while it's still on the beach
+    if (task.type === 'collect_loot' && world.loot.includes(task.target)) {
+        return task.target.position;
+    }
+
+    // Fishing task - go to shore position to throw spear from land (NEVER enter water)
+    if (task.type === 'go_fishing' && task.target) {
+        const spot = FishingSystem.calculateFishingSpot(member.position, task.target.position, config.waterLevel, config.islandRadius);
+        // Use terrain height to ensure agent stays on land (SAFETY: always above water)
+        const terrainY = getTerrainHeight(spot.x, spot.z);
+        return new Vec3(spot.x, Math.max(terrainY, config.waterLevel + 0.5), spot.z);
+    }
+
+    // Running from a threat - head inland
+    if (task.type === 'flee_threat') {
+        const safeDist = config.islandRadius * 0.5;
+        const angle = Math.atan2(member.position.z, member.position.x);
+        const safeX = Math.cos(angle) * safeDist;
+        const safeZ = Math.sin(angle) * safeDist;
+        return new Vec3(safeX, getTerrainHeight(safeX, safeZ), safeZ);
+    }
+
+    // Rallying to meet a threat at the shore
+    if (task.type === 'rally_to_threat') {
+        const threat = world.getThreat(task.threatId);
+        return threat?.musterPoint ? new Vec3(threat.musterPoint.x, threat.musterPoint.y, threat.musterPoint.z) : null;
+    }
+
+    // Emergency escape from water - go to nearest safe land
+    if (task.type === 'escape_water') {
+        const safeDist = config.islandRadius * 0.85;
+        const angle = Math.atan2(member.position.z, member.position.x);
+        const safeX = Math.cos(angle) * safeDist;
+        const safeZ = Math.sin(angle) * safeDist;
+        return new Vec3(safeX, getTerrainHeight(safeX, safeZ), safeZ);
+    }
+
+    // Helping another agent, or going to a partner
+    if ((task.type === 'help_agent' || task.type === 'seek_mate') && task.targetAgent) {
+        const targetMember = world.getAgent(task.targetAgent);
+        if (targetMember && targetMember.alive) {
+            return targetMember.position;
+        }
+    }
+
+    // Fishing
+    if (task.type === 'go_fishing_spot') {
+        const angle = Math.atan2(member.position.x, member.position.z);
+        const dist = config.islandRadius * 1.1;
+        return new Vec3(Math.sin(angle) * dist, config.waterLevel, Math.cos(angle) * dist);
+    }
+
+    return null;
+}
+
+function onDestinationReached(world, member) {
+    const hut = world.hut;
+    const task = member.task;
+    if (!task) {
+        member.state = 'idle';
+        return;
+    }
+
+    if (task.type === 'haul_to_hut' && hut) {
+        // Deposit all carried stackable resources
+        Array.from(member.inventory.slots.entries()).forEach(([resourceId, slot]) => {
+            const amount = slot.count;
+            removeFromInventory(member.inventory, resourceId, amount);
+
+            if (hut.storage[resourceId] == null) {
+                hut.storage[resourceId] = 0;
+            }
+            hut.storage[resourceId] += amount;
+            member.stats.deposited += amount;
+            world.emit('deposit', { agentId: member.id, resourceId, amount });
+        });
+
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    if (task.type === 'go_hut_for_food' && hut && hut.storage.coconut > 0) {
+        // Take up to 2 coconuts to eat and maybe carry one
+        const take = Math.min(2, hut.storage.coconut);
+        hut.storage.coconut -= take;
+        addToInventory(member.inventory, 'coconut', take, { spawnTime: world.time }, world.tables.resources);
+        member.state = 'eating';
+        member.task = { type: 'eat_from_inventory', resourceId: 'coconut' };
+        return;
+    }
+
+    if (task.type === 'gather_coconuts' || task.type === 'gather_wood' || task.type === 'gather_stone' || task.type === 'gather_vine') {
+        // Only start gathering once within reach (2.5 units)
+        const targetPos = task.target?.position || task.target;
+        if (member.position.distanceTo(targetPos) > 2.5) {
+            return; // Keep walking
+        }
+
+        // Close enough - start gathering (resource claim already made, keep it)
+        member.state = 'gathering';
+        member.actionTimer = 0;
+        return;
+    }
+
+    if (task.type === 'collect_loot' && task.target) {
+        collectLoot(world, member, task.target);
+        return;
+    }
+
+    if (task.type === 'go_fishing' && task.target) {
+        if (FishingSystem.isInStrikingRange(member.position, task.target.position)) {
+            member.state = 'fishing';
+            member.actionTimer = 0;
+            member.fishingPhase = 0;
+            return;
+        }
+
+        // Fish moved away, replan - release claim
+        if (world.coordinator) {
+            world.coordinator.releaseResource(task.target, member.id);
+        }
+        releaseFishingClaims(world, member, task);
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    if (task.type === 'go_fishing_spot') {
+        member.state = 'fishing';
+        member.actionTimer = 3 + world.rng.ai() * 3;
+        return;
+    }
+
+    // At the muster point - stand with the hunting party
+    if (task.type === 'rally_to_threat') {
+        member.state = 'fighting';
+        member.task = { type: 'fight_threat', threatId: task.threatId };
+        return;
+    }
+
+    // Patrol to hut or fled far enough - just arrive and go idle (ready for new tasks)
+    if (task.type === 'patrol_to_hut' || task.type === 'flee_threat') {
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    // Go to hut to get food for helping
+    if (task.type === 'go_hut_for_helping' && hut && hut.storage.coconut > world.tribeMembers.length) {
+        const take = Math.min(2, hut.storage.coconut - world.tribeMembers.length);
+        if (take > 0) {
+            hut.storage.coconut -= take;
+            addToInventory(member.inventory, 'coconut', take, { spawnTime: world.time }, world.tables.resources);
+        }
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    // Walk to hut to craft
+    if (task.type === 'walk_to_hut_to_craft' && hut) {
+        if (canCraft(hutAsInventory(hut), task.recipeId, world.tables.tools)) {
+            member.state = 'crafting';
+            member.task = { type: 'craft_spear', recipeId: task.recipeId };
+            member.actionTimer = 5.0;
+        } else {
+            // Resources gone - abort
+            member.state = 'idle';
+            member.task = null;
+        }
+        return;
+    }
+
+    // Get spear from hut
+    if (task.type === 'get_spear_from_hut' && hut) {
+        if (hut.storage.fishing_spear > 0 && getToolCount(member.inventory, 'fishing_spear') < 2) {
+            if (addTool(member.inventory, 'fishing_spear', null, world.tables.tools)) {
+                hut.storage.fishing_spear--;
+                equipTool(member.inventory, 'fishing_spear');
+            }
+        }
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    if (task.type === 'escape_water') {
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    // Met the partner - mate or court
+    if (task.type === 'seek_mate') {
+        meetMate(world, member, world.getAgent(task.targetAgent));
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    // Help agent - give them food, fish, or spear
+    if (task.type === 'help_agent') {
+        const targetMember = world.getAgent(task.targetAgent);
+        if (targetMember && targetMember.alive) {
+            giveHelp(world, member, targetMember, task);
+        }
+        member.state = 'idle';
+        member.task = null;
+        return;
+    }
+
+    member.state = 'idle';
+    member.task = null;
+}
+
+function giveHelp(world, member, targetMember, task) {
+    // Give fish if available
+    if (getInventoryCount(member.inventory, 'fish') > 0 && targetMember.needs.hunger < 0.5) {
+        removeFromInventory(member.inventory, 'fish', 1);
+        handOverFood(world, targetMember, 'fish');
+        socialAction(world, member, targetMember, SOCIAL_ACTIONS.SHARE_FOOD);
+        world.log(`Agent ${member.id} gave fish to ${targetMember.id}`, 'success');
+        return true;
+    }
+
+    // Give coconut/food if available
+    if (hasFood(member.inventory) && targetMember.needs.hunger < 0.5) {
+        removeFromInventory(member.inventory, 'coconut', 1);
+        handOverFood(world, targetMember, 'coconut');
+        socialAction(world, member, targetMember, SOCIAL_ACTIONS.SHARE_FOOD);
+        world.log(`Agent ${member.id} gave food to ${targetMember.id}`, 'success');
+        return true;
+    }
+
+    // Give spear if target needs it for fishing (and we have extras)
+    if (task.giveSpear && member.inventory.tools.has('fishing_spear')) {
+        const spearCount = getToolCount(member.inventory, 'fishing_spear');
+        if (spearCount > 1 || !FishingSystem.hasSpear(targetMember.inventory)) {
+            const toolData = member.inventory.tools.get('fishing_spear');
+            if (toolData.count && toolData.count > 1) {
+                toolData.count--;
+            } else {
+                member.inventory.tools.delete('fishing_spear');
+                if (member.inventory.equippedTool === 'fishing_spear') {
+                    member.inventory.equippedTool = null;
+                }
+            }
+            addTool(targetMember.inventory, 'fishing_spear', null, world.tables.tools);
+            equipTool(targetMember.inventory, 'fishing_spear');
+            socialAction(world, member, targetMember, SOCIAL_ACTIONS.HELP);
+            world.log(`Agent ${member.id} gave spear to ${targetMember.id}`, 'success');
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// Take as much of a loot pile as fits, then carry it to the hut
+function collectLoot(world, member, pile) {
+    world.coordinator.releaseResource(pile, member.id);
+    world.coordinator.releaseTask(world.coordinator.getTaskKey(member.task), member.id);
+
+    const resources = world.tables.resources;
+    const stackSize = (resources[pile.itemId.toUpperCase()] || resources[pile.itemId])?.stackSize || 10;
+    const carried = getInventoryCount(member.inventory, pile.itemId);
+    const room = carried > 0 || hasInventoryRoom(member.inventory) ? stackSize - carried : 0;
+    const amount = Math.min(pile.count, room);
+
+    if (amount > 0 && addToInventory(member.inventory, pile.itemId, amount, { spawnTime: pile.droppedAt }, resources)) {
+        pile.count -= amount;
+        if (pile.count <= 0) world.loot = world.loot.filter(p => p !== pile);
+        world.emit('resource_gathered', { agentId: member.id, resourceId: pile.itemId, amount, sourceId: pile.id });
+    }
+
+    member.state = member.inventory.slots.size > 0 && world.hut ? 'hauling' : 'idle';
+    member.task = member.state === 'hauling' ? { type: 'haul_to_hut' } : null;
+}
+
+// Babies can't eat by themselves - they are fed on the spot
+function handOverFood(world, targetMember, resourceId) {
+    if (targetMember.needs.lifeStage.canAct) {
+        addToInventory(targetMember.inventory, resourceId, 1, { spawnTime: world.time }, world.tables.resources);
+    } else {
+        eatFood(world, targetMember, resourceId);
+    }
+}
+
+function handleEating(world, member) {
+    const task = member.task;
+    const resourceId = task?.resourceId || 'coconut';
+    const removed = removeFromInventory(member.inventory, resourceId, 1);
+    if (!removed) return;
+
+    eatFood(world, member, resourceId, removed[0]);
+
+    // If still hungry and has more, eat one more, else keep one to haul
+    const remaining = getInventoryCount(member.inventory, resourceId);
+    if (member.needs.hunger < 0.6 && remaining > 0) {
+        eatFood(world, member, resourceId, removeFromInventory(member.inventory, resourceId, 1)[0]);
+    }
+
+    if (getInventoryCount(member.inventory, resourceId) > 0 && world.hut) {
+        // Carry leftovers back to hut
+        member.state = 'hauling';
+        member.task = { type: 'haul_to_hut' };
+    }
+}
+
+// One portion of food (already taken from wherever it was)
+// item is its tracked inventory entry, if any: raw or spoiled food can make the agent sick
+function eatFood(world, member, resourceId, item = {}) {
+    const resources = world.tables.resources;
+    const nutrition = resources[resourceId.toUpperCase()]?.nutrition || world.config.coconutNutrition;
+    const wasSick = member.needs.isSick;
+    const food = {
+        nutrition,
+        isRaw: isFoodRaw(resourceId, item, resources),
+        isSpoiled: isFoodSpoiled(item, world.time)
+    };
+    if (applyFoodToNeeds(member.needs, food, world.rng.needs, world.tables.needs).gotSick && !wasSick) {
+        world.emit('got_sick', { agentId: member.id, source: 'food' });
+    }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Drop the current task, releasing its fish, resource and task claims
+ */
+export function abandonTask(world, member) {
+    const task = member.task;
+    if (task?.target) {
+        world.fishingSystem.releaseFish(task.target, member.id);
+        world.coordinator.releaseResource(task.target, member.id);
+        const taskKey = world.coordinator.getTaskKey(task);
+        if (taskKey) world.coordinator.releaseTask(taskKey, member.id);
+    }
+    member.state = 'idle';
+    member.task = null;
+    member.actionTimer = 0;
+}
+
+/**
+ * Award XP for an action and report level-ups
+ */
+export function grantXP(world, member, actionId) {
+    const { leveled, newLevel } = awardXP(member.skills, actionId, []);
+    if (leveled) {
+        world.emit('level_up', { agentId: member.id, skillId: XP_REWARDS[actionId].skill, level: newLevel });
+    }
+}
+
+export function angleTo(from, to) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    return Math.atan2(dx, dz);
+}
+
+export function normalizeAngle(a) {
+    while (a > Math.PI) a -= Math.PI * 2;
+    while (a < -Math.PI) a += Math.PI * 2;
+    return a;
+}
+
+export function hasFood(inventory) {
+    return carriedFood(inventory) !== null;
+}
+
+/**
+ * Food to eat from an inventory: coconuts first, then fish
+ * @returns {string|null} resource id, or null if there is none
+ */
+export function carriedFood(inventory) {
+    return ['coconut', 'fish'].find(id => getInventoryCount(inventory, id) > 0) ?? null;
+}
+
+/**
+ * Minimal adapter so we can reuse crafting helpers on hut storage
+ */
+export function hutAsInventory(hut) {
+    return {
+        slots: new Map(Object.entries(hut.storage).map(([id, count]) => [id, { count, items: [] }])),
+        maxSlots: 16
+    };
+}
+
+/**
+ * Write counts from a hutAsInventory() adapter back into hut storage
+ */
+function syncHutFromInventory(hut, hutInventory) {
+    Object.keys(hut.storage).forEach(id => {
+        hut.storage[id] = getInventoryCount(hutInventory, id);
+    });
+}
+
+/**
+ * Count spears held by living agents plus spears stored in the hut
+ */
+export function getTotalSpearsInTribeAndHut(world) {
+    let total = world.hut ? (world.hut.storage.fishing_spear || 0) : 0;
+    world.tribeMembers.forEach(m => {
+        if (m.alive && m.inventory) {
+            total += getToolCount(m.inventory, 'fishing_spear');
+        }
+    });
+    return total;
+}
+
+/**
+ * Check whether any claimed resource (other than the agent's own)
+ * lies within minDistance of a candidate position
+ */
+function isNearClaimedResource(world, candidate, agentId, coordinator, minDistance) {
+    for (const [claimedId, claimingAgent] of coordinator.claimedResources.entries()) {
+        if (claimingAgent === agentId) continue;
+        const claimed = world.getResource(claimedId);
+        if (claimed && candidate.position.distanceTo(claimed.position) < minDistance) {
+            return true;
+        }
+    }
+    return false;
+}
+
+export function findNearestPalmWithCoconuts(world, member, coordinator = null) {
+    let nearest = null;
+    let nearestDist = Infinity;
+    const minDistanceBetweenWorkers = 5; // Prevent multiple agents working within 5 units
+
+    world.trees.forEach(tree => {
+        if (tree.type !== 'palm' || tree.coconuts <= 0) return;
+        if (coordinator && coordinator.isResourceClaimed(tree, member.id)) return;
+        if (coordinator && isNearClaimedResource(world, tree, member.id, coordinator, minDistanceBetweenWorkers)) return;
+
+        const dist = tree.position.distanceTo(member.position);
+        if (dist < nearestDist) {
+            nearestDist = dist;
+            nearest = tree;
+        }
+    });
+
+    return nearest;
+}
+
+export function findNearestJungleTree(world, member, coordinator = null) {
+    let nearest = null;
+    let nearestDist = Infinity;
+
+    world.trees.forEach(tree => {
+        if (coordinator && coordinator.isResourceClaimed(tree, member.id)) return;
+
+        const dist = tree.position.distanceTo(member.position);
+        if (dist < nearestDist) {
+            nearestDist = dist;
+            nearest = tree;
+        }
+    });
+
+    return nearest;
+}
+
+export function findNearestRock(world, member, coordinator = null) {
+    let nearest = null;
+    let nearestDist = Infinity;
+    const minDistanceBetweenWorkers = 5; // Prevent multiple agents working within 5 units
+
+    world.rocks.forEach(rock => {
+        if (coordinator && coordinator.isResourceClaimed(rock, member.id)) return;
+        if (coordinator && isNearClaimedResource(world, rock, member.id, coordinator, minDistanceBetweenWorkers)) return;
+
+        const dist = rock.position.distanceTo(member.position);
+        if (dist < nearestDist) {
+            nearestDist = dist;
+            nearest = rock;
+        }
+    });
+
+    return nearest;
+}
+
+/**
+ * Nearest loot pile nobody else is fetching that the agent has room for
+ */
+export function findNearestLoot(world, member, coordinator = null) {
+    let nearest = null;
+    let nearestDist = Infinity;
+
+    world.loot.forEach(pile => {
+        if (coordinator && coordinator.isResourceClaimed(pile, member.id)) return;
+        if (!hasInventoryRoom(member.inventory, pile.itemId, world.tables.resources)) return;
+
+        const dist = pile.position.distanceTo(member.position);
+        if (dist < nearestDist) {
+            nearestDist = dist;
+            nearest = pile;
+        }
+    });
+
+    return nearest;
+}
+
+/**
+ * Helper bundle handed to improvedPlanTask, bound to a world
+ */
+export function createAIHelpers(world) {
+    return {
+        angleTo,
+        hasFood,
+        carriedFood,
+        canCraftSpear: (hut) => !!hut && canCraft(hutAsInventory(hut), 'fishing_spear', world.tables.tools),
+        findNearestPalmWithCoconuts: (member, coordinator) => findNearestPalmWithCoconuts(world, member, coordinator),
+        findNearestJungleTree: (member, coordinator) => findNearestJungleTree(world, member, coordinator),
+        findNearestRock: (member, coordinator) => findNearestRock(world, member, coordinator),
+        findNearestLoot: (member, coordinator) => findNearestLoot(world, member, coordinator),
+        findNearestFish: (member) => FishingSystem.findNearestFish(member, world.fishList, world.fishingSystem),
+        hasSpear: (member) => FishingSystem.hasSpear(member.inventory),
+        claimFish: (fish, member) => world.fishingSystem.claimFish(fish, member.id),
+        findMate: (member) => findMate(world, member)
+    };
+}
@@ -0,0 +1,169 @@
+// ============================================
+// CLOCK - Authoritative simulation calendar
+// ============================================
+// Advanced by World.step(), so it moves with ticks at any render speed.
+// Tracks the day number and time of day (0-1 across a full day, 0 =
+// midnight, 0.5 = midday), and derives the day period, a lunar calendar
+// and the moon phase from them. Lengths come from config (dayLength,
+// moonCycleDays) and are read live, so GUI changes apply immediately.
+
+/**
+ * Time-of-day ranges [start, end) of each period; night wraps midnight
+ */
+export const DAY_PERIODS = {
+    dawn: [0.12, 0.2],
+    day: [0.2, 0.8],
+    dusk: [0.8, 0.88]
+};
+
+export const MOON_PHASES = [
+    'new', 'waxing_crescent', 'first_quarter', 'waxing_gibbous',
+    'full', 'waning_gibbous', 'last_quarter', 'waning_crescent'
+];
+
+/**
+ * Period name for a time of day: 'night', 'dawn', 'day' or 'dusk'
+ */
+export function getDayPeriod(timeOfDay) {
+    for (const [name, [start, end]] of Object.entries(DAY_PERIODS)) {
+        if (timeOfDay >= start && timeOfDay < end) return name;
+    }
+    return 'night';
+}
+
+export class SimClock {
+    /**
+     * @param {object} config - World config (dayLength, moonCycleDays, timeOfDay)
+     * @param {object} [state] - { day, timeOfDay }, defaults to day 0 at config.timeOfDay
+     */
+    constructor(config, { day = 0, timeOfDay = config.timeOfDay } = {}) {
+        this.config = config;
+        this.day = day;
+        this.timeOfDay = timeOfDay;
+    }
+
+    /**
+     * Move forward by delta simulated seconds
+     */
+    advance(delta) {
+        this.timeOfDay += delta / this.config.dayLength;
+        while (this.timeOfDay >= 1) {
+            this.timeOfDay -= 1;
+            this.day++;
+        }
+    }
+
+    /**
+     * Days since the start, including the fraction of today
+     */
+    get totalDays() {
+        return this.day + this.timeOfDay;
+    }
+
+    get period() {
+        return getDayPeriod(this.timeOfDay);
+    }
+
+    get isNight() {
+        return this.period === 'night';
+    }
+
+    get isDawn() {
+        return this.period === 'dawn';
+    }
+
+    get isDusk() {
+        return this.period === 'dusk';
+    }
+
+    get isDaytime() {
+        return this.period === 'day';
+    }
+
+    // ============================================
+    // CALENDAR & MOON
+    // ============================================
+
+    /**
+     * Lunar months since the start (one per moon cycle)
+     */
+    get month() {
+        return Math.floor(this.totalDays / this.config.moonCycleDays);
+    }
+
+    /**
+     * Day within the current lunar month, from 0
+     */
+    get dayOfMonth() {
+        return Math.floor(this.totalDays - this.month * this.config.moonCycleDays);
+    }
+
+    /**
+     * Position in the moon cycle: 0 = new moon, 0.5 = full moon
+     * Day 0 starts at a new moon
+     */
+    get moonPhase() {
+        const phase = this.totalDays / this.config.moonCycleDays;
+        return phase - Math.floor(phase);
+    }
+
+    /**
+     * Lit fraction of the moon, 0 (new) to 1 (full)
+     */
+    get moonIllumination() {
+        return (1 - Math.cos(this.moonPhase * Math.PI * 2)) / 2;
+    }
+
+    /**
+     * Nearest of the eight MOON_PHASES
+     */
+    get moonPhaseName() {
+        return MOON_PHASES[Math.round(this.moonPhase * MOON_PHASES.length) % MOON_PHASES.length];
+    }
+
+    /**
+     * Within half a day of the new moon
+     */
+    get isNewMoon() {
+        const age = this.moonPhase * this.config.moonCycleDays;
+        return age < 0.5 || age >= this.config.moonCycleDays - 0.5;
+    }
+
+    /**
+     * Within half a day of the full moon
+     */
+    get isFullMoon() {
+        const age = this.moonPhase * this.config.moonCycleDays;
+        return Math.abs(age - this.config.moonCycleDays / 2) < 0.5;
+    }
+
+    // ============================================
+    // SERIALIZATION
+    // ============================================
+
+    /**
+     * Minimal state - everything else is derived from it
+     */
+    toJSON() {
+        return { day: this.day, timeOfDay: this.timeOfDay };
+    }
+
+    /**
+     * Everything systems and observers might ask for
+     */
+    describe() {
+        return {
+            day: this.day,
+            timeOfDay: this.timeOfDay,
+            period: this.period,
+            isNight: this.isNight,
+            month: this.month,
+            dayOfMonth: this.dayOfMonth,
+            moonPhase: this.moonPhase,
+            moonPhaseName: this.moonPhaseName,
+            moonIllumination: this.moonIllumination,
+            isNewMoon: this.isNewMoon,
+            isFullMoon: this.isFullMoon
+        };
+    }
+}
@@ -0,0 +1,630 @@
+// ============================================
+// ENCOUNTERS - Threats in the running world
+// ============================================
+// Glue between the threat rules in systems/threats.js and the World.
+// Agents working the water (spearing fish, or standing in it) roll for
+// a shark every few seconds, by how deep the water is at the spot and
+// the time of day. A shark ambushes from offshore: after its first bite
+// the agents nearby fight it if enough of them carry spears, and flee
+// inland otherwise. Fights run tick by tick until the threat dies, is
+// driven off, or the hunters give way. A kill leaves its drops as loot
+// piles on the shore; agents carry them to the hut (collect_loot), and
+// whatever is left is gone after lootLifetime.
+//
+// At night the deep water also rolls, rarely, for the giant squid. It
+// gives warnings first - a glow below the surface, the fish leaving, the
+// water going cold - while the tribe decides (TribeCoordinator) whether
+// to rally a hunting party at the shore or keep away from the water.
+// When it surfaces a rallied party fights it through three phases;
+// whoever lands the killing blow becomes a legend.
+//
+// Every roll uses world.rng.threats, so threats never shift the other
+// subsystems' random streams.
+
+import { getTerrainHeight } from '../utils/terrain.js';
+import { Vec3 } from '../utils/vector.js';
+import { DEATH_CAUSES } from '../systems/needs.js';
+import { getBestWeapon, equipTool, getEquippedToolEffects } from '../systems/resources.js';
+import { FishingSystem } from '../systems/fishing.js';
+import {
+    THREAT_TYPES,
+    createThreat,
+    getWaterLocation,
+    checkSharkEncounter,
+    checkSquidSpawn,
+    updateThreat,
+    resolveStrike,
+    damageThreat,
+    generateDrops
+} from '../systems/threats.js';
+import { SOCIAL_ACTIONS, findCooperatingGroup, grantLegendStatus } from '../systems/social.js';
+import { abandonTask, grantXP } from './behavior.js';
+import { socialAction, trackRelationships } from './relationships.js';
+
+export const ENCOUNTER_CONFIG = {
+    checkInterval: 5,       // Seconds between encounter rolls
+    maxThreats: 1,          // Live threats of each type at once
+    spawnDistance: 12,      // Sharks appear this far seaward of the spot
+    minDepth: 0.5,          // Sharks never swim into water shallower than this
+    reach: 8,               // Bite range - a shark can take anyone who can spear a fish
+    biteInterval: 2,        // Seconds between bites
+    alertRange: 20,         // Agents this close to a bite fight or flee
+    roundInterval: 1,       // Seconds between a hunter's strikes
+    retreatHealth: 0.3,     // Hunters pull out of a fight below this health
+    stalemateTime: 20,      // A fight with no blows exchanged for this long ends
+    lingerTime: 60,         // A shark with nobody to hunt leaves after this
+    bloodDuration: 60,      // Blood in the water after a bite or a kill
+
+    // Giant squid
+    squidCheckInterval: 10, // Seconds between night rolls in the deep water
+    temperatureDrop: 6,     // Degrees the water cools by the end of the warning
+    fishScareRadius: 80,    // Fish passing this close to the squid swim off
+    fishLeaveSpeed: 4,      // How fast they go (units/s)
+    retreatRadius: 0.6,     // Retreating agents beyond this fraction of the island radius head inland
+    exposedCritChance: 0.5, // Crit chance once the squid's eyes are exposed
+    minParty: 3,            // The party breaks when fewer are left standing
+
+    // Loot
+    lootLifetime: 240,      // Piles rot or wash away after this (two days)
+    maxLootPiles: 20        // Oldest piles go first past this
+};
+
+// Boss fight phases by remaining health
+const SQUID_PHASES = [
+    { phase: 'tentacles', above: 0.6 },  // Lashing at the shore
+    { phase: 'ink', above: 0.25 },       // Ink in the water - strikes land half as often
+    { phase: 'eyes', above: 0 }          // Eyes exposed - crits far more likely
+];
+
+const DEATH_CAUSE_BY_THREAT = {
+    BULL_SHARK: DEATH_CAUSES.SHARK,
+    GIANT_SQUID: DEATH_CAUSES.SQUID
+};
+
+const KILL_XP_BY_THREAT = {
+    BULL_SHARK: 'kill_shark',
+    GIANT_SQUID: 'kill_squid'
+};
+
+/**
+ * Roll for new threats, then move and resolve the live ones (once per step)
+ * New threats only appear while config.systems.threats is on
+ */
+export function updateThreats(world, delta) {
+    if (world.config.systems?.threats) rollEncounters(world, delta);
+
+    world.threats.forEach(threat => {
+        if (threat.type === 'GIANT_SQUID') scareFish(world, threat, delta);
+
+        if (threat.state === 'warning') updateWarning(world, threat, delta);
+        else if (threat.inCombat) updateFight(world, threat, delta);
+        else updateHunting(world, threat, delta);
+    });
+    world.threats = world.threats.filter(threat => threat.state !== 'dead');
+    world.coordinator.releaseThreatResponses(world.threats);
+    world.loot = world.loot.filter(pile => pile.expiresAt > world.time);
+}
+
+/**
+ * Is the agent somewhere a shark can reach?
+ */
+export function isExposed(agent) {
+    return agent.alive && (agent.state === 'fishing' || agent.needs.inWater);
+}
+
+/**
+ * Encounter location ('shore', 'shallow_reef', 'deep_reef') of a point, or null on land
+ */
+export function getLocation(world, position) {
+    return getWaterLocation(world.config.waterLevel - getTerrainHeight(position.x, position.z));
+}
+
+// ============================================
+// SPAWNING
+// ============================================
+
+function countThreats(world, type) {
+    return world.threats.filter(threat => threat.type === type).length;
+}
+
+function rollEncounters(world, delta) {
+    rollSquid(world, delta);
+
+    const state = world.encounters;
+    state.checkTimer += delta;
+    if (state.checkTimer < ENCOUNTER_CONFIG.checkInterval) return;
+    state.checkTimer -= ENCOUNTER_CONFIG.checkInterval;
+
+    const hasBlood = world.time < state.bloodUntil;
+    world.tribeMembers.forEach(agent => {
+        if (!isExposed(agent) || countThreats(world, 'BULL_SHARK') >= ENCOUNTER_CONFIG.maxThreats) return;
+
+        // Fishers risk the water they strike into, not the beach they stand on
+        const spot = agent.state === 'fishing' && agent.task?.target
+            ? agent.task.target.position
+            : agent.position;
+        const location = getLocation(world, spot);
+        if (location && checkSharkEncounter(location, world.clock.timeOfDay, hasBlood, world.rng.threats)) {
+            spawnShark(world, spot);
+        }
+    });
+}
+
+/**
+ * Put a shark in the water seaward of a spot
+ * @returns {object} the threat
+ */
+export function spawnShark(world, spot) {
+    const angle = Math.atan2(spot.z, spot.x);
+    const dist = Math.sqrt(spot.x ** 2 + spot.z ** 2) + ENCOUNTER_CONFIG.spawnDistance;
+    const position = {
+        x: Math.cos(angle) * dist,
+        y: world.config.waterLevel - 0.5,
+        z: Math.sin(angle) * dist
+    };
+
+    const threat = createThreat('BULL_SHARK', position, {
+        id: `shark_${world.encounters.nextThreatId++}`,
+        time: world.time
+    });
+    threat.nextBiteTime = 0;
+    threat.idleTime = 0;
+    threat.combatTimer = 0;
+    world.threats.push(threat);
+
+    world.log(`A ${THREAT_TYPES.BULL_SHARK.name} is circling offshore`, 'warning');
+    world.emit('threat_spawned', { threatId: threat.id, threatType: threat.type, position: { ...position } });
+    return threat;
+}
+
+// The squid rolls for a random stretch of deep water off the island
+function rollSquid(world, delta) {
+    const state = world.encounters;
+    state.squidCheckTimer += delta;
+    if (state.squidCheckTimer < ENCOUNTER_CONFIG.squidCheckInterval) return;
+    state.squidCheckTimer -= ENCOUNTER_CONFIG.squidCheckInterval;
+    if (countThreats(world, 'GIANT_SQUID') >= ENCOUNTER_CONFIG.maxThreats) return;
+
+    const spot = findDeepWater(world, world.rng.threats() * Math.PI * 2);
+    const conditions = {
+        isNight: world.clock.isNight,
+        isDeepWater: getLocation(world, spot) === 'deep_reef',
+        isStorm: false,             // No weather yet
+        isNewMoon: world.clock.isNewMoon,
+        bloodInWater: world.time < state.bloodUntil
+    };
+    if (checkSquidSpawn(conditions, world.rng.threats)) {
+        spawnSquid(world, spot);
+    }
+}
+
+// First deep-reef water out from the island along a bearing
+function findDeepWater(world, angle) {
+    const { islandRadius, waterLevel } = world.config;
+    let dist = islandRadius;
+    const at = d => ({ x: Math.cos(angle) * d, y: waterLevel - 6, z: Math.sin(angle) * d });
+    while (getLocation(world, at(dist)) !== 'deep_reef' && dist < islandRadius * 3) dist += 5;
+    return at(dist);
+}
+
+/**
+ * Start the giant squid's warnings at a deep-water spot. The tribe
+ * decides straight away whether to rally against it or retreat inland.
+ * @returns {object} the threat
+ */
+export function spawnSquid(world, spot) {
+    const def = THREAT_TYPES.GIANT_SQUID;
+    const position = { x: spot.x, y: world.config.waterLevel - 6, z: spot.z };
+    const threat = createThreat('GIANT_SQUID', position, {
+        id: `squid_${world.encounters.nextThreatId++}`,
+        time: world.time
+    });
+    threat.state = 'warning';
+    threat.warningTimer = def.warningDuration;
+    threat.warning = { progress: 0, glow: 0, temperatureDrop: 0 };
+    threat.phase = null;
+    threat.musterPoint = findMusterPoint(world, Math.atan2(spot.z, spot.x));
+    threat.nextBiteTime = 0;
+    threat.idleTime = 0;
+    threat.combatTimer = 0;
+    world.threats.push(threat);
+
+    world.log('Strange lights glow beneath the waves...', 'warning');
+    world.emit('threat_spawned', { threatId: threat.id, threatType: threat.type, position: { ...position } });
+
+    // Only those who can reach the shore before it surfaces are counted
+    const rallyRange = world.config.walkSpeed * def.warningDuration;
+    const muster = threat.musterPoint;
+    const response = world.coordinator.planThreatResponse(threat, world.tribeMembers, {
+        minHunters: def.minHunters,
+        isAvailable: agent =>
+            getBestWeapon(agent.inventory, world.tables.tools) !== null &&
+            agent.needs.health >= 0.5 &&
+            Math.hypot(agent.position.x - muster.x, agent.position.z - muster.z) <= rallyRange
+    });
+
+    if (response.decision === 'rally') {
+        response.hunterIds.forEach(id => {
+            const agent = world.getAgent(id);
+            abandonTask(world, agent);
+            agent.state = 'rallying';
+            agent.task = { type: 'rally_to_threat', threatId: threat.id };
+        });
+        world.log(`${response.hunterIds.length} hunters rally at the shore`, 'info');
+    } else {
+        retreat(world, threat);
+        world.log('Too few spears - the tribe keeps away from the water', 'warning');
+    }
+    world.emit('threat_response', { threatId: threat.id, decision: response.decision, hunterIds: [...response.hunterIds] });
+    return threat;
+}
+
+// Dry land on the island's edge facing a bearing, inside the walkable ring
+function findMusterPoint(world, angle) {
+    const { islandRadius, waterLevel } = world.config;
+    let dist = islandRadius * 0.85;
+    const at = d => ({ x: Math.cos(angle) * d, z: Math.sin(angle) * d });
+    while (dist > 0 && getTerrainHeight(at(dist).x, at(dist).z) < waterLevel + 0.7) dist -= 1;
+    const { x, z } = at(dist);
+    return { x, y: getTerrainHeight(x, z), z };
+}
+
+// Everyone out near the water heads inland
+function retreat(world, threat) {
+    const edge = world.config.islandRadius * ENCOUNTER_CONFIG.retreatRadius;
+    world.getAliveAgents().forEach(agent => {
+        if (agent.needs.lifeStage.canAct && Math.hypot(agent.position.x, agent.position.z) > edge) {
+            flee(world, agent, threat);
+        }
+    });
+}
+
+// ============================================
+// WARNING
+// ============================================
+
+function updateWarning(world, threat, delta) {
+    const def = THREAT_TYPES[threat.type];
+    threat.warningTimer -= delta;
+
+    const progress = Math.min(1, 1 - threat.warningTimer / def.warningDuration);
+    threat.warning.progress = progress;
+    threat.warning.glow = progress;
+    threat.warning.temperatureDrop = ENCOUNTER_CONFIG.temperatureDrop * progress;
+
+    if (threat.warningTimer <= 0) surface(world, threat);
+}
+
+// Fish that swim near the glow turn out to sea and are gone once out of sight
+function scareFish(world, threat, delta) {
+    const { x, z } = threat.position;
+    const gone = world.config.islandRadius * 2;
+    world.fishList.slice().forEach(fish => {
+        if (!fish.leaving) {
+            if (threat.state !== 'warning') return;
+            if (Math.hypot(fish.position.x - x, fish.position.z - z) > ENCOUNTER_CONFIG.fishScareRadius) return;
+            fish.leaving = true;
+        }
+        fish.dist += ENCOUNTER_CONFIG.fishLeaveSpeed * delta;
+        if (fish.dist < gone) return;
+
+        world.tribeMembers
+            .filter(agent => agent.task?.target === fish)
+            .forEach(agent => abandonTask(world, agent));
+        FishingSystem.removeFish(fish, world.fishList);
+    });
+}
+
+// The squid rises off the muster point; a party big enough fights it there
+function surface(world, threat) {
+    const def = THREAT_TYPES[threat.type];
+    const { x, z } = threat.musterPoint;
+    const angle = Math.atan2(z, x);
+    let dist = Math.hypot(x, z);
+    const depthAt = d => world.config.waterLevel - getTerrainHeight(Math.cos(angle) * d, Math.sin(angle) * d);
+    while (depthAt(dist) < ENCOUNTER_CONFIG.minDepth) dist += 1;
+    dist += 2;
+
+    threat.position = { x: Math.cos(angle) * dist, y: world.config.waterLevel - 0.5, z: Math.sin(angle) * dist };
+    threat.state = 'patrolling';
+    threat.warning.glow = 0;
+    world.log(`${def.name} rises from the deep!`, 'warning');
+
+    const party = world.getAliveAgents().filter(agent => agent.task?.threatId === threat.id &&
+        (agent.state === 'fighting' || agent.state === 'rallying'));
+    if (party.length >= def.minHunters) {
+        startFight(world, threat, party.filter(agent => agent.state === 'fighting'));
+        setPhase(world, threat, SQUID_PHASES[0].phase);
+    } else {
+        party.forEach(agent => flee(world, agent, threat));
+    }
+}
+
+// ============================================
+// HUNTING
+// ============================================
+
+function updateHunting(world, threat, delta) {
+    const { x, z } = threat.position;
+    const prey = world.getAliveAgents().map(agent => ({
+        id: agent.id,
+        position: agent.position,
+        inWater: isExposed(agent)
+    }));
+
+    const events = updateThreat(threat, delta, prey, world.rng.threats, { attackRange: ENCOUNTER_CONFIG.reach });
+
+    // Sharks stay in the water - undo moves into the shallows
+    if (world.config.waterLevel - getTerrainHeight(threat.position.x, threat.position.z) < ENCOUNTER_CONFIG.minDepth) {
+        threat.position.x = x;
+        threat.position.z = z;
+    }
+
+    // Nobody to hunt for a while - swim off
+    threat.idleTime = threat.state === 'patrolling' ? threat.idleTime + delta : 0;
+    if (threat.idleTime >= ENCOUNTER_CONFIG.lingerTime) {
+        threat.state = 'fleeing';
+    }
+
+    events.forEach(event => {
+        if (event.type === 'threat_attack' && world.time >= threat.nextBiteTime) {
+            threat.nextBiteTime = world.time + ENCOUNTER_CONFIG.biteInterval;
+            wound(world, threat, world.getAgent(event.targetId), event.damage / 100);
+            react(world, threat, world.getAgent(event.targetId).position);
+        } else if (event.type === 'threat_fled') {
+            world.log(`The ${THREAT_TYPES[threat.type].name} swam off`, 'info');
+            world.emit('threat_fled', { threatId: threat.id, threatType: threat.type });
+        }
+    });
+}
+
+function wound(world, threat, agent, damage) {
+    agent.needs.health = Math.max(0, agent.needs.health - damage);
+    world.encounters.bloodUntil = world.time + ENCOUNTER_CONFIG.bloodDuration;
+    world.emit('threat_attack', { threatId: threat.id, agentId: agent.id, damage });
+
+    if (agent.needs.health <= 0) {
+        abandonTask(world, agent);
+        world.killAgent(agent, DEATH_CAUSE_BY_THREAT[threat.type]);
+    }
+}
+
+/**
+ * Agents near a bite fight if enough of them are armed and willing to
+ * hunt together; anyone else within reach of the shark runs inland
+ */
+function react(world, threat, position) {
+    const nearby = world.getAliveAgents().filter(agent =>
+        agent.needs.lifeStage.canAct &&
+        agent.position.distanceTo(position) < ENCOUNTER_CONFIG.alertRange
+    );
+    const armed = nearby.filter(agent =>
+        getBestWeapon(agent.inventory, world.tables.tools) !== null && agent.needs.health >= ENCOUNTER_CONFIG.retreatHealth
+    );
+    const party = new Set(findCooperatingGroup(armed.map(agent => agent.social)));
+    const hunters = armed.filter(agent => party.has(agent.social));
+
+    // Bosses are only fought by a rallied party
+    const { groupSize } = THREAT_TYPES[threat.type];
+    if (groupSize && hunters.length >= groupSize) {
+        startFight(world, threat, hunters);
+    }
+    nearby.filter(isExposed).forEach(agent => flee(world, agent, threat));
+}
+
+function flee(world, agent, threat) {
+    abandonTask(world, agent);
+    agent.state = 'fleeing';
+    agent.task = { type: 'flee_threat', threatId: threat.id };
+}
+
+// ============================================
+// FIGHTING
+// ============================================
+// Hunters strike once a round with their best weapon (resolveStrike).
+// The threat picks its target among them through updateThreat and
+// attacks on its bite cooldown. Badly hurt hunters pull out. Everyone
+// who took part and is still alive shares the combat XP and has teamed
+// up with the others (TEAM_UP).
+
+function startFight(world, threat, hunters) {
+    threat.inCombat = true;
+    threat.combatants = [];
+    threat.participants = [];
+    threat.combatTimer = ENCOUNTER_CONFIG.roundInterval;
+    threat.lastBlowTime = world.time;
+
+    hunters.forEach(agent => {
+        abandonTask(world, agent);
+        agent.state = 'fighting';
+        agent.task = { type: 'fight_threat', threatId: threat.id };
+    });
+    world.log(`${hunters.length} hunters take on the ${THREAT_TYPES[threat.type].name}`, 'info');
+}
+
+function updateFight(world, threat, delta) {
+    const def = THREAT_TYPES[threat.type];
+    const hunters = world.getAliveAgents().filter(agent =>
+        agent.state === 'fighting' && agent.task?.threatId === threat.id
+    );
+
+    // Newcomers (late arrivals from a rally) ready their best weapon
+    hunters.forEach(agent => {
+        if (threat.participants.includes(agent.id)) return;
+        threat.participants.push(agent.id);
+        const weapon = getBestWeapon(agent.inventory, world.tables.tools);
+        if (weapon) equipTool(agent.inventory, weapon.id);
+    });
+    threat.combatants = hunters.map(agent => agent.id);
+
+    // A boss needs a party (counting hunters still on their way)
+    const enRoute = world.getAliveAgents().filter(agent =>
+        agent.state === 'rallying' && agent.task?.threatId === threat.id
+    ).length;
+    if (hunters.length === 0 || (def.minHunters && hunters.length + enRoute < ENCOUNTER_CONFIG.minParty)) {
+        endFight(world, threat, hunters, 'broken');
+        return;
+    }
+    if (world.time - threat.lastBlowTime > ENCOUNTER_CONFIG.stalemateTime) {
+        endFight(world, threat, hunters, 'stalemate');
+        return;
+    }
+
+    threat.combatTimer -= delta;
+    if (threat.combatTimer <= 0) {
+        threat.combatTimer += ENCOUNTER_CONFIG.roundInterval;
+        if (strikeRound(world, threat, hunters)) return;
+    }
+
+    // The threat's turn - it hunts the hunters, right up to the waterline
+    const { x, z } = threat.position;
+    const events = updateThreat(
+        threat, delta,
+        hunters.map(agent => ({ id: agent.id, position: agent.position, inWater: true })),
+        world.rng.threats,
+        { attackRange: ENCOUNTER_CONFIG.reach, canAttack: world.time >= threat.nextBiteTime }
+    );
+    if (!getLocation(world, threat.position)) {
+        threat.position.x = x;
+        threat.position.z = z;
+    }
+
+    events.forEach(event => {
+        if (event.type !== 'threat_attack') return;
+        threat.nextBiteTime = world.time + ENCOUNTER_CONFIG.biteInterval;
+        threat.lastBlowTime = world.time;
+        // The squid's tentacles can miss
+        if (!def.tentacleGrabChance || world.rng.threats() < def.tentacleGrabChance) {
+            wound(world, threat, world.getAgent(event.targetId), event.damage / 100);
+        }
+    });
+
+    if (threat.state === 'fleeing') {
+        endFight(world, threat, hunters.filter(agent => agent.alive), 'driven_off');
+        return;
+    }
+
+    hunters
+        .filter(agent => agent.alive && agent.needs.health < ENCOUNTER_CONFIG.retreatHealth)
+        .forEach(agent => flee(world, agent, threat));
+}
+
+// Every hunter within reach strikes once; true if the threat died
+function strikeRound(world, threat, hunters) {
+    for (const hunter of hunters) {
+        const dist = Math.hypot(hunter.position.x - threat.position.x, hunter.position.z - threat.position.z);
+        if (dist > ENCOUNTER_CONFIG.reach) continue;
+        threat.lastBlowTime = world.time;
+
+        const strike = resolveStrike(threat, {
+            skills: hunter.skills,
+            weaponBonus: getEquippedToolEffects(hunter.inventory, world.tables.tools).combatDamageBonus ?? null
+        }, world.rng.threats, {
+            hitChanceMultiplier: threat.inkCloudActive ? 0.5 : 1,
+            critChance: threat.phase === 'eyes' ? ENCOUNTER_CONFIG.exposedCritChance : null
+        });
+        if (strike.hit && damageThreat(threat, strike.damage, hunter.id).killed) {
+            slayThreat(world, threat, hunters, hunter);
+            return true;
+        }
+    }
+
+    if (threat.type === 'GIANT_SQUID') {
+        const fraction = threat.health / threat.maxHealth;
+        const { phase } = SQUID_PHASES.find(p => fraction > p.above);
+        if (phase !== threat.phase) setPhase(world, threat, phase);
+    }
+    return false;
+}
+
+function setPhase(world, threat, phase) {
+    threat.phase = phase;
+    if (phase === 'ink') {
+        threat.inkCloudActive = true;
+        threat.inkCloudTimer = THREAT_TYPES[threat.type].inkCloudDuration;
+    }
+    world.emit('threat_phase', { threatId: threat.id, phase });
+}
+
+/**
+ * A fight over without a kill: 'driven_off' (the threat fled, hurt),
+ * 'broken' (too few hunters left) or 'stalemate' (nobody could land a blow)
+ */
+function endFight(world, threat, hunters, outcome) {
+    const name = THREAT_TYPES[threat.type].name;
+    threat.inCombat = false;
+    threat.combatants = [];
+    teamUp(world, threat);
+
+    if (outcome === 'broken') {
+        hunters.forEach(agent => flee(world, agent, threat));
+        world.log(`The hunting party breaks before the ${name}`, 'warning');
+        return;
+    }
+    hunters.forEach(agent => abandonTask(world, agent));
+    if (outcome === 'driven_off') {
+        awardCombatXP(world, threat, null);
+        world.log(`The hunters drove off the ${name}`, 'success');
+    } else {
+        world.log(`The ${name} stays out of reach`, 'info');
+    }
+}
+
+function slayThreat(world, threat, hunters, killer) {
+    const def = THREAT_TYPES[threat.type];
+    const drops = generateDrops(def.drops, world.rng.threats);
+    world.encounters.bloodUntil = world.time + ENCOUNTER_CONFIG.bloodDuration;
+    threat.inCombat = false;
+    threat.combatants = [];
+
+    hunters.forEach(agent => abandonTask(world, agent));
+    awardCombatXP(world, threat, KILL_XP_BY_THREAT[threat.type]);
+    teamUp(world, threat);
+    dropLoot(world, drops, killer.position);
+
+    world.log(`${killer.id} killed the ${def.name}`, 'success');
+    world.emit('threat_killed', { threatId: threat.id, threatType: threat.type, killerId: killer.id, drops: { ...drops } });
+
+    if (def.grantsLegendStatus) {
+        killer.isLegend = true;
+        killer.needs.health = Math.min(1, killer.needs.health + def.legendEffects.healthBuff);
+        const tribe = world.getAliveAgents();
+        trackRelationships(world, tribe, () => grantLegendStatus(killer.social, tribe.map(agent => agent.social)));
+        world.log(`${killer.id} is a legend of the island`, 'success');
+        world.emit('became_legend', { agentId: killer.id, threatId: threat.id });
+    }
+}
+
+// win_fight (and the kill's own XP) for everyone who fought and lived
+function awardCombatXP(world, threat, killXP) {
+    threat.participants.forEach(id => {
+        const agent = world.getAgent(id);
+        if (!agent?.alive) return;
+        grantXP(world, agent, 'win_fight');
+        if (killXP) grantXP(world, agent, killXP);
+    });
+}
+
+// Everyone who fought side by side and lived has teamed up with the rest
+function teamUp(world, threat) {
+    const survivors = threat.participants.map(id => world.getAgent(id)).filter(agent => agent?.alive);
+    survivors.forEach((agent, i) => {
+        survivors.slice(i + 1).forEach(other => socialAction(world, agent, other, SOCIAL_ACTIONS.TEAM_UP));
+    });
+}
+
+// One pile per item, dragged up the beach (to where agents can walk) from where the fight ended
+function dropLoot(world, drops, position) {
+    const spot = findMusterPoint(world, Math.atan2(position.z, position.x));
+    for (const [itemId, count] of Object.entries(drops)) {
+        world.loot.push({
+            id: `loot_${world.encounters.nextLootId++}`,
+            itemId,
+            count,
+            position: new Vec3(spot.x, spot.y, spot.z),
+            droppedAt: world.time,
+            expiresAt: world.time + ENCOUNTER_CONFIG.lootLifetime
+        });
+    }
+    world.loot.splice(0, Math.max(0, world.loot.length - ENCOUNTER_CONFIG.maxLootPiles));
+}
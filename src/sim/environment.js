@@ -0,0 +1,293 @@
+// ============================================
+// ENVIRONMENT - Gym-style reset/step/observe
+// ============================================
+// Wraps a World in the usual RL contract:
+//   reset({ seed, scenario })  -> observations
+//   step(actions)              -> { observations, rewards, dones, info }
+// Observations, rewards and dones are keyed by agent id.
+
+import { CONFIG } from '../config.js';
+import { World } from './world.js';
+import { DEATH_CAUSES } from '../systems/needs.js';
+import { ACTIONS, ACTION_COUNT, ACTION_REJECTIONS, CONTROLLERS, actionMask } from './actions.js';
+import { resolveRewardSpec, captureRewardState, computeRewards, sumRewardTerms } from './rewards.js';
+import {
+    OBSERVATION_VERSION, AGENT_VECTOR_LAYOUT, AGENT_VECTOR_SIZE,
+    observeAgent, observeWorld, agentVector
+} from './observation.js';
+import { resolvePerception, perceptionSpace, perceive } from './perception.js';
+import { loadScenario, scenarioConfig } from './scenario.js';
+
+export const ENV_DEFAULTS = {
+    maxSteps: 12000,        // Episode length in env steps (truncation)
+    maxDays: null,          // Also truncate once the sim clock reaches this day
+    minAlive: 0,            // End the episode when fewer agents are alive
+    stepsPerAction: 1,      // World fixed steps per env step (frame skip)
+    externalAgents: [],     // Agent ids driven by step() actions instead of the built-in AI
+    observationMode: 'object', // 'object' (observeAgent) or 'vector' (agentVector)
+    perception: null,       // Egocentric grid/rays per agent (see perception.js), off by default
+    reward: 'survival',     // Preset name or { preset, mode, weights } (see rewards.js)
+    scenario: null          // Scenario object or JSON (see scenario.js)
+};
+
+export class IslandEnvironment {
+    /**
+     * @param {object} options
+     * @param {number} [options.seed]
+     * @param {object} [options.config] - CONFIG overrides for the world
+     * @param {function} [options.log]
+     * @param {number} [options.maxSteps]
+     * @param {number} [options.stepsPerAction]
+     * @param {string[]} [options.externalAgents]
+     * @param {string} [options.observationMode] - 'object' or 'vector'
+     * @param {object|string} [options.perception] - { mode, radius, resolution } or a mode name
+     * @param {string|object} [options.reward] - Reward preset or spec
+     * @param {object|string} [options.scenario] - Scenario; its fields win over the options above
+     * @param {World} [options.world] - Wrap an existing world instead of creating one
+     */
+    constructor(options = {}) {
+        this.options = { ...ENV_DEFAULTS, ...options };
+        this.baseConfig = options.config || {};
+        this.scenario = this.options.scenario ? loadScenario(this.options.scenario) : null;
+        this.world = options.world || new World({
+            seed: options.seed ?? this.scenario?.seed,
+            config: { ...this.baseConfig, ...(this.scenario ? scenarioConfig(this.scenario) : {}) },
+            log: options.log
+        });
+
+        // Discrete action space shared by all externally controlled agents
+        this.actionSpace = { n: ACTION_COUNT, actions: ACTIONS };
+        this.applyEpisodeRules();
+        this.episodeStep = 0;
+        this.done = false;
+
+        this.applyControllers();
+    }
+
+    /**
+     * Episode settings from the scenario, falling back to the options
+     */
+    applyEpisodeRules() {
+        const scenario = this.scenario || {};
+        const options = this.options;
+        this.maxSteps = scenario.maxSteps ?? options.maxSteps;
+        this.maxDays = scenario.maxDays ?? options.maxDays;
+        this.minAlive = scenario.minAlive ?? options.minAlive;
+        this.stepsPerAction = scenario.stepsPerAction ?? options.stepsPerAction;
+        this.externalAgents = scenario.externalAgents ?? options.externalAgents;
+        this.reward = resolveRewardSpec(scenario.reward ?? options.reward);
+        this.perception = resolvePerception(scenario.perception ?? options.perception);
+        this.observationSpace = this.buildObservationSpace();
+    }
+
+    /**
+     * Describe observations for the current options
+     * In vector mode the perception array follows the agent vector
+     */
+    buildObservationSpace() {
+        const perception = this.perception ? perceptionSpace(this.perception) : null;
+        return {
+            version: OBSERVATION_VERSION,
+            mode: this.options.observationMode,
+            size: AGENT_VECTOR_SIZE + (this.options.observationMode === 'vector' ? perception?.size ?? 0 : 0),
+            layout: AGENT_VECTOR_LAYOUT,
+            perception
+        };
+    }
+
+    /**
+     * Start a new episode
+     * @param {object} [options]
+     * @param {number} [options.seed] - Defaults to the scenario's seed, then the current world seed
+     * @param {object|string|null} [options.scenario] - Replaces the current scenario
+     *   (see scenario.js); null clears it, omitted keeps it
+     * @returns {object} agentId -> observation
+     */
+    reset({ seed, scenario } = {}) {
+        const world = this.world;
+        if (scenario !== undefined) {
+            this.scenario = scenario ? loadScenario(scenario) : null;
+        }
+
+        // Rebuild config in place so existing references (GUI) stay valid,
+        // from a deep copy so nested settings are never shared with CONFIG or other worlds
+        Object.assign(world.config, structuredClone({
+            ...CONFIG, ...this.baseConfig, ...(this.scenario ? scenarioConfig(this.scenario) : {})
+        }));
+        this.applyEpisodeRules();
+
+        world.reset(seed ?? this.scenario?.seed ?? world.seed);
+        this.applyControllers();
+
+        this.episodeStep = 0;
+        this.done = false;
+
+        return this.observe();
+    }
+
+    /**
+     * Advance one env step
+     * @param {object} [actions] - agentId -> action index or name (see ACTIONS);
+     *   agents on the built-in controller ignore it
+     * @returns {{observations: object, rewards: object, dones: object, info: object}}
+     */
+    step(actions = {}) {
+        if (this.done) {
+            throw new Error('Episode is done - call reset() before step()');
+        }
+
+        const world = this.world;
+        const wasAlive = new Map(world.tribeMembers.map(a => [a.id, a.alive]));
+        const rewardState = captureRewardState(world);
+
+        const actionResults = {};
+        const actionRejections = {};
+        for (const [agentId, action] of Object.entries(actions)) {
+            actionResults[agentId] = world.setAction(agentId, action);
+            if (!actionResults[agentId]) {
+                actionRejections[agentId] = world.getAgent(agentId)
+                    ? ACTION_REJECTIONS.NOT_EXTERNAL
+                    : ACTION_REJECTIONS.UNKNOWN_AGENT;
+            }
+        }
+
+        // Collect only this step's events (main.js also steps the world directly)
+        const events = [];
+        const unsubscribe = world.on('*', event => events.push(event));
+        try {
+            for (let i = 0; i < this.stepsPerAction; i++) {
+                world.step();
+            }
+        } finally {
+            unsubscribe();
+        }
+        this.episodeStep++;
+
+        // Rewards and per-agent termination
+        const { rewards, terms } = computeRewards(this.reward, world, rewardState);
+        const dones = {};
+        const deaths = {};
+        world.tribeMembers.forEach(agent => {
+            if (wasAlive.get(agent.id) && !agent.alive) deaths[agent.id] = agent.deathCause;
+            dones[agent.id] = !agent.alive;
+        });
+
+        const termination = this.checkTermination();
+        const truncated = termination === 'max_steps' || termination === 'max_days';
+        dones.__all__ = termination !== null;
+        this.done = dones.__all__;
+
+        // An accepted action can still be rejected when applied (no target, busy, ...)
+        for (const agentId of Object.keys(actionResults)) {
+            if (!actionResults[agentId]) continue;
+            const agent = world.getAgent(agentId);
+            actionResults[agentId] = !!agent.lastAction?.applied;
+            if (!actionResults[agentId]) {
+                // No lastAction: the agent died before it could act
+                actionRejections[agentId] = agent.lastAction?.reason ?? ACTION_REJECTIONS.DEAD;
+            }
+        }
+
+        return {
+            observations: this.observe(),
+            rewards,
+            dones,
+            info: {
+                step: this.episodeStep,
+                worldStep: world.stepCount,
+                time: world.time,
+                clock: world.clock.describe(),
+                truncated,
+                termination,                        // null, or why the episode ended
+                deaths,
+                deathCauses: this.countDeathCauses(),
+                rewardTerms: terms,                 // agentId -> term -> weighted value
+                rewardTotals: sumRewardTerms(terms),
+                actionResults,
+                actionRejections,                   // agentId -> ACTION_REJECTIONS code
+                actionMasks: this.actionMasks(),
+                events                              // Typed events from this step (see events.js)
+            }
+        };
+    }
+
+    /**
+     * Why the episode ends after this step, or null
+     * @returns {string|null} 'extinct' | 'min_alive' (terminated),
+     *   'max_steps' | 'max_days' (truncated)
+     */
+    checkTermination() {
+        const alive = this.world.getAliveAgents().length;
+        if (alive === 0) return 'extinct';
+        if (alive < this.minAlive) return 'min_alive';
+        if (this.episodeStep >= this.maxSteps) return 'max_steps';
+        if (this.maxDays != null && this.world.clock.day >= this.maxDays) return 'max_days';
+        return null;
+    }
+
+    /**
+     * Which actions each external agent can take right now
+     * Masked actions would be rejected; noop is always allowed
+     * @returns {object} agentId -> boolean[ACTION_COUNT]
+     */
+    actionMasks() {
+        const masks = {};
+        this.world.tribeMembers.forEach(agent => {
+            if (agent.controller === CONTROLLERS.EXTERNAL) {
+                masks[agent.id] = actionMask(this.world, agent);
+            }
+        });
+        return masks;
+    }
+
+    /**
+     * Put the configured agents on the external controller
+     */
+    applyControllers() {
+        this.externalAgents.forEach(agentId => {
+            if (this.world.getAgent(agentId)) {
+                this.world.setController(agentId, CONTROLLERS.EXTERNAL);
+            }
+        });
+    }
+
+    /**
+     * Current observation for every agent
+     */
+    observe() {
+        const world = this.world;
+        const vector = this.options.observationMode === 'vector';
+        const observations = {};
+        world.tribeMembers.forEach(agent => {
+            const obs = vector ? agentVector(world, agent) : observeAgent(world, agent);
+            if (this.perception) {
+                const view = perceive(world, agent, this.perception);
+                if (vector) obs.push(...view);
+                else obs.perception = view;
+            }
+            observations[agent.id] = obs;
+        });
+        return observations;
+    }
+
+    /**
+     * Shared world observation (hut, trees, rocks, bushes, fish)
+     */
+    observeWorld() {
+        return observeWorld(this.world);
+    }
+
+    /**
+     * Deaths so far this episode, keyed by DEATH_CAUSES value
+     */
+    countDeathCauses() {
+        const counts = {};
+        Object.values(DEATH_CAUSES).forEach(cause => { counts[cause] = 0; });
+        this.world.tribeMembers.forEach(agent => {
+            if (!agent.alive && agent.deathCause) {
+                counts[agent.deathCause] = (counts[agent.deathCause] || 0) + 1;
+            }
+        });
+        return counts;
+    }
+}
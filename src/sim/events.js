@@ -0,0 +1,105 @@
+// ============================================
+// EVENTS - Typed simulation event bus
+// ============================================
+// Systems report what happened through world.emit(type, payload); UI,
+// metrics, rewards and logging subscribe instead of polling state.
+// Every event is { type, step, time, ...payload } where step/time are
+// the world clock when it happened. Handlers run synchronously during
+// the step and must not change simulation state, or runs with and
+// without listeners would diverge.
+
+export const EVENT_TYPES = {
+    DEATH: 'death',
+    BIRTH: 'birth',
+    GOT_SICK: 'got_sick',
+    RECOVERED: 'recovered',
+    ITEM_CRAFTED: 'item_crafted',
+    FISH_CAUGHT: 'fish_caught',
+    RESOURCE_GATHERED: 'resource_gathered',
+    DEPOSIT: 'deposit',
+    LEVEL_UP: 'level_up',
+    RELATIONSHIP_CHANGED: 'relationship_changed',
+    THREAT_SPAWNED: 'threat_spawned',
+    THREAT_ATTACK: 'threat_attack',
+    THREAT_KILLED: 'threat_killed',
+    THREAT_FLED: 'threat_fled',
+    THREAT_RESPONSE: 'threat_response',
+    THREAT_PHASE: 'threat_phase',
+    BECAME_LEGEND: 'became_legend'
+};
+
+/**
+ * Required payload fields per event type
+ */
+export const EVENT_FIELDS = {
+    death: ['agentId', 'cause'],                            // cause: DEATH_CAUSES value
+    birth: ['agentId', 'parentIds'],
+    got_sick: ['agentId', 'source'],                        // source: 'spread' | 'food'
+    recovered: ['agentId'],
+    item_crafted: ['agentId', 'itemId'],
+    fish_caught: ['agentId', 'fishId'],
+    resource_gathered: ['agentId', 'resourceId', 'amount', 'sourceId'],
+    deposit: ['agentId', 'resourceId', 'amount'],
+    level_up: ['agentId', 'skillId', 'level'],
+    relationship_changed: ['agentId', 'otherId', 'score', 'delta'],
+    threat_spawned: ['threatId', 'threatType', 'position'],
+    threat_attack: ['threatId', 'agentId', 'damage'],       // damage: health lost (0-1)
+    threat_killed: ['threatId', 'threatType', 'killerId', 'drops'],
+    threat_fled: ['threatId', 'threatType'],
+    threat_response: ['threatId', 'decision', 'hunterIds'],  // decision: 'rally' | 'retreat'
+    threat_phase: ['threatId', 'phase'],
+    became_legend: ['agentId', 'threatId']
+};
+
+// Subscribe to this to receive every event
+export const ANY_EVENT = '*';
+
+export class EventBus {
+    constructor() {
+        this.listeners = new Map(); // type -> Set of handlers
+    }
+
+    /**
+     * Subscribe to one event type (or ANY_EVENT)
+     * @param {string} type
+     * @param {function} handler - (event) => void
+     * @returns {function} unsubscribe
+     */
+    on(type, handler) {
+        if (type !== ANY_EVENT && !EVENT_FIELDS[type]) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        this.listeners.get(type)?.delete(handler);
+    }
+
+    /**
+     * Deliver an event to its type's handlers, then to ANY_EVENT handlers
+     * @param {object} event - { type, ...fields }; see EVENT_FIELDS
+     */
+    emit(event) {
+        const fields = EVENT_FIELDS[event.type];
+        if (!fields) throw new Error(`Unknown event type: ${event.type}`);
+        for (const field of fields) {
+            if (event[field] === undefined) {
+                throw new Error(`Event ${event.type} is missing ${field}`);
+            }
+        }
+
+        this.listeners.get(event.type)?.forEach(handler => handler(event));
+        this.listeners.get(ANY_EVENT)?.forEach(handler => handler(event));
+        return event;
+    }
+
+    /**
+     * Drop every subscription
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
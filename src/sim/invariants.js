@@ -0,0 +1,207 @@
+// ============================================
+// INVARIANTS - Assertions over simulation state
+// ============================================
+// Logic checks that runSanityChecks (grounding) and checkAgentState
+// (finite positions) can't see: counts, need ranges, tool wear and the
+// coordinator/fishing claims. Run them on demand with checkInvariants(),
+// or every N steps with world.startInvariantChecks(). Checks only read
+// state, so a checked run stays identical to an unchecked one.
+
+export const INVARIANTS_DEFAULTS = {
+    interval: 10,       // Steps between checks
+    halt: false,        // Throw once a check finds violations
+    only: null          // Invariant names to run (default: all)
+};
+
+const NEED_FIELDS = ['hunger', 'energy', 'health', 'social', 'reproductionDrive'];
+
+/**
+ * Invariant name -> check(world, report)
+ * report(agentId, message) records one violation; agentId may be null
+ */
+const CHECKS = {
+    // No negative (or non-numeric) counts in the hut
+    hut_storage(world, report) {
+        for (const [id, count] of Object.entries(world.hut.storage)) {
+            if (!(count >= 0)) report(null, `hut.storage.${id} is ${count}`);
+        }
+    },
+
+    // No negative counts in inventory slots
+    inventory_counts(world, report) {
+        world.tribeMembers.forEach(agent => {
+            agent.inventory.slots.forEach((slot, id) => {
+                if (!(slot.count >= 0)) report(agent.id, `inventory slot ${id} is ${slot.count}`);
+            });
+        });
+    },
+
+    // Needs stay within [0, 1]
+    needs_range(world, report) {
+        world.tribeMembers.forEach(agent => {
+            for (const field of NEED_FIELDS) {
+                const value = agent.needs[field];
+                if (!(value >= 0 && value <= 1)) report(agent.id, `needs.${field} is ${value}`);
+            }
+        });
+    },
+
+    // Tool durabilities and counts never go negative
+    tool_durability(world, report) {
+        world.tribeMembers.forEach(agent => {
+            agent.inventory.tools.forEach((tool, id) => {
+                if (!(tool.durability >= 0)) report(agent.id, `${id} durability is ${tool.durability}`);
+                if (!(tool.count >= 1)) report(agent.id, `${id} count is ${tool.count}`);
+            });
+        });
+    },
+
+    // A claimed resource belongs to a living agent whose task targets it
+    resource_claims(world, report) {
+        const { claimedResources } = world.coordinator;
+        claimedResources.forEach((agentId, targetId) => {
+            const agent = world.getAgent(agentId);
+            if (!agent?.alive) return; // dead_claims
+            const target = agent.task?.target;
+            if ((target?.uuid || target?.id) !== targetId) {
+                report(agentId, `claims resource ${targetId} but its task is ${describeTask(agent.task)}`);
+            }
+        });
+    },
+
+    // A claimed task belongs to a living agent who is on that task
+    task_claims(world, report) {
+        const { coordinator } = world;
+        coordinator.claimedTasks.forEach((agentId, taskKey) => {
+            const agent = world.getAgent(agentId);
+            if (!agent?.alive) return; // dead_claims
+            if (coordinator.getTaskKey(agent.task) !== taskKey) {
+                report(agentId, `claims task ${taskKey} but its task is ${describeTask(agent.task)}`);
+            }
+        });
+    },
+
+    // One fisher per fish: claims match tasks, nobody holds two, nobody
+    // fishes for a fish claimed by someone else
+    fish_claims(world, report) {
+        const { claimedFish } = world.fishingSystem;
+        const heldBy = new Map(); // agentId -> fish ids claimed
+
+        claimedFish.forEach((agentId, fishId) => {
+            heldBy.set(agentId, [...(heldBy.get(agentId) || []), fishId]);
+            const agent = world.getAgent(agentId);
+            if (!agent?.alive) return; // dead_claims
+            if (agent.task?.type !== 'go_fishing' || agent.task.target?.id !== fishId) {
+                report(agentId, `claims fish ${fishId} but its task is ${describeTask(agent.task)}`);
+            }
+        });
+
+        heldBy.forEach((fishIds, agentId) => {
+            if (fishIds.length > 1) report(agentId, `claims ${fishIds.length} fish: ${fishIds.join(', ')}`);
+        });
+
+        const fishers = new Map(); // fishId -> agent ids fishing for it
+        world.getAliveAgents().forEach(agent => {
+            if (agent.task?.type !== 'go_fishing' || !agent.task.target) return;
+            const fishId = agent.task.target.id;
+            fishers.set(fishId, [...(fishers.get(fishId) || []), agent.id]);
+        });
+        fishers.forEach((agentIds, fishId) => {
+            if (agentIds.length > 1) report(agentIds[1], `fish ${fishId} targeted by ${agentIds.join(', ')}`);
+        });
+    },
+
+    // Dead (or unknown) agents hold no claims
+    dead_claims(world, report) {
+        const maps = {
+            resource: world.coordinator.claimedResources,
+            task: world.coordinator.claimedTasks,
+            fish: world.fishingSystem.claimedFish
+        };
+        for (const [kind, claims] of Object.entries(maps)) {
+            claims.forEach((agentId, key) => {
+                const agent = world.getAgent(agentId);
+                if (!agent) report(agentId, `unknown agent holds ${kind} claim ${key}`);
+                else if (!agent.alive) report(agentId, `dead agent holds ${kind} claim ${key}`);
+            });
+        }
+    }
+};
+
+export const INVARIANTS = Object.keys(CHECKS);
+
+/**
+ * Run invariant checks against the world's current state
+ * @param {object} [options]
+ * @param {string[]} [options.only] - Invariant names to run (default: all)
+ * @returns {object[]} violations: { invariant, step, time, agentId, message }
+ */
+export function checkInvariants(world, { only = null } = {}) {
+    const violations = [];
+    for (const name of only || INVARIANTS) {
+        const check = CHECKS[name];
+        if (!check) throw new Error(`Unknown invariant: ${name}`);
+        check(world, (agentId, message) => {
+            violations.push({ invariant: name, step: world.stepCount, time: world.time, agentId, message });
+        });
+    }
+    return violations;
+}
+
+/**
+ * One line per violation, for logs and errors
+ */
+export function formatViolation(v) {
+    return `[step ${v.step}] ${v.invariant}${v.agentId ? ` (${v.agentId})` : ''}: ${v.message}`;
+}
+
+export class InvariantChecker {
+    /**
+     * @param {object} [options] - See INVARIANTS_DEFAULTS, plus
+     *   onViolation(violation) called for each violation found
+     */
+    constructor(options = {}) {
+        this.options = { ...INVARIANTS_DEFAULTS, ...options };
+        if (!(Number.isInteger(this.options.interval) && this.options.interval >= 1)) {
+            throw new Error(`Invariant check interval must be a positive integer: ${this.options.interval}`);
+        }
+        this.violations = [];
+        this.checks = 0;
+    }
+
+    /**
+     * Check if this step is on the interval
+     */
+    recordStep(world) {
+        if (world.stepCount % this.options.interval === 0) this.check(world);
+    }
+
+    /**
+     * Check now
+     * @returns {object[]} violations found by this check
+     * @throws {Error} if options.halt is set and anything was found
+     */
+    check(world) {
+        const found = checkInvariants(world, { only: this.options.only });
+        this.checks++;
+        found.forEach(v => {
+            this.violations.push(v);
+            this.options.onViolation?.(v);
+        });
+
+        if (found.length > 0 && this.options.halt) {
+            throw new Error(`Invariant violated:\n  ${found.map(formatViolation).join('\n  ')}`);
+        }
+        return found;
+    }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function describeTask(task) {
+    if (!task) return 'none';
+    const target = task.target?.uuid || task.target?.id;
+    return target ? `${task.type} -> ${target}` : task.type;
+}
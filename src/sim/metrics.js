@@ -0,0 +1,138 @@
+// ============================================
+// METRICS - Time-series recorder
+// ============================================
+// Samples world-level metrics every `interval` simulated seconds into flat
+// rows with a fixed set of columns (METRIC_COLUMNS), so every row of every
+// run lines up in a CSV. Attach with world.startMetrics(); the world calls
+// recordStep() after each step. Export with toCSV() / toJSONL() - writing
+// files or triggering downloads is left to the caller.
+
+import { DEATH_CAUSES } from '../systems/needs.js';
+import { SKILLS } from '../systems/skills.js';
+import { TASK_TYPES, HUT_STORAGE_IDS } from './observation.js';
+
+export const METRICS_DEFAULTS = {
+    interval: 5     // Simulated seconds between samples
+};
+
+const NEED_FIELDS = ['hunger', 'energy', 'health', 'social'];
+const SKILL_IDS = Object.values(SKILLS).map(s => s.id);
+
+/**
+ * Column names, in export order
+ *   deaths.*  - deaths so far by cause
+ *   needs.*   - mean over living agents
+ *   skills.*  - mean level over living agents
+ *   tasks.*   - living agents per task type (as in the debug overlay);
+ *               tasks.none counts agents without a task
+ */
+export const METRIC_COLUMNS = [
+    'seed', 'step', 'time', 'day', 'timeOfDay',
+    'population', 'alive', 'births',
+    ...Object.values(DEATH_CAUSES).map(c => `deaths.${c}`),
+    ...HUT_STORAGE_IDS.map(r => `hut.${r}`),
+    ...NEED_FIELDS.map(f => `needs.${f}`),
+    ...SKILL_IDS.map(s => `skills.${s}`),
+    ...TASK_TYPES.map(t => `tasks.${t}`), 'tasks.other', 'tasks.none',
+    'fish', 'coconuts'
+];
+
+/**
+ * One row of metrics for the world's current state
+ * @returns {object} column -> number
+ */
+export function sampleMetrics(world) {
+    const row = Object.fromEntries(METRIC_COLUMNS.map(c => [c, 0]));
+    const alive = world.getAliveAgents();
+
+    row.seed = world.seed;
+    row.step = world.stepCount;
+    row.time = world.time;
+    row.day = world.clock.day;
+    row.timeOfDay = world.clock.timeOfDay;
+    row.population = world.tribeMembers.length;
+    row.alive = alive.length;
+    row.births = world.stats.births;
+
+    world.tribeMembers.forEach(agent => {
+        if (!agent.alive && agent.deathCause) row[`deaths.${agent.deathCause}`]++;
+    });
+
+    HUT_STORAGE_IDS.forEach(r => { row[`hut.${r}`] = world.hut.storage[r] || 0; });
+
+    if (alive.length > 0) {
+        NEED_FIELDS.forEach(f => {
+            row[`needs.${f}`] = alive.reduce((sum, a) => sum + a.needs[f], 0) / alive.length;
+        });
+        SKILL_IDS.forEach(s => {
+            row[`skills.${s}`] = alive.reduce((sum, a) => sum + (a.skills[s]?.level ?? 0), 0) / alive.length;
+        });
+    }
+
+    alive.forEach(agent => {
+        const type = agent.task?.type;
+        const column = !type ? 'tasks.none' : TASK_TYPES.includes(type) ? `tasks.${type}` : 'tasks.other';
+        row[column]++;
+    });
+
+    row.fish = world.fishList.length;
+    row.coconuts = world.trees.reduce((sum, t) => sum + (t.type === 'palm' ? t.coconuts : 0), 0);
+
+    return row;
+}
+
+export class MetricsRecorder {
+    /**
+     * Start sampling from the world's current state
+     * @param {World} world
+     * @param {object} [options] - See METRICS_DEFAULTS
+     */
+    constructor(world, options = {}) {
+        this.options = { ...METRICS_DEFAULTS, ...options };
+        this.rows = [];
+        this.lastTime = world.time;
+        this.nextSample = world.time;
+        this.recordStep(world);
+    }
+
+    /**
+     * Sample if the interval has elapsed
+     * A world reset (time going backwards) restarts the schedule
+     */
+    recordStep(world) {
+        if (world.time < this.lastTime) this.nextSample = world.time;
+        this.lastTime = world.time;
+
+        // Tolerance for float drift in the accumulated clock
+        if (world.time < this.nextSample - 1e-9) return;
+
+        this.rows.push(sampleMetrics(world));
+        this.nextSample += this.options.interval;
+        if (this.nextSample <= world.time) this.nextSample = world.time + this.options.interval;
+    }
+
+    /**
+     * Header line plus one line per sample
+     */
+    toCSV() {
+        const lines = [METRIC_COLUMNS.join(',')];
+        this.rows.forEach(row => lines.push(METRIC_COLUMNS.map(c => row[c]).join(',')));
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * One JSON object per line
+     */
+    toJSONL() {
+        return this.rows.map(row => JSON.stringify(row)).join('\n') + (this.rows.length ? '\n' : '');
+    }
+
+    /**
+     * Export in 'csv' or 'jsonl'
+     */
+    export(format = 'csv') {
+        if (format === 'csv') return this.toCSV();
+        if (format === 'jsonl') return this.toJSONL();
+        throw new Error(`Unknown metrics format: ${format}`);
+    }
+}
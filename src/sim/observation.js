@@ -0,0 +1,227 @@
+// ============================================
+// OBSERVATIONS - Versioned schema
+// ============================================
+// Plain-JSON observations of agents and the world, plus a flat numeric
+// vector per agent for neural network input. Bump OBSERVATION_VERSION
+// whenever a field or the vector layout changes.
+
+import { LIFE_STAGES } from '../systems/needs.js';
+import { SKILLS } from '../systems/skills.js';
+import { RESOURCES, TOOLS } from '../systems/resources.js';
+
+export const OBSERVATION_VERSION = 6;
+
+export const AGENT_STATES = [
+    'idle', 'walking', 'gathering', 'hauling', 'resting', 'eating', 'crafting', 'fishing',
+    'fleeing', 'fighting', 'rallying'
+];
+
+// Every task type the planner or an external controller can assign
+export const TASK_TYPES = [
+    'gather_coconuts', 'gather_wood', 'gather_stone', 'go_fishing',
+    'haul_to_hut', 'craft_spear', 'walk_to_hut_to_craft', 'go_hut_for_food',
+    'recover_energy', 'eat_from_inventory', 'help_agent', 'go_hut_for_helping',
+    'get_spear_from_hut', 'patrol_to_hut', 'flee_threat', 'fight_threat',
+    'rally_to_threat', 'seek_mate', 'collect_loot'
+];
+
+const NEED_FIELDS = ['hunger', 'energy', 'health', 'social', 'reproductionDrive'];
+const STATUS_FIELDS = ['isSick', 'inShelter', 'inWater', 'isPregnant'];
+const LIFE_STAGE_NAMES = Object.values(LIFE_STAGES).map(s => s.name);
+const SKILL_IDS = Object.values(SKILLS).map(s => s.id);
+const RESOURCE_IDS = Object.values(RESOURCES).map(r => r.id);
+const TOOL_IDS = Object.values(TOOLS).map(t => t.id);
+export const HUT_STORAGE_IDS = ['coconut', 'wood', 'stone', 'vine', 'fish', 'fishing_spear'];
+
+/**
+ * Names of each entry in the agent vector, in order
+ */
+export const AGENT_VECTOR_LAYOUT = [
+    'alive',
+    ...NEED_FIELDS.map(f => `needs.${f}`),
+    ...STATUS_FIELDS.map(f => `status.${f}`),
+    'age',
+    ...LIFE_STAGE_NAMES.map(s => `lifeStage.${s}`),
+    ...SKILL_IDS.map(s => `skill.${s}`),
+    ...RESOURCE_IDS.map(r => `inventory.${r}`),
+    ...TOOL_IDS.map(t => `tool.${t}`),
+    ...AGENT_STATES.map(s => `state.${s}`),
+    ...TASK_TYPES.map(t => `task.${t}`),
+    'position.x', 'position.y', 'position.z',
+    'heading.sin', 'heading.cos',
+    'hut.dx', 'hut.dz', 'hut.distance',
+    ...HUT_STORAGE_IDS.map(r => `hut.${r}`),
+    'clock.sin', 'clock.cos', 'clock.isNight', 'moon.illumination'
+];
+
+export const AGENT_VECTOR_SIZE = AGENT_VECTOR_LAYOUT.length;
+
+// ============================================
+// OBJECT OBSERVATIONS
+// ============================================
+
+/**
+ * Full observation of a single agent
+ */
+export function observeAgent(world, agent) {
+    const needs = agent.needs;
+    const task = agent.task;
+
+    return {
+        version: OBSERVATION_VERSION,
+        id: agent.id,
+        alive: agent.alive,
+        deathCause: agent.deathCause,
+        isLegend: agent.isLegend,
+        controller: agent.controller,
+        position: vec(agent.position),
+        heading: agent.heading,
+        state: agent.state,
+        task: task ? {
+            type: task.type,
+            targetId: task.target?.id ?? null,
+            resourceId: task.resourceId ?? null,
+            priority: task.priority ?? null
+        } : null,
+        needs: {
+            hunger: needs.hunger,
+            energy: needs.energy,
+            health: needs.health,
+            social: needs.social,
+            reproductionDrive: needs.reproductionDrive,
+            isSick: needs.isSick,
+            inShelter: needs.inShelter,
+            inWater: needs.inWater,
+            isPregnant: needs.isPregnant
+        },
+        age: needs.age,
+        lifeStage: needs.lifeStage.name,
+        parentIds: [...needs.parentIds],
+        childIds: [...needs.childIds],
+        skills: Object.fromEntries(
+            SKILL_IDS.map(id => [id, { level: agent.skills[id]?.level ?? 0, xp: agent.skills[id]?.xp ?? 0 }])
+        ),
+        inventory: observeInventory(agent.inventory)
+    };
+}
+
+/**
+ * Inventory with Maps flattened to plain objects
+ */
+export function observeInventory(inventory) {
+    return {
+        maxSlots: inventory.maxSlots,
+        resources: Object.fromEntries(
+            Array.from(inventory.slots.entries()).map(([id, slot]) => [id, slot.count])
+        ),
+        tools: Object.fromEntries(
+            Array.from(inventory.tools.entries()).map(([id, tool]) => [id, {
+                count: tool.count ?? 1,
+                durability: tool.durability,
+                maxDurability: tool.maxDurability
+            }])
+        ),
+        equippedTool: inventory.equippedTool
+    };
+}
+
+/**
+ * Observation of all world entities (agents excluded - see observeAgent)
+ */
+export function observeWorld(world) {
+    return {
+        version: OBSERVATION_VERSION,
+        seed: world.seed,
+        step: world.stepCount,
+        time: world.time,
+        islandRadius: world.config.islandRadius,
+        waterLevel: world.config.waterLevel,
+        clock: world.clock.describe(),
+        totalDeaths: world.totalDeaths,
+        hut: {
+            position: vec(world.hut.position),
+            radius: world.hut.radius,
+            storage: { ...world.hut.storage }
+        },
+        trees: world.trees.map(t => ({
+            id: t.id,
+            type: t.type,
+            position: vec(t.position),
+            coconuts: t.coconuts
+        })),
+        rocks: world.rocks.map(r => ({ id: r.id, position: vec(r.position), scale: r.scale })),
+        bushes: world.bushes.map(b => ({ id: b.id, position: vec(b.position) })),
+        fish: world.fishList.map(f => ({ id: f.id, position: vec(f.position), heading: f.heading })),
+        threats: world.threats.map(t => ({
+            id: t.id,
+            type: t.type,
+            position: vec(t.position),
+            state: t.state,
+            health: t.health,
+            target: t.target,
+            phase: t.phase ?? null,                         // Boss fight phase
+            warning: t.warning ? { ...t.warning } : null    // { progress, glow, temperatureDrop } (squid)
+        })),
+        loot: world.loot.map(l => ({ id: l.id, itemId: l.itemId, count: l.count, position: vec(l.position) }))
+    };
+}
+
+/**
+ * Everything at once: world plus every agent keyed by id
+ */
+export function observe(world) {
+    const agents = {};
+    world.tribeMembers.forEach(agent => {
+        agents[agent.id] = observeAgent(world, agent);
+    });
+    return { version: OBSERVATION_VERSION, world: observeWorld(world), agents };
+}
+
+// ============================================
+// VECTOR OBSERVATIONS
+// ============================================
+
+/**
+ * Flat numeric observation (see AGENT_VECTOR_LAYOUT), values roughly in [-1, 1]
+ * @returns {number[]}
+ */
+export function agentVector(world, agent) {
+    const needs = agent.needs;
+    const radius = world.config.islandRadius;
+    const hut = world.hut;
+    const v = [];
+
+    v.push(agent.alive ? 1 : 0);
+    NEED_FIELDS.forEach(f => v.push(needs[f] ?? 0));
+    STATUS_FIELDS.forEach(f => v.push(needs[f] ? 1 : 0));
+    v.push(needs.age / 100);
+    LIFE_STAGE_NAMES.forEach(s => v.push(needs.lifeStage.name === s ? 1 : 0));
+    SKILL_IDS.forEach(id => v.push((agent.skills[id]?.level ?? 0) / 100));
+    RESOURCE_IDS.forEach(id => v.push((agent.inventory.slots.get(id)?.count ?? 0) / agent.inventory.maxSlots));
+    TOOL_IDS.forEach(id => v.push(agent.inventory.tools.get(id)?.count ?? 0));
+    AGENT_STATES.forEach(s => v.push(agent.state === s ? 1 : 0));
+    TASK_TYPES.forEach(t => v.push(agent.task?.type === t ? 1 : 0));
+
+    v.push(agent.position.x / radius, agent.position.y / 10, agent.position.z / radius);
+    v.push(Math.sin(agent.heading), Math.cos(agent.heading));
+
+    const dx = hut.position.x - agent.position.x;
+    const dz = hut.position.z - agent.position.z;
+    v.push(dx / radius, dz / radius, Math.sqrt(dx * dx + dz * dz) / radius);
+    HUT_STORAGE_IDS.forEach(id => v.push(squash(hut.storage[id] || 0)));
+
+    const clock = world.clock;
+    const dayAngle = clock.timeOfDay * Math.PI * 2;
+    v.push(Math.sin(dayAngle), Math.cos(dayAngle), clock.isNight ? 1 : 0, clock.moonIllumination);
+
+    return v;
+}
+
+// Map a count in [0, inf) to [0, 1)
+function squash(n) {
+    return n / (n + 10);
+}
+
+function vec(p) {
+    return { x: p.x, y: p.y, z: p.z };
+}
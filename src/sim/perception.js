@@ -0,0 +1,239 @@
+// ============================================
+// PERCEPTION - Egocentric spatial observations
+// ============================================
+// What an agent can see around itself, relative to its heading, as flat
+// numeric arrays for neural network input. Two layouts:
+//   grid - top-down square of cells centred on the agent, row 0 furthest
+//          ahead, column 0 furthest left
+//   rays - ring of rays starting straight ahead and turning right; each
+//          ray sees the entities inside its angular sector
+// Pure math over world state and getTerrainHeight(), no Three.js.
+
+import { getTerrainHeight } from '../utils/terrain.js';
+
+export const PERCEPTION_MODES = ['grid', 'rays'];
+
+export const PERCEPTION_DEFAULTS = {
+    mode: 'grid',
+    radius: 20,         // World units seen in each direction
+    resolution: 11      // Grid cells per side, or number of rays
+};
+
+// Entity kinds, in channel order
+const ENTITY_KINDS = ['palm', 'jungle', 'rock', 'bush', 'fish', 'agent', 'hut'];
+
+/**
+ * Channels per grid cell
+ *   height   - terrain height at the cell centre minus the agent's, / 10
+ *   water    - 1 if the cell centre is below waterLevel
+ *   coconuts - coconuts on palms in the cell
+ *   others   - entities of that kind in the cell (hut: 1 if the cell
+ *              centre is under the hut or the hut is in the cell)
+ */
+export const GRID_CHANNELS = ['height', 'water', 'coconuts', ...ENTITY_KINDS];
+
+/**
+ * Channels per ray (distances are / radius, 1 = nothing seen)
+ *   height   - terrain height at the ray's end minus the agent's, / 10
+ *   water    - distance to the first water along the ray
+ *   coconuts - coconuts on the nearest palm in the sector
+ *   others   - distance to the nearest entity of that kind in the sector
+ */
+export const RAY_CHANNELS = ['height', 'water', 'coconuts', ...ENTITY_KINDS];
+
+// Samples taken along each ray when looking for water
+const RAY_SAMPLES = 16;
+
+/**
+ * Normalize perception options
+ * @param {object|string|boolean} options - Options, a mode name, or true for defaults
+ * @returns {object|null} { mode, radius, resolution }, or null when disabled
+ */
+export function resolvePerception(options) {
+    if (!options) return null;
+    const spec = options === true ? {} : typeof options === 'string' ? { mode: options } : options;
+    const resolved = { ...PERCEPTION_DEFAULTS, ...spec };
+
+    if (!PERCEPTION_MODES.includes(resolved.mode)) {
+        throw new Error(`Unknown perception mode: ${resolved.mode}`);
+    }
+    if (!(resolved.radius > 0)) throw new Error(`Perception radius must be positive: ${resolved.radius}`);
+    if (!Number.isInteger(resolved.resolution) || resolved.resolution < 1) {
+        throw new Error(`Perception resolution must be a positive integer: ${resolved.resolution}`);
+    }
+    return resolved;
+}
+
+/**
+ * Shape and channel names of a perception array
+ * Arrays are laid out [row][col][channel] (grid) or [ray][channel] (rays)
+ */
+export function perceptionSpace(spec) {
+    const n = spec.resolution;
+    const channels = spec.mode === 'grid' ? GRID_CHANNELS : RAY_CHANNELS;
+    const shape = spec.mode === 'grid' ? [n, n, channels.length] : [n, channels.length];
+    return {
+        mode: spec.mode,
+        radius: spec.radius,
+        resolution: n,
+        channels,
+        shape,
+        size: shape.reduce((a, b) => a * b, 1)
+    };
+}
+
+/**
+ * Perceive the surroundings of one agent
+ * @param {object} spec - From resolvePerception()
+ * @returns {number[]} flat array, see perceptionSpace()
+ */
+export function perceive(world, agent, spec) {
+    return spec.mode === 'grid'
+        ? perceiveGrid(world, agent, spec)
+        : perceiveRays(world, agent, spec);
+}
+
+// ============================================
+// GRID
+// ============================================
+
+function perceiveGrid(world, agent, { radius, resolution }) {
+    const n = resolution;
+    const c = GRID_CHANNELS.length;
+    const cellSize = (radius * 2) / n;
+    const frame = egocentricFrame(agent);
+    const data = new Array(n * n * c).fill(0);
+
+    const index = (row, col, channel) => (row * n + col) * c + GRID_CHANNELS.indexOf(channel);
+
+    // Terrain at cell centres
+    for (let row = 0; row < n; row++) {
+        for (let col = 0; col < n; col++) {
+            const forward = radius - (row + 0.5) * cellSize;
+            const right = (col + 0.5) * cellSize - radius;
+            const { x, z } = frame.toWorld(forward, right);
+            const height = getTerrainHeight(x, z);
+            data[index(row, col, 'height')] = (height - agent.position.y) / 10;
+            data[index(row, col, 'water')] = height < world.config.waterLevel ? 1 : 0;
+        }
+    }
+
+    // Entities in cells
+    const cellOf = position => {
+        const { forward, right } = frame.toLocal(position);
+        const row = Math.floor((radius - forward) / cellSize);
+        const col = Math.floor((right + radius) / cellSize);
+        return row >= 0 && row < n && col >= 0 && col < n ? { row, col } : null;
+    };
+
+    forEachEntity(world, agent, (kind, entity) => {
+        const cell = cellOf(entity.position);
+        if (!cell) return;
+        data[index(cell.row, cell.col, kind)] += 1;
+        if (kind === 'palm') data[index(cell.row, cell.col, 'coconuts')] += entity.coconuts;
+    });
+
+    // The hut covers every cell whose centre is under it
+    const hut = world.hut;
+    const hutCell = cellOf(hut.position);
+    for (let row = 0; row < n; row++) {
+        for (let col = 0; col < n; col++) {
+            const { x, z } = frame.toWorld(radius - (row + 0.5) * cellSize, (col + 0.5) * cellSize - radius);
+            const covered = Math.hypot(x - hut.position.x, z - hut.position.z) < hut.radius;
+            const holdsHut = hutCell && hutCell.row === row && hutCell.col === col;
+            data[index(row, col, 'hut')] = covered || holdsHut ? 1 : 0;
+        }
+    }
+
+    return data;
+}
+
+// ============================================
+// RAYS
+// ============================================
+
+function perceiveRays(world, agent, { radius, resolution }) {
+    const n = resolution;
+    const c = RAY_CHANNELS.length;
+    const sector = (Math.PI * 2) / n;
+    const frame = egocentricFrame(agent);
+    const data = new Array(n * c).fill(1);
+
+    const index = (ray, channel) => ray * c + RAY_CHANNELS.indexOf(channel);
+
+    // Terrain along each ray
+    for (let ray = 0; ray < n; ray++) {
+        const angle = ray * sector;
+        const end = frame.toWorld(Math.cos(angle) * radius, Math.sin(angle) * radius);
+        data[index(ray, 'height')] = (getTerrainHeight(end.x, end.z) - agent.position.y) / 10;
+        data[index(ray, 'coconuts')] = 0;
+
+        for (let s = 1; s <= RAY_SAMPLES; s++) {
+            const t = s / RAY_SAMPLES;
+            const p = frame.toWorld(Math.cos(angle) * radius * t, Math.sin(angle) * radius * t);
+            if (getTerrainHeight(p.x, p.z) < world.config.waterLevel) {
+                data[index(ray, 'water')] = t;
+                break;
+            }
+        }
+    }
+
+    // Nearest entity of each kind per sector
+    const see = (kind, position, extra = 0) => {
+        const { forward, right } = frame.toLocal(position);
+        const distance = Math.max(0, Math.hypot(forward, right) - extra) / radius;
+        if (distance > 1) return -1;
+
+        const angle = Math.atan2(right, forward);
+        const ray = ((Math.round(angle / sector) % n) + n) % n;
+        if (distance >= data[index(ray, kind)]) return -1;
+
+        data[index(ray, kind)] = distance;
+        return ray;
+    };
+
+    forEachEntity(world, agent, (kind, entity) => {
+        const ray = see(kind, entity.position);
+        if (ray >= 0 && kind === 'palm') data[index(ray, 'coconuts')] = entity.coconuts;
+    });
+    see('hut', world.hut.position, world.hut.radius);
+
+    return data;
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Agent-relative axes on the ground plane; forward follows the walking
+// direction (sin heading, cos heading), right is forward x up
+function egocentricFrame(agent) {
+    const fx = Math.sin(agent.heading);
+    const fz = Math.cos(agent.heading);
+    const rx = -fz;
+    const rz = fx;
+    const ox = agent.position.x;
+    const oz = agent.position.z;
+
+    return {
+        toLocal(p) {
+            const dx = p.x - ox;
+            const dz = p.z - oz;
+            return { forward: dx * fx + dz * fz, right: dx * rx + dz * rz };
+        },
+        toWorld(forward, right) {
+            return { x: ox + forward * fx + right * rx, z: oz + forward * fz + right * rz };
+        }
+    };
+}
+
+// Every perceivable entity except the hut and the agent itself
+function forEachEntity(world, self, fn) {
+    world.trees.forEach(tree => fn(tree.type === 'palm' ? 'palm' : 'jungle', tree));
+    world.rocks.forEach(rock => fn('rock', rock));
+    world.bushes.forEach(bush => fn('bush', bush));
+    world.fishList.forEach(fish => fn('fish', fish));
+    world.tribeMembers.forEach(other => {
+        if (other !== self && other.alive) fn('agent', other);
+    });
+}
@@ -0,0 +1,36 @@
+// ============================================
+// RELATIONSHIPS - Social actions in the running world
+// ============================================
+// Glue between the social rules in systems/social.js and the World.
+// Every agent carries createAgentSocial() state (agent.social); scores
+// only change through these helpers, which report each change as a
+// relationship_changed event.
+
+import { RELATIONSHIP_BOUNDS, processSocialAction } from '../systems/social.js';
+
+/**
+ * Carry out a social action between two agents (processSocialAction)
+ */
+export function socialAction(world, actor, target, action, context = {}) {
+    return trackRelationships(world, [actor, target], () =>
+        processSocialAction(actor.social, target.social, action, context)
+    );
+}
+
+/**
+ * Run fn and emit relationship_changed for every score these agents
+ * hold that it moved
+ */
+export function trackRelationships(world, agents, fn) {
+    const before = agents.map(agent => new Map(agent.social.relationships));
+    const result = fn();
+    agents.forEach((agent, i) => {
+        for (const [otherId, score] of agent.social.relationships) {
+            const delta = score - (before[i].get(otherId) ?? RELATIONSHIP_BOUNDS.NEUTRAL);
+            if (delta !== 0) {
+                world.emit('relationship_changed', { agentId: agent.id, otherId, score, delta });
+            }
+        }
+    });
+    return result;
+}
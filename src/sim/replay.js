@@ -0,0 +1,229 @@
+// ============================================
+// REPLAY - Record and verify deterministic runs
+// ============================================
+// A recording is the world's seed and config plus every external input
+// (actions, controller changes, resets, snapshot loads) tagged with the step it arrived before,
+// and a state hash after every step. Replaying rebuilds the world from
+// the seed, feeds the same inputs and compares hashes, so the first step
+// whose hash differs is the first tick where the runs diverged.
+
+import { World } from './world.js';
+
+export const REPLAY_VERSION = 9;
+
+export class ReplayRecorder {
+    /**
+     * Start recording from the world's current state
+     * Recordings started after step 0 also carry a snapshot of the start
+     * @param {World} world
+     * @param {object} [meta] - Free-form info stored with the recording (e.g. scenario)
+     */
+    constructor(world, meta = {}) {
+        this.recording = {
+            version: REPLAY_VERSION,
+            meta,
+            seed: world.seed,
+            config: structuredClone(world.config),
+            startStep: world.stepCount,
+            snapshot: world.stepCount > 0 ? world.saveSnapshot() : null,
+            // Control state at the start (already inside the snapshot, if any)
+            controllers: Object.fromEntries(
+                world.tribeMembers.map(agent => [agent.id, agent.controller])
+            ),
+            pendingActions: Object.fromEntries(
+                world.tribeMembers
+                    .filter(agent => agent.pendingAction !== null)
+                    .map(agent => [agent.id, agent.pendingAction])
+            ),
+            inputs: [],     // { step, type: 'action' | 'controller' | 'reset' | 'snapshot', agentId, value }
+            hashes: []      // hashes[i] = state hash after step startStep + i + 1
+        };
+    }
+
+    recordInput(world, type, agentId, value) {
+        this.recording.inputs.push({ step: world.stepCount, type, agentId, value });
+    }
+
+    recordStep(world) {
+        this.recording.hashes.push(hashWorldState(world));
+    }
+
+    /**
+     * The recording as plain JSON
+     */
+    toJSON() {
+        return this.recording;
+    }
+}
+
+/**
+ * Re-run a recording headless and check every step's hash
+ * @param {object|string} recording - Recording or its JSON string
+ * @param {object} [options]
+ * @param {number} [options.steps] - Stop early after this many steps
+ * @param {function} [options.onStep] - (world, index) after each step
+ * @returns {{ steps: number, diverged: boolean, divergence: object|null, world: World }}
+ *   divergence = { step, index, expected, actual } for the first mismatching step
+ */
+export function replayRecording(recording, options = {}) {
+    const rec = typeof recording === 'string' ? JSON.parse(recording) : recording;
+    if (!rec || rec.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${rec?.version} (expected ${REPLAY_VERSION})`);
+    }
+
+    const world = new World({ seed: rec.seed, config: rec.config });
+    if (rec.snapshot) {
+        world.loadSnapshot(rec.snapshot);
+    } else {
+        // Set directly - setController() would drop pending actions
+        world.tribeMembers.forEach(agent => {
+            agent.controller = rec.controllers[agent.id] ?? agent.controller;
+            agent.pendingAction = rec.pendingActions[agent.id] ?? null;
+        });
+    }
+
+    const total = Math.min(options.steps ?? rec.hashes.length, rec.hashes.length);
+    let next = 0;
+
+    for (let i = 0; i < total; i++) {
+        // Inputs recorded between steps land before the step that followed them
+        while (next < rec.inputs.length && rec.inputs[next].step <= world.stepCount) {
+            applyInput(world, rec.inputs[next++]);
+        }
+
+        world.step();
+        const actual = hashWorldState(world);
+
+        options.onStep?.(world, i);
+
+        if (actual !== rec.hashes[i]) {
+            return {
+                steps: i + 1,
+                diverged: true,
+                divergence: { step: world.stepCount, index: i, expected: rec.hashes[i], actual },
+                world
+            };
+        }
+    }
+
+    return { steps: total, diverged: false, divergence: null, world };
+}
+
+function applyInput(world, input) {
+    if (input.type === 'controller') {
+        world.setController(input.agentId, input.value);
+    } else if (input.type === 'action') {
+        world.setAction(input.agentId, input.value);
+    } else if (input.type === 'reset') {
+        // Same config object, as IslandEnvironment.reset() rebuilds it in place
+        Object.assign(world.config, structuredClone(input.value.config));
+        world.reset(input.value.seed);
+    } else if (input.type === 'snapshot') {
+        world.loadSnapshot(input.value);
+    } else {
+        throw new Error(`Unknown replay input type: ${input.type}`);
+    }
+}
+
+// ============================================
+// STATE HASH
+// ============================================
+
+const hashBuffer = new DataView(new ArrayBuffer(8));
+
+/**
+ * 32-bit FNV-1a hash of everything that drives future steps:
+ * clock, RNG states, hut, trees, rocks, fish, threats, loot, agents, claims and threat responses
+ * @returns {string} 8 hex digits
+ */
+export function hashWorldState(world) {
+    const h = { value: 0x811c9dc5 };
+
+    hashValue(h, world.time);
+    hashValue(h, world.stepCount);
+    hashValue(h, world.clock.day);
+    hashValue(h, world.clock.timeOfDay);
+    hashValue(h, world.totalDeaths);
+    hashValue(h, world.stats);
+    hashValue(h, world.nextFishId);
+    for (const stream of Object.values(world.rng)) hashValue(h, stream.getState());
+
+    hashValue(h, world.hut.storage);
+    world.trees.forEach(tree => hashValue(h, tree.coconuts));
+    world.fishList.forEach(fish => hashValue(h, fish));
+    world.threats.forEach(threat => hashValue(h, threat));
+    world.loot.forEach(pile => hashValue(h, pile));
+    hashValue(h, world.encounters);
+    world.tribeMembers.forEach(agent => {
+        const { task, ...rest } = agent;
+        hashValue(h, rest);
+        hashTask(h, task);
+    });
+
+    hashValue(h, world.coordinator.claimedResources);
+    hashValue(h, world.coordinator.claimedTasks);
+    hashValue(h, world.coordinator.threatResponses);
+    hashValue(h, world.fishingSystem.claimedFish);
+
+    return (h.value >>> 0).toString(16).padStart(8, '0');
+}
+
+// Targets are other entities - hash their id, not their contents
+function hashTask(h, task) {
+    if (!task) {
+        hashByte(h, 0);
+        return;
+    }
+    for (const [key, value] of Object.entries(task)) {
+        hashString(h, key);
+        if (value && typeof value === 'object' && value.id !== undefined) {
+            hashString(h, String(value.id));
+        } else {
+            hashValue(h, value);
+        }
+    }
+}
+
+function hashValue(h, value) {
+    if (value === null || value === undefined) {
+        hashByte(h, 0);
+    } else if (typeof value === 'number') {
+        hashByte(h, 1);
+        hashBuffer.setFloat64(0, value === 0 ? 0 : value); // -0 does not survive JSON
+        for (let i = 0; i < 8; i++) hashByte(h, hashBuffer.getUint8(i));
+    } else if (typeof value === 'boolean') {
+        hashByte(h, value ? 2 : 3);
+    } else if (typeof value === 'string') {
+        hashByte(h, 4);
+        hashString(h, value);
+    } else if (value instanceof Map) {
+        hashByte(h, 5);
+        for (const [k, v] of value) {
+            hashValue(h, k);
+            hashValue(h, v);
+        }
+    } else if (value instanceof Set) {
+        hashByte(h, 8);
+        for (const v of value) hashValue(h, v);
+    } else if (Array.isArray(value)) {
+        hashByte(h, 6);
+        value.forEach(v => hashValue(h, v));
+    } else if (typeof value === 'object') {
+        hashByte(h, 7);
+        for (const [k, v] of Object.entries(value)) {
+            hashString(h, k);
+            hashValue(h, v);
+        }
+    }
+}
+
+function hashString(h, str) {
+    for (let i = 0; i < str.length; i++) {
+        hashByte(h, str.charCodeAt(i) & 0xff);
+        hashByte(h, str.charCodeAt(i) >>> 8);
+    }
+}
+
+function hashByte(h, byte) {
+    h.value = Math.imul(h.value ^ byte, 0x01000193);
+}
@@ -0,0 +1,140 @@
+// ============================================
+// REPRODUCTION - Mates, pregnancies and births
+// ============================================
+// Glue between the life cycle in systems/needs.js and the World.
+// Adults whose reproduction drive passes the needs table's reproductionThreshold
+// look for a mate (findMate): someone keen who feels the same about them
+// (findBestMate / willMate), or failing that the adult they like best,
+// to court. Courting raises the relationship both ways until the two
+// are willing; mating starts a pregnancy (startReproduction).
+//
+// When a pregnancy runs its course updateNeeds reports give_birth and
+// the World calls giveBirth(): a new agent with createChildNeeds, family
+// links to its parents and siblings (establishFamily). Babies can't act -
+// the tribe, parents first, brings them food (help_agent).
+//
+// No new pregnancies start while config.systems.reproduction is off.
+
+import { getTerrainHeight } from '../utils/terrain.js';
+import { Vec3 } from '../utils/vector.js';
+import { createChildNeeds, startReproduction } from '../systems/needs.js';
+import {
+    SOCIAL_ACTIONS,
+    getRelationship,
+    willCooperate,
+    willMate,
+    findBestMate,
+    establishFamily
+} from '../systems/social.js';
+import { socialAction, trackRelationships } from './relationships.js';
+
+export const REPRODUCTION_CONFIG = {
+    maxPopulation: 30,      // No new pregnancies once this many are alive
+    courtDriveCost: 0.05,   // Drive spent on a courting visit (so they don't hound each other)
+    birthOffset: 1          // Babies are born this far in front of the parent (on land)
+};
+
+/**
+ * Partner an agent should go to, or null if they aren't looking
+ * @returns {object|null} agent
+ */
+export function findMate(world, member) {
+    if (!world.config.systems?.reproduction) return null;
+    if (!isLooking(world, member)) return null;
+
+    const alive = world.getAliveAgents();
+    if (alive.length >= REPRODUCTION_CONFIG.maxPopulation) return null;
+
+    const candidates = alive.filter(other => other !== member && canPair(member, other));
+    const keen = findBestMate(
+        member.social,
+        candidates.map(other => other.social),
+        id => isLooking(world, world.getAgent(id))
+    );
+    if (keen) return world.getAgent(keen.id);
+
+    // Nobody keen on them yet - court the one they like best (nearest on a tie)
+    return candidates
+        .map(other => ({
+            other,
+            liking: getRelationship(member.social, other.id),
+            dist: member.position.distanceTo(other.position)
+        }))
+        .sort((a, b) => b.liking - a.liking || a.dist - b.dist)[0]?.other ?? null;
+}
+
+/**
+ * Two agents meet on a seek_mate task: mate if both are willing,
+ * otherwise court
+ */
+export function meetMate(world, member, partner) {
+    if (!partner?.alive || !canPair(member, partner)) return;
+
+    if (willMate(member.social, partner.social) &&
+        startReproduction(member.needs, partner.needs, world.rng.needs, world.tables.needs)) {
+        const [parent, other] = member.needs.isPregnant ? [member, partner] : [partner, member];
+        parent.otherParentId = other.id;
+        socialAction(world, member, partner, SOCIAL_ACTIONS.MATE);
+        world.log(`Agent ${parent.id} is expecting a baby with ${other.id}`, 'success');
+        return;
+    }
+
+    socialAction(world, member, partner, SOCIAL_ACTIONS.COURT);
+    member.needs.reproductionDrive = Math.max(0, member.needs.reproductionDrive - REPRODUCTION_CONFIG.courtDriveCost);
+}
+
+/**
+ * A pregnancy has run its course: add the baby to the tribe
+ * @returns {object} the new agent
+ */
+export function giveBirth(world, parent) {
+    const other = parent.otherParentId ? world.getAgent(parent.otherParentId) : null;
+    const parents = other ? [parent, other] : [parent];
+    const siblings = world.tribeMembers.filter(agent =>
+        agent.alive && parents.some(p => p.needs.childIds.includes(agent.id))
+    );
+
+    const needs = createChildNeeds(parent.needs, (other ?? parent).needs, world.rng.needs);
+    needs.parentIds = parents.map(p => p.id);
+    const baby = world.createTribeMember(world.tribeMembers.length, needs);
+    baby.appearance.skinTone = parent.appearance.skinTone;
+    baby.heading = parent.heading;
+    baby.targetAngle = parent.heading;
+    baby.position = birthPosition(world, parent);
+    world.tribeMembers.push(baby);
+    parents.forEach(p => p.needs.childIds.push(baby.id));
+    parent.otherParentId = null;
+    world.stats.births++;
+
+    world.log(`Agent ${baby.id} was born to ${needs.parentIds.join(' and ')}`, 'success');
+    world.emit('birth', { agentId: baby.id, parentIds: [...needs.parentIds] });
+
+    trackRelationships(world, [baby, ...parents, ...siblings], () => {
+        parents.forEach(p => establishFamily(p.social, baby.social, 'parent_child'));
+        siblings.forEach(s => establishFamily(s.social, baby.social, 'sibling'));
+    });
+    return baby;
+}
+
+// Just in front of the parent, or right beside them if that's the water
+function birthPosition(world, parent) {
+    const x = parent.position.x + Math.sin(parent.heading) * REPRODUCTION_CONFIG.birthOffset;
+    const z = parent.position.z + Math.cos(parent.heading) * REPRODUCTION_CONFIG.birthOffset;
+    const y = getTerrainHeight(x, z);
+    return y >= world.config.waterLevel + 0.5 ? new Vec3(x, y, z) : parent.position.clone();
+}
+
+// Adult, not already expecting, and with the drive up
+function isLooking(world, agent) {
+    const needs = agent.needs;
+    return needs.lifeStage.canReproduce && !needs.isPregnant &&
+        needs.reproductionDrive >= world.tables.needs.reproductionThreshold;
+}
+
+// An adult they could have a baby with: not expecting, not family,
+// and not someone they've fallen out with
+function canPair(member, other) {
+    return other.alive && other.needs.lifeStage.canReproduce && !other.needs.isPregnant &&
+        !member.social.familyIds.has(other.id) &&
+        willCooperate(member.social, other.social);
+}
@@ -0,0 +1,155 @@
+// ============================================
+// REWARDS - Weighted reward terms for training
+// ============================================
+// A reward is a weighted sum of per-agent terms measured over one env
+// step. Specs can be a preset name, or { preset?, mode?, weights? } with
+// weights merged over the preset. In 'tribe' mode every agent that was
+// alive at the start of the step gets the tribe's mean reward.
+
+import { DEATH_CAUSES } from '../systems/needs.js';
+
+export const REWARD_MODES = ['individual', 'tribe'];
+
+/**
+ * Term ids, in breakdown order
+ *   survival      - fixed steps survived during the env step
+ *   hunger/energy/health - change in that need (0-1 scale)
+ *   deposited     - resource units hauled into hut storage
+ *   spearsCrafted - spears crafted
+ *   fishCaught    - fish caught
+ *   death         - 1 on the step the agent dies (weight may be per cause)
+ */
+export const REWARD_TERMS = ['survival', 'hunger', 'energy', 'health', 'deposited', 'spearsCrafted', 'fishCaught', 'death'];
+
+export const REWARD_PRESETS = {
+    // Stay alive (the original env reward)
+    survival: {
+        mode: 'individual',
+        weights: { survival: 0.01, death: -1 }
+    },
+    // Keep needs up
+    wellbeing: {
+        mode: 'individual',
+        weights: { survival: 0.005, hunger: 1, energy: 0.5, health: 1, death: -1 }
+    },
+    // Feed the stockpile and tools
+    gatherer: {
+        mode: 'individual',
+        weights: { survival: 0.005, deposited: 0.05, spearsCrafted: 0.5, fishCaught: 0.3, death: -1 }
+    },
+    // Everything, shared across the tribe
+    tribe: {
+        mode: 'tribe',
+        weights: {
+            survival: 0.01, hunger: 0.5, health: 0.5, deposited: 0.02, spearsCrafted: 0.5, fishCaught: 0.3,
+            death: { ...Object.fromEntries(Object.values(DEATH_CAUSES).map(c => [c, -1])), old_age: -0.2 }
+        }
+    }
+};
+
+/**
+ * Normalize a reward spec into { name, mode, weights }
+ * @param {string|object} spec - Preset name or { preset?, mode?, weights? }
+ */
+export function resolveRewardSpec(spec = 'survival') {
+    const { preset = 'survival', mode, weights = {} } = typeof spec === 'string' ? { preset: spec } : spec;
+    const base = REWARD_PRESETS[preset];
+    if (!base) throw new Error(`Unknown reward preset: ${preset}`);
+
+    const resolved = {
+        name: preset,
+        mode: mode ?? base.mode,
+        weights: { ...base.weights, ...weights }
+    };
+
+    if (!REWARD_MODES.includes(resolved.mode)) throw new Error(`Unknown reward mode: ${resolved.mode}`);
+    for (const term of Object.keys(resolved.weights)) {
+        if (!REWARD_TERMS.includes(term)) throw new Error(`Unknown reward term: ${term}`);
+    }
+    return resolved;
+}
+
+/**
+ * What each agent looked like before a step
+ * @returns {Map} agentId -> { alive, hunger, energy, health, deposited, spearsCrafted, fishCaught }
+ */
+export function captureRewardState(world) {
+    return new Map(world.tribeMembers.map(agent => [agent.id, {
+        alive: agent.alive,
+        time: world.time,
+        hunger: agent.needs.hunger,
+        energy: agent.needs.energy,
+        health: agent.needs.health,
+        ...agent.stats
+    }]));
+}
+
+/**
+ * Rewards for one env step
+ * @param {object} spec - From resolveRewardSpec()
+ * @param {World} world - After the step
+ * @param {Map} before - From captureRewardState() before the step
+ * @returns {{ rewards: object, terms: object }} both keyed by agent id;
+ *   terms[id] holds each term's weighted contribution (before tribe sharing)
+ */
+export function computeRewards(spec, world, before) {
+    const rewards = {};
+    const terms = {};
+    const participants = [];
+
+    world.tribeMembers.forEach(agent => {
+        const prev = before.get(agent.id);
+        if (!prev || !prev.alive) {
+            // Already dead (or born mid-step): no reward
+            rewards[agent.id] = 0;
+            terms[agent.id] = {};
+            return;
+        }
+
+        const end = agent.alive ? world.time : (agent.deathTime ?? world.time);
+        const raw = {
+            survival: Math.round((end - prev.time) / world.config.fixedTimestep),
+            hunger: agent.needs.hunger - prev.hunger,
+            energy: agent.needs.energy - prev.energy,
+            health: agent.needs.health - prev.health,
+            deposited: agent.stats.deposited - prev.deposited,
+            spearsCrafted: agent.stats.spearsCrafted - prev.spearsCrafted,
+            fishCaught: agent.stats.fishCaught - prev.fishCaught,
+            death: agent.alive ? 0 : 1
+        };
+
+        const weighted = {};
+        let total = 0;
+        for (const [term, weight] of Object.entries(spec.weights)) {
+            const w = term === 'death' && typeof weight === 'object'
+                ? (weight[agent.deathCause] ?? 0)
+                : weight;
+            weighted[term] = raw[term] === 0 ? 0 : raw[term] * w;
+            total += weighted[term];
+        }
+
+        rewards[agent.id] = total;
+        terms[agent.id] = weighted;
+        participants.push(agent.id);
+    });
+
+    if (spec.mode === 'tribe' && participants.length > 0) {
+        const shared = participants.reduce((sum, id) => sum + rewards[id], 0) / participants.length;
+        participants.forEach(id => { rewards[id] = shared; });
+    }
+
+    return { rewards, terms };
+}
+
+/**
+ * Sum each term over all agents
+ */
+export function sumRewardTerms(terms) {
+    const totals = {};
+    Object.values(terms).forEach(agentTerms => {
+        for (const [term, value] of Object.entries(agentTerms)) {
+            totals[term] = (totals[term] || 0) + value;
+        }
+    });
+    return totals;
+}
@@ -0,0 +1,340 @@
+// ============================================
+// SCENARIOS - Declarative experiment setups
+// ============================================
+// A scenario is a JSON object (usually a file in scenarios/) describing
+// one experiment: seed, tribe, starting stock, resource densities, system
+// table overrides, optional systems and episode rules. loadScenario()
+// validates it and reports every problem at once; the environment turns
+// it into world config with scenarioConfig().
+//
+// NEEDS_CONFIG, RESOURCES, TOOLS and FISHING_CONFIG are the defaults and
+// are never modified: each World resolves its own copy with
+// resolveTables(config.tables) and passes it to the systems, so worlds
+// with different scenarios can share a process.
+
+import { CONFIG } from '../config.js';
+import { NEEDS_CONFIG } from '../systems/needs.js';
+import { RESOURCES, TOOLS } from '../systems/resources.js';
+import { FISHING_CONFIG } from '../systems/fishing.js';
+import { resolveRewardSpec } from './rewards.js';
+import { resolvePerception } from './perception.js';
+
+// System tables a scenario may override (the defaults)
+const TABLES = {
+    needs: NEEDS_CONFIG,
+    resources: RESOURCES,
+    tools: TOOLS,
+    fishing: FISHING_CONFIG
+};
+
+// density key -> config key
+const DENSITY_KEYS = {
+    palmTrees: 'palmTreesPerAgent',
+    jungleTrees: 'jungleTreesPerAgent',
+    rocks: 'rocksPerAgent',
+    bushes: 'bushesPerAgent',
+    fish: 'fishPerAgent'
+};
+
+export const SCENARIO_KEYS = [
+    'name', 'description', 'seed',
+    'tribe', 'hut', 'density', 'systems', 'config',
+    'needs', 'resources', 'tools', 'fishing',
+    'maxSteps', 'stepsPerAction', 'maxDays', 'minAlive',
+    'externalAgents', 'reward', 'perception'
+];
+
+/**
+ * Parse and validate a scenario
+ * @param {object|string} raw - Scenario object or its JSON
+ * @returns {object} the scenario; resources/tools sections are keyed by table key
+ *   (COCONUT), tribe.tools and hut.storage by id (coconut)
+ * @throws {Error} listing every problem found
+ */
+export function loadScenario(raw) {
+    let data = raw;
+    if (typeof raw === 'string') {
+        try {
+            data = JSON.parse(raw);
+        } catch (err) {
+            throw new Error(`Scenario is not valid JSON: ${err.message}`);
+        }
+    }
+
+    const { scenario, errors } = validateScenario(data);
+    if (errors.length > 0) {
+        const label = typeof data?.name === 'string' ? ` "${data.name}"` : '';
+        throw new Error(`Invalid scenario${label}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return scenario;
+}
+
+/**
+ * Check a scenario without throwing
+ * @returns {{ scenario: object, errors: string[] }} errors are "path: problem"
+ */
+export function validateScenario(data) {
+    const errors = [];
+    if (!isPlainObject(data)) {
+        errors.push(`scenario: expected an object, got ${describe(data)}`);
+        return { scenario: null, errors };
+    }
+    checkKeys(errors, 'scenario', data, SCENARIO_KEYS);
+
+    const scenario = { ...data };
+    const at = key => `scenario.${key}`;
+
+    if ('name' in data) expect(errors, at('name'), typeof data.name === 'string', 'a string', data.name);
+    if ('description' in data) expect(errors, at('description'), typeof data.description === 'string', 'a string', data.description);
+    if ('seed' in data) expect(errors, at('seed'), Number.isInteger(data.seed), 'an integer', data.seed);
+
+    if ('hut' in data && expect(errors, at('hut'), isPlainObject(data.hut), 'an object', data.hut)) {
+        checkKeys(errors, at('hut'), data.hut, ['storage']);
+        if ('storage' in data.hut && checkCounts(errors, `${at('hut')}.storage`, data.hut.storage, id => storableId(id) !== null)) {
+            scenario.hut = {
+                storage: Object.fromEntries(
+                    Object.entries(data.hut.storage).map(([id, count]) => [storableId(id), count])
+                )
+            };
+        }
+    }
+
+    if ('density' in data && expect(errors, at('density'), isPlainObject(data.density), 'an object', data.density)) {
+        checkKeys(errors, at('density'), data.density, Object.keys(DENSITY_KEYS));
+        for (const [key, value] of Object.entries(data.density)) {
+            if (!DENSITY_KEYS[key]) continue;
+            expect(errors, `${at('density')}.${key}`, typeof value === 'number' && value >= 0, 'a number >= 0', value);
+        }
+    }
+
+    if ('systems' in data) checkShape(errors, at('systems'), data.systems, CONFIG.systems);
+    if ('config' in data) {
+        checkShape(errors, at('config'), data.config, CONFIG);
+        if (isPlainObject(data.config) && 'tables' in data.config) {
+            errors.push(`${at('config')}.tables: use the needs, resources, tools and fishing sections`);
+        }
+    }
+
+    if ('needs' in data) checkShape(errors, at('needs'), data.needs, TABLES.needs);
+    if ('fishing' in data) checkShape(errors, at('fishing'), data.fishing, TABLES.fishing);
+    if ('resources' in data) scenario.resources = checkTable(errors, at('resources'), data.resources, TABLES.resources);
+    if ('tools' in data) scenario.tools = checkTable(errors, at('tools'), data.tools, TABLES.tools);
+
+    // Tribe tool caps come from this scenario's own tool table
+    if ('tribe' in data) {
+        const { tools } = resolveTables({ tools: isPlainObject(scenario.tools) ? scenario.tools : null });
+        scenario.tribe = validateTribe(errors, at('tribe'), data.tribe, tools);
+    }
+
+    for (const key of ['maxSteps', 'stepsPerAction']) {
+        if (key in data) expect(errors, at(key), Number.isInteger(data[key]) && data[key] >= 1, 'an integer >= 1', data[key]);
+    }
+    if ('maxDays' in data) expect(errors, at('maxDays'), typeof data.maxDays === 'number' && data.maxDays > 0, 'a number > 0', data.maxDays);
+    if ('minAlive' in data) expect(errors, at('minAlive'), Number.isInteger(data.minAlive) && data.minAlive >= 0, 'an integer >= 0', data.minAlive);
+
+    if ('externalAgents' in data) {
+        expect(errors, at('externalAgents'),
+            Array.isArray(data.externalAgents) && data.externalAgents.every(id => typeof id === 'string'),
+            'an array of agent ids', data.externalAgents);
+    }
+    if ('reward' in data) checkWith(errors, at('reward'), () => resolveRewardSpec(data.reward));
+    if ('perception' in data) checkWith(errors, at('perception'), () => resolvePerception(data.perception));
+
+    return { scenario, errors };
+}
+
+function validateTribe(errors, path, tribe, toolTable) {
+    if (!expect(errors, path, isPlainObject(tribe), 'an object', tribe)) return tribe;
+    checkKeys(errors, path, tribe, ['size', 'ages', 'tools']);
+
+    if ('size' in tribe) {
+        expect(errors, `${path}.size`, Number.isInteger(tribe.size) && tribe.size >= 1, 'an integer >= 1', tribe.size);
+    }
+
+    if ('ages' in tribe) {
+        const ages = tribe.ages;
+        const isAge = a => typeof a === 'number' && a >= 0;
+        if (Array.isArray(ages)) {
+            expect(errors, `${path}.ages`, ages.length > 0 && ages.every(isAge), 'a non-empty list of ages >= 0', ages);
+        } else if (expect(errors, `${path}.ages`, isPlainObject(ages), 'a list of ages or { min, max }', ages)) {
+            checkKeys(errors, `${path}.ages`, ages, ['min', 'max']);
+            expect(errors, `${path}.ages`, isAge(ages.min) && isAge(ages.max) && ages.min <= ages.max,
+                '{ min, max } with 0 <= min <= max', ages);
+        }
+    }
+
+    if (!('tools' in tribe)) return tribe;
+
+    // Normalize to tool ids, and cap at what an agent can carry
+    const tools = {};
+    if (checkCounts(errors, `${path}.tools`, tribe.tools, id => tableKey(toolTable, id) !== null)) {
+        for (const [id, count] of Object.entries(tribe.tools)) {
+            const key = tableKey(toolTable, id);
+            if (!key) continue;
+            const max = toolTable[key].maxPerAgent;
+            if (max && count > max) {
+                errors.push(`${path}.tools.${id}: at most ${max} per agent, got ${count}`);
+            }
+            tools[toolTable[key].id] = count;
+        }
+    }
+    return { ...tribe, tools };
+}
+
+// ============================================
+// SCENARIO -> CONFIG
+// ============================================
+
+/**
+ * World config overrides for a validated scenario
+ * Dedicated sections (tribe, hut, density, ...) win over scenario.config
+ */
+export function scenarioConfig(scenario) {
+    const config = { ...(scenario.config || {}) };
+    const { tribe, hut, density, systems } = scenario;
+
+    if (tribe?.size !== undefined) config.tribeMembers = tribe.size;
+    if (tribe?.ages !== undefined) config.startingAges = tribe.ages;
+    if (tribe?.tools !== undefined) config.startingTools = tribe.tools;
+    if (hut?.storage !== undefined) config.startingHutStorage = hut.storage;
+
+    for (const [key, value] of Object.entries(density || {})) {
+        config[DENSITY_KEYS[key]] = value;
+    }
+
+    if (systems) config.systems = { ...CONFIG.systems, ...(scenario.config?.systems || {}), ...systems };
+
+    const tables = {};
+    for (const name of Object.keys(TABLES)) {
+        if (scenario[name]) tables[name] = scenario[name];
+    }
+    if (Object.keys(tables).length > 0) config.tables = tables;
+
+    return config;
+}
+
+/**
+ * A world's own system tables: copies of the defaults with overrides applied
+ * Called by World.reset() with config.tables
+ * @param {object|null} tables - { needs?, resources?, tools?, fishing? }
+ * @returns {{ needs, resources, tools, fishing }}
+ */
+export function resolveTables(tables) {
+    return Object.fromEntries(Object.entries(TABLES).map(([name, defaults]) => {
+        const table = structuredClone(defaults);
+        if (tables?.[name]) mergeInPlace(table, tables[name]);
+        return [name, table];
+    }));
+}
+
+function mergeInPlace(target, overrides) {
+    for (const [key, value] of Object.entries(overrides)) {
+        if (isPlainObject(value) && isPlainObject(target[key])) mergeInPlace(target[key], value);
+        else target[key] = structuredClone(value);
+    }
+}
+
+// ============================================
+// VALIDATION HELPERS
+// ============================================
+
+function expect(errors, path, ok, expected, value) {
+    if (!ok) errors.push(`${path}: expected ${expected}, got ${describe(value)}`);
+    return ok;
+}
+
+function checkKeys(errors, path, value, allowed) {
+    for (const key of Object.keys(value)) {
+        if (!allowed.includes(key)) {
+            errors.push(`${path}.${key}: unknown key (expected one of: ${allowed.join(', ')})`);
+        }
+    }
+}
+
+function checkWith(errors, path, fn) {
+    try {
+        fn();
+    } catch (err) {
+        errors.push(`${path}: ${err.message}`);
+    }
+}
+
+// { id: count } with known ids and integer counts >= 0
+function checkCounts(errors, path, value, isKnownId) {
+    if (!expect(errors, path, isPlainObject(value), 'an object of counts', value)) return false;
+    let ok = true;
+    for (const [id, count] of Object.entries(value)) {
+        if (!isKnownId(id)) {
+            errors.push(`${path}.${id}: unknown id`);
+            ok = false;
+        } else {
+            ok = expect(errors, `${path}.${id}`, Number.isInteger(count) && count >= 0, 'an integer >= 0', count) && ok;
+        }
+    }
+    return ok;
+}
+
+// Overrides must use keys the defaults have, with the same value types
+function checkShape(errors, path, value, defaults) {
+    if (!expect(errors, path, isPlainObject(value), 'an object', value)) return;
+    for (const [key, v] of Object.entries(value)) {
+        const keyPath = `${path}.${key}`;
+        if (!(key in defaults)) {
+            errors.push(`${keyPath}: unknown key`);
+            continue;
+        }
+        const d = defaults[key];
+        if (d === null || d === undefined) continue;
+        if (isPlainObject(d)) {
+            if (Object.keys(d).length === 0) {
+                expect(errors, keyPath, isPlainObject(v), 'an object', v);
+            } else {
+                checkShape(errors, keyPath, v, d);
+            }
+        } else if (Array.isArray(d)) {
+            expect(errors, keyPath, Array.isArray(v), 'an array', v);
+        } else {
+            expect(errors, keyPath, typeof v === typeof d, `a ${typeof d}`, v);
+        }
+    }
+}
+
+// RESOURCES / TOOLS overrides keyed by table key (COCONUT) or id (coconut)
+function checkTable(errors, path, value, defaults) {
+    if (!expect(errors, path, isPlainObject(value), 'an object', value)) return value;
+    const normalized = {};
+    for (const [id, entry] of Object.entries(value)) {
+        const key = tableKey(defaults, id);
+        if (!key) {
+            errors.push(`${path}.${id}: unknown entry`);
+            continue;
+        }
+        checkShape(errors, `${path}.${id}`, entry, defaults[key]);
+        normalized[key] = entry;
+    }
+    return normalized;
+}
+
+function tableKey(table, id) {
+    if (table[id]) return id;
+    return Object.keys(table).find(key => table[key].id === id) ?? null;
+}
+
+// Hut storage is keyed by resource/tool id (coconut, fishing_spear)
+function storableId(id) {
+    for (const table of [RESOURCES, TOOLS]) {
+        const key = tableKey(table, id);
+        if (key) return table[key].id;
+    }
+    return null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+    const text = JSON.stringify(value);
+    if (text === undefined) return String(value);
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
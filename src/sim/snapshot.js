@@ -0,0 +1,245 @@
+// ============================================
+// SNAPSHOTS - Save/load full world state
+// ============================================
+// A snapshot is plain JSON: world clock, RNG stream states, every entity,
+// agent (needs, skills, inventory, relationships, task), threats and loot, and the
+// coordinator/fishing claims.
+// Loading one into any World continues the run bit-identically.
+//
+// Encoding: Maps become { $map: [[key, value], ...] }, Sets { $set: [...] }
+// and vectors { $vec3: [x, y, z] } so they survive JSON.stringify. Task targets are
+// stored by id and re-linked to the restored entities on load.
+
+import { Vec3 } from '../utils/vector.js';
+import { LIFE_STAGES } from '../systems/needs.js';
+import { TribeCoordinator } from '../systems/ai.js';
+import { FishingSystem } from '../systems/fishing.js';
+import { createAIHelpers } from './behavior.js';
+import { SimClock } from './clock.js';
+import { resolveTables } from './scenario.js';
+
+export const SNAPSHOT_VERSION = 9;
+
+const LIFE_STAGES_BY_NAME = Object.fromEntries(
+    Object.values(LIFE_STAGES).map(stage => [stage.name, stage])
+);
+
+// ============================================
+// SAVE
+// ============================================
+
+/**
+ * Capture the full state of a world
+ * @returns {object} JSON-safe snapshot
+ */
+export function createSnapshot(world) {
+    return {
+        version: SNAPSHOT_VERSION,
+        seed: world.seed,
+        time: world.time,
+        stepCount: world.stepCount,
+        clock: world.clock.toJSON(),
+        totalDeaths: world.totalDeaths,
+        stats: { ...world.stats },
+        nextFishId: world.nextFishId,
+        maxFish: world.maxFish,
+        config: structuredClone(world.config),
+        rng: Object.fromEntries(
+            Object.entries(world.rng).map(([name, stream]) => [name, stream.getState()])
+        ),
+        hut: encodeValue(world.hut),
+        trees: world.trees.map(encodeValue),
+        rocks: world.rocks.map(encodeValue),
+        bushes: world.bushes.map(encodeValue),
+        fish: world.fishList.map(encodeValue),
+        threats: world.threats.map(encodeValue),
+        loot: world.loot.map(encodeValue),
+        encounters: { ...world.encounters },
+        agents: world.tribeMembers.map(agent => encodeAgent(world, agent)),
+        coordinator: {
+            taskAssignments: encodeValue(world.coordinator.taskAssignments),
+            criticalNeeds: encodeValue(world.coordinator.criticalNeeds),
+            claimedResources: encodeValue(world.coordinator.claimedResources),
+            claimedTasks: encodeValue(world.coordinator.claimedTasks),
+            threatResponses: encodeValue(world.coordinator.threatResponses)
+        },
+        fishing: {
+            claimedFish: encodeValue(world.fishingSystem.claimedFish),
+            fishingAttempts: encodeValue(world.fishingSystem.fishingAttempts)
+        }
+    };
+}
+
+// Field order is kept as-is so restored agents hash identically (see replay.js)
+function encodeAgent(world, agent) {
+    const encoded = {};
+    for (const [key, value] of Object.entries(agent)) {
+        if (key === 'needs') {
+            encoded.needs = { ...encodeValue(value), lifeStage: value.lifeStage.name };
+        } else if (key === 'task') {
+            encoded.task = encodeTask(world, value);
+        } else {
+            encoded[key] = encodeValue(value);
+        }
+    }
+    return encoded;
+}
+
+function encodeTask(world, task) {
+    if (!task) return null;
+    const encoded = {};
+    for (const [key, value] of Object.entries(task)) {
+        encoded[key] = key === 'target' || key === 'targetTree'
+            ? encodeTarget(world, value)
+            : encodeValue(value);
+    }
+    return encoded;
+}
+
+// Live entities are stored by id; anything else (e.g. a fish caught
+// by someone else mid-task) is stored inline
+function encodeTarget(world, target) {
+    if (!target) return null;
+    if (target.id && world.getResource(target.id) === target) {
+        return { $ref: target.id };
+    }
+    return encodeValue(target);
+}
+
+function encodeValue(value) {
+    if (value instanceof Map) {
+        return { $map: Array.from(value.entries()).map(([k, v]) => [k, encodeValue(v)]) };
+    }
+    if (value instanceof Set) {
+        return { $set: Array.from(value, encodeValue) };
+    }
+    if (value instanceof Vec3) {
+        return { $vec3: [value.x, value.y, value.z] };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeValue);
+    }
+    if (value && typeof value === 'object') {
+        const encoded = {};
+        for (const [key, v] of Object.entries(value)) {
+            encoded[key] = encodeValue(v);
+        }
+        return encoded;
+    }
+    return value;
+}
+
+// ============================================
+// LOAD
+// ============================================
+
+/**
+ * Replace a world's state with a snapshot
+ * @param {World} world
+ * @param {object|string} snapshot - Snapshot object or its JSON string
+ * @returns {World}
+ */
+export function restoreSnapshot(world, snapshot) {
+    const snap = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+    if (!snap || snap.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version: ${snap?.version} (expected ${SNAPSHOT_VERSION})`);
+    }
+
+    // Keep the config object itself - the GUI holds a reference to it
+    Object.assign(world.config, structuredClone(snap.config));
+    world.tables = resolveTables(world.config.tables);
+
+    world.seed = snap.seed;
+    world.time = snap.time;
+    world.stepCount = snap.stepCount;
+    world.clock = new SimClock(world.config, snap.clock);
+    world.totalDeaths = snap.totalDeaths;
+    world.stats = { ...snap.stats };
+    world.nextFishId = snap.nextFishId;
+    world.maxFish = snap.maxFish;
+
+    for (const [name, state] of Object.entries(snap.rng)) {
+        if (!world.rng[name]) throw new Error(`Unknown RNG stream in snapshot: ${name}`);
+        world.rng[name].setState(state);
+    }
+
+    world.hut = decodeValue(snap.hut);
+    world.trees = snap.trees.map(decodeValue);
+    world.rocks = snap.rocks.map(decodeValue);
+    world.bushes = snap.bushes.map(decodeValue);
+    world.fishList = snap.fish.map(decodeValue);
+    world.threats = snap.threats.map(decodeValue);
+    world.loot = snap.loot.map(decodeValue);
+    world.encounters = { ...snap.encounters };
+
+    world.resourceIndex = new Map();
+    world.trees.forEach(tree => world.resourceIndex.set(tree.id, tree));
+    world.rocks.forEach(rock => world.resourceIndex.set(rock.id, rock));
+
+    world.tribeMembers = snap.agents.map(agent => decodeAgent(world, agent));
+
+    world.coordinator = new TribeCoordinator();
+    world.coordinator.taskAssignments = decodeValue(snap.coordinator.taskAssignments);
+    world.coordinator.criticalNeeds = decodeValue(snap.coordinator.criticalNeeds);
+    world.coordinator.claimedResources = decodeValue(snap.coordinator.claimedResources);
+    world.coordinator.claimedTasks = decodeValue(snap.coordinator.claimedTasks);
+    world.coordinator.threatResponses = decodeValue(snap.coordinator.threatResponses);
+
+    world.fishingSystem = new FishingSystem();
+    world.fishingSystem.claimedFish = decodeValue(snap.fishing.claimedFish);
+    world.fishingSystem.fishingAttempts = decodeValue(snap.fishing.fishingAttempts);
+
+    world.aiHelpers = createAIHelpers(world);
+
+    return world;
+}
+
+function decodeAgent(world, encoded) {
+    const agent = {};
+    for (const [key, value] of Object.entries(encoded)) {
+        if (key === 'needs') {
+            const lifeStage = LIFE_STAGES_BY_NAME[value.lifeStage];
+            if (!lifeStage) throw new Error(`Unknown life stage in snapshot: ${value.lifeStage}`);
+            agent.needs = { ...decodeValue(value), lifeStage };
+        } else if (key === 'task') {
+            agent.task = decodeTask(world, value);
+        } else {
+            agent[key] = decodeValue(value);
+        }
+    }
+    return agent;
+}
+
+function decodeTask(world, task) {
+    if (!task) return null;
+    const decoded = {};
+    for (const [key, value] of Object.entries(task)) {
+        decoded[key] = value && value.$ref !== undefined
+            ? world.getResource(value.$ref)
+            : decodeValue(value);
+    }
+    return decoded;
+}
+
+function decodeValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(decodeValue);
+    }
+    if (value && typeof value === 'object') {
+        if (value.$map) {
+            return new Map(value.$map.map(([k, v]) => [k, decodeValue(v)]));
+        }
+        if (value.$set) {
+            return new Set(value.$set.map(decodeValue));
+        }
+        if (value.$vec3) {
+            return new Vec3(...value.$vec3);
+        }
+        const decoded = {};
+        for (const [key, v] of Object.entries(value)) {
+            decoded[key] = decodeValue(v);
+        }
+        return decoded;
+    }
+    return value;
+}
@@ -0,0 +1,641 @@
+// ============================================
+// WORLD - Headless simulation core
+// ============================================
+// Owns all simulation state (agents, trees, rocks, bushes, fish, hut,
+// threats and loot)
+// and advances it in fixed steps. Has no dependency on Three.js or
+// the DOM, so it can be constructed, seeded and stepped in plain Node.
+// The browser build (main.js) only renders a World.
+
+import { CONFIG, createRandomStreams } from '../config.js';
+import { getTerrainHeight, getRandomIslandPosition } from '../utils/terrain.js';
+import { Vec3 } from '../utils/vector.js';
+import { createInventory, addTool, equipTool, updateSpoilage } from '../systems/resources.js';
+import { createAgentNeeds, updateNeeds } from '../systems/needs.js';
+import { createAgentSkills } from '../systems/skills.js';
+import { createAgentSocial } from '../systems/social.js';
+import { TribeCoordinator, improvedPlanTask } from '../systems/ai.js';
+import { FishingSystem } from '../systems/fishing.js';
+import { executeAgentState, createAIHelpers } from './behavior.js';
+import { CONTROLLERS, applyAction } from './actions.js';
+import { createSnapshot, restoreSnapshot } from './snapshot.js';
+import { ReplayRecorder } from './replay.js';
+import { SimClock } from './clock.js';
+import { EventBus } from './events.js';
+import { MetricsRecorder } from './metrics.js';
+import { InvariantChecker, checkInvariants, formatViolation } from './invariants.js';
+import { resolveTables } from './scenario.js';
+import { updateThreats } from './encounters.js';
+import { giveBirth } from './reproduction.js';
+
+export class World {
+    /**
+     * @param {object} options
+     * @param {number} [options.seed] - Random seed (defaults to CONFIG.seed)
+     * @param {object} [options.config] - Overrides merged over CONFIG
+     * @param {function} [options.log] - (message, type) logger, silent by default
+     */
+    constructor(options = {}) {
+        // Deep copy: nested settings (systems, startingTools, ...) are this world's own
+        this.config = structuredClone({ ...CONFIG, ...(options.config || {}) });
+        this.seed = options.seed ?? this.config.seed;
+        this.log = options.log || (() => {});
+        this.recorder = null;   // ReplayRecorder while recording
+        this.metrics = null;    // MetricsRecorder while sampling
+        this.invariants = null; // InvariantChecker while checking
+        this.events = new EventBus(); // Outlives reset() so subscribers stay attached
+
+        this.reset(this.seed);
+    }
+
+    /**
+     * Regenerate the island from a seed
+     * Each subsystem draws from its own stream (see RNG_STREAMS), so two
+     * worlds never share random state and extra draws in one subsystem
+     * don't shift the others.
+     */
+    reset(seed = this.seed) {
+        // Recorded before the step count restarts, so a replay resets at the same point
+        this.recorder?.recordInput(this, 'reset', null, { seed, config: structuredClone(this.config) });
+        this.seed = seed;
+        this.rng = createRandomStreams(seed);
+        this.tables = resolveTables(this.config.tables); // This world's NEEDS_CONFIG, RESOURCES, TOOLS, FISHING_CONFIG
+
+        this.time = 0;
+        this.stepCount = 0;
+        this.clock = new SimClock(this.config);
+        this.totalDeaths = 0;
+        this.stats = { spearsCrafted: 0, fishCaught: 0, births: 0 }; // Run totals for metrics
+
+        this.trees = [];
+        this.rocks = [];
+        this.bushes = [];
+        this.fishList = [];
+        this.tribeMembers = [];
+        this.resourceIndex = new Map(); // id -> tree/rock (for claim lookups)
+        this.nextFishId = 0;
+        this.threats = [];              // Live threats (see encounters.js)
+        this.loot = [];                 // { id, itemId, count, position, droppedAt, expiresAt } dropped by kills
+        this.encounters = { checkTimer: 0, squidCheckTimer: 0, bloodUntil: 0, nextThreatId: 0, nextLootId: 0 };
+
+        this.createPalmTrees();
+        this.createJungleTrees();
+        this.createRocks();
+        this.createBushes();
+        this.createHut();
+        this.createFish();
+        this.createTribeMembers();
+
+        this.coordinator = new TribeCoordinator();
+        this.fishingSystem = new FishingSystem();
+        this.aiHelpers = createAIHelpers(this);
+
+        return this;
+    }
+
+    // ============================================
+    // GENERATION
+    // ============================================
+
+    createPalmTrees() {
+        const config = this.config;
+        const palmTreeCount = Math.floor(config.palmTreesPerAgent * config.tribeMembers);
+        for (let i = 0; i < palmTreeCount; i++) {
+            const pos = getRandomIslandPosition(config.islandRadius * 0.5, config.islandRadius * 0.85, 2, this.rng.world);
+            const palm = {
+                id: `palm_${i}`,
+                type: 'palm',
+                position: new Vec3(pos.x, pos.y - 0.5, pos.z), // Sink slightly into ground
+                rotation: this.rng.world() * Math.PI * 2,
+                coconuts: 1 + Math.floor(this.rng.world() * 3),
+                age: 1
+            };
+            this.trees.push(palm);
+            this.resourceIndex.set(palm.id, palm);
+        }
+
+        this.log(`Created ${palmTreeCount} palm trees (${config.palmTreesPerAgent} per agent)`, 'info');
+    }
+
+    createJungleTrees() {
+        const config = this.config;
+        const jungleTreeCount = Math.floor(config.jungleTreesPerAgent * config.tribeMembers);
+        for (let i = 0; i < jungleTreeCount; i++) {
+            const pos = getRandomIslandPosition(5, config.islandRadius * 0.7, 3, this.rng.world);
+            const jungle = {
+                id: `jungle_${i}`,
+                type: 'jungle',
+                position: new Vec3(pos.x, pos.y - 0.6, pos.z),
+                rotation: this.rng.world() * Math.PI * 2,
+                coconuts: 0,
+                age: 1
+            };
+            this.trees.push(jungle);
+            this.resourceIndex.set(jungle.id, jungle);
+        }
+
+        this.log(`Created ${jungleTreeCount} jungle trees (${config.jungleTreesPerAgent} per agent)`, 'info');
+    }
+
+    createRocks() {
+        const config = this.config;
+        const rockCount = Math.floor(config.rocksPerAgent * config.tribeMembers);
+        for (let i = 0; i < rockCount; i++) {
+            const pos = getRandomIslandPosition(config.islandRadius * 0.6, config.islandRadius * 0.9, 1.5, this.rng.world);
+            const scale = 0.4 + this.rng.world() * 0.6;
+            const rock = {
+                id: `rock_${i}`,
+                position: new Vec3(pos.x, pos.y - scale * 0.35, pos.z),
+                rotation: this.rng.world() * Math.PI,
+                scale
+            };
+            this.rocks.push(rock);
+            this.resourceIndex.set(rock.id, rock);
+        }
+
+        this.log(`Created ${rockCount} rocks (${config.rocksPerAgent} per agent)`, 'info');
+    }
+
+    createBushes() {
+        const config = this.config;
+        const bushCount = Math.floor(config.bushesPerAgent * config.tribeMembers);
+        for (let i = 0; i < bushCount; i++) {
+            const pos = getRandomIslandPosition(15, config.islandRadius * 0.7, 4, this.rng.world);
+            this.bushes.push({
+                id: `bush_${i}`,
+                position: new Vec3(pos.x, pos.y + 0.3, pos.z),
+                scale: 0.6 + this.rng.world() * 0.5
+            });
+        }
+
+        this.log(`Created ${bushCount} bushes (${config.bushesPerAgent} per agent)`, 'info');
+    }
+
+    createHut() {
+        const y = getTerrainHeight(0, 0);
+        this.hut = {
+            position: new Vec3(0, y, 0),
+            radius: 4,
+            // Shared stockpile - empty unless the scenario stocks it
+            storage: {
+                coconut: 0,
+                wood: 0,
+                stone: 0,
+                vine: 0,
+                fish: 0,
+                fishing_spear: 0,  // Tools stored here - increases when crafted
+                ...this.config.startingHutStorage
+            }
+        };
+    }
+
+    createFish() {
+        const config = this.config;
+        this.maxFish = Math.floor(config.fishPerAgent * config.tribeMembers);
+        for (let i = 0; i < this.maxFish; i++) {
+            const angle = this.rng.world() * Math.PI * 2;
+            const dist = config.islandRadius * (0.9 + this.rng.world() * 0.7); // Closer to island
+            const y = -0.5 - this.rng.world() * 1.5; // Close to surface: -0.5 to -2
+
+            this.fishList.push({
+                id: `fish_${this.nextFishId++}`,
+                position: new Vec3(Math.cos(angle) * dist, y, Math.sin(angle) * dist),
+                heading: angle + Math.PI,
+                angle,
+                dist,
+                speed: 0.2 + this.rng.world() * 0.3,
+                yBase: y
+            });
+        }
+
+        this.log(`Created ${this.maxFish} fish (${config.fishPerAgent} per agent)`, 'info');
+    }
+
+    /**
+     * Rebuild the tribe at config.tribeMembers agents (the GUI's agent count)
+     * Recordings get the rebuilt world as a snapshot input
+     */
+    rebuildTribe() {
+        this.createTribeMembers();
+        this.recorder?.recordInput(this, 'snapshot', null, this.saveSnapshot());
+    }
+
+    /**
+     * (Re)create the tribe - also used when the agent count changes
+     */
+    createTribeMembers() {
+        const config = this.config;
+        this.tribeMembers = [];
+
+        for (let i = 0; i < config.tribeMembers; i++) {
+            const member = this.createTribeMember(i);
+            const pos = getRandomIslandPosition(10, config.islandRadius * 0.6, 3, this.rng.world);
+
+            member.position.set(pos.x, pos.y, pos.z);
+            member.heading = this.rng.world() * Math.PI * 2;
+            member.targetAngle = member.heading;
+
+            for (const [toolId, count] of Object.entries(config.startingTools || {})) {
+                for (let n = 0; n < count; n++) addTool(member.inventory, toolId, null, this.tables.tools);
+                if (count > 0 && !member.inventory.equippedTool) equipTool(member.inventory, toolId);
+            }
+
+            this.tribeMembers.push(member);
+        }
+
+        this.log(`Created ${config.tribeMembers} agents`, 'info');
+    }
+
+    /**
+     * A new agent - a starting adult, or a newborn when given its needs
+     */
+    createTribeMember(index, needs = null) {
+        const id = `agent_${index}`;
+        return {
+            id,
+            position: new Vec3(),
+            heading: 0,
+            // Cosmetic traits, fixed by the seed so every renderer agrees
+            appearance: {
+                skinTone: Math.floor(this.rng.world() * 5),
+                hairScale: 0.5 + this.rng.world() * 0.3
+            },
+            // Movement
+            targetAngle: 0,
+            walkPhase: this.rng.world() * Math.PI * 2,
+            // Systems
+            needs: needs ?? createAgentNeeds(startingAge(this.config.startingAges, index, this.rng.world()), this.rng.needs),
+            skills: createAgentSkills(),
+            social: createAgentSocial(id), // Relationships with the rest of the tribe
+            inventory: createInventory(10),
+            stats: { deposited: 0, spearsCrafted: 0, fishCaught: 0 }, // Lifetime totals (rewards, metrics)
+            isLegend: false,        // Slew the giant squid (see encounters.js)
+            otherParentId: null,    // Other parent of the baby on the way (see reproduction.js)
+            // Control: 'builtin' runs improvedPlanTask, 'external' waits for actions
+            controller: CONTROLLERS.BUILTIN,
+            pendingAction: null,
+            lastAction: null,       // { action, applied, reason } for the last external action
+            // State machine
+            alive: true,
+            deathCause: null,
+            deathTime: null,        // Sim time of death
+            state: 'idle',          // idle, walking, gathering, hauling, resting, eating, crafting, fishing, fleeing, rallying, fighting
+            task: null,             // { type, target, resourceId, ... }
+            restTime: 0,
+            actionTimer: 0
+        };
+    }
+
+    // ============================================
+    // SIMULATION STEP
+    // ============================================
+
+    /**
+     * Advance the simulation by one fixed step
+     */
+    step(delta = this.config.fixedTimestep) {
+        this.updateTribeMembers(delta);
+        this.regenerateCoconuts(delta);
+        this.updateFish(delta);
+        updateThreats(this, delta);
+
+        this.time += delta;
+        this.stepCount++;
+        this.clock.advance(delta);
+
+        this.recorder?.recordStep(this);
+        this.metrics?.recordStep(this);
+        this.invariants?.recordStep(this);
+    }
+
+    /**
+     * Time of day on the sim clock (0 = midnight, 0.5 = midday)
+     * Writable so the GUI slider can scrub it
+     */
+    get timeOfDay() {
+        return this.clock.timeOfDay;
+    }
+
+    set timeOfDay(t) {
+        this.clock.timeOfDay = t;
+    }
+
+    updateTribeMembers(delta) {
+        const hut = this.hut;
+        const births = [];
+
+        this.tribeMembers.forEach(member => {
+            if (!member.alive) return;
+
+            const pos = member.position;
+
+            // === NEEDS UPDATE ===
+            const ctx = {
+                isMoving: member.state === 'walking' || member.state === 'hauling' ||
+                    member.state === 'fishing' || member.state === 'fleeing' ||
+                    member.state === 'rallying',
+                isResting: member.state === 'resting' || member.state === 'crafting',
+                inShelter: hut ? pos.distanceTo(hut.position) < hut.radius : false,
+                inWater: pos.y < this.config.waterLevel + 0.2,
+                inDeepWater: pos.y < this.config.waterLevel - 2,
+                nearbyAgentCount: this.tribeMembers.filter(
+                    other => other !== member && other.alive &&
+                        other.position.distanceTo(pos) < 10
+                ).length,
+                nearSickAgent: this.tribeMembers.some(
+                    other => other !== member && other.alive &&
+                        other.needs?.isSick &&
+                        other.position.distanceTo(pos) < 6
+                ),
+                random: this.rng.needs,
+                config: this.tables.needs
+            };
+
+            const needsResult = updateNeeds(member.needs, delta, ctx);
+            // The baby is born even if the birth kills the parent
+            if (needsResult.events.some(event => event.type === 'give_birth')) births.push(member);
+            if (!needsResult.alive) {
+                this.killAgent(member, needsResult.deathCause);
+                return;
+            }
+
+            needsResult.events.forEach(event => {
+                if (event.type === 'got_sick') this.emit('got_sick', { agentId: member.id, source: event.source });
+                else if (event.type === 'recovered') this.emit('recovered', { agentId: member.id });
+            });
+
+            // Forced rest event
+            if (needsResult.events.some(e => e.type === 'forced_rest')) {
+                member.state = 'resting';
+                member.task = null;
+                member.restTime = 3 + this.rng.ai() * 3;
+            }
+
+            // === HIGH-LEVEL DECISION ===
+            this.coordinator.analyzeTribe(this.tribeMembers, hut);
+            if (member.controller === CONTROLLERS.EXTERNAL) {
+                if (member.pendingAction !== null) {
+                    const reason = applyAction(this, member, member.pendingAction);
+                    member.lastAction = { action: member.pendingAction, applied: reason === null, reason };
+                    member.pendingAction = null;
+                }
+            } else {
+                improvedPlanTask(member, this.tribeMembers, hut, this.coordinator, this.aiHelpers, this.rng.ai);
+            }
+
+            // === EXECUTION ===
+            executeAgentState(this, member, delta);
+
+            // Carried fish go off after their spoilTime (sim seconds since caught).
+            // Thrown out after the agent acts, so a fish that turns mid-meal is eaten spoiled
+            updateSpoilage(member.inventory, this.time, this.tables.resources);
+        });
+
+        // Newborns join after everyone has had their turn
+        births.forEach(parent => giveBirth(this, parent));
+
+        // Agents processed last (or who died) may have left claims behind
+        this.coordinator.releaseStaleClaims(this.tribeMembers);
+    }
+
+    /**
+     * Mark an agent dead and report it
+     * @param {string} cause - DEATH_CAUSES value
+     */
+    killAgent(member, cause) {
+        member.alive = false;
+        member.needs.alive = false;
+        member.needs.deathCause = cause;
+        member.deathCause = cause;
+        member.deathTime = this.time;
+        this.totalDeaths++;
+        this.log(`Agent ${member.id} died: ${cause}`, 'warning');
+        this.emit('death', { agentId: member.id, cause });
+    }
+
+    regenerateCoconuts(delta) {
+        this.trees.forEach(tree => {
+            if (tree.type === 'palm' && tree.coconuts < 3) {
+                if (this.rng.resources() < 0.002 * delta) {
+                    tree.coconuts++;
+                }
+            }
+        });
+    }
+
+    /**
+     * Fish swimming, fleeing and respawning (runs once per step)
+     */
+    updateFish(delta) {
+        this.fishList.forEach(fish => {
+            // Check for nearby agents and flee
+            FishingSystem.updateFishFleeing(fish, this.tribeMembers, delta, this.tables.fishing.FLEE_DISTANCE, this.rng.fishing);
+
+            // Normal swimming behavior
+            fish.angle += delta * fish.speed * 0.3;
+            fish.position.x = Math.cos(fish.angle) * fish.dist;
+            fish.position.z = Math.sin(fish.angle) * fish.dist;
+            fish.position.y = fish.yBase + Math.sin(this.time * 2 + fish.angle) * 0.25;
+            fish.heading = fish.angle + Math.PI / 2;
+        });
+
+        // Spawn new fish occasionally to maintain population
+        if (this.rng.fishing() < 0.01 * delta) {
+            FishingSystem.spawnFish(
+                this.fishList,
+                this.config.islandRadius,
+                this.config.waterLevel,
+                `fish_${this.nextFishId++}`,
+                this.maxFish,
+                this.rng.fishing
+            );
+        }
+
+        // Clean up fishing system claims
+        this.fishingSystem.cleanupClaims(this.getAliveAgents());
+    }
+
+    // ============================================
+    // CONTROL
+    // ============================================
+
+    /**
+     * Hand an agent to an external policy ('external') or back to the built-in AI
+     */
+    setController(agentId, controller) {
+        const agent = this.getAgent(agentId);
+        if (!agent) throw new Error(`Unknown agent: ${agentId}`);
+        if (!Object.values(CONTROLLERS).includes(controller)) {
+            throw new Error(`Unknown controller: ${controller}`);
+        }
+
+        agent.controller = controller;
+        agent.pendingAction = null;
+        this.recorder?.recordInput(this, 'controller', agentId, controller);
+    }
+
+    /**
+     * Queue an action (index or name) for an externally controlled agent
+     * Applied at the start of that agent's next update
+     */
+    setAction(agentId, action) {
+        const agent = this.getAgent(agentId);
+        if (!agent || agent.controller !== CONTROLLERS.EXTERNAL) return false;
+
+        agent.pendingAction = action;
+        agent.lastAction = null;
+        this.recorder?.recordInput(this, 'action', agentId, action);
+        return true;
+    }
+
+    // ============================================
+    // SNAPSHOTS
+    // ============================================
+
+    /**
+     * Capture the full world state as plain JSON (see snapshot.js)
+     */
+    saveSnapshot() {
+        return createSnapshot(this);
+    }
+
+    /**
+     * Replace the world state with a snapshot (object or JSON string)
+     * Stepping afterwards continues the saved run bit-identically
+     */
+    loadSnapshot(snapshot) {
+        const snap = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+        // Recorded before the step count jumps, so a replay loads it at the same point
+        this.recorder?.recordInput(this, 'snapshot', null, structuredClone(snap));
+        return restoreSnapshot(this, snap);
+    }
+
+    // ============================================
+    // REPLAY
+    // ============================================
+
+    /**
+     * Record inputs and per-step state hashes from now on (see replay.js)
+     * @param {object} [meta] - Stored with the recording (e.g. { scenario })
+     */
+    startRecording(meta = {}) {
+        this.recorder = new ReplayRecorder(this, meta);
+        return this.recorder;
+    }
+
+    /**
+     * Stop recording
+     * @returns {object|null} the recording as plain JSON
+     */
+    stopRecording() {
+        const recording = this.recorder?.toJSON() ?? null;
+        this.recorder = null;
+        return recording;
+    }
+
+    /**
+     * Sample time-series metrics from now on (see metrics.js)
+     * @param {object} [options] - { interval } in simulated seconds
+     */
+    startMetrics(options = {}) {
+        this.metrics = new MetricsRecorder(this, options);
+        return this.metrics;
+    }
+
+    /**
+     * Stop sampling
+     * @returns {MetricsRecorder|null} the recorder, for export
+     */
+    stopMetrics() {
+        const metrics = this.metrics;
+        this.metrics = null;
+        return metrics;
+    }
+
+    // ============================================
+    // INVARIANTS
+    // ============================================
+
+    /**
+     * Check invariants every N steps from now on (see invariants.js)
+     * Violations are logged as errors and kept on the checker
+     * @param {object} [options] - { interval, halt, only, onViolation }
+     */
+    startInvariantChecks(options = {}) {
+        this.invariants = new InvariantChecker({
+            onViolation: v => this.log(formatViolation(v), 'error'),
+            ...options
+        });
+        return this.invariants;
+    }
+
+    /**
+     * Stop checking
+     * @returns {InvariantChecker|null} the checker, with its violations
+     */
+    stopInvariantChecks() {
+        const invariants = this.invariants;
+        this.invariants = null;
+        return invariants;
+    }
+
+    /**
+     * Check invariants now
+     * @param {object} [options] - { only }
+     * @returns {object[]} violations: { invariant, step, time, agentId, message }
+     */
+    checkInvariants(options = {}) {
+        return checkInvariants(this, options);
+    }
+
+    // ============================================
+    // EVENTS
+    // ============================================
+
+    /**
+     * Publish a typed event (see events.js), stamped with the current step
+     */
+    emit(type, payload) {
+        return this.events.emit({ type, step: this.stepCount, time: this.time, ...payload });
+    }
+
+    /**
+     * Subscribe to an event type, or '*' for all
+     * @returns {function} unsubscribe
+     */
+    on(type, handler) {
+        return this.events.on(type, handler);
+    }
+
+    // ============================================
+    // QUERIES
+    // ============================================
+
+    getAgent(id) {
+        return this.tribeMembers.find(m => m.id === id) || null;
+    }
+
+    getAliveAgents() {
+        return this.tribeMembers.filter(m => m.alive);
+    }
+
+    getThreat(id) {
+        return this.threats.find(t => t.id === id) || null;
+    }
+
+    /**
+     * Look up a claimable resource (tree, rock, fish or loot pile) by id
+     */
+    getResource(id) {
+        return this.resourceIndex.get(id) || this.fishList.find(f => f.id === id) ||
+            this.loot.find(pile => pile.id === id) || null;
+    }
+}
+
+// Scenario ages: null = 18-33, { min, max }, or a list cycled over agents
+// Always takes the roll, so custom ages don't shift later world draws
+function startingAge(ages, index, roll) {
+    if (Array.isArray(ages)) return ages[index % ages.length];
+    if (ages) return ages.min + roll * (ages.max - ages.min);
+    return 18 + roll * 15;
+}
@@ -5,6 +5,12 @@
 // tribe-level coordination and no random wandering.
 
 import { seededRandom } from '../config.js';
+import { getRelationship, willCooperate, findCooperatingGroup } from './social.js';
+
+// Helpers reach this far for someone in need, further for a friend:
+// every relationship point counts as this many units closer
+const HELP_RANGE = 50;
+const HELP_RELATIONSHIP_PULL = 0.5;
 
 /**
  * Tribe-level task coordination system
@@ -16,6 +22,7 @@ export class TribeCoordinator {
         this.criticalNeeds = new Map(); // agentId -> { hunger, energy, needsHelp }
         this.claimedResources = new Map(); // resourceTargetId -> agentId (prevents duplicates)
         this.claimedTasks = new Map(); // taskKey -> agentId (prevents multiple agents on same task)
+        this.threatResponses = new Map(); // threatId -> { decision: 'rally' | 'retreat', hunterIds }
     }
 
     /**
@@ -24,51 +31,51 @@ export class TribeCoordinator {
      */
     analyzeTribe(tribeMembers, hut) {
         this.criticalNeeds.clear();
-
-        // Clean up resource claims for agents no longer targeting them
-        const activeAgents = new Set(tribeMembers.map(m => m.id));
-        for (const [resourceId, agentId] of this.claimedResources.entries()) {
-            if (!activeAgents.has(agentId)) {
-                this.claimedResources.delete(resourceId);
-            }
-        }
-
-        // Also clean claims where agent changed task
-        tribeMembers.forEach(member => {
-            if (!member.task || !member.task.target) {
-                // Agent not targeting a resource, clear their claims
-                for (const [resourceId, agentId] of this.claimedResources.entries()) {
-                    if (agentId === member.id) {
-                        this.claimedResources.delete(resourceId);
-                    }
-                }
-            }
-            
-            // Clean up task claims for agents that changed tasks
-            for (const [taskKey, agentId] of this.claimedTasks.entries()) {
-                if (agentId === member.id) {
-                    // Check if agent still has this task
-                    if (!member.task || this.getTaskKey(member.task) !== taskKey) {
-                        this.claimedTasks.delete(taskKey);
-                    }
-                }
-            }
-        });
+        this.releaseStaleClaims(tribeMembers);
 
         tribeMembers.forEach(member => {
             if (!member.alive) return;
 
-            const needsHelp = member.needs.hunger < 0.2 || member.needs.energy < 0.15;
+            // Babies can't feed themselves, so they're helped well before it's critical
+            const needsHelp = member.needs.lifeStage.canAct
+                ? member.needs.hunger < 0.2 || member.needs.energy < 0.15
+                : member.needs.hunger < 0.5;
             this.criticalNeeds.set(member.id, {
                 hunger: member.needs.hunger,
                 energy: member.needs.energy,
                 health: member.needs.health,
                 needsHelp,
-                position: member.mesh.position.clone()
+                position: member.position.clone()
             });
         });
     }
 
+    /**
+     * Drop claims whose agent is gone, dead, or no longer on that task
+     */
+    releaseStaleClaims(tribeMembers) {
+        // Current target and task key of every living agent
+        const targets = new Map();
+        const taskKeys = new Map();
+        tribeMembers.forEach(member => {
+            if (!member.alive || !member.task) return;
+            const target = member.task.target;
+            if (target) targets.set(member.id, target.uuid || target.id);
+            taskKeys.set(member.id, this.getTaskKey(member.task));
+        });
+
+        for (const [resourceId, agentId] of this.claimedResources.entries()) {
+            if (targets.get(agentId) !== resourceId) {
+                this.claimedResources.delete(resourceId);
+            }
+        }
+        for (const [taskKey, agentId] of this.claimedTasks.entries()) {
+            if (taskKeys.get(agentId) !== taskKey) {
+                this.claimedTasks.delete(taskKey);
+            }
+        }
+    }
+
     /**
      * Calculate tribal resource priorities
      */
@@ -143,22 +150,106 @@ export class TribeCoordinator {
             this.claimedResources.delete(targetId);
         }
     }
+
+    /**
+     * Build a unique key for a targeted task (e.g. "gather_wood:jungle_4")
+     * Returns null for tasks without a target
+     */
+    getTaskKey(task) {
+        if (!task || !task.target) return null;
+        const targetId = task.target.uuid || task.target.id;
+        return targetId ? `${task.type}:${targetId}` : null;
+    }
+
+    /**
+     * Check if a task is already claimed by another agent
+     */
+    isTaskClaimed(taskKey, agentId) {
+        if (!taskKey) return false;
+        const claimingAgent = this.claimedTasks.get(taskKey);
+        return !!claimingAgent && claimingAgent !== agentId;
+    }
+
+    /**
+     * Claim a task for an agent
+     */
+    claimTask(taskKey, agentId) {
+        if (taskKey) this.claimedTasks.set(taskKey, agentId);
+    }
+
+    /**
+     * Release a task claim
+     */
+    releaseTask(taskKey, agentId) {
+        if (this.claimedTasks.get(taskKey) === agentId) {
+            this.claimedTasks.delete(taskKey);
+        }
+    }
+
+    /**
+     * Decide as a tribe how to meet a threat: rally a hunting party if
+     * enough able agents who will hunt together are available, otherwise
+     * retreat inland
+     * @param {object} options
+     * @param {number} options.minHunters - Smallest party worth rallying
+     * @param {function} options.isAvailable - (member) => can this agent join the hunt
+     * @returns {object} { decision: 'rally' | 'retreat', hunterIds }
+     */
+    planThreatResponse(threat, tribeMembers, { minHunters, isAvailable }) {
+        const available = tribeMembers.filter(m =>
+            m.alive && m.needs.lifeStage.canAct && isAvailable(m)
+        );
+        const party = new Set(findCooperatingGroup(available.map(m => m.social)));
+        const hunters = available.filter(m => party.has(m.social));
+        const response = hunters.length >= minHunters
+            ? { decision: 'rally', hunterIds: hunters.map(m => m.id) }
+            : { decision: 'retreat', hunterIds: [] };
+        this.threatResponses.set(threat.id, response);
+        return response;
+    }
+
+    /**
+     * Is the tribe keeping away from the water?
+     */
+    isRetreating() {
+        for (const response of this.threatResponses.values()) {
+            if (response.decision === 'retreat') return true;
+        }
+        return false;
+    }
+
+    /**
+     * Drop the responses to threats that are gone
+     */
+    releaseThreatResponses(threats) {
+        for (const threatId of this.threatResponses.keys()) {
+            if (!threats.some(threat => threat.id === threatId)) {
+                this.threatResponses.delete(threatId);
+            }
+        }
+    }
 }
 
 /**
  * Improved task planning with 100% goal-oriented behavior
  * NO random wandering, NO idle time wasting
+ * @param {function} [random] - RNG stream (defaults to the shared seededRandom)
  */
-export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHelpers) {
+export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHelpers, random = seededRandom) {
     if (!member.alive) return;
 
+    // Babies do nothing for themselves (the tribe feeds them)
+    if (!member.needs.lifeStage.canAct) return;
+
     const hunger = member.needs.hunger;
     const energy = member.needs.energy;
     const health = member.needs.health;
 
-    // If in atomic action, don't replan
+    // If in atomic action (or reacting to a threat), don't replan
     if (member.state === 'gathering' || member.state === 'crafting' ||
-        member.state === 'eating' || member.state === 'fishing') {
+        member.state === 'eating' || member.state === 'fishing' ||
+        member.state === 'fleeing' || member.state === 'fighting' ||
+        member.state === 'rallying') {
         return;
     }
 
@@ -169,7 +260,7 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
     // CRITICAL hunger - eat immediately from inventory
     if (hunger < 0.25 && findHelpers.hasFood(member.inventory)) {
         member.state = 'eating';
-        member.task = { type: 'eat_from_inventory', resourceId: 'coconut', priority: 'critical' };
+        member.task = { type: 'eat_from_inventory', resourceId: findHelpers.carriedFood(member.inventory), priority: 'critical' };
         return;
     }
 
@@ -177,7 +268,7 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
     if (hunger < 0.3 && hut && hut.storage.coconut > 0) {
         member.state = 'walking';
         member.task = { type: 'go_hut_for_food', priority: 'critical' };
-        member.targetAngle = findHelpers.angleTo(member.mesh.position, hut.position);
+        member.targetAngle = findHelpers.angleTo(member.position, hut.position);
         return;
     }
 
@@ -185,7 +276,7 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
     if (energy < 0.2) {
         member.state = 'resting';
         member.task = { type: 'recover_energy', priority: 'critical' };
-        member.restTime = 4 + seededRandom() * 4;
+        member.restTime = 4 + random() * 4;
         return;
     }
 
@@ -200,14 +291,21 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
                        (hut && hut.storage.coconut > tribeMembers.length);
 
         if (canHelp) {
+            // Nobody helps (or is helped by) someone they've fallen out with;
+            // friends and family come first
             const nearestNeedyAgent = agentsNeedingHelp
+                .filter(a => {
+                    const other = tribeMembers.find(m => m.id === a.agentId);
+                    return other && willCooperate(member.social, other.social);
+                })
                 .map(a => ({
                     ...a,
-                    dist: member.mesh.position.distanceTo(a.position)
+                    effectiveDist: member.position.distanceTo(a.position) -
+                        getRelationship(member.social, a.agentId) * HELP_RELATIONSHIP_PULL
                 }))
-                .sort((a, b) => a.dist - b.dist)[0];
+                .sort((a, b) => a.effectiveDist - b.effectiveDist)[0];
 
-            if (nearestNeedyAgent && nearestNeedyAgent.dist < 50) {
+            if (nearestNeedyAgent && nearestNeedyAgent.effectiveDist < HELP_RANGE) {
                 // Go help this agent
                 if (findHelpers.hasFood(member.inventory)) {
                     member.state = 'walking';
@@ -220,13 +318,28 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
                 } else if (hut && hut.storage.coconut > tribeMembers.length) {
                     member.state = 'walking';
                     member.task = { type: 'go_hut_for_helping', priority: 'high' };
-                    member.targetAngle = findHelpers.angleTo(member.mesh.position, hut.position);
+                    member.targetAngle = findHelpers.angleTo(member.position, hut.position);
                     return;
                 }
             }
         }
     }
 
+    // ============================================
+    // PRIORITY 2.5: FINDING A MATE
+    // ============================================
+
+    // Adults with the drive up and food in their belly go to the partner
+    // findMate picks (someone keen on them, or else someone to court)
+    if (hunger > 0.5) {
+        const mate = findHelpers.findMate(member);
+        if (mate) {
+            member.state = 'walking';
+            member.task = { type: 'seek_mate', targetAgent: mate.id, priority: 'medium' };
+            return;
+        }
+    }
+
     // ============================================
     // PRIORITY 3: INVENTORY MANAGEMENT
     // ============================================
@@ -236,10 +349,31 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
     if (carryingAnything && hut) {
         member.state = 'hauling';
         member.task = { type: 'haul_to_hut', priority: 'medium' };
-        member.targetAngle = findHelpers.angleTo(member.mesh.position, hut.position);
+        member.targetAngle = findHelpers.angleTo(member.position, hut.position);
         return;
     }
 
+    // ============================================
+    // PRIORITY 3.5: BRING IN LOOT
+    // ============================================
+
+    // Drops from a kill rot on the beach, so fetch them before regular work
+    if (hut && hunger > 0.4 && energy > 0.3 && !coordinator.isRetreating()) {
+        const pile = findHelpers.findNearestLoot(member, coordinator);
+        if (pile) {
+            const taskKey = coordinator.getTaskKey({ type: 'collect_loot', target: pile });
+            if (!coordinator.isTaskClaimed(taskKey, member.id)) {
+                coordinator.claimTask(taskKey, member.id);
+                coordinator.claimResource(pile, member.id);
+
+                member.state = 'walking';
+                member.task = { type: 'collect_loot', target: pile, priority: 'medium' };
+                member.targetAngle = findHelpers.angleTo(member.position, pile.position);
+                return;
+            }
+        }
+    }
+
     // ============================================
     // PRIORITY 4: TRIBE RESOURCE NEEDS
     // ============================================
@@ -253,7 +387,7 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
             if (hut && hut.storage.coconut > 0) {
                 member.state = 'walking';
                 member.task = { type: 'go_hut_for_food', priority: 'medium' };
-                member.targetAngle = findHelpers.angleTo(member.mesh.position, hut.position);
+                member.targetAngle = findHelpers.angleTo(member.position, hut.position);
                 return;
             }
         }
@@ -268,12 +402,12 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
             
             if (craftersCount === 0 && walkingToCraftCount === 0) {
                 // First walk to hut, then craft
-                const distToHut = member.mesh.position.distanceTo(hut.position);
+                const distToHut = member.position.distanceTo(hut.position);
                 if (distToHut > 3) {
                     // Not at hut yet - walk there first
                     member.state = 'walking';
                     member.task = { type: 'walk_to_hut_to_craft', recipeId: 'fishing_spear', priority: 'medium' };
-                    member.targetAngle = findHelpers.angleTo(member.mesh.position, hut.position);
+                    member.targetAngle = findHelpers.angleTo(member.position, hut.position);
                     return;
                 } else {
                     // At hut - can craft immediately
@@ -299,7 +433,7 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
         if (gettingSpear === 0) {
             member.state = 'walking';
             member.task = { type: 'get_spear_from_hut', priority: 'high' };
-            member.targetAngle = findHelpers.angleTo(member.mesh.position, hut.position);
+            member.targetAngle = findHelpers.angleTo(member.position, hut.position);
             return;
         }
     }
@@ -312,9 +446,10 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
     // 1. Have a spear equipped (REQUIRED)
     // 2. Tribe needs food (coconuts low)
     // 3. Good energy for fishing from shore
+    // 4. The tribe isn't keeping away from the water
     if (findHelpers.hasSpear && findHelpers.hasSpear(member) &&
         energy > 0.4 && hunger > 0.3 &&
-        priorities.coconuts > 0.4) {
+        priorities.coconuts > 0.4 && !coordinator.isRetreating()) {
 
         // Check if too many agents are already fishing
         const fishersCount = coordinator.countAgentsOnTask(tribeMembers, 'go_fishing');
@@ -327,8 +462,9 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
                 
                 // Check if this specific fish is already claimed
                 if (!coordinator.isTaskClaimed(taskKey, member.id)) {
-                    // Claim this specific fishing task
+                    // Claim this specific fishing task, and the fish itself
                     coordinator.claimTask(taskKey, member.id);
+                    findHelpers.claimFish(nearestFish, member);
                     
                     member.state = 'walking';
                     member.task = {
@@ -336,7 +472,7 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
                         target: nearestFish,
                         priority: 'medium'
                     };
-                    member.targetAngle = findHelpers.angleTo(member.mesh.position, nearestFish.mesh.position);
+                    member.targetAngle = findHelpers.angleTo(member.position, nearestFish.position);
                     return;
                 }
             }
@@ -378,7 +514,7 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
                     resourceId: resource.type === 'coconuts' ? 'coconut' : resource.type,
                     priority: 'low'
                 };
-                member.targetAngle = findHelpers.angleTo(member.mesh.position, target.position);
+                member.targetAngle = findHelpers.angleTo(member.position, target.position);
                 return;
             }
         }
@@ -409,7 +545,7 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
                 resourceId: leastStocked.type === 'coconuts' ? 'coconut' : leastStocked.type,
                 priority: 'maintenance'
             };
-            member.targetAngle = findHelpers.angleTo(member.mesh.position, target.position);
+            member.targetAngle = findHelpers.angleTo(member.position, target.position);
             return;
         }
     }
@@ -420,11 +556,11 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
     // If absolutely nothing to do, go to hut area to be ready for tasks
     // This is better than idle wandering
     if (hut) {
-        const distToHut = member.mesh.position.distanceTo(hut.position);
+        const distToHut = member.position.distanceTo(hut.position);
         if (distToHut > 10) {
             member.state = 'walking';
             member.task = { type: 'patrol_to_hut', priority: 'fallback' };
-            member.targetAngle = findHelpers.angleTo(member.mesh.position, hut.position);
+            member.targetAngle = findHelpers.angleTo(member.position, hut.position);
             return;
         }
     }
@@ -432,7 +568,7 @@ export function improvedPlanTask(member, tribeMembers, hut, coordinator, findHel
     // Absolute fallback - rest to recover energy for future tasks
     member.state = 'resting';
     member.task = { type: 'recover_energy', priority: 'fallback' };
-    member.restTime = 2 + seededRandom() * 2;
+    member.restTime = 2 + random() * 2;
 }
 
 /**
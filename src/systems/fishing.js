@@ -4,6 +4,7 @@
 // Comprehensive spearfishing mechanics with wading, targeting, and catching
 
 import { seededRandom } from '../config.js';
+import { Vec3 } from '../utils/vector.js';
 
 /**
  * Fishing System - manages all fishing-related mechanics
@@ -16,12 +17,15 @@ export class FishingSystem {
     }
 
     /**
-     * Clean up stale fish claims
+     * Drop claims whose agent is gone, dead, or no longer fishing for that fish
      */
     cleanupClaims(activeAgents) {
-        const activeIds = new Set(activeAgents.map(a => a.id));
+        const targets = new Map(); // agentId -> fish id it is fishing for
+        activeAgents.forEach(agent => {
+            if (agent.task?.type === 'go_fishing' && agent.task.target) targets.set(agent.id, agent.task.target.id);
+        });
         for (const [fishId, agentId] of this.claimedFish.entries()) {
-            if (!activeIds.has(agentId)) {
+            if (targets.get(agentId) !== fishId) {
                 this.claimedFish.delete(fishId);
             }
         }
@@ -31,7 +35,7 @@ export class FishingSystem {
      * Check if a fish is already claimed
      */
     isFishClaimed(fish, agentId) {
-        const fishId = fish.mesh.uuid;
+        const fishId = fish.id;
         const claimingAgent = this.claimedFish.get(fishId);
         return claimingAgent && claimingAgent !== agentId;
     }
@@ -40,7 +44,7 @@ export class FishingSystem {
      * Claim a fish for an agent
      */
     claimFish(fish, agentId) {
-        const fishId = fish.mesh.uuid;
+        const fishId = fish.id;
         this.claimedFish.set(fishId, agentId);
     }
 
@@ -48,7 +52,7 @@ export class FishingSystem {
      * Release a fish claim
      */
     releaseFish(fish, agentId) {
-        const fishId = fish.mesh.uuid;
+        const fishId = fish.id;
         if (this.claimedFish.get(fishId) === agentId) {
             this.claimedFish.delete(fishId);
         }
@@ -64,7 +68,7 @@ export class FishingSystem {
 
         fishList.forEach(fish => {
             // Only target fish in shallow water (catchable depth)
-            const fishDepth = Math.abs(fish.mesh.position.y);
+            const fishDepth = Math.abs(fish.position.y);
             if (fishDepth > 5) return;
 
             // Check if already claimed by another agent
@@ -72,7 +76,7 @@ export class FishingSystem {
                 return;
             }
 
-            const dist = agent.mesh.position.distanceTo(fish.mesh.position);
+            const dist = agent.position.distanceTo(fish.position);
             if (dist < minDist && dist < 30) { // Max detection range: 30 units
                 minDist = dist;
                 nearest = fish;
@@ -83,11 +87,11 @@ export class FishingSystem {
     }
 
     /**
-     * Check if agent has a fishing spear equipped
+     * Check if agent is carrying a fishing spear
      */
     static hasSpear(inventory) {
-        if (!inventory || !inventory.equipped) return false;
-        return inventory.equipped.toolId === 'fishing_spear';
+        if (!inventory || !inventory.tools) return false;
+        return inventory.tools.has('fishing_spear');
     }
 
     /**
@@ -136,7 +140,7 @@ export class FishingSystem {
      * Attempt to catch a fish
      * Success rate depends on skill and randomness
      */
-    static attemptCatch(agent, fish, fishingSystem) {
+    static attemptCatch(agent, fish, fishingSystem, random = seededRandom) {
         if (!fishingSystem) return false;
 
         // Get attempt count for this agent
@@ -166,7 +170,7 @@ export class FishingSystem {
         successRate = Math.min(successRate, 0.95);
 
         // Roll for success
-        const roll = seededRandom();
+        const roll = random();
         const success = roll < successRate;
 
         if (success) {
@@ -178,79 +182,38 @@ export class FishingSystem {
         return false;
     }
 
-    /**
-     * Add caught fish to inventory
-     * Fish count as food (similar to coconuts but better nutrition)
-     */
-    static addFishToInventory(inventory) {
-        if (!inventory || !inventory.slots) return false;
-
-        // Check if inventory has space
-        const totalItems = Array.from(inventory.slots.values()).reduce((sum, slot) => sum + slot.count, 0);
-        if (totalItems >= inventory.capacity) return false;
-
-        // Add fish to inventory
-        if (inventory.slots.has('fish')) {
-            inventory.slots.get('fish').count += 1;
-        } else {
-            inventory.slots.set('fish', { resourceId: 'fish', count: 1 });
-        }
-
-        return true;
-    }
-
     /**
      * Remove caught fish from world
+     * The renderer disposes the matching mesh on its next sync
      */
-    static removeFish(fish, fishList, scene) {
+    static removeFish(fish, fishList) {
         const index = fishList.indexOf(fish);
         if (index > -1) {
             fishList.splice(index, 1);
         }
-
-        // Remove mesh from scene
-        if (scene && fish.mesh) {
-            scene.remove(fish.mesh);
-
-            // Dispose of geometry and materials
-            fish.mesh.traverse(child => {
-                if (child.geometry) child.geometry.dispose();
-                if (child.material) {
-                    if (Array.isArray(child.material)) {
-                        child.material.forEach(mat => mat.dispose());
-                    } else {
-                        child.material.dispose();
-                    }
-                }
-            });
-        }
     }
 
     /**
      * Spawn new fish to maintain population
      * Called periodically to replace caught fish
      */
-    static spawnFish(scene, fishList, islandRadius, waterLevel, createSingleFish, maxFish = 20) {
+    static spawnFish(fishList, islandRadius, waterLevel, id, maxFish = 20, random = seededRandom) {
         if (fishList.length >= maxFish) return null;
 
-        const angle = seededRandom() * Math.PI * 2;
-        const dist = islandRadius * (1 + seededRandom() * 0.8);
-
-        const fishColors = [0xff6b35, 0xffd700, 0x4ecdc4, 0xff69b4, 0x87ceeb];
-        const fish = createSingleFish(fishColors);
+        const angle = random() * Math.PI * 2;
+        const dist = islandRadius * (1 + random() * 0.8);
+        const y = waterLevel - 1 - random() * 4;
 
-        fish.mesh.position.set(
-            Math.cos(angle) * dist,
-            -1 - seededRandom() * 4,
-            Math.sin(angle) * dist
-        );
-        fish.mesh.rotation.y = angle + Math.PI;
-        fish.angle = angle;
-        fish.dist = dist;
-        fish.speed = 0.2 + seededRandom() * 0.3;
-        fish.yBase = fish.mesh.position.y;
+        const fish = {
+            id,
+            position: new Vec3(Math.cos(angle) * dist, y, Math.sin(angle) * dist),
+            heading: angle + Math.PI,
+            angle,
+            dist,
+            speed: 0.2 + random() * 0.3,
+            yBase: y
+        };
 
-        scene.add(fish.mesh);
         fishList.push(fish);
 
         return fish;
@@ -302,7 +265,7 @@ export class FishingSystem {
      */
     static shouldCancelFishing(agent, waterLevel) {
         // Too deep
-        if (this.isTooDeep(agent.mesh.position, waterLevel)) {
+        if (this.isTooDeep(agent.position, waterLevel)) {
             return true;
         }
 
@@ -323,7 +286,7 @@ export class FishingSystem {
      * Update fish AI to flee from nearby agents
      * Makes fishing more challenging and realistic
      */
-    static updateFishFleeing(fish, agents, delta, fleeDistance = 4.0) {
+    static updateFishFleeing(fish, agents, delta, fleeDistance = 4.0, random = seededRandom) {
         // Check for nearby agents in water
         let nearestAgent = null;
         let minDist = Infinity;
@@ -332,10 +295,10 @@ export class FishingSystem {
             if (!agent.alive) return;
 
             // Only flee from agents in water
-            const agentDepth = this.getWaterDepth(agent.mesh.position, 0); // waterLevel passed separately
+            const agentDepth = this.getWaterDepth(agent.position, 0); // waterLevel passed separately
             if (agentDepth < 0.3) return;
 
-            const dist = agent.mesh.position.distanceTo(fish.mesh.position);
+            const dist = agent.position.distanceTo(fish.position);
             if (dist < minDist && dist < fleeDistance) {
                 minDist = dist;
                 nearestAgent = agent;
@@ -346,8 +309,8 @@ export class FishingSystem {
             // Flee away from agent
             const fleeStrength = (1 - minDist / fleeDistance) * 2.0;
 
-            const dx = fish.mesh.position.x - nearestAgent.mesh.position.x;
-            const dz = fish.mesh.position.z - nearestAgent.mesh.position.z;
+            const dx = fish.position.x - nearestAgent.position.x;
+            const dz = fish.position.z - nearestAgent.position.z;
             const len = Math.sqrt(dx * dx + dz * dz);
 
             if (len > 0.1) {
@@ -360,7 +323,7 @@ export class FishingSystem {
             }
         } else {
             // Gradually return to normal speed
-            fish.speed = 0.2 + seededRandom() * 0.3;
+            fish.speed = 0.2 + random() * 0.3;
         }
     }
 }
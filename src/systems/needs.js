@@ -3,6 +3,8 @@
 // Per Island Sim Full Prompt spec
 // ============================================
 
+import { seededRandom } from '../config.js';
+
 export const LIFE_STAGES = {
     BABY: { name: 'baby', minAge: 0, maxAge: 2, canAct: false, canReproduce: false, efficiencyMult: 0 },
     CHILD: { name: 'child', minAge: 2, maxAge: 12, canAct: true, canReproduce: false, efficiencyMult: 0.5 },
@@ -69,14 +71,15 @@ export const NEEDS_CONFIG = {
 
 /**
  * Create default needs state for a new agent
+ * @param {function} [random] - RNG stream (defaults to the shared seededRandom)
  */
-export function createAgentNeeds(age = 18) {
+export function createAgentNeeds(age = 18, random = seededRandom) {
     return {
         // Core needs (0-1, 1 = full)
-        hunger: 0.8 + Math.random() * 0.2,
-        energy: 0.9 + Math.random() * 0.1,
+        hunger: 0.8 + random() * 0.2,
+        energy: 0.9 + random() * 0.1,
         health: 1.0,
-        social: 0.7 + Math.random() * 0.3,
+        social: 0.7 + random() * 0.3,
         reproductionDrive: 0,
         
         // Life cycle
@@ -117,20 +120,30 @@ export function getLifeStage(age) {
     return LIFE_STAGES.ELDER;
 }
 
+/**
+ * Body size relative to an adult: babies are born at 0.4 and grow
+ * steadily until they come of age
+ */
+export function getBodyScale(age) {
+    const grown = Math.min(1, Math.max(0, age) / LIFE_STAGES.ADULT.minAge);
+    return 0.4 + 0.6 * grown;
+}
+
 /**
  * Calculate efficiency multiplier based on needs and age
+ * @param {object} [config] - Needs table (defaults to NEEDS_CONFIG)
  */
-export function getEfficiencyMultiplier(needs) {
+export function getEfficiencyMultiplier(needs, config = NEEDS_CONFIG) {
     let mult = needs.lifeStage.efficiencyMult;
     
     // Hunger penalty
-    if (needs.hunger < NEEDS_CONFIG.hungerLowThreshold) {
-        mult *= 0.5 + (needs.hunger / NEEDS_CONFIG.hungerLowThreshold) * 0.5;
+    if (needs.hunger < config.hungerLowThreshold) {
+        mult *= 0.5 + (needs.hunger / config.hungerLowThreshold) * 0.5;
     }
     
     // Energy penalty
-    if (needs.energy < NEEDS_CONFIG.energyLowThreshold) {
-        mult *= 0.5 + (needs.energy / NEEDS_CONFIG.energyLowThreshold) * 0.5;
+    if (needs.energy < config.energyLowThreshold) {
+        mult *= 0.5 + (needs.energy / config.energyLowThreshold) * 0.5;
     }
     
     // Sickness penalty
@@ -139,9 +152,9 @@ export function getEfficiencyMultiplier(needs) {
     }
     
     // Old age penalty (gradual after threshold)
-    if (needs.age > NEEDS_CONFIG.oldAgeThreshold) {
-        const ageOver = needs.age - NEEDS_CONFIG.oldAgeThreshold;
-        const maxOver = NEEDS_CONFIG.maxNaturalAge - NEEDS_CONFIG.oldAgeThreshold;
+    if (needs.age > config.oldAgeThreshold) {
+        const ageOver = needs.age - config.oldAgeThreshold;
+        const maxOver = config.maxNaturalAge - config.oldAgeThreshold;
         mult *= 1 - (ageOver / maxOver) * 0.4;
     }
     
@@ -150,6 +163,8 @@ export function getEfficiencyMultiplier(needs) {
 
 /**
  * Update agent needs for one simulation step
+ * context.random is the RNG stream to draw from (defaults to seededRandom)
+ * and context.config the needs table (defaults to NEEDS_CONFIG)
  * @returns {object} { alive, deathCause, events }
  */
 export function updateNeeds(needs, delta, context = {}) {
@@ -164,7 +179,9 @@ export function updateNeeds(needs, delta, context = {}) {
         inWater = false,
         inDeepWater = false,
         nearbyAgentCount = 0,
-        nearSickAgent = false
+        nearSickAgent = false,
+        random = seededRandom,
+        config = NEEDS_CONFIG
     } = context;
     
     // Update state
@@ -174,13 +191,13 @@ export function updateNeeds(needs, delta, context = {}) {
     needs.inDeepWater = inDeepWater;
     
     // === AGING ===
-    needs.age += NEEDS_CONFIG.ageYearsPerSecond * delta;
+    needs.age += config.ageYearsPerSecond * delta;
     needs.lifeStage = getLifeStage(needs.age);
     
     // Old age death chance
-    if (needs.age > NEEDS_CONFIG.maxNaturalAge) {
-        const deathChance = (needs.age - NEEDS_CONFIG.maxNaturalAge) * 0.01 * delta;
-        if (Math.random() < deathChance) {
+    if (needs.age > config.maxNaturalAge) {
+        const deathChance = (needs.age - config.maxNaturalAge) * 0.01 * delta;
+        if (random() < deathChance) {
             needs.alive = false;
             needs.deathCause = DEATH_CAUSES.OLD_AGE;
             events.push({ type: 'death', cause: DEATH_CAUSES.OLD_AGE });
@@ -189,8 +206,8 @@ export function updateNeeds(needs, delta, context = {}) {
     }
     
     // === HUNGER ===
-    let hungerDecay = NEEDS_CONFIG.hungerDecayRate * delta;
-    if (isMoving) hungerDecay *= NEEDS_CONFIG.hungerMovingMult;
+    let hungerDecay = config.hungerDecayRate * delta;
+    if (isMoving) hungerDecay *= config.hungerMovingMult;
     if (needs.isSick) hungerDecay *= 2;
     needs.hunger = Math.max(0, needs.hunger - hungerDecay);
     
@@ -204,20 +221,20 @@ export function updateNeeds(needs, delta, context = {}) {
     
     // === ENERGY ===
     if (isResting) {
-        let restoreRate = NEEDS_CONFIG.energyRestoreRate * delta;
-        if (inShelter) restoreRate *= NEEDS_CONFIG.energyRestoreShelterMult;
+        let restoreRate = config.energyRestoreRate * delta;
+        if (inShelter) restoreRate *= config.energyRestoreShelterMult;
         needs.energy = Math.min(1, needs.energy + restoreRate);
         needs.exhaustionTimer = 0;
     } else if (isMoving || inWater) {
-        let drainRate = NEEDS_CONFIG.energyDecayRate * delta;
-        if (inDeepWater) drainRate = NEEDS_CONFIG.drownEnergyDrain * delta;
+        let drainRate = config.energyDecayRate * delta;
+        if (inDeepWater) drainRate = config.drownEnergyDrain * delta;
         needs.energy = Math.max(0, needs.energy - drainRate);
     }
     
     // Exhaustion tracking
     if (needs.energy <= 0) {
         needs.exhaustionTimer += delta;
-        if (needs.exhaustionTimer >= NEEDS_CONFIG.exhaustionDeathTime) {
+        if (needs.exhaustionTimer >= config.exhaustionDeathTime) {
             needs.alive = false;
             needs.deathCause = inDeepWater ? DEATH_CAUSES.DROWNING : DEATH_CAUSES.EXHAUSTION;
             events.push({ type: 'death', cause: needs.deathCause });
@@ -228,7 +245,7 @@ export function updateNeeds(needs, delta, context = {}) {
     }
     
     // Forced rest at critical energy
-    if (needs.energy < NEEDS_CONFIG.energyCriticalThreshold && !isResting) {
+    if (needs.energy < config.energyCriticalThreshold && !isResting) {
         events.push({ type: 'forced_rest' });
     }
     
@@ -236,16 +253,16 @@ export function updateNeeds(needs, delta, context = {}) {
     let healthChange = 0;
     
     // Base decay (aging)
-    healthChange -= NEEDS_CONFIG.healthDecayBase * delta;
+    healthChange -= config.healthDecayBase * delta;
     
     // Sickness damage
     if (needs.isSick) {
-        healthChange -= NEEDS_CONFIG.healthSicknessDecay * delta;
+        healthChange -= config.healthSicknessDecay * delta;
     }
     
     // Recovery when well-fed and resting
     if (isResting && needs.hunger > 0.5 && !needs.isSick) {
-        healthChange += NEEDS_CONFIG.healthRecoverRate * delta;
+        healthChange += config.healthRecoverRate * delta;
     }
     
     needs.health = Math.max(0, Math.min(1, needs.health + healthChange));
@@ -260,9 +277,9 @@ export function updateNeeds(needs, delta, context = {}) {
     
     // === SOCIAL ===
     if (nearbyAgentCount > 0) {
-        needs.social = Math.min(1, needs.social + NEEDS_CONFIG.socialRecoverRate * delta * nearbyAgentCount);
+        needs.social = Math.min(1, needs.social + config.socialRecoverRate * delta * nearbyAgentCount);
     } else {
-        needs.social = Math.max(0, needs.social - NEEDS_CONFIG.socialDecayRate * delta);
+        needs.social = Math.max(0, needs.social - config.socialDecayRate * delta);
     }
     
     // Isolation health penalty
@@ -272,7 +289,7 @@ export function updateNeeds(needs, delta, context = {}) {
     
     // === REPRODUCTION DRIVE ===
     if (needs.lifeStage.canReproduce && !needs.isPregnant) {
-        needs.reproductionDrive = Math.min(1, needs.reproductionDrive + NEEDS_CONFIG.reproductionDriveRate * delta);
+        needs.reproductionDrive = Math.min(1, needs.reproductionDrive + config.reproductionDriveRate * delta);
     }
     
     // === SICKNESS ===
@@ -285,9 +302,9 @@ export function updateNeeds(needs, delta, context = {}) {
     }
     
     // Sickness spread
-    if (!needs.isSick && nearSickAgent && Math.random() < NEEDS_CONFIG.sicknessSpreadChance * delta) {
+    if (!needs.isSick && nearSickAgent && random() < config.sicknessSpreadChance * delta) {
         needs.isSick = true;
-        needs.sicknessTimer = NEEDS_CONFIG.sicknessDuration;
+        needs.sicknessTimer = config.sicknessDuration;
         events.push({ type: 'got_sick', source: 'spread' });
     }
     
@@ -301,7 +318,7 @@ export function updateNeeds(needs, delta, context = {}) {
             needs.energy = Math.max(0.1, needs.energy - 0.4); // Childbirth exhaustion
             
             // Rare childbirth complication
-            if (Math.random() < 0.02 && needs.health < 0.3) {
+            if (random() < 0.02 && needs.health < 0.3) {
                 needs.alive = false;
                 needs.deathCause = DEATH_CAUSES.CHILDBIRTH;
                 events.push({ type: 'death', cause: DEATH_CAUSES.CHILDBIRTH });
@@ -315,16 +332,17 @@ export function updateNeeds(needs, delta, context = {}) {
 
 /**
  * Apply food consumption to needs
+ * @param {object} [config] - Needs table (defaults to NEEDS_CONFIG)
  */
-export function consumeFood(needs, foodItem) {
+export function consumeFood(needs, foodItem, random = seededRandom, config = NEEDS_CONFIG) {
     const { nutrition = 0.3, isRaw = false, isSpoiled = false } = foodItem;
     
     needs.hunger = Math.min(1, needs.hunger + nutrition);
     
     // Sickness chance from raw/spoiled food
     let sicknessChance = 0;
-    if (isRaw) sicknessChance = NEEDS_CONFIG.rawFishSicknessChance;
-    if (isSpoiled) sicknessChance = NEEDS_CONFIG.spoiledFoodSicknessChance;
+    if (isRaw) sicknessChance = config.rawFishSicknessChance;
+    if (isSpoiled) sicknessChance = config.spoiledFoodSicknessChance;
     
     // Vulnerable groups have higher chance
     if (needs.lifeStage === LIFE_STAGES.CHILD || needs.lifeStage === LIFE_STAGES.ELDER) {
@@ -333,9 +351,9 @@ export function consumeFood(needs, foodItem) {
     if (needs.isPregnant) sicknessChance *= 1.3;
     if (needs.health < 0.5) sicknessChance *= 1.5;
     
-    if (sicknessChance > 0 && Math.random() < sicknessChance) {
+    if (sicknessChance > 0 && random() < sicknessChance) {
         needs.isSick = true;
-        needs.sicknessTimer = NEEDS_CONFIG.sicknessDuration;
+        needs.sicknessTimer = config.sicknessDuration;
         return { gotSick: true };
     }
     
@@ -344,15 +362,16 @@ export function consumeFood(needs, foodItem) {
 
 /**
  * Start reproduction process
+ * @param {object} [config] - Needs table (defaults to NEEDS_CONFIG)
  */
-export function startReproduction(needs1, needs2) {
+export function startReproduction(needs1, needs2, random = seededRandom, config = NEEDS_CONFIG) {
     if (!needs1.lifeStage.canReproduce || !needs2.lifeStage.canReproduce) return false;
     if (needs1.isPregnant || needs2.isPregnant) return false;
-    if (needs1.reproductionDrive < NEEDS_CONFIG.reproductionThreshold) return false;
-    if (needs2.reproductionDrive < NEEDS_CONFIG.reproductionThreshold) return false;
+    if (needs1.reproductionDrive < config.reproductionThreshold) return false;
+    if (needs2.reproductionDrive < config.reproductionThreshold) return false;
     
     // Determine which one gets pregnant (simplified: random)
-    const pregnant = Math.random() < 0.5 ? needs1 : needs2;
+    const pregnant = random() < 0.5 ? needs1 : needs2;
     pregnant.isPregnant = true;
     pregnant.pregnancyTimer = 0;
     
@@ -366,8 +385,8 @@ export function startReproduction(needs1, needs2) {
 /**
  * Create child needs inheriting from parents
  */
-export function createChildNeeds(parent1Needs, parent2Needs) {
-    const child = createAgentNeeds(0);
+export function createChildNeeds(parent1Needs, parent2Needs, random = seededRandom) {
+    const child = createAgentNeeds(0, random);
     
     // Baby starts with full needs but can't act
     child.hunger = 1;
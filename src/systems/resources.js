@@ -146,6 +146,13 @@ export const RESOURCES = {
         stackSize: 20,
         description: 'Sharp teeth for tools and weapons.'
     },
+    SHARK_JAW: {
+        id: 'shark_jaw',
+        name: 'Shark Jaw',
+        type: 'trophy',
+        stackSize: 1,
+        description: 'Proof of a shark hunt.'
+    },
     SHARK_SKIN: {
         id: 'shark_skin',
         name: 'Shark Skin',
@@ -183,6 +190,13 @@ export const RESOURCES = {
         type: 'material',
         stackSize: 2,
         description: 'Powerful dye and medicine.'
+    },
+    SQUID_EYE: {
+        id: 'squid_eye',
+        name: 'Giant Squid Eye',
+        type: 'trophy',
+        stackSize: 2,
+        description: 'Trophy of the night boss.'
     }
 };
 
@@ -202,7 +216,8 @@ export const TOOLS = {
         effects: {
             fishingSpeedBonus: 0.5,
             canCatchTier2: true,
-            canCatchTier3: true
+            canCatchTier3: true,
+            combatDamageBonus: 0     // A weapon, if a plain one
         }
     },
     GATHERING_STICK: {
@@ -291,6 +306,8 @@ export const STRUCTURES = {
 // ============================================
 // INVENTORY HELPERS
 // ============================================
+// Helpers that look items up take the RESOURCES or TOOLS table as an
+// optional last argument; a World passes its own (world.tables).
 
 /**
  * Create empty inventory
@@ -306,10 +323,11 @@ export function createInventory(maxSlots = 12) {
 
 /**
  * Add item to inventory
+ * Pass itemData.spawnTime (simulation seconds) so spoilage follows the sim clock
  * @returns {boolean} success
  */
-export function addToInventory(inventory, resourceId, count = 1, itemData = {}) {
-    const resource = RESOURCES[resourceId.toUpperCase()] || RESOURCES[resourceId];
+export function addToInventory(inventory, resourceId, count = 1, itemData = {}, resources = RESOURCES) {
+    const resource = resources[resourceId.toUpperCase()] || resources[resourceId];
     if (!resource) return false;
     
     const existing = inventory.slots.get(resourceId) || { count: 0, items: [] };
@@ -329,8 +347,8 @@ export function addToInventory(inventory, resourceId, count = 1, itemData = {})
     if (resource.spoilTime) {
         for (let i = 0; i < count; i++) {
             existing.items.push({
-                spawnTime: Date.now(),
-                spoilTime: resource.spoilTime * 1000,
+                spawnTime: 0,
+                spoilTime: resource.spoilTime,
                 isCooked: itemData.isCooked || false,
                 ...itemData
             });
@@ -380,10 +398,10 @@ export function getInventoryTotal(inventory) {
 /**
  * Check if inventory has room
  */
-export function hasInventoryRoom(inventory, resourceId = null) {
+export function hasInventoryRoom(inventory, resourceId = null, resources = RESOURCES) {
     if (resourceId) {
         const existing = inventory.slots.get(resourceId);
-        const resource = RESOURCES[resourceId.toUpperCase()] || RESOURCES[resourceId];
+        const resource = resources[resourceId.toUpperCase()] || resources[resourceId];
         if (existing && existing.count < (resource?.stackSize || 10)) return true;
     }
     return inventory.slots.size < inventory.maxSlots;
@@ -393,13 +411,13 @@ export function hasInventoryRoom(inventory, resourceId = null) {
  * Add tool to inventory
  * Checks maxPerAgent limit (e.g., max 2 spears)
  */
-export function addTool(inventory, toolId, durability = null) {
-    const tool = TOOLS[toolId.toUpperCase()] || TOOLS[toolId];
+export function addTool(inventory, toolId, durability = null, tools = TOOLS) {
+    const tool = tools[toolId.toUpperCase()] || tools[toolId];
     if (!tool) return false;
     
     // Check max per agent limit
     if (tool.maxPerAgent) {
-        const currentCount = inventory.tools.has(toolId) ? 1 : 0;
+        const currentCount = getToolCount(inventory, toolId);
         if (currentCount >= tool.maxPerAgent) {
             return false; // Already at max
         }
@@ -462,9 +480,9 @@ export function equipTool(inventory, toolId) {
 /**
  * Get equipped tool effects
  */
-export function getEquippedToolEffects(inventory) {
+export function getEquippedToolEffects(inventory, tools = TOOLS) {
     if (!inventory.equippedTool) return {};
-    const toolDef = TOOLS[inventory.equippedTool.toUpperCase()] || TOOLS[inventory.equippedTool];
+    const toolDef = tools[inventory.equippedTool.toUpperCase()] || tools[inventory.equippedTool];
     return toolDef?.effects || {};
 }
 
@@ -475,6 +493,20 @@ export function hasTool(inventory, toolId) {
     return inventory.tools.has(toolId);
 }
 
+/**
+ * Best weapon carried (a tool with a combatDamageBonus), or null
+ * @returns {object|null} the TOOLS entry
+ */
+export function getBestWeapon(inventory, tools = TOOLS) {
+    let best = null;
+    inventory.tools.forEach((_, toolId) => {
+        const tool = tools[toolId.toUpperCase()];
+        const bonus = tool?.effects.combatDamageBonus;
+        if (bonus !== undefined && (!best || bonus > best.effects.combatDamageBonus)) best = tool;
+    });
+    return best;
+}
+
 /**
  * Get tool count (for tools that can have multiple instances like spears)
  */
@@ -490,13 +522,14 @@ export function getToolCount(inventory, toolId) {
 
 /**
  * Update spoilage for inventory items
+ * @param {number} currentTime - Simulation time in seconds
  * @returns {array} spoiled items
  */
-export function updateSpoilage(inventory, currentTime = Date.now()) {
+export function updateSpoilage(inventory, currentTime, resources = RESOURCES) {
     const spoiled = [];
     
     inventory.slots.forEach((slot, resourceId) => {
-        const resource = RESOURCES[resourceId.toUpperCase()] || RESOURCES[resourceId];
+        const resource = resources[resourceId.toUpperCase()] || resources[resourceId];
         if (!resource?.spoilTime) return;
         
         // Check each item for spoilage
@@ -522,8 +555,8 @@ export function updateSpoilage(inventory, currentTime = Date.now()) {
 /**
  * Get food nutrition value
  */
-export function getFoodNutrition(resourceId, isCooked = false) {
-    const resource = RESOURCES[resourceId.toUpperCase()] || RESOURCES[resourceId];
+export function getFoodNutrition(resourceId, isCooked = false, resources = RESOURCES) {
+    const resource = resources[resourceId.toUpperCase()] || resources[resourceId];
     if (!resource || resource.type !== 'food') return 0;
     
     if (isCooked && resource.nutritionCooked) {
@@ -535,8 +568,8 @@ export function getFoodNutrition(resourceId, isCooked = false) {
 /**
  * Check if food is raw (can cause sickness)
  */
-export function isFoodRaw(resourceId, itemData = {}) {
-    const resource = RESOURCES[resourceId.toUpperCase()] || RESOURCES[resourceId];
+export function isFoodRaw(resourceId, itemData = {}, resources = RESOURCES) {
+    const resource = resources[resourceId.toUpperCase()] || resources[resourceId];
     if (!resource || resource.type !== 'food') return false;
     
     // Coconuts are never raw
@@ -548,9 +581,10 @@ export function isFoodRaw(resourceId, itemData = {}) {
 
 /**
  * Check if food is spoiled
+ * @param {number} currentTime - Simulation time in seconds
  */
-export function isFoodSpoiled(itemData, currentTime = Date.now()) {
-    if (!itemData?.spawnTime || !itemData?.spoilTime) return false;
+export function isFoodSpoiled(itemData, currentTime) {
+    if (itemData?.spawnTime == null || !itemData?.spoilTime) return false;
     return (currentTime - itemData.spawnTime) >= itemData.spoilTime;
 }
 
@@ -561,8 +595,8 @@ export function isFoodSpoiled(itemData, currentTime = Date.now()) {
 /**
  * Check if can craft item
  */
-export function canCraft(inventory, recipeId) {
-    const recipe = TOOLS[recipeId.toUpperCase()]?.recipe || 
+export function canCraft(inventory, recipeId, tools = TOOLS) {
+    const recipe = tools[recipeId.toUpperCase()]?.recipe || 
                    STRUCTURES[recipeId.toUpperCase()]?.recipe;
     if (!recipe) return false;
     
@@ -577,8 +611,8 @@ export function canCraft(inventory, recipeId) {
 /**
  * Consume resources for crafting
  */
-export function consumeCraftingResources(inventory, recipeId) {
-    const recipe = TOOLS[recipeId.toUpperCase()]?.recipe || 
+export function consumeCraftingResources(inventory, recipeId, tools = TOOLS) {
+    const recipe = tools[recipeId.toUpperCase()]?.recipe || 
                    STRUCTURES[recipeId.toUpperCase()]?.recipe;
     if (!recipe) return false;
     
@@ -591,8 +625,8 @@ export function consumeCraftingResources(inventory, recipeId) {
 /**
  * Get crafting time for item
  */
-export function getCraftTime(recipeId, skillBonus = 0) {
-    const item = TOOLS[recipeId.toUpperCase()] || STRUCTURES[recipeId.toUpperCase()];
+export function getCraftTime(recipeId, skillBonus = 0, tools = TOOLS) {
+    const item = tools[recipeId.toUpperCase()] || STRUCTURES[recipeId.toUpperCase()];
     if (!item) return 0;
     
     return item.craftTime * (1 - skillBonus);
@@ -83,12 +83,11 @@ export function addSkillXP(skills, skillId, amount, apprenticeshipBonus = 1) {
     // Apply apprenticeship bonus (nearby skilled agent)
     skill.xp += amount * apprenticeshipBonus;
     
-    // Check for level up
-    const xpNeeded = getXPForLevel(skill.level);
+    // Check for level up (each level costs more than the last)
     let leveled = false;
     
-    while (skill.xp >= xpNeeded && skill.level < maxLevel) {
-        skill.xp -= xpNeeded;
+    while (skill.xp >= getXPForLevel(skill.level) && skill.level < maxLevel) {
+        skill.xp -= getXPForLevel(skill.level);
         skill.level++;
         leveled = true;
     }
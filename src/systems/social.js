@@ -19,6 +19,7 @@ export const SOCIAL_ACTIONS = {
     FIGHT: 'fight',
     TEAM_UP: 'team_up',
     MATE: 'mate',
+    COURT: 'court',
     SHARE_FOOD: 'share_food',
     PROTECT: 'protect'
 };
@@ -29,6 +30,7 @@ export const RELATIONSHIP_CHANGES = {
     help_build: { helper: 5, helped: 10 },
     protect: { protector: 5, protected: 20 },
     successful_mate: { both: 25 },
+    court: { both: 5 },
     trade_fair: { both: 5 },
     trade_unfair: { winner: 2, loser: -10 },
     refuse_help: { refuser: 0, refused: -8 },
@@ -195,6 +197,14 @@ export function processSocialAction(actor, target, action, context = {}) {
             break;
         }
         
+        case SOCIAL_ACTIONS.COURT: {
+            const change = RELATIONSHIP_CHANGES.court;
+            modifyRelationship(actor, target.id, change.both);
+            modifyRelationship(target, actor.id, change.both);
+            events.push({ type: 'courted', from: actor.id, to: target.id });
+            break;
+        }
+        
         case SOCIAL_ACTIONS.TEAM_UP: {
             // Small positive boost for cooperation
             modifyRelationship(actor, target.id, 3);
@@ -352,3 +362,24 @@ export function findAllies(social, allAgentSocials, minRelationship = 20) {
     return allies.map(a => a.social);
 }
 
+/**
+ * Pick the agents who will work together from a set of candidates:
+ * the best-liked go first, and each one joins only if willing to
+ * cooperate with everyone already in. Keeps the candidates' order.
+ */
+export function findCooperatingGroup(candidates) {
+    const likedBy = social => candidates.reduce(
+        (sum, other) => other === social ? sum : sum + getRelationship(other, social.id), 0
+    );
+    const ranked = candidates
+        .map((social, index) => ({ social, index, liked: likedBy(social) }))
+        .sort((a, b) => b.liked - a.liked || a.index - b.index);
+
+    const group = new Set();
+    ranked.forEach(({ social }) => {
+        if ([...group].every(member => willCooperate(member, social))) group.add(social);
+    });
+    
+    return candidates.filter(social => group.has(social));
+}
+
@@ -3,6 +3,9 @@
 // Per Island Sim Full Prompt spec
 // ============================================
 
+import { seededRandom } from '../config.js';
+import { getCombatWinChance } from './skills.js';
+
 export const THREAT_TYPES = {
     BULL_SHARK: {
         id: 'bull_shark',
@@ -23,6 +26,7 @@ export const THREAT_TYPES = {
         // Combat
         soloDeathChance: 0.9,      // 90% death if alone
         groupSize: 3,              // Need 3-4 hunters to have good chance
+        combatLevel: 10,           // Dodges strikes like a combat-10 agent
         weakPoints: ['gills', 'eyes'],
         
         // Rewards
@@ -65,6 +69,7 @@ export const THREAT_TYPES = {
         
         // Combat
         minHunters: 6,            // Need 6+ hunters
+        combatLevel: 0,           // Too big to miss
         tentacleGrabChance: 0.3,  // Per attack
         inkCloudDuration: 10,     // Seconds of obscured vision
         weakPoints: ['eyes'],
@@ -92,13 +97,16 @@ export const THREAT_TYPES = {
 
 /**
  * Create threat instance
+ * @param {object} [options]
+ * @param {string} [options.id] - Defaults to type + spawn time
+ * @param {number} [options.time] - Simulation time in seconds
  */
-export function createThreat(threatType, position) {
+export function createThreat(threatType, position, { id = null, time = 0 } = {}) {
     const def = THREAT_TYPES[threatType];
     if (!def) return null;
     
     return {
-        id: `${threatType}_${Date.now()}`,
+        id: id ?? `${threatType}_${Math.round(time * 1000)}`,
         type: threatType,
         health: def.health,
         maxHealth: def.health,
@@ -118,15 +126,36 @@ export function createThreat(threatType, position) {
         tentacleTargets: [],
         
         // Tracking
-        spawnTime: Date.now(),
+        spawnTime: time,
         killerId: null
     };
 }
 
+/**
+ * Seabed depth (below waterLevel) where each encounter location begins
+ */
+export const WATER_LOCATIONS = {
+    shore: 0,
+    shallow_reef: 1.2,
+    deep_reef: 2.5
+};
+
+/**
+ * Classify a spot by how deep the water is there
+ * @param {number} depth - waterLevel minus terrain height
+ * @returns {string|null} 'shore' | 'shallow_reef' | 'deep_reef', or null on land
+ */
+export function getWaterLocation(depth) {
+    if (depth >= WATER_LOCATIONS.deep_reef) return 'deep_reef';
+    if (depth >= WATER_LOCATIONS.shallow_reef) return 'shallow_reef';
+    if (depth > WATER_LOCATIONS.shore) return 'shore';
+    return null;
+}
+
 /**
  * Check if shark encounter happens
  */
-export function checkSharkEncounter(location, timeOfDay, hasBlood = false) {
+export function checkSharkEncounter(location, timeOfDay, hasBlood = false, random = seededRandom) {
     const def = THREAT_TYPES.BULL_SHARK;
     let chance = 0;
     
@@ -146,13 +175,13 @@ export function checkSharkEncounter(location, timeOfDay, hasBlood = false) {
     // Blood in water doubles chance
     if (hasBlood) chance *= 2;
     
-    return Math.random() < chance;
+    return random() < chance;
 }
 
 /**
  * Check if giant squid spawns
  */
-export function checkSquidSpawn(conditions) {
+export function checkSquidSpawn(conditions, random = seededRandom) {
     const def = THREAT_TYPES.GIANT_SQUID;
     
     // Must be night and deep water
@@ -165,85 +194,53 @@ export function checkSquidSpawn(conditions) {
     if (conditions.isNewMoon) chance *= 2;
     if (conditions.bloodInWater) chance *= 5;
     
-    return Math.random() < chance;
+    return random() < chance;
 }
 
+// Tick-based combat: hunters strike each round (see resolveStrike)
+export const COMBAT_CONFIG = {
+    unarmedDamage: 3,             // Fists and stones
+    weaponDamage: 10,             // A weapon strike, times (1 + combatDamageBonus)
+    critChancePerWeakPoint: 0.1,  // Each weak point is another chance to crit
+    critMultiplier: 2.5
+};
+
 /**
- * Calculate combat outcome
+ * Resolve one hunter's strike at a threat
+ * The hit chance is getCombatWinChance against the threat's combatLevel
+ * @param {object} hunter - { skills, weaponBonus } (the weapon's combatDamageBonus, null when unarmed)
+ * @param {object} [options]
+ * @param {number} [options.hitChanceMultiplier] - e.g. 0.5 striking blind through ink
+ * @param {number} [options.critChance] - Overrides the weak-point crit chance
+ * @returns {object} { hit, damage, crit, weakPoint }
  */
-export function calculateCombatOutcome(threat, hunters) {
+export function resolveStrike(threat, hunter, random = seededRandom, { hitChanceMultiplier = 1, critChance = null } = {}) {
     const def = THREAT_TYPES[threat.type];
-    if (!def) return { success: false, casualties: hunters.map(h => h.id) };
-    
-    const hunterCount = hunters.length;
-    const hasProperWeapons = hunters.some(h => h.hasSpear);
-    
-    // Calculate base success chance
-    let successChance = 0;
-    
-    if (threat.type === 'BULL_SHARK') {
-        if (hunterCount === 1) {
-            successChance = 0.1; // Solo is suicide
-        } else if (hunterCount === 2) {
-            successChance = 0.3;
-        } else if (hunterCount >= 3) {
-            successChance = 0.5 + (hunterCount - 3) * 0.1;
-        }
-        
-        if (!hasProperWeapons) successChance *= 0.3;
-    } else if (threat.type === 'GIANT_SQUID') {
-        if (hunterCount < def.minHunters) {
-            successChance = 0.05; // Near impossible
-        } else {
-            successChance = 0.3 + (hunterCount - def.minHunters) * 0.05;
-        }
-        
-        if (!hasProperWeapons) successChance *= 0.2;
+    const hitChance = getCombatWinChance(hunter.skills, { combat: { level: def.combatLevel } }) * hitChanceMultiplier;
+    if (random() >= hitChance) return { hit: false, damage: 0, crit: false, weakPoint: null };
+
+    const damage = hunter.weaponBonus === null || hunter.weaponBonus === undefined
+        ? COMBAT_CONFIG.unarmedDamage
+        : COMBAT_CONFIG.weaponDamage * (1 + hunter.weaponBonus);
+
+    const weakPoints = def.weakPoints || [];
+    const chance = critChance ?? weakPoints.length * COMBAT_CONFIG.critChancePerWeakPoint;
+    if (weakPoints.length > 0 && random() < chance) {
+        const weakPoint = weakPoints[Math.floor(random() * weakPoints.length)];
+        return { hit: true, damage: damage * COMBAT_CONFIG.critMultiplier, crit: true, weakPoint };
     }
-    
-    // Factor in hunter skills
-    const avgCombatSkill = hunters.reduce((sum, h) => sum + (h.combatSkill || 0), 0) / hunterCount;
-    successChance += avgCombatSkill * 0.3;
-    
-    // Cap at 90%
-    successChance = Math.min(0.9, successChance);
-    
-    const success = Math.random() < successChance;
-    
-    // Calculate casualties
-    const casualties = [];
-    hunters.forEach(hunter => {
-        let deathChance = success ? 0.1 : 0.5;
-        
-        // Solo is deadly
-        if (hunterCount === 1) deathChance = success ? 0.3 : def.soloDeathChance;
-        
-        // Squid tentacle grabs
-        if (threat.type === 'GIANT_SQUID' && Math.random() < def.tentacleGrabChance) {
-            deathChance += 0.4;
-        }
-        
-        if (Math.random() < deathChance) {
-            casualties.push(hunter.id);
-        }
-    });
-    
-    return {
-        success,
-        casualties,
-        drops: success ? generateDrops(def.drops) : {},
-        killerId: success && hunters.length > 0 ? hunters[0].id : null
-    };
+    return { hit: true, damage, crit: false, weakPoint: null };
 }
 
 /**
  * Generate random drops from loot table
+ * @returns {object} itemId -> count
  */
-function generateDrops(dropTable) {
+export function generateDrops(dropTable, random = seededRandom) {
     const drops = {};
     
     for (const [itemId, range] of Object.entries(dropTable)) {
-        const count = range.min + Math.floor(Math.random() * (range.max - range.min + 1));
+        const count = range.min + Math.floor(random() * (range.max - range.min + 1));
         if (count > 0) drops[itemId] = count;
     }
     
@@ -252,8 +249,12 @@ function generateDrops(dropTable) {
 
 /**
  * Update threat behavior
+ * @param {object[]} nearbyAgents - { id, position, inWater }; only agents in water are hunted
+ * @param {object} [options]
+ * @param {number} [options.attackRange] - Distance a threat attacks from
+ * @param {boolean} [options.canAttack] - False while the attack is on cooldown (holds in range)
  */
-export function updateThreat(threat, delta, nearbyAgents) {
+export function updateThreat(threat, delta, nearbyAgents, random = seededRandom, { attackRange = 2, canAttack = true } = {}) {
     if (threat.state === 'dead') return [];
     
     const events = [];
@@ -287,8 +288,8 @@ export function updateThreat(threat, delta, nearbyAgents) {
     switch (threat.state) {
         case 'patrolling':
             // Random movement
-            threat.position.x += (Math.random() - 0.5) * threat.speed * delta;
-            threat.position.z += (Math.random() - 0.5) * threat.speed * delta;
+            threat.position.x += (random() - 0.5) * threat.speed * delta;
+            threat.position.z += (random() - 0.5) * threat.speed * delta;
             
             // Aggro if agent nearby
             if (nearestAgent && nearestDist < 30) {
@@ -310,10 +311,10 @@ export function updateThreat(threat, delta, nearbyAgents) {
             const dz = nearestAgent.position.z - threat.position.z;
             const dist = Math.sqrt(dx * dx + dz * dz);
             
-            if (dist > 2) {
+            if (dist > attackRange) {
                 threat.position.x += (dx / dist) * threat.speed * delta;
                 threat.position.z += (dz / dist) * threat.speed * delta;
-            } else {
+            } else if (canAttack) {
                 // Attack!
                 events.push({ 
                     type: 'threat_attack', 
@@ -323,7 +324,7 @@ export function updateThreat(threat, delta, nearbyAgents) {
                 });
                 
                 // Squid ink cloud
-                if (threat.type === 'GIANT_SQUID' && Math.random() < 0.2) {
+                if (threat.type === 'GIANT_SQUID' && random() < 0.2) {
                     threat.inkCloudActive = true;
                     threat.inkCloudTimer = def.inkCloudDuration;
                     events.push({ type: 'ink_cloud', threatId: threat.id });
@@ -349,8 +350,8 @@ export function updateThreat(threat, delta, nearbyAgents) {
             break;
     }
     
-    // Low health = flee
-    if (threat.health < threat.maxHealth * 0.2 && threat.state !== 'fleeing') {
+    // Low health = flee (bosses fight to the death)
+    if (threat.health < threat.maxHealth * 0.2 && threat.state !== 'fleeing' && def.type !== 'final_boss') {
         threat.state = 'fleeing';
         events.push({ type: 'threat_fleeing', threatId: threat.id });
     }
@@ -38,6 +38,7 @@ export function logTest(message, type = 'info') {
  * Update the debug overlay in DOM
  */
 function updateTestLogDOM() {
+    if (typeof document === 'undefined') return;
     const logEl = document.getElementById('test-log');
     if (!logEl) return;
     
@@ -54,13 +55,16 @@ function updateTestLogDOM() {
 export function updateStats(data) {
     Object.assign(stats, data);
     
+    if (typeof document === 'undefined') return;
+    
     // Update DOM elements
     const elements = {
         'stat-fps': `${stats.fps.toFixed(0)}`,
         'stat-steps': `${stats.stepsPerSecond.toFixed(0)}`,
         'stat-agents': `${stats.agentsAlive}`,
         'stat-deaths': `${stats.deaths}`,
-        'stat-time': getTimeOfDayName(CONFIG.timeOfDay),
+        'stat-time': `${getTimeOfDayName(stats.timeOfDay ?? CONFIG.timeOfDay, stats.dayPeriod)} · Day ${(stats.day ?? 0) + 1}`,
+        'stat-water': stats.waterTemperature !== undefined ? formatWaterTemperature(stats.waterTemperature, stats.waterCooling) : '--',
         'stat-coconuts': `${stats.coconutsAvailable}`,
         'stat-stash': stats.stashDisplay || '🥥0 🪵0 🪨0 🌿0 🐟0 🗡️0',
         'stat-crafting': stats.craftingStatus || 'None',
@@ -74,12 +78,18 @@ export function updateStats(data) {
     }
 }
 
-function getTimeOfDayName(t) {
-    if (t < 0.15) return '🌅 Sunrise';
+// Cooling water is one of the giant squid's warnings
+function formatWaterTemperature(celsius, cooling) {
+    return `${celsius.toFixed(1)}°C${cooling ? ' ❄️ dropping' : ''}`;
+}
+
+function getTimeOfDayName(t, period) {
+    if (period === 'night') return '🌙 Night';
+    if (period === 'dawn') return '🌅 Dawn';
+    if (period === 'dusk') return '🌅 Dusk';
     if (t < 0.35) return '🌤️ Morning';
     if (t < 0.65) return '☀️ Midday';
-    if (t < 0.85) return '🌇 Afternoon';
-    return '🌅 Sunset';
+    return '🌇 Afternoon';
 }
 
 /**
@@ -110,33 +120,34 @@ export function checkGrounded(object, name, baseOffsetY = 0) {
  */
 export function checkAgentState(agent) {
     let valid = true;
+    const needs = agent.needs;
     
     // Check for NaN/Infinity
-    if (!Number.isFinite(agent.hunger)) {
-        logTest(`Agent ${agent.id} has invalid hunger: ${agent.hunger}`, 'error');
-        agent.hunger = 0.5;
+    if (needs && !Number.isFinite(needs.hunger)) {
+        logTest(`Agent ${agent.id} has invalid hunger: ${needs.hunger}`, 'error');
+        needs.hunger = 0.5;
         valid = false;
     }
     
-    if (!Number.isFinite(agent.energy)) {
-        logTest(`Agent ${agent.id} has invalid energy: ${agent.energy}`, 'error');
-        agent.energy = 0.5;
+    if (needs && !Number.isFinite(needs.energy)) {
+        logTest(`Agent ${agent.id} has invalid energy: ${needs.energy}`, 'error');
+        needs.energy = 0.5;
         valid = false;
     }
     
     // Check bounds
-    if (agent.hunger < 0 || agent.hunger > 1) {
-        logTest(`Agent ${agent.id} hunger out of bounds: ${agent.hunger.toFixed(2)}`, 'warning');
-        agent.hunger = Math.max(0, Math.min(1, agent.hunger));
+    if (needs && (needs.hunger < 0 || needs.hunger > 1)) {
+        logTest(`Agent ${agent.id} hunger out of bounds: ${needs.hunger.toFixed(2)}`, 'warning');
+        needs.hunger = Math.max(0, Math.min(1, needs.hunger));
     }
     
-    if (agent.energy < 0 || agent.energy > 1) {
-        logTest(`Agent ${agent.id} energy out of bounds: ${agent.energy.toFixed(2)}`, 'warning');
-        agent.energy = Math.max(0, Math.min(1, agent.energy));
+    if (needs && (needs.energy < 0 || needs.energy > 1)) {
+        logTest(`Agent ${agent.id} energy out of bounds: ${needs.energy.toFixed(2)}`, 'warning');
+        needs.energy = Math.max(0, Math.min(1, needs.energy));
     }
     
     // Check position
-    const pos = agent.mesh?.position;
+    const pos = agent.position || agent.mesh?.position;
     if (pos && (!Number.isFinite(pos.x) || !Number.isFinite(pos.y) || !Number.isFinite(pos.z))) {
         logTest(`Agent ${agent.id} has invalid position`, 'error');
         valid = false;
@@ -0,0 +1,87 @@
+// ============================================
+// SHARK MODEL - Low Poly
+// ============================================
+
+import * as THREE from 'three';
+
+/**
+ * Create a low-poly bull shark, nose along +Z
+ * Set rotation.y to atan2(dx, dz) of its movement to face where it swims
+ */
+export function createSharkModel() {
+    const group = new THREE.Group();
+
+    const skin = new THREE.MeshStandardMaterial({ color: 0x5f6b73, roughness: 0.6, metalness: 0.05, flatShading: true });
+    const belly = new THREE.MeshStandardMaterial({ color: 0xd9dcd6, roughness: 0.7, flatShading: true });
+
+    // ============================================
+    // BODY - stretched sphere, pale underside
+    // ============================================
+    const bodyGeometry = new THREE.SphereGeometry(0.5, 10, 8);
+    bodyGeometry.scale(0.8, 0.7, 3.2);
+    const body = new THREE.Mesh(bodyGeometry, skin);
+    group.add(body);
+
+    const bellyGeometry = new THREE.SphereGeometry(0.45, 10, 6, 0, Math.PI * 2, Math.PI * 0.55, Math.PI * 0.45);
+    bellyGeometry.scale(0.8, 0.7, 3.0);
+    const underside = new THREE.Mesh(bellyGeometry, belly);
+    underside.position.y = -0.02;
+    group.add(underside);
+
+    // ============================================
+    // FINS
+    // ============================================
+    const dorsalGeometry = new THREE.ConeGeometry(0.3, 0.8, 4);
+    dorsalGeometry.scale(0.25, 1, 1);
+    const dorsal = new THREE.Mesh(dorsalGeometry, skin);
+    dorsal.position.set(0, 0.6, -0.1);
+    dorsal.rotation.x = -0.35; // Swept back
+    group.add(dorsal);
+
+    const tailGeometry = new THREE.ConeGeometry(0.35, 0.9, 4);
+    tailGeometry.scale(0.2, 1, 1);
+    const upperTail = new THREE.Mesh(tailGeometry, skin);
+    upperTail.position.set(0, 0.35, -1.8);
+    upperTail.rotation.x = -0.9;
+    group.add(upperTail);
+
+    const lowerTail = new THREE.Mesh(tailGeometry, skin);
+    lowerTail.scale.setScalar(0.6);
+    lowerTail.position.set(0, -0.2, -1.7);
+    lowerTail.rotation.x = -2.3;
+    group.add(lowerTail);
+
+    const pectoralGeometry = new THREE.ConeGeometry(0.2, 0.7, 4);
+    pectoralGeometry.scale(1, 1, 0.2);
+    [-1, 1].forEach(side => {
+        const fin = new THREE.Mesh(pectoralGeometry, skin);
+        fin.position.set(side * 0.45, -0.2, 0.4);
+        fin.rotation.z = side * 1.9;
+        fin.rotation.x = -0.4;
+        group.add(fin);
+    });
+
+    return group;
+}
+
+/**
+ * Create a loot pile marker (a small wrapped bundle), tinted per item
+ */
+export function createLootModel(itemId) {
+    const colors = {
+        shark_meat: 0xb5534a,
+        shark_teeth: 0xf2efe4,
+        shark_skin: 0x5f6b73,
+        shark_jaw: 0xe6dcc3,
+        squid_meat: 0xd98a8f,
+        squid_beak: 0x2e2620,
+        squid_tentacle: 0x8a2f3c,
+        squid_ink: 0x15151f,
+        squid_eye: 0xf4e27a
+    };
+    const material = new THREE.MeshStandardMaterial({ color: colors[itemId] ?? 0x9c8a6a, roughness: 0.8, flatShading: true });
+    const bundle = new THREE.Mesh(new THREE.DodecahedronGeometry(0.3, 0), material);
+    bundle.scale.y = 0.6;
+    bundle.castShadow = true;
+    return bundle;
+}
@@ -0,0 +1,108 @@
+// ============================================
+// SQUID MODEL - Low Poly
+// ============================================
+
+import * as THREE from 'three';
+
+/**
+ * Create the giant squid, mantle pointing along -Z and tentacles
+ * reaching along +Z (towards the shore it faces)
+ * userData.body is the squid itself, userData.glow the bioluminescent
+ * light shown during its warning (both toggled by the renderer)
+ */
+export function createSquidModel() {
+    const group = new THREE.Group();
+    const body = new THREE.Group();
+    group.add(body);
+
+    const skin = new THREE.MeshStandardMaterial({ color: 0x8a2f3c, roughness: 0.5, metalness: 0.05, flatShading: true });
+    const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0xf4e27a, emissive: 0x8a7a1c, roughness: 0.3 });
+
+    // ============================================
+    // MANTLE - long cone, fins at the tip
+    // ============================================
+    const mantleGeometry = new THREE.ConeGeometry(1.6, 7, 8);
+    mantleGeometry.rotateX(-Math.PI / 2);
+    const mantle = new THREE.Mesh(mantleGeometry, skin);
+    mantle.position.z = -4;
+    body.add(mantle);
+
+    const finGeometry = new THREE.ConeGeometry(1.2, 2, 3);
+    finGeometry.scale(1, 1, 0.15);
+    [-1, 1].forEach(side => {
+        const fin = new THREE.Mesh(finGeometry, skin);
+        fin.position.set(side * 1.2, 0, -6.5);
+        fin.rotation.z = side * -Math.PI / 2;
+        body.add(fin);
+    });
+
+    // ============================================
+    // HEAD AND EYES (the weak point)
+    // ============================================
+    const headGeometry = new THREE.SphereGeometry(1.5, 10, 8);
+    headGeometry.scale(1, 0.9, 1.1);
+    const head = new THREE.Mesh(headGeometry, skin);
+    head.position.z = 0.2;
+    body.add(head);
+
+    const eyeGeometry = new THREE.SphereGeometry(0.45, 8, 6);
+    [-1, 1].forEach(side => {
+        const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        eye.position.set(side * 1.25, 0.35, 0.4);
+        body.add(eye);
+    });
+
+    // ============================================
+    // TENTACLES - eight arms and two long feeding tentacles
+    // ============================================
+    const armGeometry = new THREE.CylinderGeometry(0.08, 0.3, 5, 5);
+    armGeometry.translate(0, 2.5, 0);
+    armGeometry.rotateX(Math.PI / 2);
+    const tentacles = [];
+    for (let i = 0; i < 10; i++) {
+        const angle = (i / 10) * Math.PI * 2;
+        const arm = new THREE.Mesh(armGeometry, skin);
+        arm.position.set(Math.cos(angle) * 0.8, Math.sin(angle) * 0.6, 1.2);
+        arm.rotation.set(-Math.sin(angle) * 0.35, Math.cos(angle) * 0.35, 0);
+        if (i % 5 === 0) arm.scale.z = 1.8;   // Feeding tentacles
+        arm.userData.baseRotation = arm.rotation.clone();
+        arm.userData.phase = i * 0.7;
+        body.add(arm);
+        tentacles.push(arm);
+    }
+
+    // ============================================
+    // GLOW - light and pale disc just below the surface
+    // ============================================
+    const glow = new THREE.Group();
+    const light = new THREE.PointLight(0x4ff2d8, 0, 60, 1.5);
+    light.position.y = 2;
+    glow.add(light);
+
+    const disc = new THREE.Mesh(
+        new THREE.CircleGeometry(9, 24),
+        new THREE.MeshBasicMaterial({ color: 0x4ff2d8, transparent: true, opacity: 0, depthWrite: false })
+    );
+    disc.rotation.x = -Math.PI / 2;
+    glow.add(disc);
+    group.add(glow);
+
+    group.userData.body = body;
+    group.userData.tentacles = tentacles;
+    group.userData.glow = glow;
+    group.userData.glowLight = light;
+    group.userData.glowDisc = disc;
+    return group;
+}
+
+/**
+ * Writhe the tentacles (call every frame with a running phase)
+ */
+export function animateSquid(squid, phase, intensity = 1) {
+    squid.userData.tentacles.forEach(arm => {
+        const base = arm.userData.baseRotation;
+        const wave = Math.sin(phase + arm.userData.phase) * 0.25 * intensity;
+        arm.rotation.x = base.x + wave;
+        arm.rotation.y = base.y + wave * 0.5;
+    });
+}
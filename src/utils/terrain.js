@@ -58,12 +58,12 @@ export function isValidLandPosition(x, z, minHeight = 2) {
 /**
  * Get random valid position on island
  */
-export function getRandomIslandPosition(minDist = 5, maxDist = null, minHeight = 2, maxAttempts = 100) {
+export function getRandomIslandPosition(minDist = 5, maxDist = null, minHeight = 2, random = seededRandom, maxAttempts = 100) {
     maxDist = maxDist || CONFIG.islandRadius * 0.8;
     
     for (let i = 0; i < maxAttempts; i++) {
-        const angle = seededRandom() * Math.PI * 2;
-        const dist = minDist + seededRandom() * (maxDist - minDist);
+        const angle = random() * Math.PI * 2;
+        const dist = minDist + random() * (maxDist - minDist);
         const x = Math.cos(angle) * dist;
         const z = Math.sin(angle) * dist;
         const y = getTerrainHeight(x, z);
@@ -0,0 +1,43 @@
+// ============================================
+// VECTOR UTILITIES
+// ============================================
+// Minimal 3D vector used by the headless simulation.
+// Mirrors the subset of THREE.Vector3 the systems rely on
+// (distanceTo, clone, copy) so they work with or without Three.js.
+
+export class Vec3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    set(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+
+    copy(v) {
+        this.x = v.x;
+        this.y = v.y;
+        this.z = v.z;
+        return this;
+    }
+
+    clone() {
+        return new Vec3(this.x, this.y, this.z);
+    }
+
+    distanceToSquared(v) {
+        const dx = this.x - v.x;
+        const dy = this.y - v.y;
+        const dz = this.z - v.z;
+        return dx * dx + dy * dy + dz * dz;
+    }
+
+    distanceTo(v) {
+        return Math.sqrt(this.distanceToSquared(v));
+    }
+}
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BatchRunner, summarizeWorld } from '../src/sim/batch.js';
+import { IslandEnvironment } from '../src/sim/environment.js';
+
+const ENV_OPTIONS = { maxSteps: 300 };
+
+// A runner closed after the test
+function startRunner(t, options) {
+    const runner = new BatchRunner({ workers: 1, envOptions: ENV_OPTIONS, ...options });
+    t.after(() => runner.close());
+    return runner;
+}
+
+test('two worlds on one worker match their seeds run on their own', async (t) => {
+    const runner = startRunner(t, { seeds: [3, 8] });
+    await runner.reset();
+    const { worlds, aggregate } = await runner.run();
+
+    const expected = [3, 8].map(seed => {
+        const env = new IslandEnvironment({ ...ENV_OPTIONS, seed });
+        env.reset({ seed });
+        while (!env.done) env.step();
+        return summarizeWorld(env.world);
+    });
+    assert.deepEqual(worlds, expected);
+    assert.notDeepEqual(worlds[0], worlds[1]);
+    assert.equal(aggregate.worlds, 2);
+
+    const again = startRunner(t, { seeds: [3, 8] });
+    await again.reset();
+    assert.deepEqual((await again.run()).worlds, worlds);
+});
+
+test('a worker that fails to start fails the batch instead of crashing', async (t) => {
+    const runner = startRunner(t, { count: 2, envOptions: { scenario: { tribe: { size: -1 } } } });
+    await new Promise(resolve => setTimeout(resolve, 200));   // Let init fail before anyone waits on it
+
+    await assert.rejects(runner.reset(), /Invalid scenario/);
+    await assert.rejects(runner.run(), /Invalid scenario/);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { encode, decode } from '@msgpack/msgpack';
+
+import { SimulationBridge } from '../src/server/bridge.js';
+
+// A bridge on a free local port, closed after the test
+async function startBridge(t, options = {}) {
+    const bridge = new SimulationBridge({ port: 0, ...options });
+    const { port } = await bridge.listen();
+    t.after(() => bridge.close());
+    return { bridge, url: `http://127.0.0.1:${port}`, wsUrl: `ws://127.0.0.1:${port}` };
+}
+
+async function post(url, cmd, body) {
+    const res = await fetch(`${url}/${cmd}`, {
+        method: 'POST',
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: res.status, reply: await res.json() };
+}
+
+// Send one request and wait for its reply
+function call(socket, request, binary = false) {
+    return new Promise(resolve => {
+        socket.once('message', (data, isBinary) => resolve(isBinary ? decode(data) : JSON.parse(data.toString())));
+        socket.send(binary ? encode(request) : JSON.stringify(request), { binary });
+    });
+}
+
+const OPTIONS = { config: { tribeMembers: 3 }, externalAgents: ['agent_0'] };
+
+test('an HTTP client resets, steps and observes a session', async (t) => {
+    const { url } = await startBridge(t);
+
+    const reset = await post(url, 'reset', { id: 1, session: 'a', seed: 4, options: OPTIONS });
+    assert.equal(reset.status, 200);
+    assert.equal(reset.reply.id, 1);
+    assert.deepEqual(Object.keys(reset.reply.result.observations), ['agent_0', 'agent_1', 'agent_2']);
+
+    const step = await post(url, 'step', { session: 'a', actions: { agent_0: 'gather_wood' } });
+    assert.equal(step.status, 200);
+    assert.equal(step.reply.result.dones.__all__, false);
+
+    const observe = await post(url, 'observe', { session: 'a' });
+    assert.deepEqual(Object.keys(observe.reply.result.actionMasks), ['agent_0']);
+
+    const unknown = await post(url, 'step', { session: 'nope' });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.reply.error, /Unknown session/);
+});
+
+test('HTTP bodies that are not JSON objects get a 400 and the bridge keeps running', async (t) => {
+    const { url } = await startBridge(t);
+
+    for (const body of ['null', '1', '"x"', '[]', '{']) {
+        const { status, reply } = await post(url, 'reset', body);
+        assert.equal(status, 400, body);
+        assert.equal(reply.ok, false);
+    }
+
+    const health = await fetch(`${url}/health`).then(res => res.json());
+    assert.deepEqual(health, { ok: true, sessions: 0 });
+});
+
+test('a WebSocket client gets JSON and msgpack replies, and its sessions close with it', async (t) => {
+    const { bridge, wsUrl } = await startBridge(t);
+    const socket = new WebSocket(wsUrl);
+    await new Promise(resolve => socket.once('open', resolve));
+
+    const reset = await call(socket, { id: 'r', cmd: 'reset', seed: 4, options: OPTIONS });
+    assert.equal(reset.ok, true);
+    assert.equal(reset.result.session, '4');
+
+    const step = await call(socket, { id: 's', cmd: 'step', seed: 4, actions: { agent_0: 1 } }, true);
+    assert.equal(step.id, 's');
+    assert.equal(step.ok, true);
+    assert.ok('agent_0' in step.result.rewards);
+
+    const bad = await call(socket, null);
+    assert.equal(bad.ok, false);
+
+    socket.close();
+    await new Promise(resolve => socket.once('close', resolve));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(bridge.sessions.size, 0);
+});
+
+test('idle HTTP sessions are dropped, socket sessions are not', async (t) => {
+    const { bridge, url, wsUrl } = await startBridge(t, { idleTimeout: 1000 });
+    await post(url, 'reset', { session: 'http', seed: 1, options: OPTIONS });
+
+    const socket = new WebSocket(wsUrl);
+    t.after(() => socket.close());
+    await new Promise(resolve => socket.once('open', resolve));
+    await call(socket, { cmd: 'reset', session: 'ws', seed: 2, options: OPTIONS });
+
+    const now = Date.now();
+    assert.deepEqual(bridge.dropIdleSessions(now), []);
+    assert.deepEqual(bridge.dropIdleSessions(now + 1000), ['http']);
+    assert.deepEqual([...bridge.sessions.keys()], ['ws']);
+});
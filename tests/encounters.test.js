@@ -0,0 +1,421 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/sim/world.js';
+import { ENCOUNTER_CONFIG, updateThreats, spawnShark, spawnSquid, getLocation } from '../src/sim/encounters.js';
+import { hashWorldState } from '../src/sim/replay.js';
+import { THREAT_TYPES } from '../src/systems/threats.js';
+import { DEATH_CAUSES } from '../src/systems/needs.js';
+import { addTool } from '../src/systems/resources.js';
+import { getTerrainHeight } from '../src/utils/terrain.js';
+import { XP_REWARDS } from '../src/systems/skills.js';
+import { RELATIONSHIP_BOUNDS, getRelationship, setRelationship } from '../src/systems/social.js';
+import { rolls, stepWorld } from './helpers.js';
+
+// Threat updates are driven directly (without world.step) so agents
+// hold still where the test puts them; only the sim time moves on
+
+const DELTA = 0.05;
+
+// Agent spearing a fish `offshore` units out from the beach on the +x axis
+function fisherAt(world, offshore, agent = world.tribeMembers[0]) {
+    let shore = 60;
+    while (getTerrainHeight(shore, 0) >= 0.5) shore += 0.5;
+
+    const fish = world.fishList[0];
+    fish.position.set(shore + offshore, -0.5, 0);
+    agent.position.set(shore - 1.5, getTerrainHeight(shore - 1.5, 0), 0);
+    agent.state = 'fishing';
+    agent.task = { type: 'go_fishing', target: fish };
+    world.fishingSystem.claimedFish.set(fish.id, agent.id);
+    return { agent, fish };
+}
+
+// Line up armed helpers on the beach next to the fisher
+function armHelpers(world, fisher, count) {
+    return world.tribeMembers.slice(1, count + 1).map((agent, i) => {
+        agent.position.set(fisher.position.x, fisher.position.y, i + 1);
+        agent.state = 'idle';
+        agent.task = null;
+        addTool(agent.inventory, 'fishing_spear');
+        return agent;
+    });
+}
+
+function rollNow(world) {
+    world.encounters.checkTimer = ENCOUNTER_CONFIG.checkInterval;
+    updateThreats(world, DELTA);
+}
+
+function runThreats(world, until, maxSteps = 2000) {
+    for (let i = 0; i < maxSteps && !until(); i++) {
+        updateThreats(world, DELTA);
+        world.time += DELTA;
+    }
+}
+
+function recordEvents(world) {
+    const events = [];
+    world.on('*', e => events.push(e));
+    return events;
+}
+
+test('fishers roll for sharks by the water they strike into and the time of day', () => {
+    const world = new World({ seed: 1 });
+    const { fish } = fisherAt(world, 10);
+    assert.equal(getLocation(world, fish.position), 'shallow_reef');
+    world.rng.threats = rolls(0);
+    const events = recordEvents(world);
+
+    world.timeOfDay = 0.5;
+    rollNow(world);
+    assert.equal(world.threats.length, 0);
+
+    world.timeOfDay = 0.95;
+    rollNow(world);
+    assert.equal(world.threats.length, 1);
+    assert.equal(world.threats[0].type, 'BULL_SHARK');
+    assert.ok(getLocation(world, world.threats[0].position));
+    assert.deepEqual(events.map(e => e.type), ['threat_spawned']);
+
+    rollNow(world);
+    assert.equal(world.threats.length, ENCOUNTER_CONFIG.maxThreats);
+});
+
+test('no rolls for agents on land, by the shore, or with threats switched off', () => {
+    const world = new World({ seed: 1 });
+    const { agent } = fisherAt(world, 2);
+    world.rng.threats = rolls(0);
+    world.timeOfDay = 0.95;
+
+    rollNow(world);
+    assert.equal(world.threats.length, 0);  // shore water is safe
+
+    const deep = fisherAt(new World({ seed: 1 }), 10).agent.task.target;
+    agent.task.target = deep;
+    agent.state = 'idle';
+    rollNow(world);
+    assert.equal(world.threats.length, 0);
+
+    agent.state = 'fishing';
+    world.config.systems = { ...world.config.systems, threats: false };
+    rollNow(world);
+    assert.equal(world.threats.length, 0);
+});
+
+test('a bite with too few spears around sends the fisher running inland', () => {
+    const world = new World({ seed: 2 });
+    const { agent, fish } = fisherAt(world, 10);
+    const events = recordEvents(world);
+    spawnShark(world, fish.position);
+
+    runThreats(world, () => agent.state === 'fleeing');
+
+    const bite = THREAT_TYPES.BULL_SHARK.damage / 100;
+    assert.equal(agent.task.type, 'flee_threat');
+    assert.ok(Math.abs(agent.needs.health - (1 - bite)) < 1e-9);
+    assert.deepEqual(events.map(e => e.type), ['threat_spawned', 'threat_attack']);
+    assert.equal(world.fishingSystem.claimedFish.has(fish.id), false);
+    assert.deepEqual(world.checkInvariants(), []);
+});
+
+test('a bite that empties health kills with shark_attack', () => {
+    const world = new World({ seed: 2 });
+    const { agent, fish } = fisherAt(world, 10);
+    agent.needs.health = 0.3;
+    spawnShark(world, fish.position);
+
+    runThreats(world, () => !agent.alive);
+
+    assert.equal(agent.deathCause, DEATH_CAUSES.SHARK);
+    assert.equal(world.totalDeaths, 1);
+    assert.deepEqual(world.checkInvariants(), []);
+});
+
+test('an armed group fights it out, and a kill leaves the drops on the beach', () => {
+    const world = new World({ seed: 3 });
+    const { agent, fish } = fisherAt(world, 10);
+    addTool(agent.inventory, 'fishing_spear');
+    const helpers = armHelpers(world, agent, 2);
+    addTool(helpers[0].inventory, 'shark_spear');
+    const events = recordEvents(world);
+    const threat = spawnShark(world, fish.position);
+
+    runThreats(world, () => threat.inCombat);
+    [agent, ...helpers].forEach(a => assert.equal(a.state, 'fighting'));
+
+    // Every strike lands on a weak point; drops roll their minimum
+    world.rng.threats = rolls(0);
+    runThreats(world, () => world.threats.length === 0);
+
+    assert.equal(helpers[0].inventory.equippedTool, 'shark_spear');   // Best weapon readied
+    const killed = events.find(e => e.type === 'threat_killed');
+    assert.equal(threat.killerId, killed.killerId);
+    assert.deepEqual(world.loot.map(l => l.itemId), Object.keys(THREAT_TYPES.BULL_SHARK.drops));
+    world.loot.forEach(pile => {
+        assert.equal(pile.count, THREAT_TYPES.BULL_SHARK.drops[pile.itemId].min);
+        assert.ok(getTerrainHeight(pile.position.x, pile.position.z) >= 0.5);
+    });
+    // win_fight + kill_shark for every hunter, and they have teamed up
+    const hunters = [agent, ...helpers];
+    hunters.forEach(a => {
+        assert.equal(a.skills.combat.level, 1);
+        assert.equal(a.state, 'idle');
+        hunters.filter(b => b !== a).forEach(b => assert.equal(getRelationship(a.social, b.id), 3));
+    });
+    assert.equal(events.filter(e => e.type === 'relationship_changed').length, 6);
+    assert.deepEqual(world.checkInvariants(), []);
+});
+
+test('the tribe carries a killed shark\'s drops into the hut', () => {
+    const world = new World({ seed: 3 });
+    const { agent, fish } = fisherAt(world, 10);
+    addTool(agent.inventory, 'fishing_spear');
+    armHelpers(world, agent, 2);
+    const threat = spawnShark(world, fish.position);
+    runThreats(world, () => threat.inCombat);
+    world.rng.threats = rolls(0);
+    runThreats(world, () => world.threats.length === 0);
+    world.config.systems = { ...world.config.systems, threats: false };
+
+    const drops = Object.fromEntries(world.loot.map(pile => [pile.itemId, pile.count]));
+    const before = { ...world.hut.storage };
+    const events = recordEvents(world);
+    const stored = itemId => (world.hut.storage[itemId] || 0) - (before[itemId] || 0);
+    for (let i = 0; i < 4000 && Object.keys(drops).some(itemId => stored(itemId) < drops[itemId]); i++) world.step();
+
+    // Every pile picked up and hauled in, the meat before it spoils
+    assert.equal(world.loot.length, 0);
+    Object.entries(drops).forEach(([itemId, count]) => assert.equal(stored(itemId), count, itemId));
+    const pickups = events.filter(e => e.type === 'resource_gathered' && e.sourceId?.startsWith('loot_'));
+    assert.equal(pickups.reduce((sum, e) => sum + e.amount, 0), Object.values(drops).reduce((a, b) => a + b, 0));
+    assert.deepEqual(world.checkInvariants(), []);
+});
+
+test('agents who have fallen out will not hunt together', () => {
+    const world = new World({ seed: 3 });
+    const { agent, fish } = fisherAt(world, 10);
+    addTool(agent.inventory, 'fishing_spear');
+    const helpers = armHelpers(world, agent, 2);
+    setRelationship(helpers[0].social, helpers[1].id, RELATIONSHIP_BOUNDS.ENEMY_THRESHOLD);
+    const events = recordEvents(world);
+    const threat = spawnShark(world, fish.position);
+
+    runThreats(world, () => events.some(e => e.type === 'threat_attack'));
+
+    // Only two of the three will stand together - too few to fight
+    assert.equal(threat.inCombat, false);
+    assert.equal(agent.state, 'fleeing');
+});
+
+test('wounded hunters pull out and the fight ends when nobody is left', () => {
+    const world = new World({ seed: 3 });
+    const { agent, fish } = fisherAt(world, 10);
+    const helpers = armHelpers(world, agent, 3);
+    const events = recordEvents(world);
+    const threat = spawnShark(world, fish.position);
+
+    runThreats(world, () => threat.inCombat);
+    assert.equal(agent.state, 'fleeing');   // No spear - leaves it to the others
+
+    // Every strike misses
+    world.rng.threats = rolls(0.99);
+    runThreats(world, () => !threat.inCombat);
+
+    helpers.forEach(a => {
+        assert.equal(a.state, 'fleeing');
+        assert.ok(a.needs.health < ENCOUNTER_CONFIG.retreatHealth);
+    });
+    assert.equal(world.totalDeaths, 0);
+    assert.ok(threat.state !== 'dead');
+    assert.equal(world.loot.length, 0);
+    assert.equal(events.filter(e => e.type === 'threat_killed').length, 0);
+    assert.deepEqual(world.checkInvariants(), []);
+});
+
+test('a badly hurt shark breaks off and the hunters share the win', () => {
+    const world = new World({ seed: 3 });
+    const { agent, fish } = fisherAt(world, 10);
+    addTool(agent.inventory, 'fishing_spear');
+    const helpers = armHelpers(world, agent, 2);
+    const threat = spawnShark(world, fish.position);
+
+    runThreats(world, () => threat.inCombat);
+    threat.health = threat.maxHealth * 0.2 + 1;
+    world.rng.threats = rolls(0.3, 0.99);     // The first strike lands, no crit
+    runThreats(world, () => !threat.inCombat);
+
+    assert.equal(threat.state, 'fleeing');
+    [agent, ...helpers].forEach(a => {
+        assert.equal(a.state, 'idle');
+        assert.equal(a.skills.combat.xp, XP_REWARDS.win_fight.xp);
+    });
+});
+
+test('a shark with nobody to hunt swims off', () => {
+    const world = new World({ seed: 4 });
+    const events = recordEvents(world);
+    spawnShark(world, { x: 110, y: -0.5, z: 0 });
+
+    runThreats(world, () => world.threats.length === 0, ENCOUNTER_CONFIG.lingerTime / DELTA + 10);
+
+    assert.equal(world.threats.length, 0);
+    assert.deepEqual(events.map(e => e.type), ['threat_spawned', 'threat_fled']);
+});
+
+test('loot piles are capped and rot away after their lifetime', () => {
+    const world = new World({ seed: 3 });
+    const { agent, fish } = fisherAt(world, 10);
+    addTool(agent.inventory, 'fishing_spear');
+    armHelpers(world, agent, 2);
+    for (let i = 0; i < ENCOUNTER_CONFIG.maxLootPiles; i++) {
+        world.loot.push({ id: `old_${i}`, itemId: 'shark_jaw', count: 1, position: fish.position.clone(), expiresAt: Infinity });
+    }
+    const threat = spawnShark(world, fish.position);
+    runThreats(world, () => threat.inCombat);
+    world.rng.threats = rolls(0);
+    runThreats(world, () => world.threats.length === 0);
+
+    // The new drops push out the oldest piles
+    const drops = Object.keys(THREAT_TYPES.BULL_SHARK.drops);
+    assert.equal(world.loot.length, ENCOUNTER_CONFIG.maxLootPiles);
+    assert.deepEqual(world.loot.slice(-drops.length).map(l => l.itemId), drops);
+    assert.equal(world.loot[0].id, `old_${drops.length}`);
+
+    const dropped = world.time;
+    world.loot = world.loot.slice(-drops.length);
+    runThreats(world, () => world.time >= dropped + ENCOUNTER_CONFIG.lootLifetime - 1, 10000);
+    assert.equal(world.loot.length, drops.length);
+    runThreats(world, () => world.loot.length === 0, 40);
+    assert.equal(world.loot.length, 0);
+});
+
+test('threats and loot survive a snapshot', () => {
+    const world = new World({ seed: 5 });
+    const { fish } = fisherAt(world, 10);
+    spawnShark(world, fish.position);
+    stepWorld(world, 40);
+    world.loot.push({ id: 'loot_x', itemId: 'shark_jaw', count: 1, position: fish.position.clone(), expiresAt: world.time + 100 });
+
+    const restored = new World({ seed: 99 });
+    restored.loadSnapshot(JSON.parse(JSON.stringify(world.saveSnapshot())));
+    assert.equal(hashWorldState(restored), hashWorldState(world));
+
+    stepWorld(world, 200);
+    stepWorld(restored, 200);
+    assert.equal(hashWorldState(restored), hashWorldState(world));
+});
+
+// First deep-reef water out along the +x axis
+function deepWater(world) {
+    let x = 100;
+    while (getLocation(world, { x, z: 0 }) !== 'deep_reef') x += 5;
+    return { x, y: -6, z: 0 };
+}
+
+// Armed agents on the beach facing the deep water
+function armBeach(world, count) {
+    return world.tribeMembers.slice(0, count).map((agent, i) => {
+        agent.position.set(70, getTerrainHeight(70, i * 2), i * 2);
+        addTool(agent.inventory, 'fishing_spear');
+        return agent;
+    });
+}
+
+test('the giant squid rolls at night over the deep water and starts with warnings', () => {
+    const world = new World({ seed: 6 });
+    world.rng.threats = rolls(0);
+    const events = recordEvents(world);
+    const rollSquid = () => {
+        world.encounters.squidCheckTimer = ENCOUNTER_CONFIG.squidCheckInterval;
+        updateThreats(world, DELTA);
+    };
+
+    world.timeOfDay = 0.5;
+    rollSquid();
+    assert.equal(world.threats.length, 0);
+
+    world.timeOfDay = 0.95;
+    rollSquid();
+    const [squid] = world.threats;
+    assert.equal(squid.type, 'GIANT_SQUID');
+    assert.equal(squid.state, 'warning');
+    assert.equal(getLocation(world, squid.position), 'deep_reef');
+    assert.deepEqual(events.map(e => e.type), ['threat_spawned', 'threat_response']);
+
+    runThreats(world, () => squid.warning.progress >= 0.5);
+    assert.ok(squid.warning.glow > 0);
+    assert.ok(squid.warning.temperatureDrop > 0);
+
+    rollSquid();
+    assert.equal(world.threats.length, 1);
+});
+
+test('too few spears and the tribe retreats inland while the fish leave', () => {
+    const world = new World({ seed: 7 });
+    const [agent] = armBeach(world, 3);
+    const fishBefore = world.fishList.length;
+    const squid = spawnSquid(world, deepWater(world));
+
+    assert.equal(world.coordinator.threatResponses.get(squid.id).decision, 'retreat');
+    assert.ok(world.coordinator.isRetreating());
+    assert.equal(agent.state, 'fleeing');
+    assert.equal(agent.task.type, 'flee_threat');
+
+    stepWorld(world, THREAT_TYPES.GIANT_SQUID.warningDuration / DELTA);
+    assert.notEqual(squid.state, 'warning');
+    assert.ok(world.fishList.length < fishBefore);
+    assert.equal(world.tribeMembers.filter(a => a.task?.type === 'go_fishing').length, 0);
+    assert.deepEqual(world.checkInvariants(), []);
+
+    stepWorld(world, (ENCOUNTER_CONFIG.lingerTime + 10) / DELTA);
+    assert.equal(world.threats.length, 0);
+    assert.equal(world.coordinator.isRetreating(), false);
+});
+
+test('a rallied party fights the squid through its phases and the killer becomes a legend', () => {
+    const world = new World({ seed: 2 });
+    const party = armBeach(world, 6);
+    const events = recordEvents(world);
+    const squid = spawnSquid(world, deepWater(world));
+
+    const response = events.find(e => e.type === 'threat_response');
+    assert.equal(response.decision, 'rally');
+    assert.deepEqual(response.hunterIds, party.map(a => a.id));
+    party.forEach(a => assert.equal(a.state, 'rallying'));
+
+    stepWorld(world, THREAT_TYPES.GIANT_SQUID.warningDuration / DELTA + 1);
+    assert.equal(squid.inCombat, true);
+    party.forEach(a => assert.equal(a.state, 'fighting'));
+
+    stepWorld(world, 4000);
+    assert.equal(world.threats.length, 0);
+    assert.deepEqual(events.filter(e => e.type === 'threat_phase').map(e => e.phase), ['tentacles', 'ink', 'eyes']);
+
+    const killed = events.find(e => e.type === 'threat_killed');
+    const killer = world.getAgent(killed.killerId);
+    assert.equal(killer.isLegend, true);
+    assert.deepEqual(events.filter(e => e.type === 'became_legend').map(e => e.agentId), [killer.id]);
+    world.getAliveAgents().filter(a => a !== killer).forEach(a =>
+        assert.equal(getRelationship(a.social, killer.id), RELATIONSHIP_BOUNDS.MAX)
+    );
+    party.filter(a => a.alive).forEach(a => assert.deepEqual(a.skills.combat, killer.skills.combat));
+    assert.deepEqual(Object.keys(killed.drops), Object.keys(THREAT_TYPES.GIANT_SQUID.drops));
+    party.filter(a => !a.alive).forEach(a => assert.equal(a.deathCause, DEATH_CAUSES.SQUID));
+    assert.deepEqual(world.checkInvariants(), []);
+});
+
+test('a squid mid-warning survives a snapshot', () => {
+    const world = new World({ seed: 8 });
+    armBeach(world, 6);
+    spawnSquid(world, deepWater(world));
+    stepWorld(world, 100);
+
+    const restored = new World({ seed: 99 });
+    restored.loadSnapshot(JSON.parse(JSON.stringify(world.saveSnapshot())));
+    assert.equal(hashWorldState(restored), hashWorldState(world));
+
+    stepWorld(world, 800);
+    stepWorld(restored, 800);
+    assert.equal(hashWorldState(restored), hashWorldState(world));
+});
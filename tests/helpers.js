@@ -0,0 +1,20 @@
+// ============================================
+// TEST HELPERS
+// ============================================
+
+/**
+ * Scripted RNG stream: returns the given values in order, then repeats the last
+ * Lets a test decide exactly which random rolls succeed
+ */
+export function rolls(...values) {
+    let i = 0;
+    return () => values[Math.min(i++, values.length - 1)];
+}
+
+/**
+ * Step a world n times, stopping early if everyone is dead
+ */
+export function stepWorld(world, n) {
+    for (let i = 0; i < n && world.getAliveAgents().length > 0; i++) world.step();
+    return world;
+}
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/sim/world.js';
+import { INVARIANTS, checkInvariants } from '../src/sim/invariants.js';
+import { addTool } from '../src/systems/resources.js';
+import { stepWorld } from './helpers.js';
+
+const names = violations => violations.map(v => v.invariant);
+
+test('a seeded run keeps every invariant', () => {
+    const world = new World({ seed: 21 });
+    const checker = world.startInvariantChecks({ interval: 1, onViolation: () => {} });
+    stepWorld(world, 2000);
+
+    assert.equal(checker.checks, world.stepCount);
+    assert.deepEqual(checker.violations, []);
+});
+
+test('checking does not change the run', () => {
+    const plain = stepWorld(new World({ seed: 4 }), 300);
+    const checked = new World({ seed: 4 });
+    checked.startInvariantChecks({ interval: 1 });
+    stepWorld(checked, 300);
+
+    assert.deepEqual(checked.saveSnapshot(), plain.saveSnapshot());
+});
+
+test('negative counts and out-of-range needs are reported with agent and step', () => {
+    const world = stepWorld(new World({ seed: 1 }), 10);
+    const agent = world.tribeMembers[2];
+    world.hut.storage.stone = -2;
+    agent.needs.energy = 1.5;
+    agent.inventory.slots.set('wood', { count: -1, items: [] });
+    addTool(agent.inventory, 'gathering_stick');
+    agent.inventory.tools.get('gathering_stick').durability = -1;
+
+    const violations = checkInvariants(world);
+    assert.deepEqual(names(violations), ['hut_storage', 'inventory_counts', 'needs_range', 'tool_durability']);
+    assert.equal(violations[0].agentId, null);
+    violations.slice(1).forEach(v => {
+        assert.equal(v.agentId, agent.id);
+        assert.equal(v.step, 10);
+    });
+});
+
+test('claims must belong to a living agent on that task', () => {
+    const world = new World({ seed: 1 });
+    const [a, b] = world.tribeMembers;
+    const tree = world.trees[0];
+    a.task = null;
+    world.coordinator.claimedResources.set(tree.id, a.id);
+    world.coordinator.claimedTasks.set(`gather_wood:${tree.id}`, a.id);
+
+    assert.deepEqual(names(checkInvariants(world)), ['resource_claims', 'task_claims']);
+
+    a.task = { type: 'gather_wood', target: tree };
+    assert.deepEqual(checkInvariants(world), []);
+
+    a.alive = false;
+    const dead = checkInvariants(world);
+    assert.deepEqual(names(dead), ['dead_claims', 'dead_claims']);
+    assert.match(dead[0].message, /dead agent holds resource claim/);
+
+    world.coordinator.releaseStaleClaims(world.tribeMembers);
+    assert.deepEqual(checkInvariants(world), []);
+
+    const fish = world.fishList[0];
+    b.task = { type: 'go_fishing', target: fish };
+    world.tribeMembers[2].task = { type: 'go_fishing', target: fish };
+    assert.deepEqual(names(checkInvariants(world, { only: ['fish_claims'] })), ['fish_claims']);
+});
+
+test('halt stops the run at the first failing check', () => {
+    const world = new World({ seed: 1 });
+    world.startInvariantChecks({ interval: 5, halt: true, onViolation: () => {} });
+    world.hut.storage.wood = -1;
+
+    assert.throws(() => stepWorld(world, 20), /\[step 5\] hut_storage: hut.storage.wood is -1/);
+    assert.equal(world.stepCount, 5);
+});
+
+test('only runs the named invariants and rejects unknown ones', () => {
+    const world = new World({ seed: 1 });
+    world.hut.storage.wood = -1;
+
+    assert.deepEqual(checkInvariants(world, { only: ['needs_range'] }), []);
+    assert.throws(() => checkInvariants(world, { only: ['gravity'] }), /Unknown invariant: gravity/);
+    assert.ok(INVARIANTS.includes('dead_claims'));
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    NEEDS_CONFIG, LIFE_STAGES, DEATH_CAUSES,
+    createAgentNeeds, getLifeStage, getBodyScale, updateNeeds, consumeFood
+} from '../src/systems/needs.js';
+import { rolls } from './helpers.js';
+
+const needsFor = (overrides = {}) => ({ ...createAgentNeeds(25, rolls(0.5)), ...overrides });
+
+test('life stages follow age boundaries', () => {
+    assert.equal(getLifeStage(0), LIFE_STAGES.BABY);
+    assert.equal(getLifeStage(2), LIFE_STAGES.CHILD);
+    assert.equal(getLifeStage(12), LIFE_STAGES.ADULT);
+    assert.equal(getLifeStage(50), LIFE_STAGES.ELDER);
+});
+
+test('bodies grow from a baby\'s size until adulthood', () => {
+    assert.equal(getBodyScale(0), 0.4);
+    assert.ok(getBodyScale(6) > getBodyScale(1));
+    assert.equal(getBodyScale(LIFE_STAGES.ADULT.minAge), 1);
+    assert.equal(getBodyScale(70), 1);
+});
+
+test('a healthy agent survives a step and needs stay in [0, 1]', () => {
+    const needs = needsFor();
+    const result = updateNeeds(needs, 1, { isMoving: true, random: rolls(0.99) });
+
+    assert.equal(result.alive, true);
+    assert.equal(result.deathCause, null);
+    for (const key of ['hunger', 'energy', 'health', 'social']) {
+        assert.ok(needs[key] >= 0 && needs[key] <= 1, `${key} = ${needs[key]}`);
+    }
+});
+
+test('empty hunger kills by starvation', () => {
+    const needs = needsFor({ hunger: 0.001 });
+    const result = updateNeeds(needs, 1, { random: rolls(0.99) });
+
+    assert.equal(result.alive, false);
+    assert.equal(result.deathCause, DEATH_CAUSES.STARVATION);
+    assert.equal(needs.alive, false);
+    assert.deepEqual(result.events, [{ type: 'death', cause: DEATH_CAUSES.STARVATION }]);
+});
+
+test('zero energy kills by exhaustion after exhaustionDeathTime', () => {
+    const needs = needsFor({ energy: 0 });
+    const context = { isMoving: true, random: rolls(0.99) };
+
+    const steps = Math.ceil(NEEDS_CONFIG.exhaustionDeathTime);
+    for (let i = 0; i < steps - 1; i++) {
+        assert.equal(updateNeeds(needs, 1, context).alive, true);
+    }
+    const result = updateNeeds(needs, 1, context);
+    assert.equal(result.deathCause, DEATH_CAUSES.EXHAUSTION);
+});
+
+test('running out of energy in deep water is drowning', () => {
+    const needs = needsFor({ energy: 0, exhaustionTimer: NEEDS_CONFIG.exhaustionDeathTime });
+    const result = updateNeeds(needs, 0.1, { inWater: true, inDeepWater: true, random: rolls(0.99) });
+    assert.equal(result.deathCause, DEATH_CAUSES.DROWNING);
+});
+
+test('resting resets the exhaustion timer', () => {
+    const needs = needsFor({ energy: 0, exhaustionTimer: 5 });
+    updateNeeds(needs, 1, { isResting: true, random: rolls(0.99) });
+    assert.equal(needs.exhaustionTimer, 0);
+    assert.ok(needs.energy > 0);
+});
+
+test('health running out while sick is sickness, otherwise old age', () => {
+    const sick = needsFor({ health: 0.001, isSick: true, sicknessTimer: 30 });
+    assert.equal(updateNeeds(sick, 1, { random: rolls(0.99) }).deathCause, DEATH_CAUSES.SICKNESS);
+
+    const frail = needsFor({ health: 0.0001 });
+    assert.equal(updateNeeds(frail, 1, { random: rolls(0.99) }).deathCause, DEATH_CAUSES.OLD_AGE);
+});
+
+test('old age death is a roll past maxNaturalAge', () => {
+    const age = NEEDS_CONFIG.maxNaturalAge + 10;
+
+    const lucky = needsFor({ age });
+    assert.equal(updateNeeds(lucky, 1, { random: rolls(0.99) }).alive, true);
+
+    const unlucky = needsFor({ age });
+    assert.equal(updateNeeds(unlucky, 1, { random: rolls(0) }).deathCause, DEATH_CAUSES.OLD_AGE);
+});
+
+test('dead agents stay dead and do not change', () => {
+    const needs = needsFor({ alive: false, deathCause: DEATH_CAUSES.STARVATION });
+    const before = { ...needs };
+    const result = updateNeeds(needs, 10, { random: rolls(0) });
+
+    assert.equal(result.alive, false);
+    assert.equal(result.deathCause, DEATH_CAUSES.STARVATION);
+    assert.deepEqual(needs, before);
+});
+
+test('sickness wears off after sicknessDuration', () => {
+    const needs = needsFor({ isSick: true, sicknessTimer: 1 });
+    const result = updateNeeds(needs, 1, { random: rolls(0.99) });
+
+    assert.equal(needs.isSick, false);
+    assert.ok(result.events.some(e => e.type === 'recovered'));
+});
+
+test('raw food can make an agent sick, coconuts never do', () => {
+    const fish = needsFor({ hunger: 0.5 });
+    assert.equal(consumeFood(fish, { nutrition: 0.4, isRaw: true }, rolls(0)).gotSick, true);
+    assert.equal(fish.isSick, true);
+    assert.equal(fish.sicknessTimer, NEEDS_CONFIG.sicknessDuration);
+
+    const coconut = needsFor({ hunger: 0.9 });
+    assert.equal(consumeFood(coconut, { nutrition: 0.35 }, rolls(0)).gotSick, false);
+    assert.equal(coconut.hunger, 1);
+});
@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from '../src/sim/world.js';
+import { REPRODUCTION_CONFIG, findMate, meetMate, giveBirth } from '../src/sim/reproduction.js';
+import { hashWorldState } from '../src/sim/replay.js';
+import { CONFIG } from '../src/config.js';
+import { LIFE_STAGES } from '../src/systems/needs.js';
+import { RELATIONSHIP_CHANGES, getRelationship, setRelationship } from '../src/systems/social.js';
+import { addToInventory, getInventoryCount } from '../src/systems/resources.js';
+import { stepWorld } from './helpers.js';
+
+// Two adults side by side, keen and fond of each other
+function couple(world) {
+    const [a, b] = world.tribeMembers;
+    b.position.set(a.position.x + 3, a.position.y, a.position.z);
+    [[a, b], [b, a]].forEach(([self, other]) => {
+        self.needs.reproductionDrive = 0.8;
+        self.needs.hunger = 1;
+        setRelationship(self.social, other.id, 20);
+    });
+    return [a, b];
+}
+
+function recordEvents(world) {
+    const events = [];
+    world.on('*', e => events.push(e));
+    return events;
+}
+
+test('a keen couple mates and the baby is born into the family', () => {
+    const world = new World({ seed: 1 });
+    const [a, b] = couple(world);
+    const events = recordEvents(world);
+
+    for (let i = 0; i < 2000 && !events.some(e => e.type === 'birth'); i++) world.step();
+
+    const birth = events.find(e => e.type === 'birth');
+    assert.ok(birth);
+    assert.deepEqual([...birth.parentIds].sort(), [a.id, b.id]);
+    assert.equal(world.stats.births, 1);
+
+    const baby = world.getAgent(birth.agentId);
+    assert.equal(baby, world.tribeMembers[world.tribeMembers.length - 1]);
+    assert.equal(baby.needs.lifeStage, LIFE_STAGES.BABY);
+    assert.deepEqual(baby.needs.parentIds, birth.parentIds);
+    [a, b].forEach(parent => {
+        assert.deepEqual(parent.needs.childIds, [baby.id]);
+        assert.ok(parent.social.familyIds.has(baby.id));
+        assert.ok(baby.social.familyIds.has(parent.id));
+        assert.equal(getRelationship(parent.social, baby.id), RELATIONSHIP_CHANGES.parent_child.both);
+    });
+    assert.ok(baby.position.y >= world.config.waterLevel + 0.5);
+    assert.ok(events.some(e => e.type === 'relationship_changed' && e.agentId === baby.id));
+
+    // Babies stay where they are and do nothing
+    const { x, z } = baby.position;
+    stepWorld(world, 200);
+    assert.equal(baby.state, 'idle');
+    assert.equal(baby.task, null);
+    assert.equal(baby.position.x, x);
+    assert.equal(baby.position.z, z);
+    assert.deepEqual(world.checkInvariants(), []);
+});
+
+test('with nobody keen on them, an adult courts the one they like best', () => {
+    const world = new World({ seed: 2 });
+    const [a, b, c] = world.tribeMembers;
+    a.needs.reproductionDrive = 0.8;
+    setRelationship(a.social, c.id, 5);
+
+    assert.equal(findMate(world, a), c);
+    assert.equal(findMate(world, b), null);   // Not looking
+
+    meetMate(world, a, c);
+    assert.equal(a.needs.isPregnant || c.needs.isPregnant, false);
+    assert.equal(getRelationship(a.social, c.id), 5 + RELATIONSHIP_CHANGES.court.both);
+    assert.equal(getRelationship(c.social, a.id), RELATIONSHIP_CHANGES.court.both);
+    assert.equal(a.needs.reproductionDrive, 0.8 - REPRODUCTION_CONFIG.courtDriveCost);
+});
+
+test('family and agents who have fallen out are never partners', () => {
+    const world = new World({ seed: 2 });
+    const [a, b, c] = world.tribeMembers;
+    world.tribeMembers.forEach(agent => { agent.needs.reproductionDrive = 0.8; });
+    setRelationship(a.social, b.id, 20);
+    setRelationship(b.social, a.id, 20);
+    a.social.familyIds.add(b.id);
+    setRelationship(c.social, a.id, -40);
+
+    const mate = findMate(world, a);
+    assert.ok(mate);
+    assert.notEqual(mate, b);
+    assert.notEqual(mate, c);
+});
+
+test('hungry babies are fed by the tribe, parents first', () => {
+    const world = new World({ seed: 3 });
+    const [parent, other] = world.tribeMembers;
+    parent.otherParentId = other.id;
+    const baby = giveBirth(world, parent);
+    baby.needs.hunger = 0.3;
+    parent.needs.hunger = 1;
+    parent.needs.energy = 1;
+    addToInventory(parent.inventory, 'coconut', 2);
+    const events = recordEvents(world);
+
+    for (let i = 0; i < 600 && baby.needs.hunger < 0.35; i++) world.step();
+
+    assert.ok(baby.needs.hunger >= 0.35);
+    assert.equal(getInventoryCount(baby.inventory, 'coconut'), 0);   // Fed, not handed food
+    const fed = events.find(e => e.type === 'relationship_changed' && e.agentId === baby.id);
+    assert.equal(fed.otherId, parent.id);
+    assert.equal(fed.delta, RELATIONSHIP_CHANGES.share_food.receiver);
+});
+
+test('no new pregnancies with reproduction switched off', () => {
+    const world = new World({ seed: 1, config: { systems: { ...CONFIG.systems, reproduction: false } } });
+    const [a, b] = couple(world);
+
+    assert.equal(findMate(world, a), null);
+    stepWorld(world, 400);
+    assert.equal(a.needs.isPregnant || b.needs.isPregnant, false);
+    assert.equal(world.tribeMembers.some(agent => agent.task?.type === 'seek_mate'), false);
+});
+
+test('a pregnancy survives a snapshot and the birth happens the same way', () => {
+    const world = new World({ seed: 4 });
+    const [a, b] = couple(world);
+    meetMate(world, a, b);
+    assert.ok(a.needs.isPregnant || b.needs.isPregnant);
+    stepWorld(world, 300);
+
+    const restored = new World({ seed: 99 });
+    restored.loadSnapshot(JSON.parse(JSON.stringify(world.saveSnapshot())));
+    stepWorld(world, 400);
+    stepWorld(restored, 400);
+
+    assert.equal(world.stats.births, 1);
+    assert.equal(restored.tribeMembers.length, world.tribeMembers.length);
+    assert.equal(hashWorldState(restored), hashWorldState(world));
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    RESOURCES, TOOLS,
+    createInventory, addToInventory, removeFromInventory, getInventoryCount, hasInventoryRoom,
+    addTool, useTool, equipTool, getToolCount, hasTool, getBestWeapon,
+    canCraft, consumeCraftingResources, updateSpoilage
+} from '../src/systems/resources.js';
+
+test('stacks are capped at the resource stackSize', () => {
+    const inventory = createInventory();
+    const { stackSize } = RESOURCES.COCONUT;
+
+    assert.equal(addToInventory(inventory, 'coconut', stackSize - 1), true);
+    addToInventory(inventory, 'coconut', 5);
+    assert.equal(getInventoryCount(inventory, 'coconut'), stackSize);
+    assert.equal(hasInventoryRoom(inventory, 'coconut'), inventory.slots.size < inventory.maxSlots);
+});
+
+test('a full inventory has no room for a new resource', () => {
+    const inventory = createInventory(2);
+    addToInventory(inventory, 'wood', 1);
+    addToInventory(inventory, 'stone', 1);
+
+    assert.equal(hasInventoryRoom(inventory, 'vine'), false);
+    assert.equal(hasInventoryRoom(inventory, 'wood'), true);
+});
+
+test('removing more than held fails and leaves the stack alone', () => {
+    const inventory = createInventory();
+    addToInventory(inventory, 'wood', 3);
+
+    assert.equal(removeFromInventory(inventory, 'wood', 4), null);
+    assert.equal(getInventoryCount(inventory, 'wood'), 3);
+
+    assert.ok(removeFromInventory(inventory, 'wood', 3));
+    assert.equal(inventory.slots.has('wood'), false);
+});
+
+test('unknown resources and tools are rejected', () => {
+    const inventory = createInventory();
+    assert.equal(addToInventory(inventory, 'unobtainium', 1), false);
+    assert.equal(addTool(inventory, 'laser'), false);
+});
+
+test('spears stack up to maxPerAgent', () => {
+    const inventory = createInventory();
+    const max = TOOLS.FISHING_SPEAR.maxPerAgent;
+
+    for (let i = 0; i < max; i++) assert.equal(addTool(inventory, 'fishing_spear'), true);
+    assert.equal(addTool(inventory, 'fishing_spear'), false);
+    assert.equal(getToolCount(inventory, 'fishing_spear'), max);
+});
+
+test('one-use spears are consumed one at a time', () => {
+    const inventory = createInventory();
+    addTool(inventory, 'fishing_spear');
+    addTool(inventory, 'fishing_spear');
+    equipTool(inventory, 'fishing_spear');
+
+    assert.equal(useTool(inventory, 'fishing_spear'), true);
+    assert.equal(getToolCount(inventory, 'fishing_spear'), 1);
+
+    assert.equal(useTool(inventory, 'fishing_spear'), false);
+    assert.equal(hasTool(inventory, 'fishing_spear'), false);
+    assert.equal(inventory.equippedTool, null);
+});
+
+test('durable tools wear down and break at zero', () => {
+    const inventory = createInventory();
+    const { durability } = TOOLS.GATHERING_STICK;
+    addTool(inventory, 'gathering_stick');
+    equipTool(inventory, 'gathering_stick');
+
+    for (let i = 1; i < durability; i++) {
+        assert.equal(useTool(inventory, 'gathering_stick'), true);
+        assert.equal(inventory.tools.get('gathering_stick').durability, durability - i);
+    }
+    assert.equal(useTool(inventory, 'gathering_stick'), false);
+    assert.equal(hasTool(inventory, 'gathering_stick'), false);
+    assert.equal(inventory.equippedTool, null);
+    assert.equal(useTool(inventory, 'gathering_stick'), false);
+});
+
+test('the best weapon carried has the highest combat bonus', () => {
+    const inventory = createInventory();
+    addTool(inventory, 'gathering_stick');
+    assert.equal(getBestWeapon(inventory), null);
+
+    addTool(inventory, 'fishing_spear');
+    assert.equal(getBestWeapon(inventory), TOOLS.FISHING_SPEAR);
+    addTool(inventory, 'shark_spear');
+    addTool(inventory, 'stone_axe');
+    assert.equal(getBestWeapon(inventory), TOOLS.SHARK_SPEAR);
+});
+
+test('crafting needs the full recipe and consumes it', () => {
+    const inventory = createInventory();
+    const { recipe } = TOOLS.FISHING_SPEAR;
+    addToInventory(inventory, 'wood', recipe.wood);
+    addToInventory(inventory, 'vine', recipe.vine - 1);
+    assert.equal(canCraft(inventory, 'fishing_spear'), false);
+
+    addToInventory(inventory, 'vine', 1);
+    assert.equal(canCraft(inventory, 'fishing_spear'), true);
+
+    consumeCraftingResources(inventory, 'fishing_spear');
+    assert.equal(getInventoryCount(inventory, 'wood'), 0);
+    assert.equal(getInventoryCount(inventory, 'vine'), 0);
+});
+
+test('fish spoil after spoilTime on the sim clock', () => {
+    const inventory = createInventory();
+    const { spoilTime } = RESOURCES.FISH;
+    addToInventory(inventory, 'fish', 1, { spawnTime: 100 });
+
+    assert.deepEqual(updateSpoilage(inventory, 100 + spoilTime - 1), []);
+    assert.equal(updateSpoilage(inventory, 100 + spoilTime).length, 1);
+    assert.equal(getInventoryCount(inventory, 'fish'), 0);
+});
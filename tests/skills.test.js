@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    SKILLS, createAgentSkills, getXPForLevel, addSkillXP, awardXP, XP_REWARDS,
+    getApprenticeshipBonus, getCombatWinChance
+} from '../src/systems/skills.js';
+
+test('each level costs more XP than the last', () => {
+    assert.equal(getXPForLevel(0), 100);
+    for (let level = 1; level < 20; level++) {
+        assert.ok(getXPForLevel(level) > getXPForLevel(level - 1), `level ${level}`);
+    }
+});
+
+test('XP below the next level does not level up', () => {
+    const skills = createAgentSkills();
+    const result = addSkillXP(skills, 'gathering', getXPForLevel(0) - 1);
+
+    assert.deepEqual(result, { leveled: false, newLevel: 0 });
+    assert.equal(skills.gathering.xp, getXPForLevel(0) - 1);
+});
+
+test('leftover XP carries into the next level', () => {
+    const skills = createAgentSkills();
+    addSkillXP(skills, 'fishing', getXPForLevel(0) + 10);
+
+    assert.equal(skills.fishing.level, 1);
+    assert.equal(skills.fishing.xp, 10);
+});
+
+test('a large grant pays each level at its own cost', () => {
+    const skills = createAgentSkills();
+    const cost = getXPForLevel(0) + getXPForLevel(1) + getXPForLevel(2);
+    const result = addSkillXP(skills, 'crafting', cost + 1);
+
+    assert.deepEqual(result, { leveled: true, newLevel: 3 });
+    assert.equal(skills.crafting.xp, 1);
+});
+
+test('skills stop at maxLevel', () => {
+    const skills = createAgentSkills();
+    skills.combat.level = SKILLS.COMBAT.maxLevel;
+
+    assert.deepEqual(addSkillXP(skills, 'combat', 1e6), { leveled: false, newLevel: SKILLS.COMBAT.maxLevel });
+    assert.equal(skills.combat.xp, 0);
+});
+
+test('unknown skills are ignored', () => {
+    assert.deepEqual(addSkillXP(createAgentSkills(), 'juggling', 50), { leveled: false, newLevel: 0 });
+});
+
+test('skilled mentors nearby speed up learning, up to 2x', () => {
+    const mentor = { skills: { gathering: { level: 30, xp: 0 } } };
+    const peer = { skills: { gathering: { level: 5, xp: 0 } } };
+
+    assert.equal(getApprenticeshipBonus(0, [peer], 'gathering'), 1);
+    assert.equal(getApprenticeshipBonus(0, [mentor], 'gathering'), 1.5);
+    assert.equal(getApprenticeshipBonus(0, [mentor, mentor, mentor], 'gathering'), 2);
+
+    const skills = createAgentSkills();
+    awardXP(skills, 'gather_wood', [mentor]);
+    assert.equal(skills.gathering.xp, XP_REWARDS.gather_wood.xp * 1.5);
+});
+
+test('combat win chance stays within [0.1, 0.9]', () => {
+    const novice = createAgentSkills();
+    const master = createAgentSkills();
+    master.combat.level = 100;
+
+    assert.equal(getCombatWinChance(novice, novice), 0.5);
+    assert.equal(getCombatWinChance(master, novice), 0.9);
+    assert.equal(getCombatWinChance(novice, master), 0.1);
+});
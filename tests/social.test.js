@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    RELATIONSHIP_BOUNDS, RELATIONSHIP_CHANGES, SOCIAL_ACTIONS,
+    createAgentSocial, getRelationship, setRelationship, modifyRelationship,
+    establishFamily, processSocialAction, willCooperate, willMate,
+    grantLegendStatus, findBestMate, findAllies, findCooperatingGroup, getSocialStanding
+} from '../src/systems/social.js';
+
+test('strangers start neutral', () => {
+    assert.equal(getRelationship(createAgentSocial('a'), 'b'), RELATIONSHIP_BOUNDS.NEUTRAL);
+});
+
+test('scores are clamped to [MIN, MAX]', () => {
+    const social = createAgentSocial('a');
+
+    modifyRelationship(social, 'b', 500);
+    assert.equal(getRelationship(social, 'b'), RELATIONSHIP_BOUNDS.MAX);
+
+    modifyRelationship(social, 'b', -1000);
+    assert.equal(getRelationship(social, 'b'), RELATIONSHIP_BOUNDS.MIN);
+});
+
+test('friend and enemy sets follow the thresholds', () => {
+    const social = createAgentSocial('a');
+
+    setRelationship(social, 'b', RELATIONSHIP_BOUNDS.FRIEND_THRESHOLD);
+    assert.ok(social.friendIds.has('b'));
+
+    setRelationship(social, 'b', RELATIONSHIP_BOUNDS.ENEMY_THRESHOLD);
+    assert.ok(social.enemyIds.has('b'));
+    assert.ok(!social.friendIds.has('b'));
+
+    setRelationship(social, 'b', 0);
+    assert.ok(!social.enemyIds.has('b'));
+    assert.ok(!social.friendIds.has('b'));
+});
+
+test('family links are mutual and start friendly', () => {
+    const parent = createAgentSocial('parent');
+    const child = createAgentSocial('child');
+    establishFamily(parent, child);
+
+    assert.ok(parent.familyIds.has('child'));
+    assert.ok(child.familyIds.has('parent'));
+    assert.equal(getRelationship(parent, 'child'), RELATIONSHIP_CHANGES.parent_child.both);
+    assert.equal(getRelationship(child, 'parent'), RELATIONSHIP_CHANGES.parent_child.both);
+    assert.ok(parent.friendIds.has('child'));
+
+    const sibling = createAgentSocial('sibling');
+    establishFamily(child, sibling, 'sibling');
+    assert.equal(getRelationship(sibling, 'child'), RELATIONSHIP_CHANGES.sibling.both);
+});
+
+test('helping is appreciated more by the helped', () => {
+    const helper = createAgentSocial('helper');
+    const helped = createAgentSocial('helped');
+    const events = processSocialAction(helper, helped, SOCIAL_ACTIONS.HELP);
+
+    assert.equal(getRelationship(helper, 'helped'), RELATIONSHIP_CHANGES.help_build.helper);
+    assert.equal(getRelationship(helped, 'helper'), RELATIONSHIP_CHANGES.help_build.helped);
+    assert.equal(helper.totalHelpsGiven, 1);
+    assert.equal(helped.totalHelpsReceived, 1);
+    assert.deepEqual(events, [{ type: 'helped', from: 'helper', to: 'helped' }]);
+});
+
+test('a fight makes the attacked agent resent the attacker', () => {
+    const attacker = createAgentSocial('attacker');
+    const attacked = createAgentSocial('attacked');
+    processSocialAction(attacker, attacked, SOCIAL_ACTIONS.FIGHT);
+
+    assert.equal(getRelationship(attacked, 'attacker'), RELATIONSHIP_CHANGES.attack.attacked);
+    assert.equal(getRelationship(attacker, 'attacked'), 0);
+    assert.equal(attacker.totalFights, 1);
+    assert.equal(attacked.totalFights, 1);
+});
+
+test('courting warms both sides up', () => {
+    const a = createAgentSocial('a');
+    const b = createAgentSocial('b');
+    const events = processSocialAction(a, b, SOCIAL_ACTIONS.COURT);
+
+    assert.equal(getRelationship(a, 'b'), RELATIONSHIP_CHANGES.court.both);
+    assert.equal(getRelationship(b, 'a'), RELATIONSHIP_CHANGES.court.both);
+    assert.deepEqual(events, [{ type: 'courted', from: 'a', to: 'b' }]);
+});
+
+test('cooperation needs both sides at least neutral, mating needs both above 10', () => {
+    const a = createAgentSocial('a');
+    const b = createAgentSocial('b');
+    assert.equal(willCooperate(a, b), true);
+    assert.equal(willMate(a, b), false);
+
+    setRelationship(a, 'b', 20);
+    setRelationship(b, 'a', 11);
+    assert.equal(willMate(a, b), true);
+
+    setRelationship(b, 'a', -1);
+    assert.equal(willCooperate(a, b), false);
+});
+
+test('best mate is the most liked available partner', () => {
+    const a = createAgentSocial('a');
+    const b = createAgentSocial('b');
+    const c = createAgentSocial('c');
+    setRelationship(a, 'b', 40);
+    setRelationship(a, 'c', 60);
+    setRelationship(b, 'a', 20);
+    setRelationship(c, 'a', 20);
+
+    assert.equal(findBestMate(a, [a, b, c], () => true), c);
+    assert.equal(findBestMate(a, [a, b, c], id => id !== 'c'), b);
+});
+
+test('allies are sorted by how much they like the agent', () => {
+    const a = createAgentSocial('a');
+    const b = createAgentSocial('b');
+    const c = createAgentSocial('c');
+    const d = createAgentSocial('d');
+    setRelationship(b, 'a', 25);
+    setRelationship(c, 'a', 80);
+    setRelationship(d, 'a', 5);
+
+    assert.deepEqual(findAllies(a, [a, b, c, d]), [c, b]);
+});
+
+test('a legend is loved by everyone', () => {
+    const legend = createAgentSocial('legend');
+    const others = [createAgentSocial('b'), createAgentSocial('c')];
+    grantLegendStatus(legend, [legend, ...others]);
+
+    others.forEach(o => assert.equal(getRelationship(o, 'legend'), RELATIONSHIP_BOUNDS.MAX));
+    assert.equal(getSocialStanding(legend, [legend, ...others]), RELATIONSHIP_BOUNDS.MAX + 50);
+});
+
+test('only agents willing to cooperate with each other form a group', () => {
+    const [a, b, c, d] = ['a', 'b', 'c', 'd'].map(createAgentSocial);
+    assert.deepEqual(findCooperatingGroup([a, b, c, d]), [a, b, c, d]);
+
+    // d has fallen out with a; the others like a more than d
+    setRelationship(d, 'a', -10);
+    setRelationship(b, 'a', 20);
+    assert.deepEqual(findCooperatingGroup([a, b, c, d]), [a, b, c]);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    THREAT_TYPES, WATER_LOCATIONS, createThreat, getWaterLocation, checkSharkEncounter,
+    checkSquidSpawn, resolveStrike, generateDrops, updateThreat, damageThreat, COMBAT_CONFIG
+} from '../src/systems/threats.js';
+import { createAgentSkills } from '../src/systems/skills.js';
+import { rolls } from './helpers.js';
+
+const shark = () => createThreat('BULL_SHARK', { x: 0, y: 0, z: 0 }, { time: 1 });
+const squid = () => createThreat('GIANT_SQUID', { x: 0, y: 0, z: 0 }, { time: 1 });
+const hunter = (weaponBonus = 0, combatLevel = 0) => {
+    const skills = createAgentSkills();
+    skills.combat.level = combatLevel;
+    return { skills, weaponBonus };
+};
+
+test('threats start at full health with an id from type and time', () => {
+    const threat = shark();
+    assert.equal(threat.id, 'BULL_SHARK_1000');
+    assert.equal(threat.health, THREAT_TYPES.BULL_SHARK.health);
+    assert.equal(createThreat('KRAKEN', { x: 0, y: 0, z: 0 }), null);
+});
+
+test('shark encounters depend on location and time of day', () => {
+    const chance = THREAT_TYPES.BULL_SHARK.encounterChance;
+    const justUnder = c => rolls(c - 1e-9);
+
+    assert.equal(checkSharkEncounter('deep_reef', 0.5, false, justUnder(chance.deep_reef_day)), true);
+    assert.equal(checkSharkEncounter('deep_reef', 0.5, false, rolls(chance.deep_reef_day)), false);
+    assert.equal(checkSharkEncounter('deep_reef', 0.15, false, justUnder(chance.deep_reef_dawn_dusk)), true);
+    assert.equal(checkSharkEncounter('deep_reef', 0.95, false, justUnder(chance.deep_reef_night)), true);
+    assert.equal(checkSharkEncounter('shallow_reef', 0.5, false, rolls(0)), false);
+    assert.equal(checkSharkEncounter('shore', 0.95, false, rolls(0)), false);
+});
+
+test('water locations follow the seabed depth', () => {
+    assert.equal(getWaterLocation(-1), null);
+    assert.equal(getWaterLocation(0), null);
+    assert.equal(getWaterLocation(0.5), 'shore');
+    assert.equal(getWaterLocation(WATER_LOCATIONS.shallow_reef), 'shallow_reef');
+    assert.equal(getWaterLocation(WATER_LOCATIONS.deep_reef), 'deep_reef');
+});
+
+test('blood in the water doubles the shark chance', () => {
+    const { deep_reef_day } = THREAT_TYPES.BULL_SHARK.encounterChance;
+    const roll = rolls(deep_reef_day * 1.5);
+    assert.equal(checkSharkEncounter('deep_reef', 0.5, false, roll), false);
+    assert.equal(checkSharkEncounter('deep_reef', 0.5, true, rolls(deep_reef_day * 1.5)), true);
+});
+
+test('the squid only spawns at night in deep water', () => {
+    const base = THREAT_TYPES.GIANT_SQUID.baseSpawnChance;
+    assert.equal(checkSquidSpawn({ isNight: false, isDeepWater: true }, rolls(0)), false);
+    assert.equal(checkSquidSpawn({ isNight: true, isDeepWater: false }, rolls(0)), false);
+    assert.equal(checkSquidSpawn({ isNight: true, isDeepWater: true }, rolls(base * 1.5)), false);
+    assert.equal(checkSquidSpawn({ isNight: true, isDeepWater: true, isNewMoon: true }, rolls(base * 1.5)), true);
+});
+
+test('strikes land by combat skill against the threat', () => {
+    // Unskilled vs a combat-10 shark: 0.5 - 0.08
+    assert.equal(resolveStrike(shark(), hunter(), rolls(0.41, 0.99)).hit, true);
+    assert.equal(resolveStrike(shark(), hunter(), rolls(0.43)).hit, false);
+    assert.equal(resolveStrike(shark(), hunter(0, 100), rolls(0.89, 0.99)).hit, true);   // Capped at 0.9
+    assert.equal(resolveStrike(shark(), hunter(0, 100), rolls(0.9)).hit, false);
+    assert.equal(resolveStrike(squid(), hunter(), rolls(0.3, 0.99), { hitChanceMultiplier: 0.5 }).hit, false);
+});
+
+test('damage comes from the weapon', () => {
+    const damage = h => resolveStrike(shark(), h, rolls(0, 0.99)).damage;
+    assert.equal(damage({ ...hunter(), weaponBonus: null }), COMBAT_CONFIG.unarmedDamage);
+    assert.equal(damage(hunter(0)), COMBAT_CONFIG.weaponDamage);
+    assert.ok(Math.abs(damage(hunter(0.8)) - COMBAT_CONFIG.weaponDamage * 1.8) < 1e-9);
+});
+
+test('weak points give crits', () => {
+    // Two weak points on a shark: 0.2 crit chance
+    const crit = resolveStrike(shark(), hunter(0), rolls(0, 0.19, 0.6));
+    assert.deepEqual(crit, { hit: true, damage: COMBAT_CONFIG.weaponDamage * COMBAT_CONFIG.critMultiplier, crit: true, weakPoint: 'eyes' });
+    assert.equal(resolveStrike(shark(), hunter(0), rolls(0, 0.21)).crit, false);
+    assert.equal(resolveStrike(squid(), hunter(0), rolls(0, 0.4, 0), { critChance: 0.5 }).weakPoint, 'eyes');
+});
+
+test('drops fall within the table ranges', () => {
+    for (const [item, { min, max }] of Object.entries(THREAT_TYPES.BULL_SHARK.drops)) {
+        assert.equal(generateDrops(THREAT_TYPES.BULL_SHARK.drops, rolls(0))[item], min);
+        assert.equal(generateDrops(THREAT_TYPES.BULL_SHARK.drops, rolls(0.999))[item], max);
+    }
+});
+
+test('threats hold in range on cooldown, and only bosses fight to the death', () => {
+    const prey = [{ id: 'agent_0', position: { x: 1, y: 0, z: 0 }, inWater: true }];
+    const threat = shark();
+    threat.state = 'attacking';
+    assert.deepEqual(updateThreat(threat, 0.05, prey, rolls(0.5), { canAttack: false }), []);
+    assert.equal(updateThreat(threat, 0.05, prey, rolls(0.5))[0].type, 'threat_attack');
+
+    threat.health = threat.maxHealth * 0.1;
+    updateThreat(threat, 0.05, prey, rolls(0.5), { canAttack: false });
+    assert.equal(threat.state, 'fleeing');
+
+    const boss = squid();
+    boss.state = 'attacking';
+    boss.health = boss.maxHealth * 0.1;
+    updateThreat(boss, 0.05, prey, rolls(0.5), { canAttack: false });
+    assert.equal(boss.state, 'attacking');
+});
+
+test('damage kills at zero health and records the killer', () => {
+    const threat = shark();
+    assert.deepEqual(damageThreat(threat, threat.health - 1, 'agent_1'), { killed: false });
+    assert.deepEqual(damageThreat(threat, 1, 'agent_2'), { killed: true, killerId: 'agent_2' });
+    assert.equal(threat.state, 'dead');
+    assert.equal(threat.killerId, 'agent_2');
+});
@@ -0,0 +1,319 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../src/config.js';
+import { World } from '../src/sim/world.js';
+import { IslandEnvironment } from '../src/sim/environment.js';
+import { hashWorldState, replayRecording } from '../src/sim/replay.js';
+import { actionMask, applyAction, ACTIONS } from '../src/sim/actions.js';
+import { DEATH_CAUSES, NEEDS_CONFIG } from '../src/systems/needs.js';
+import { loadScenario, scenarioConfig } from '../src/sim/scenario.js';
+import { RELATIONSHIP_CHANGES, getRelationship, setRelationship } from '../src/systems/social.js';
+import { RESOURCES, addToInventory, addTool, getInventoryCount } from '../src/systems/resources.js';
+import { improvedPlanTask } from '../src/systems/ai.js';
+import { rolls, stepWorld } from './helpers.js';
+
+// Seeded end-to-end runs of the headless world
+
+test('the same seed gives the same run', () => {
+    const a = stepWorld(new World({ seed: 7 }), 600);
+    const b = stepWorld(new World({ seed: 7 }), 600);
+    assert.equal(hashWorldState(a), hashWorldState(b));
+
+    const c = stepWorld(new World({ seed: 8 }), 600);
+    assert.notEqual(hashWorldState(a), hashWorldState(c));
+});
+
+test('event listeners do not change the run', () => {
+    const quiet = stepWorld(new World({ seed: 11 }), 400);
+
+    const watched = new World({ seed: 11 });
+    watched.on('*', () => {});
+    stepWorld(watched, 400);
+
+    assert.equal(hashWorldState(watched), hashWorldState(quiet));
+});
+
+test('a snapshot continues exactly where it was taken', () => {
+    const world = stepWorld(new World({ seed: 3 }), 300);
+    const snapshot = JSON.stringify(world.saveSnapshot());
+    stepWorld(world, 300);
+
+    const restored = new World({ seed: 99 });
+    restored.loadSnapshot(snapshot);
+    stepWorld(restored, 300);
+
+    assert.equal(hashWorldState(restored), hashWorldState(world));
+});
+
+test('a recording replays without diverging', () => {
+    const world = new World({ seed: 5 });
+    world.startRecording();
+    stepWorld(world, 300);
+    const recording = JSON.parse(JSON.stringify(world.stopRecording()));
+
+    const result = replayRecording(recording);
+    assert.equal(result.diverged, false);
+    assert.equal(result.steps, 300);
+});
+
+test('a recording that spans an env reset replays without diverging', () => {
+    const env = new IslandEnvironment({ seed: 5, externalAgents: ['agent_0'] });
+    env.reset();
+    env.world.startRecording();
+    for (let i = 0; i < 50; i++) env.step({ agent_0: i % 10 });
+    env.reset({ seed: 6, scenario: { tribe: { size: 3 }, needs: { hungerDecayRate: 0.01 } } });
+    for (let i = 0; i < 50; i++) env.step({ agent_0: (i + 3) % 10 });
+    const recording = JSON.parse(JSON.stringify(env.world.stopRecording()));
+
+    const result = replayRecording(recording);
+    assert.equal(result.diverged, false);
+    assert.equal(result.steps, recording.hashes.length);
+    assert.equal(result.world.seed, 6);
+    assert.equal(result.world.tribeMembers.length, 3);
+    assert.equal(hashWorldState(result.world), hashWorldState(env.world));
+});
+
+test('a recording that spans a snapshot load and a tribe rebuild replays without diverging', () => {
+    const saved = stepWorld(new World({ seed: 8 }), 30).saveSnapshot();
+    const world = new World({ seed: 5 });
+    world.startRecording();
+    stepWorld(world, 40);
+    world.loadSnapshot(JSON.stringify(saved));
+    stepWorld(world, 40);
+    world.config.tribeMembers = 4;
+    world.rebuildTribe();
+    stepWorld(world, 40);
+    const recording = JSON.parse(JSON.stringify(world.stopRecording()));
+
+    assert.deepEqual(recording.inputs.map(input => [input.step, input.type]), [[40, 'snapshot'], [70, 'snapshot']]);
+    const result = replayRecording(recording);
+    assert.equal(result.diverged, false);
+    assert.equal(result.steps, 120);
+    assert.equal(result.world.tribeMembers.length, 4);
+    assert.equal(hashWorldState(result.world), hashWorldState(world));
+});
+
+test('the world stays consistent over a long run', () => {
+    const world = stepWorld(new World({ seed: 42 }), 3000);
+    const dead = world.tribeMembers.filter(a => !a.alive);
+
+    assert.equal(world.totalDeaths, dead.length);
+    dead.forEach(a => assert.ok(Object.values(DEATH_CAUSES).includes(a.deathCause), a.deathCause));
+
+    world.getAliveAgents().forEach(agent => {
+        for (const key of ['hunger', 'energy', 'health', 'social']) {
+            assert.ok(agent.needs[key] >= 0 && agent.needs[key] <= 1, `${agent.id} ${key} = ${agent.needs[key]}`);
+        }
+        assert.ok(Number.isFinite(agent.position.x) && Number.isFinite(agent.position.z));
+    });
+    Object.entries(world.hut.storage).forEach(([id, count]) => assert.ok(count >= 0, `hut ${id} = ${count}`));
+});
+
+// A starving agent with a well-fed neighbour; returns the first relationship_changed
+function feedNeedy(world, steps = 600) {
+    const [needy, neighbour] = world.tribeMembers;
+    needy.needs.hunger = 0.1;
+    neighbour.position.set(needy.position.x + 3, needy.position.y, needy.position.z);
+    neighbour.needs.hunger = 1;
+    neighbour.needs.energy = 1;
+
+    let change = null;
+    world.on('relationship_changed', e => { change ??= e; });
+    for (let i = 0; i < steps && !change; i++) world.step();
+    return change;
+}
+
+test('a starving agent is fed by a neighbour and likes them for it', () => {
+    const world = new World({ seed: 4 });
+    const change = feedNeedy(world);
+    const needy = world.tribeMembers[0];
+
+    assert.ok(change);
+    assert.equal(change.agentId, needy.id);
+    assert.equal(change.delta, RELATIONSHIP_CHANGES.share_food.receiver);
+    assert.equal(getRelationship(needy.social, change.otherId), change.score);
+    assert.equal(world.getAgent(change.otherId).social.totalHelpsGiven, 1);
+});
+
+test('nobody helps an agent the whole tribe has fallen out with', () => {
+    const world = new World({ seed: 4 });
+    const [needy, ...rest] = world.tribeMembers;
+    rest.forEach(other => {
+        setRelationship(needy.social, other.id, -50);
+        setRelationship(other.social, needy.id, -50);
+    });
+
+    assert.equal(feedNeedy(world), null);
+    assert.equal(needy.social.totalHelpsReceived, 0);
+});
+
+test('an env episode ends on its scenario limits', () => {
+    const env = new IslandEnvironment({
+        scenario: { seed: 9, tribe: { size: 3 }, maxDays: 1, maxSteps: 100000 }
+    });
+    const observations = env.reset();
+    assert.equal(Object.keys(observations).length, 3);
+
+    let result;
+    do {
+        result = env.step();
+    } while (!result.dones.__all__);
+
+    assert.equal(result.info.termination, 'max_days');
+    assert.equal(result.info.truncated, true);
+    assert.equal(env.world.clock.day, 1);
+});
+
+test('the sim clock runs with autoPlayTime off', () => {
+    const world = new World({ seed: 9, config: { autoPlayTime: false } });
+    const start = world.clock.totalDays;
+    stepWorld(world, world.config.dayLength / world.config.fixedTimestep);
+    assert.ok(Math.abs(world.clock.totalDays - start - 1) < 1e-6);
+});
+
+test('worlds with different scenarios can run side by side', () => {
+    const alone = hashWorldState(stepWorld(new World({ seed: 5 }), 400));
+
+    const scarcity = loadScenario({ needs: { hungerDecayRate: 0.02 }, resources: { coconut: { nutrition: 0.1 } } });
+    const world = new World({ seed: 5 });
+    const other = new World({ seed: 5, config: scenarioConfig(scarcity) });
+    for (let i = 0; i < 400; i++) {
+        world.step();
+        other.step();
+    }
+
+    assert.equal(hashWorldState(world), alone);
+    assert.notEqual(hashWorldState(other), alone);
+    assert.equal(other.tables.needs.hungerDecayRate, 0.02);
+    assert.equal(world.tables.needs.hungerDecayRate, NEEDS_CONFIG.hungerDecayRate);
+    assert.equal(NEEDS_CONFIG.hungerDecayRate, 0.003);
+});
+
+test('a scenario caps tribe tools by its own tool table', () => {
+    const roomy = loadScenario({ tools: { fishing_spear: { maxPerAgent: 5 } }, tribe: { tools: { fishing_spear: 4 } } });
+    assert.deepEqual(roomy.tribe.tools, { fishing_spear: 4 });
+    assert.throws(
+        () => loadScenario({ tools: { fishing_spear: { maxPerAgent: 1 } }, tribe: { tools: { fishing_spear: 2 } } }),
+        /tribe\.tools\.fishing_spear: at most 1 per agent/
+    );
+});
+
+test('worlds never share nested config with CONFIG or each other', () => {
+    const world = new World({ seed: 1 });
+    world.config.systems.threats = false;
+    world.config.startingTools.fishing_spear = 1;
+
+    const env = new IslandEnvironment({ seed: 1, scenario: { tribe: { tools: { fishing_spear: 1 } } } });
+    env.reset();
+    env.world.config.startingTools.fishing_spear = 2;
+    env.world.config.startingHutStorage.coconut = 50;
+
+    assert.deepEqual(CONFIG.systems, { threats: true, reproduction: true });
+    assert.deepEqual(CONFIG.startingTools, {});
+    assert.deepEqual(CONFIG.startingHutStorage, {});
+    assert.deepEqual(new World({ seed: 1 }).config.systems, CONFIG.systems);
+    env.reset();
+    assert.deepEqual(env.world.config.startingTools, { fishing_spear: 1 });
+});
+
+test('an external agent holding only fish eats the fish', () => {
+    const world = new World({ seed: 3 });
+    const agent = world.tribeMembers[0];
+    world.setController(agent.id, 'external');
+    agent.inventory.slots.clear();
+    addToInventory(agent.inventory, 'fish', 2, { spawnTime: world.time });
+    agent.needs.hunger = 0.3;
+
+    assert.equal(actionMask(world, agent)[ACTIONS.indexOf('eat_from_inventory')], true);
+    assert.equal(applyAction(world, agent, 'eat_from_inventory'), null);
+    assert.equal(agent.task.resourceId, 'fish');
+
+    stepWorld(world, 60);   // Eating takes 2 seconds
+    assert.ok(getInventoryCount(agent.inventory, 'fish') < 2);
+    assert.ok(agent.needs.hunger > 0.3);
+});
+
+test('a built-in agent holding only fish plans to eat the fish', () => {
+    const world = new World({ seed: 3 });
+    const agent = world.tribeMembers[0];
+    agent.inventory.slots.clear();
+    addToInventory(agent.inventory, 'fish', 1, { spawnTime: world.time });
+    agent.needs.hunger = 0.2;
+
+    improvedPlanTask(agent, world.tribeMembers, world.hut, world.coordinator, world.aiHelpers, world.rng.ai);
+    assert.equal(agent.state, 'eating');
+    assert.equal(agent.task.resourceId, 'fish');
+});
+
+test('agents sent fishing claim their fish, so nobody chases the same one', () => {
+    const world = new World({ seed: 3 });
+    const [first, second] = world.tribeMembers;
+    const [fishA, fishB] = world.fishList;
+    fishB.position.set(fishA.position.x + 4, fishA.position.y, fishA.position.z);
+    [first, second].forEach(agent => {
+        world.setController(agent.id, 'external');
+        agent.position.set(fishA.position.x - 10, 1, fishA.position.z);
+        addTool(agent.inventory, 'fishing_spear');
+    });
+
+    assert.equal(applyAction(world, first, 'go_fishing'), null);
+    assert.equal(first.task.target, fishA);
+    assert.equal(world.fishingSystem.claimedFish.get(fishA.id), first.id);
+
+    assert.equal(applyAction(world, second, 'go_fishing'), null);
+    assert.equal(second.task.target, fishB);
+    assert.deepEqual(world.checkInvariants(), []);
+});
+
+test('a new action releases the claims of the task it replaces', () => {
+    const world = new World({ seed: 3 });
+    const agent = world.tribeMembers[0];
+    world.setController(agent.id, 'external');
+
+    assert.equal(applyAction(world, agent, 'gather_wood'), null);
+    const tree = agent.task.target;
+    assert.equal(world.coordinator.claimedResources.get(tree.id), agent.id);
+
+    assert.equal(applyAction(world, agent, 'gather_stone'), null);
+    assert.equal(world.coordinator.claimedResources.has(tree.id), false);
+    assert.equal(world.coordinator.claimedTasks.has(`gather_wood:${tree.id}`), false);
+    assert.equal(world.coordinator.claimedResources.get(agent.task.target.id), agent.id);
+    assert.deepEqual(world.checkInvariants(), []);
+});
+
+test('carried fish spoil on the sim clock', () => {
+    const world = new World({ seed: 3 });
+    const agent = world.tribeMembers[0];
+    world.setController(agent.id, 'external');   // Keeps it from eating or hauling them
+    agent.inventory.slots.clear();
+    addToInventory(agent.inventory, 'fish', 2, { spawnTime: world.time - RESOURCES.FISH.spoilTime + 1 });
+
+    world.step();
+    assert.equal(getInventoryCount(agent.inventory, 'fish'), 2);
+    stepWorld(world, 20);   // One more second
+    assert.equal(getInventoryCount(agent.inventory, 'fish'), 0);
+});
+
+test('a fish that spoils while it is being eaten can make the agent sick', () => {
+    const world = new World({ seed: 3 });
+    const agent = world.tribeMembers[0];
+    world.setController(agent.id, 'external');
+    agent.inventory.slots.clear();
+    addToInventory(agent.inventory, 'fish', 1, { spawnTime: world.time });
+    agent.needs.hunger = 0.3;
+    applyAction(world, agent, 'eat_from_inventory');
+    world.step();
+
+    // Turns on the step the meal finishes; a 0.5 roll is safe for raw fish but not for spoiled
+    while (agent.actionTimer > world.config.fixedTimestep + 1e-9) world.step();
+    agent.inventory.slots.get('fish').items[0].spawnTime = world.time - RESOURCES.FISH.spoilTime;
+    const sick = [];
+    world.on('got_sick', e => sick.push(e));
+    world.rng.needs = rolls(0.5);
+    world.step();
+
+    assert.equal(getInventoryCount(agent.inventory, 'fish'), 0);
+    assert.deepEqual(sick.map(e => [e.agentId, e.source]), [[agent.id, 'food']]);
+    assert.equal(agent.needs.isSick, true);
+});